@@ -0,0 +1,217 @@
+/**
+ * AgentContext - The capabilities the host hands to an agent
+ *
+ * Each agent receives its own context as the second constructor argument.
+ * The context only exposes what the agent's manifest requests in its
+ * `permissions` array; calling anything else throws a PermissionError.
+ *
+ * Permissions:
+ * - domain:sign   sign messages with the domain wallet
+ * - lists:read    read whitelist lists and check membership
+ * - lists:write   add and remove whitelist list members
+ * - config:read   read the domain configuration, with wallet secrets removed
+ *
+ * The host supplies the implementations (see agentHost in index.mjs) so that
+ * agents never see the domain mnemonic itself.
+ *
+ * Agents also publish and look up services for each other through the context.
+ * Looking up a service requires declaring its provider in agentDependencies.
+ *
+ * getAgentConfig(domain) returns the agent's own settings for a domain, with the
+ * domain's overrides applied (see agentConfig.mjs).
+ *
+ * Host lifecycle events (see HostEvents) are subscribed to with on(type, handler).
+ * list.* events carry member addresses and need lists:read.
+ *
+ * A context only acts for the domains the host says the agent is enabled on
+ * (allowDomain); other domains are refused and their events are not delivered.
+ * The host capabilities, service registry and event bus are held privately so
+ * every call goes through these checks. So are the agent's name, its granted
+ * permissions and its dependencies; agents see them read-only.
+ */
+export const PERMISSIONS = {
+    'domain:sign': 'Sign messages with the domain wallet',
+    'lists:read': 'Read whitelist lists and membership',
+    'lists:write': 'Add and remove whitelist list members',
+    'config:read': 'Read the domain configuration'
+};
+
+export class PermissionError extends Error {
+    constructor(agentName, permission) {
+        super(`Agent ${agentName} has not declared the "${permission}" permission in epistery.json`);
+        this.name = 'PermissionError';
+        this.agentName = agentName;
+        this.permission = permission;
+    }
+}
+
+export class AgentContext {
+    #agentName;
+    #granted = [];
+    #dependencies;
+    #host;
+    #services;
+    #events;
+    #resolveConfig;
+    #allowDomain;
+    #handlers = new Map();
+
+    constructor(agentName, permissions, host = {}, { services = null, dependencies = [], events = null, resolveConfig = null, allowDomain = () => true } = {}) {
+        this.#agentName = agentName;
+        this.#host = host;
+        this.#services = services;
+        this.#dependencies = Object.freeze([...dependencies]);
+        this.#events = events;
+        this.#resolveConfig = resolveConfig;
+        this.#allowDomain = allowDomain;
+        const denied = [];
+
+        for (const permission of Array.isArray(permissions) ? permissions : []) {
+            if (PERMISSIONS[permission]) {
+                if (!this.#granted.includes(permission)) this.#granted.push(permission);
+            } else {
+                console.warn(`Agent ${agentName} requested unknown permission "${permission}", not granted`);
+                denied.push(permission);
+            }
+        }
+        Object.freeze(this.#granted);
+        this.denied = Object.freeze(denied);
+    }
+
+    get agentName() {
+        return this.#agentName;
+    }
+
+    // Frozen, so an agent cannot widen what its context allows
+    get granted() {
+        return this.#granted;
+    }
+
+    get dependencies() {
+        return this.#dependencies;
+    }
+
+    has(permission) {
+        return this.#granted.includes(permission);
+    }
+
+    require(permission) {
+        if (!this.has(permission)) {
+            throw new PermissionError(this.agentName, permission);
+        }
+    }
+
+    /**
+     * Throw unless the agent is enabled for the domain
+     */
+    requireDomain(domain) {
+        if (typeof domain !== 'string' || !this.#allowDomain(domain)) {
+            throw new Error(`Agent ${this.agentName} is not enabled for domain ${domain}`);
+        }
+    }
+
+    /**
+     * Sign a message with the domain wallet (EIP-191 personal_sign)
+     */
+    async sign(domain, message) {
+        this.require('domain:sign');
+        this.requireDomain(domain);
+        return await this.#host.sign(domain, message);
+    }
+
+    async isListed(domain, listName, address) {
+        this.require('lists:read');
+        this.requireDomain(domain);
+        return await this.#host.isListed(domain, listName, address);
+    }
+
+    async getList(domain, listName) {
+        this.require('lists:read');
+        this.requireDomain(domain);
+        return await this.#host.getList(domain, listName);
+    }
+
+    /**
+     * Add a member to a list. options: { name, role, meta }
+     * List writes are recorded in the domain ledger under the agent's name. The host
+     * refuses epistery:: lists, other domains' lists and entries above member.
+     */
+    async addToList(domain, listName, address, options = {}) {
+        this.require('lists:write');
+        this.requireDomain(domain);
+        return await this.#host.addToList(domain, listName, address, options, this.agentName);
+    }
+
+    async removeFromList(domain, listName, address) {
+        this.require('lists:write');
+        this.requireDomain(domain);
+        return await this.#host.removeFromList(domain, listName, address, this.agentName);
+    }
+
+    getConfig(domain) {
+        this.require('config:read');
+        this.requireDomain(domain);
+        return this.#host.getConfig(domain);
+    }
+
+    /**
+     * This agent's own settings resolved for a domain. Needs no permission.
+     */
+    getAgentConfig(domain) {
+        if (!this.#resolveConfig) throw new Error('Agent settings are not available');
+        this.requireDomain(domain);
+        return this.#resolveConfig(domain);
+    }
+
+    /**
+     * Publish a named service interface for agents that depend on this one
+     */
+    provide(name, service) {
+        if (!this.#services) throw new Error('Service registry is not available');
+        this.#services.provide(this.agentName, name, service);
+    }
+
+    /**
+     * Look up a service published by one of this agent's declared dependencies
+     */
+    getService(name) {
+        const entry = this.#services?.lookup(name);
+        if (!entry) {
+            throw new Error(`Service "${name}" is not registered`);
+        }
+        if (entry.provider !== this.agentName && !this.#dependencies.includes(entry.provider)) {
+            throw new Error(`Agent ${this.agentName} must declare ${entry.provider} in agentDependencies to use service "${name}"`);
+        }
+        return entry.service;
+    }
+
+    /**
+     * Subscribe to a host lifecycle event, or '*' for all of them
+     */
+    on(type, handler) {
+        if (!this.#events) throw new Error('Host events are not available');
+        if (type.startsWith('list.')) this.require('lists:read');
+        if (typeof handler !== 'function') throw new Error('Event handler must be a function');
+
+        // Only events for the agent's domains, and without lists:read a wildcard subscription skips list events
+        const listener = (event) => {
+            if (!this.#delivers(event)) return undefined;
+            if (type === '*' && event.type.startsWith('list.') && !this.has('lists:read')) return undefined;
+            return handler(event);
+        };
+        this.#events.subscribe(this.agentName, type, listener);
+        this.#handlers.set(handler, listener);
+    }
+
+    off(type, handler) {
+        if (!this.#events) return;
+        this.#events.unsubscribe(this.agentName, type, this.#handlers.get(handler) || handler);
+        this.#handlers.delete(handler);
+    }
+
+    // An agent hears its own agent.disabled even though it is no longer enabled for the domain
+    #delivers(event) {
+        if (event.type === 'agent.disabled' && event.payload?.agentName === this.agentName) return true;
+        return typeof event.domain === 'string' && this.#allowDomain(event.domain);
+    }
+}
@@ -1,7 +1,14 @@
-import { existsSync, readdirSync, readFileSync } from 'fs';
+import { existsSync, readdirSync, readFileSync, watch } from 'fs';
 import { join } from 'path';
 import { pathToFileURL } from 'url';
 import express from 'express';
+import semver from 'semver';
+import { AgentContext } from './AgentContext.mjs';
+import { ServiceRegistry } from './ServiceRegistry.mjs';
+import { ProcessAgent } from './ProcessAgent.mjs';
+import { HostEvents } from './HostEvents.mjs';
+import { validateManifest, routeNameFor, sortByDependencies, dependenciesOf } from './manifest.mjs';
+import { resolveConfig } from './agentConfig.mjs';
 
 /**
  * AgentManager - Discovers and loads epistery agent modules
@@ -14,18 +21,71 @@ import express from 'express';
  * where {name} is derived from the npm package name with @ removed
  * (e.g., "@geistm/adnet-agent" → "geistm/adnet-agent")
  *
+ * Agents are not mounted on the app directly. A single dispatcher is mounted
+ * once and forwards requests to whichever agents are currently loaded, so agents
+ * can be loaded, reloaded and unloaded while the host is running.
+ *
+ * Manifests are checked with validateManifest() before an agent is imported. The
+ * outcome for every agent directory, including validation errors and exceptions
+ * thrown while importing or constructing the agent, is kept in diagnostics.
+ *
+ * Agents may depend on other agents through the manifest agentDependencies field.
+ * loadAll() loads dependencies first and refuses missing dependencies and cycles.
+ * Unloading an agent unloads the agents that depend on it. Reloading builds the new
+ * copy while the old one keeps serving and rebuilds its dependents against it; a copy
+ * that fails to load leaves the running agent in place.
+ *
+ * The host decides per domain whether an agent is enabled by assigning
+ * isEnabled(domain, packageName). Requests and WebSocket upgrades for a disabled
+ * agent are refused with a 404. An agent's context acts only for domains the host
+ * serves (hasDomain(domain)) where the agent is enabled.
+ *
+ * Agent settings can differ per domain. The host assigns domainConfig(domain,
+ * packageName) to return a domain's overrides, and each request to an agent
+ * carries the resolved settings for its hostname in req.agentConfig.
+ *
+ * Agents may implement health(), which is polled by startHealthChecks(). It may
+ * return false or { healthy: false, ... } or throw to report a problem; anything
+ * else counts as healthy. The latest results are returned by getHealth().
+ *
+ * Host lifecycle events are published on `events` (a HostEvents shared with the
+ * host routes) and reach agents through their AgentContext.
+ *
  * Manifest fields:
  * - name: npm package name (e.g., "@geistm/adnet-agent") - used for routing
  * - version: semantic version
  * - main: entry point file (e.g., "index.mjs")
  * - command: shell command to start agent (defaults to "npm start")
+ * - isolation: "process" to run the agent out of process with its command (see ProcessAgent)
  * - config: configuration passed to agent constructor
- * - permissions: array of epistery permissions required
+ * - configSchema: JSON schema for settings that domains can override (see agentConfig.mjs)
+ * - permissions: array of epistery permissions required. The agent constructor
+ *   receives an AgentContext as its second argument exposing only these.
+ * - agentDependencies: other agents required, by package name and semver range
  */
 export class AgentManager {
-    constructor(agentsPath) {
+    constructor(agentsPath, host = {}, { isolation = 'none', trustedAgents = [], events = new HostEvents() } = {}) {
         this.agentsPath = agentsPath;
+        this.host = host;
+        this.isolation = isolation;
+        this.trustedAgents = trustedAgents;
         this.agents = new Map();
+        this.diagnostics = new Map();
+        this.services = new ServiceRegistry();
+        this.events = events;
+        this.servers = new Set();
+        this.watchers = new Map();
+        this.pending = new Map();
+        this.watchDelay = 1000;
+        this.attached = false;
+        this.loadCount = 0;
+        this.queue = Promise.resolve();
+        this.isEnabled = () => true;
+        this.hasDomain = () => true;
+        this.domainConfig = () => ({});
+        this.health = new Map();
+        this.healthTimeout = 5000;
+        this.healthTimer = null;
     }
 
     /**
@@ -39,50 +99,155 @@ export class AgentManager {
 
         const discovered = [];
         const entries = readdirSync(this.agentsPath, { withFileTypes: true });
+        const seen = new Set();
 
         for (const entry of entries) {
             if (!entry.isDirectory() && !entry.isSymbolicLink()) continue;
 
-            const agentDir = join(this.agentsPath, entry.name);
-            const manifestPath = join(agentDir, 'epistery.json');
-            const entryPath = join(agentDir, 'index.mjs');
+            seen.add(entry.name);
+            const agentInfo = this.inspect(entry.name);
+            if (agentInfo) discovered.push(agentInfo);
+        }
 
-            // Check for required files
-            if (!existsSync(manifestPath)) {
-                console.warn(`Agent ${entry.name} missing epistery.json, skipping`);
-                continue;
-            }
+        for (const name of this.diagnostics.keys()) {
+            if (!seen.has(name)) this.diagnostics.delete(name);
+        }
 
-            if (!existsSync(entryPath)) {
-                console.warn(`Agent ${entry.name} missing index.mjs, skipping`);
-                continue;
-            }
+        return discovered;
+    }
 
-            try {
-                let result = readFileSync(manifestPath, 'utf8');
-                const manifest = JSON.parse(result);
-                discovered.push({
-                    name: entry.name,
-                    path: agentDir,
-                    manifest,
-                    entryPath
-                });
-                console.log(`Discovered agent: ${manifest.name} v${manifest.version}`);
-            } catch (error) {
-                console.error(`Failed to load agent ${entry.name}:`, error.message);
+    /**
+     * Read the manifest of a single agent directory
+     * Returns the agent info, or null if the directory is not a loadable agent
+     */
+    inspect(dirName) {
+        const agentDir = join(this.agentsPath, dirName);
+        const manifestPath = join(agentDir, 'epistery.json');
+        const entryPath = join(agentDir, 'index.mjs');
+
+        // Check for required files
+        if (!existsSync(manifestPath)) {
+            console.warn(`Agent ${dirName} missing epistery.json, skipping`);
+            this.diagnose(dirName, { path: agentDir }, 'invalid', { errors: ['missing epistery.json'] });
+            return null;
+        }
+
+        let manifest;
+        try {
+            let result = readFileSync(manifestPath, 'utf8');
+            manifest = JSON.parse(result);
+        } catch (error) {
+            console.error(`Failed to load agent ${dirName}:`, error.message);
+            this.diagnose(dirName, { path: agentDir }, 'invalid', {
+                errors: [`epistery.json could not be parsed: ${error.message}`]
+            });
+            return null;
+        }
+
+        // Isolated agents are started with their command and need no index.mjs
+        if (this.isolationFor(manifest) !== 'process' && !existsSync(entryPath)) {
+            console.warn(`Agent ${dirName} missing index.mjs, skipping`);
+            this.diagnose(dirName, { path: agentDir, manifest }, 'invalid', { errors: ['missing index.mjs'] });
+            return null;
+        }
+
+        console.log(`Discovered agent: ${manifest.name} v${manifest.version}`);
+        return {
+            name: dirName,
+            path: agentDir,
+            manifest,
+            entryPath
+        };
+    }
+
+    /**
+     * Whether an agent runs in the host process ('none') or as a child process ('process').
+     * An agent can ask to be isolated in its manifest. When the host isolates by default,
+     * only agents listed as trusted run in-process.
+     */
+    isolationFor(manifest) {
+        if (manifest?.isolation === 'process') return 'process';
+        if (this.isolation === 'process' && !this.trustedAgents.includes(manifest?.name)) return 'process';
+        return 'none';
+    }
+
+    /**
+     * Record the load status of an agent directory for /api/agents/diagnostics.
+     * Only the error message is kept; paths and stack traces stay in the host's log.
+     */
+    diagnose(dirName, agentInfo, status, { errors = [], error = null } = {}) {
+        this.diagnostics.set(dirName, {
+            directory: dirName,
+            name: agentInfo.manifest?.name || null,
+            version: agentInfo.manifest?.version || null,
+            status,
+            errors,
+            error: error ? { message: error.message } : null,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    getDiagnostics() {
+        return [...this.diagnostics.values()];
+    }
+
+    /**
+     * Mount the agent dispatcher on the app. Safe to call more than once.
+     */
+    attach(app) {
+        if (this.attached) return;
+        this.attached = true;
+        app.use((req, res, next) => this.dispatch(req, res, next));
+    }
+
+    /**
+     * Route a request to the loaded agent whose path prefix matches, if any
+     */
+    dispatch(req, res, next) {
+        let match = null;
+        let matchLength = 0;
+        for (const agent of this.agents.values()) {
+            for (const prefix of [agent.wellKnownPath, agent.shortPath]) {
+                if (prefix.length <= matchLength) continue;
+                if (req.path === prefix || req.path.startsWith(prefix + '/')) {
+                    match = agent;
+                    matchLength = prefix.length;
+                }
             }
         }
+        if (!match || !match.router) return next();
+        if (!this.isEnabled(req.hostname, match.manifest.name)) {
+            return res.status(404).json({ error: 'Agent not enabled for this domain' });
+        }
+        try {
+            req.agentConfig = this.configFor(req.hostname, match.manifest);
+        } catch (error) {
+            return next(error);
+        }
+        match.router(req, res, next);
+    }
 
-        return discovered;
+    /**
+     * An agent's settings for a domain: schema defaults, manifest config, then domain overrides
+     */
+    configFor(domain, manifest) {
+        return resolveConfig(manifest, this.domainConfig(domain, manifest.name) || {});
     }
 
     /**
      * Load and initialize all discovered agents
      */
     async loadAll(app) {
+        this.attach(app);
         const discovered = this.discover();
+        const { ordered, rejected } = sortByDependencies(discovered);
 
-        for (const agentInfo of discovered) {
+        for (const { agentInfo, errors } of rejected) {
+            console.error(`Agent ${agentInfo.name} cannot be loaded:\n  - ${errors.join('\n  - ')}`);
+            this.diagnose(agentInfo.name, agentInfo, 'invalid', { errors });
+        }
+
+        for (const agentInfo of ordered) {
             try {
                 await this.loadAgent(agentInfo, app);
             } catch (error) {
@@ -97,62 +262,563 @@ export class AgentManager {
      * Load a single agent module
      */
     async loadAgent(agentInfo, app) {
+        const agent = await this.prepareAgent(agentInfo, app);
+        if (!agent) return;
+        this.mountAgent(agentInfo.name, agentInfo, agent);
+        return agent;
+    }
+
+    /**
+     * Validate, import and construct an agent without serving it yet. Resolves undefined
+     * when the manifest is invalid; throws when importing or constructing fails.
+     */
+    async prepareAgent(agentInfo, app) {
         const { name, manifest, entryPath } = agentInfo;
 
-        if (!manifest.name) {
-            console.error(`Agent ${name} missing name in epistery.json, skipping`);
+        const errors = validateManifest(manifest);
+
+        // Derive route path from npm package name (remove @ for URL safety)
+        const routeName = typeof manifest.name === 'string' ? routeNameFor(manifest.name) : null;
+        for (const [other, agent] of this.agents) {
+            if (other !== name && agent.routeName === routeName) {
+                errors.push(`route /agent/${routeName} is already used by agent ${other}`);
+            }
+        }
+
+        const dependencies = dependenciesOf(manifest);
+        for (const [dependency, range] of Object.entries(dependencies)) {
+            const loaded = this.findByPackage(dependency);
+            if (!loaded) {
+                errors.push(`requires ${dependency} ${range}, which is not loaded`);
+            } else if (!semver.satisfies(loaded.manifest.version, range, { includePrerelease: true })) {
+                errors.push(`requires ${dependency} ${range}, found ${loaded.manifest.version}`);
+            }
+        }
+
+        if (errors.length) {
+            console.error(`Agent ${name} has an invalid epistery.json, skipping:\n  - ${errors.join('\n  - ')}`);
+            this.diagnose(name, agentInfo, 'invalid', { errors });
             return;
         }
 
-        // Derive route path from npm package name (remove @ for URL safety)
-        const routeName = manifest.name.replace(/^@/, '');
+        if (app) this.attach(app);
 
-        // Import the agent module
-        const moduleUrl = pathToFileURL(entryPath).href;
-        const AgentClass = (await import(moduleUrl)).default;
+        const wellKnownPath = `/.well-known/epistery/agent/${routeName}`;
+        const shortPath = `/agent/${routeName}`;
+        const isolation = this.isolationFor(manifest);
 
-        // Instantiate with config from manifest
-        const agentInstance = new AgentClass(manifest.config || {});
+        let context = null, agentInstance, agentRouter;
+        try {
+            if (isolation === 'process') {
+                agentInstance = new ProcessAgent(agentInfo, { prefixes: [wellKnownPath, shortPath] });
+                try {
+                    await agentInstance.start();
+                } catch (error) {
+                    await agentInstance.cleanup();
+                    throw error;
+                }
+            } else {
+                // Import the agent module. The query string defeats the ESM module cache so that a
+                // reload picks up the new entry file. Modules it imports itself remain cached.
+                const moduleUrl = `${pathToFileURL(entryPath).href}?load=${++this.loadCount}`;
+                const AgentClass = (await import(moduleUrl)).default;
 
-        // Create a namespaced router for this agent
-        const agentRouter = express.Router();
+                // Instantiate with config from manifest and a context scoped to its permissions
+                context = new AgentContext(manifest.name, manifest.permissions, this.host, {
+                    services: this.services,
+                    dependencies: Object.keys(dependencies),
+                    events: this.events,
+                    resolveConfig: (domain) => this.configFor(domain, manifest),
+                    allowDomain: (domain) => this.hasDomain(domain) && this.isEnabled(domain, manifest.name)
+                });
+                agentInstance = new AgentClass(manifest.config || {}, context);
+            }
 
-        // Attach agent to its namespaced router
-        if (typeof agentInstance.attach === 'function') {
-            agentInstance.attach(agentRouter);
-        } else {
-            console.warn(`Agent ${name} has no attach() method`);
+            // Create a namespaced router for this agent
+            agentRouter = express.Router();
+
+            // Attach agent to its namespaced router
+            if (typeof agentInstance.attach === 'function') {
+                agentInstance.attach(agentRouter);
+            } else {
+                console.warn(`Agent ${name} has no attach() method`);
+            }
+        } catch (error) {
+            this.services.withdraw(manifest.name);
+            this.events.unsubscribeAll(manifest.name);
+            this.diagnose(name, agentInfo, 'failed', { error });
+            throw error;
         }
 
         // Mount the agent's router at both paths
-        const wellKnownPath = `/.well-known/epistery/agent/${routeName}`;
-        const shortPath = `/agent/${routeName}`;
+        const router = express.Router();
+        router.use(wellKnownPath, agentRouter);
+        router.use(shortPath, agentRouter);
 
-        app.use(wellKnownPath, agentRouter);
-        app.use(shortPath, agentRouter);
+        return {
+            manifest,
+            instance: agentInstance,
+            context,
+            isolation,
+            router,
+            routeName,
+            wellKnownPath,
+            shortPath,
+            path: agentInfo.path,
+            listeners: []
+        };
+    }
 
-        console.log(`Agent ${manifest.name} v${manifest.version} mounted at:`);
+    /**
+     * Serve a prepared agent, in place of any agent already loaded from its directory
+     */
+    mountAgent(name, agentInfo, agent) {
+        const { manifest, isolation, wellKnownPath, shortPath } = agent;
+        console.log(`Agent ${manifest.name} v${manifest.version}${isolation === 'process' ? ' (isolated process)' : ''} mounted at:`);
         console.log(`  - ${wellKnownPath}/*`);
         console.log(`  - ${shortPath}/*`);
 
-        // Store reference
-        this.agents.set(name, {
-            manifest,
-            instance: agentInstance,
-            wellKnownPath,
-            shortPath
+        this.agents.set(name, agent);
+        this.diagnose(name, agentInfo, 'loaded');
+
+        // Agents loaded after startup join the servers that are already listening
+        for (const server of this.servers) {
+            this.attachWebSocket(name, agent, server);
+        }
+        if (this.watcher) this.watchAgent(name);
+    }
+
+    /**
+     * Unmount an agent's routes and WebSocket listeners and call its cleanup()
+     */
+    async unloadAgent(name) {
+        const agent = this.agents.get(name);
+        if (!agent) return false;
+
+        // Dependents hold references to this agent's services, so they go first
+        for (const dependent of this.dependentsOf(agent.manifest.name)) {
+            console.log(`Unloading ${dependent} because it depends on ${agent.manifest.name}`);
+            await this.unloadAgent(dependent);
+        }
+
+        this.agents.delete(name);
+        this.services.withdraw(agent.manifest.name);
+        this.events.unsubscribeAll(agent.manifest.name);
+        this.unwatchAgent(name);
+        this.health.delete(name);
+        this.diagnose(name, agent, 'unloaded');
+        await this.retireAgent(name, agent);
+
+        console.log(`Agent ${agent.manifest.name} unmounted`);
+        return true;
+    }
+
+    // Remove the WebSocket listeners of an agent that is no longer served and call its cleanup()
+    async retireAgent(name, agent) {
+        for (const { server, event, listener } of agent.listeners || []) {
+            server.removeListener(event, listener);
+        }
+        await this.cleanupAgent(name, agent.instance);
+    }
+
+    /**
+     * Replace a loaded agent with a freshly imported copy of its module, then its dependents
+     * with copies built against it. A copy that fails to load leaves the running agent in place.
+     */
+    async reloadAgent(name) {
+        const agentInfo = this.inspect(name);
+        if (!agentInfo) {
+            await this.unloadAgent(name);
+            return null;
+        }
+        if (!this.agents.has(name)) return await this.loadAgent(agentInfo);
+
+        const dependents = this.dependentsOf(this.agents.get(name).manifest.name, true);
+        const agent = await this.swapAgent(name, agentInfo);
+        for (const dependent of dependents) {
+            const dependentInfo = this.inspect(dependent);
+            if (!dependentInfo || !this.agents.has(dependent)) continue;
+            try {
+                await this.swapAgent(dependent, dependentInfo);
+            } catch (error) {
+                console.error(`Failed to reload dependent agent ${dependent}:`, error);
+            }
+        }
+        return agent;
+    }
+
+    /**
+     * Prepare a new copy of a loaded agent while the old one keeps serving, then switch
+     * over. If the copy fails, its services and subscriptions are dropped, the old ones are
+     * put back and the error is thrown.
+     */
+    async swapAgent(name, agentInfo) {
+        const previous = this.agents.get(name);
+        const provider = previous.manifest.name;
+        const services = this.services.entriesOf(provider);
+        const subscriptions = this.events.subscriptionsOf(provider);
+
+        let agent, failure;
+        try {
+            agent = await this.prepareAgent(agentInfo);
+            if (!agent) failure = new Error(`Agent ${name} was not reloaded: ${this.diagnostics.get(name)?.errors.join('; ')}`);
+        } catch (error) {
+            failure = error;
+        }
+        if (failure) {
+            if (agentInfo.manifest.name !== provider) {
+                this.services.withdraw(agentInfo.manifest.name);
+                this.events.unsubscribeAll(agentInfo.manifest.name);
+            }
+            this.services.restore(services);
+            this.events.restore(subscriptions);
+            const { errors = [] } = this.diagnostics.get(name) || {};
+            this.diagnose(name, previous, 'loaded', { errors, error: failure });
+            console.error(`Agent ${name} kept running its previous version:`, failure.message);
+            throw failure;
+        }
+
+        // Drop what the old copy registered and the new one did not replace
+        if (agent.manifest.name !== provider) {
+            this.services.withdraw(provider);
+            this.events.unsubscribeAll(provider);
+        } else {
+            this.services.remove(services);
+            this.events.remove(subscriptions);
+        }
+        this.health.delete(name);
+        this.mountAgent(name, agentInfo, agent);
+        await this.retireAgent(name, previous);
+        console.log(`Agent ${agent.manifest.name} reloaded`);
+        return agent;
+    }
+
+    /**
+     * Directory names of loaded agents that declare a dependency on a package.
+     * With transitive set, includes their dependents too, in load order.
+     */
+    dependentsOf(packageName, transitive = false) {
+        const dependents = [];
+        for (const [name, agent] of this.agents) {
+            if (dependenciesOf(agent.manifest)[packageName] === undefined) continue;
+            dependents.push(name);
+            if (transitive) {
+                for (const nested of this.dependentsOf(agent.manifest.name, true)) {
+                    if (!dependents.includes(nested)) dependents.push(nested);
+                }
+            }
+        }
+        // Map order is load order, which already puts dependencies first
+        const order = [...this.agents.keys()];
+        return dependents.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    }
+
+    findByPackage(packageName) {
+        for (const agent of this.agents.values()) {
+            if (agent.manifest.name === packageName) return agent;
+        }
+        return null;
+    }
+
+    /**
+     * Load a newly installed agent by its directory name
+     */
+    install(dirName) {
+        return this.enqueue(async () => {
+            if (this.agents.has(dirName)) {
+                throw new Error(`Agent ${dirName} is already loaded`);
+            }
+            const agentInfo = this.inspect(dirName);
+            if (!agentInfo) {
+                throw new Error(`Agent ${dirName} not found or invalid`);
+            }
+            return await this.loadAgent(agentInfo);
         });
     }
 
+    /**
+     * Reload an agent by directory or package name. Resolves null if it is not loaded.
+     */
+    reload(agentName) {
+        return this.enqueue(async () => {
+            const name = this.resolveName(agentName);
+            if (!name) return null;
+            return await this.reloadAgent(name);
+        });
+    }
+
+    /**
+     * Unload an agent by directory or package name. Resolves false if it is not loaded.
+     */
+    unload(agentName) {
+        return this.enqueue(async () => {
+            const name = this.resolveName(agentName);
+            if (!name) return false;
+            return await this.unloadAgent(name);
+        });
+    }
+
+    /**
+     * Bring a single agent directory in line with what is on disk
+     */
+    sync(dirName) {
+        return this.enqueue(async () => {
+            const exists = existsSync(join(this.agentsPath, dirName));
+            const agentInfo = exists ? this.inspect(dirName) : null;
+
+            if (!agentInfo) {
+                await this.unloadAgent(dirName);
+                if (!exists) this.diagnostics.delete(dirName);
+            } else if (this.agents.has(dirName)) {
+                await this.reloadAgent(dirName);
+            } else {
+                await this.loadAgent(agentInfo);
+            }
+        });
+    }
+
+    /**
+     * Find the directory key of a loaded agent from its directory or package name
+     */
+    resolveName(agentName) {
+        if (this.agents.has(agentName)) return agentName;
+        for (const [name, agent] of this.agents) {
+            if (agent.manifest.name === agentName) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Run load/unload work one task at a time so the watcher and admin API don't race
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Watch the agents directory and reload agents as they are added, changed or removed
+     */
+    watch() {
+        if (this.watcher || !existsSync(this.agentsPath)) return;
+
+        this.watcher = watch(this.agentsPath, (eventType, filename) => {
+            if (filename) this.schedule(filename.toString());
+        });
+        this.watcher.on('error', (error) => console.error('Agent directory watcher error:', error));
+
+        for (const name of this.agents.keys()) {
+            this.watchAgent(name);
+        }
+        console.log(`Watching ${this.agentsPath} for agent changes`);
+    }
+
+    watchAgent(name) {
+        if (this.watchers.has(name)) return;
+        try {
+            // Recursive, so edits in an agent's subdirectories reload it too
+            const watcher = watch(join(this.agentsPath, name), { recursive: true }, () => this.schedule(name));
+            watcher.on('error', () => this.unwatchAgent(name));
+            this.watchers.set(name, watcher);
+        } catch (error) {
+            console.warn(`Unable to watch agent ${name}:`, error.message);
+        }
+    }
+
+    unwatchAgent(name) {
+        const watcher = this.watchers.get(name);
+        if (!watcher) return;
+        watcher.close();
+        this.watchers.delete(name);
+    }
+
+    unwatch() {
+        for (const timer of this.pending.values()) clearTimeout(timer);
+        this.pending.clear();
+        for (const name of [...this.watchers.keys()]) this.unwatchAgent(name);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Debounce bursts of file events (e.g. an npm install) into one sync per agent
+     */
+    schedule(name) {
+        clearTimeout(this.pending.get(name));
+        this.pending.set(name, setTimeout(() => {
+            this.pending.delete(name);
+            this.sync(name).catch((error) => {
+                console.error(`Failed to sync agent ${name}:`, error);
+            });
+        }, this.watchDelay));
+    }
+
     initializeWebSockets(server) {
-        for (const [name, { instance }] of this.agents) {
-            if (typeof instance.initWebSocket === 'function') {
-                try {
-                    instance.initWebSocket(server);
-                    console.log(`Agent ${name} WebSocket initialized`);
-                } catch (error) {
-                    console.error(`Error initializing WebSocket for agent ${name}:`, error);
+        this.servers.add(server);
+        for (const [name, agent] of this.agents) {
+            this.attachWebSocket(name, agent, server);
+        }
+    }
+
+    /**
+     * Call the agent's initWebSocket() and remember which listeners it added to the
+     * server so they can be removed when the agent is unloaded. Upgrade listeners are
+     * wrapped so that an agent disabled for the request's domain never sees them.
+     */
+    attachWebSocket(name, agent, server) {
+        const { instance } = agent;
+        if (typeof instance.initWebSocket !== 'function') return;
+
+        agent.listeners = agent.listeners || [];
+        const before = new Map(server.eventNames().map(event => [event, server.rawListeners(event)]));
+        try {
+            instance.initWebSocket(server);
+            console.log(`Agent ${name} WebSocket initialized`);
+        } catch (error) {
+            console.error(`Error initializing WebSocket for agent ${name}:`, error);
+        }
+        for (const event of server.eventNames()) {
+            const existing = before.get(event) || [];
+            for (const listener of server.rawListeners(event)) {
+                if (existing.includes(listener)) continue;
+                if (event === 'upgrade') {
+                    const gated = this.gateUpgrade(agent, listener);
+                    server.removeListener(event, listener);
+                    server.on(event, gated);
+                    agent.listeners.push({ server, event, listener: gated });
+                } else {
+                    agent.listeners.push({ server, event, listener });
+                }
+            }
+        }
+    }
+
+    gateUpgrade(agent, listener) {
+        const manager = this;
+        return function (req, socket, head) {
+            const domain = req.headers.host?.split(':')[0] || 'localhost';
+            if (manager.isEnabled(domain, agent.manifest.name)) {
+                return listener.call(this, req, socket, head);
+            }
+            const path = (req.url || '').split('?')[0];
+            const ownPath = [agent.wellKnownPath, agent.shortPath]
+                .some(prefix => path === prefix || path.startsWith(prefix + '/'));
+            if (ownPath) {
+                socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+            }
+        };
+    }
+
+    /**
+     * Call an agent's health() with a timeout and record the result
+     */
+    async checkHealth(name) {
+        const agent = this.agents.get(name);
+        if (!agent) return null;
+
+        const previous = this.health.get(name);
+        const record = {
+            name: agent.manifest.name,
+            version: agent.manifest.version,
+            status: 'unchecked',
+            latency: null,
+            details: null,
+            lastError: previous?.lastError || null,
+            checkedAt: new Date().toISOString()
+        };
+
+        if (typeof agent.instance.health === 'function') {
+            const started = Date.now();
+            let timer;
+            try {
+                const result = await Promise.race([
+                    Promise.resolve().then(() => agent.instance.health()),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => reject(new Error(`health check timed out after ${this.healthTimeout}ms`)), this.healthTimeout);
+                    })
+                ]);
+                const healthy = result !== false && result?.healthy !== false && result?.status !== 'unhealthy';
+                record.status = healthy ? 'healthy' : 'unhealthy';
+                record.details = result && typeof result === 'object' ? result : null;
+                if (!healthy) {
+                    record.lastError = { message: result?.error || result?.message || 'reported unhealthy', at: record.checkedAt };
                 }
+            } catch (error) {
+                record.status = 'unhealthy';
+                record.lastError = { message: error.message, at: record.checkedAt };
+            } finally {
+                clearTimeout(timer);
+            }
+            record.latency = Date.now() - started;
+        }
+
+        // Only keep the result if the agent wasn't unloaded or replaced meanwhile
+        if (this.agents.get(name) === agent) this.health.set(name, record);
+        return record;
+    }
+
+    async checkAllHealth() {
+        await Promise.all([...this.agents.keys()].map(name => this.checkHealth(name)));
+        return this.getHealth();
+    }
+
+    /**
+     * Poll every loaded agent's health() on an interval
+     */
+    startHealthChecks(interval = 30000) {
+        this.stopHealthChecks();
+        this.checkAllHealth();
+        this.healthTimer = setInterval(() => this.checkAllHealth(), interval);
+        this.healthTimer.unref?.();
+    }
+
+    stopHealthChecks() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    /**
+     * Latest health of every loaded agent, plus agents that failed to load
+     */
+    getHealth() {
+        const results = [];
+        for (const [name, agent] of this.agents) {
+            results.push(this.health.get(name) || {
+                name: agent.manifest.name,
+                version: agent.manifest.version,
+                status: 'unchecked',
+                latency: null,
+                details: null,
+                lastError: null,
+                checkedAt: null
+            });
+        }
+        for (const entry of this.diagnostics.values()) {
+            if (entry.status !== 'failed' && entry.status !== 'invalid') continue;
+            results.push({
+                name: entry.name || entry.directory,
+                version: entry.version,
+                status: 'failed',
+                latency: null,
+                details: null,
+                lastError: { message: entry.error?.message || entry.errors.join('; '), at: entry.updatedAt },
+                checkedAt: entry.updatedAt
+            });
+        }
+        return results;
+    }
+
+    async cleanupAgent(name, instance) {
+        if (typeof instance.cleanup === 'function') {
+            try {
+                await instance.cleanup();
+                console.log(`Agent ${name} cleaned up`);
+            } catch (error) {
+                console.error(`Error cleaning up agent ${name}:`, error);
             }
         }
     }
@@ -161,15 +827,10 @@ export class AgentManager {
      * Cleanup all agents on shutdown
      */
     async cleanup() {
+        this.unwatch();
+        this.stopHealthChecks();
         for (const [name, { instance }] of this.agents) {
-            if (typeof instance.cleanup === 'function') {
-                try {
-                    await instance.cleanup();
-                    console.log(`Agent ${name} cleaned up`);
-                } catch (error) {
-                    console.error(`Error cleaning up agent ${name}:`, error);
-                }
-            }
+            await this.cleanupAgent(name, instance);
         }
     }
 }
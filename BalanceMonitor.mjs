@@ -0,0 +1,102 @@
+import { EventEmitter } from 'events';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ethers = require('ethers');
+
+const MAX_RUNWAY = ethers.BigNumber.from(String(Number.MAX_SAFE_INTEGER));
+
+/**
+ * BalanceMonitor - Tracks each domain wallet's balance as operations remaining
+ *
+ * A balance alone does not say much when gas prices move, so each check divides
+ * it by the cost of a typical operation to get runwayOperations (capped at
+ * Number.MAX_SAFE_INTEGER for a near-free chain). A domain is
+ * lowBalance when that runway falls below its threshold (threshold by default,
+ * or the host's thresholdFor(domain)).
+ *
+ * The host supplies:
+ *   walletFor(domain)      => { address, provider } for the domain's server wallet
+ *   operationCost(domain)  => BigNumber, the expected cost in wei of one operation
+ *   thresholdFor(domain)   => operations, or undefined for the default
+ *
+ * Emits 'low' (domain, status) when a domain's balance drops below its
+ * threshold, and 'recovered' (domain, status) when it is funded again.
+ */
+export class BalanceMonitor extends EventEmitter {
+    constructor({ threshold = 50 } = {}) {
+        super();
+        this.threshold = threshold;
+        this.statuses = new Map();
+        this.timer = null;
+        this.walletFor = () => { throw new Error('No wallet resolver configured'); };
+        this.operationCost = () => { throw new Error('No operation cost configured'); };
+        this.thresholdFor = () => undefined;
+    }
+
+    /**
+     * Read a domain's balance now and update its status
+     */
+    async check(domain) {
+        const previous = this.statuses.get(domain);
+        const threshold = this.thresholdFor(domain) ?? this.threshold;
+        let status;
+        try {
+            const { address, provider } = await this.walletFor(domain);
+            const [balance, cost] = await Promise.all([provider.getBalance(address), this.operationCost(domain)]);
+            const runwayOperations = cost && !cost.isZero() ? runway(balance, cost) : null;
+            status = {
+                address,
+                balance: ethers.utils.formatEther(balance),
+                operationCost: cost ? ethers.utils.formatEther(cost) : null,
+                runwayOperations,
+                threshold,
+                lowBalance: runwayOperations !== null && runwayOperations < threshold,
+                checkedAt: new Date().toISOString(),
+                error: null
+            };
+        } catch (error) {
+            // Keep the last reading so one failed RPC call does not clear a warning
+            status = { ...(previous || { address: null, balance: null, operationCost: null, runwayOperations: null, lowBalance: false }), threshold, error: error.message };
+        }
+        this.statuses.set(domain, status);
+
+        if (status.lowBalance && !previous?.lowBalance) {
+            console.warn(`[balance] ${domain} wallet is low: ${status.balance} left, about ${status.runwayOperations} operations`);
+            this.emit('low', domain, status);
+        } else if (!status.lowBalance && previous?.lowBalance && !status.error) {
+            this.emit('recovered', domain, status);
+        }
+        return status;
+    }
+
+    status(domain) {
+        return this.statuses.get(domain) || null;
+    }
+
+    /**
+     * Check every domain from domains() now and then every interval ms
+     */
+    start(domains, interval) {
+        this.stop();
+        const run = async () => {
+            for (const domain of domains()) {
+                await this.check(domain);
+            }
+        };
+        run().catch(error => console.error('[balance] Error:', error.message));
+        this.timer = setInterval(() => run().catch(error => console.error('[balance] Error:', error.message)), interval);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Operations balance pays for, as a Number; a quotient past 2^53 - 1 would throw in toNumber()
+function runway(balance, cost) {
+    const operations = balance.div(cost);
+    return operations.gt(MAX_RUNWAY) ? Number.MAX_SAFE_INTEGER : operations.toNumber();
+}
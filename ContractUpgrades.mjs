@@ -0,0 +1,333 @@
+import { randomUUID } from 'crypto';
+import { readFile, writeFile, rename } from 'fs/promises';
+
+/**
+ * ContractUpgrades - Moves a domain to a newly deployed Agent contract, lists included
+ *
+ * An upgrade runs through these phases, saving its progress after each step so
+ * resume() can continue it after a restart:
+ *   deploying  the old contract's lists are enumerated, then the current artifact is deployed as a transaction job
+ *   copying    entries missing from, different on, or only on the new contract are written to it as a batch
+ *   verifying  both contracts are read again and compared; differences go back to copying
+ *   switching  the lists match, so the domain is pointed at the new contract
+ *   completed  or failed, with the error
+ * Lists are enumerated and read from the old contract on every round, so lists and
+ * changes made to it during the upgrade are carried over too; enumerating reads only
+ * the blocks since the last scan. Entries that only
+ * exist on the new contract (such as the sponsor the constructor adds) are removed:
+ * parity means no entry missing, different or extra. An upgrade whose lists cannot
+ * be enumerated fails rather than copying only the ones it was told about.
+ *
+ * The host supplies the chain work:
+ *   listNames(domain, address) => every list name on the contract (see ListNameIndex)
+ *   deploy(domain, upgrade) => transaction job whose result holds { contractAddress, version, blockNumber }
+ *   readLists(domain, address, listNames) => { [listName]: [{ address, name, role, meta }] }
+ *   copyEntries(domain, address, changes, upgrade) => transaction batch writing [{ listName, op, entry }]
+ *   finish(upgrade) => called once parity is reached, to switch the domain over
+ */
+export const UPGRADE_PHASES = ['deploying', 'copying', 'verifying', 'switching', 'completed', 'failed'];
+
+export class ContractUpgrades {
+    constructor(storePath, jobs, { maxRounds = 3, pollInterval = 4000 } = {}) {
+        this.storePath = storePath;
+        this.jobs = jobs;
+        this.maxRounds = maxRounds;
+        this.pollInterval = pollInterval;
+        this.upgrades = new Map();
+        this.running = new Set();
+        this.stopped = false;
+        this.saving = Promise.resolve();
+        this.listNames = () => { throw new Error('No list enumerator configured'); };
+        this.deploy = () => { throw new Error('No deploy function configured'); };
+        this.readLists = () => { throw new Error('No list reader configured'); };
+        this.copyEntries = () => { throw new Error('No list writer configured'); };
+        this.finish = () => { throw new Error('No finish function configured'); };
+    }
+
+    /**
+     * Start upgrading a domain away from oldAddress, copying the named lists.
+     * initiator is the rivet address that asked for it.
+     */
+    async start(domain, oldAddress, listNames, { initiator = null } = {}) {
+        const active = this.active(domain);
+        if (active) {
+            throw new Error(`An upgrade is already ${active.phase} for ${domain}`);
+        }
+
+        const upgrade = {
+            id: randomUUID(),
+            domain,
+            oldAddress,
+            newAddress: null,
+            version: null,
+            deployedBlock: null,
+            listNames: [...new Set(listNames)],
+            initiator,
+            phase: 'deploying',
+            deployJobId: null,
+            batchIds: [],
+            rounds: 0,
+            parity: null,
+            error: null,
+            startedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        this.upgrades.set(upgrade.id, upgrade);
+        await this.save();
+        this.run(upgrade);
+        return upgrade;
+    }
+
+    /**
+     * Continue an upgrade from the phase it stopped in
+     */
+    async run(upgrade) {
+        if (this.running.has(upgrade.id)) return upgrade;
+        this.running.add(upgrade.id);
+        try {
+            if (upgrade.phase === 'deploying') {
+                if (!upgrade.deployJobId) {
+                    // Before deploying, so a contract whose lists cannot be listed costs nothing
+                    await this.enumerate(upgrade);
+                    const job = await this.deploy(upgrade.domain, upgrade);
+                    upgrade.deployJobId = job.id;
+                    await this.save();
+                }
+                const job = await this.settled(() => this.jobs.get(upgrade.deployJobId));
+                if (!job) return upgrade;
+                if (job.state !== 'confirmed') {
+                    throw new Error(`Deployment failed: ${job.error}`);
+                }
+                upgrade.newAddress = job.result.contractAddress;
+                upgrade.version = job.result.version;
+                upgrade.deployedBlock = job.result.blockNumber ?? null;
+                await this.advance(upgrade, 'verifying');
+            }
+
+            while (upgrade.phase === 'copying' || upgrade.phase === 'verifying') {
+                // Let the last round's writes finish before comparing
+                const lastBatch = upgrade.batchIds[upgrade.batchIds.length - 1];
+                if (upgrade.phase === 'copying' && lastBatch) {
+                    if (!await this.settled(() => this.jobs.batch(lastBatch))) return upgrade;
+                    await this.advance(upgrade, 'verifying');
+                }
+
+                await this.enumerate(upgrade);
+                const source = await this.readLists(upgrade.domain, upgrade.oldAddress, upgrade.listNames);
+                const target = await this.readLists(upgrade.domain, upgrade.newAddress, upgrade.listNames);
+                const { changes, parity } = compareLists(source, target);
+                upgrade.parity = { ...parity, checkedAt: new Date().toISOString() };
+
+                if (changes.length === 0) {
+                    await this.advance(upgrade, 'switching');
+                    break;
+                }
+                if (upgrade.rounds >= this.maxRounds) {
+                    throw new Error(`Lists still differ after ${upgrade.rounds} rounds of copying (${changes.length} entries)`);
+                }
+
+                upgrade.rounds++;
+                const batch = await this.copyEntries(upgrade.domain, upgrade.newAddress, changes, upgrade);
+                upgrade.batchIds.push(batch.id);
+                await this.advance(upgrade, 'copying');
+            }
+
+            if (upgrade.phase === 'switching') {
+                await this.finish(upgrade);
+                await this.advance(upgrade, 'completed');
+            }
+        } catch (error) {
+            console.error(`[upgrade] ${upgrade.domain} upgrade failed:`, error.message);
+            upgrade.error = error.message;
+            await this.advance(upgrade, 'failed');
+        } finally {
+            this.running.delete(upgrade.id);
+        }
+        return upgrade;
+    }
+
+    /**
+     * Retry a failed upgrade from where it stopped
+     */
+    async retry(id) {
+        const upgrade = this.upgrades.get(id);
+        if (!upgrade || upgrade.phase !== 'failed') {
+            throw new Error('Only failed upgrades can be retried');
+        }
+        const active = this.active(upgrade.domain);
+        if (active) {
+            throw new Error(`An upgrade is already ${active.phase} for ${upgrade.domain}`);
+        }
+
+        // A failed deployment is redeployed; otherwise the lists are compared again
+        if (!upgrade.newAddress) {
+            upgrade.deployJobId = null;
+            upgrade.phase = 'deploying';
+        } else {
+            upgrade.phase = 'verifying';
+            upgrade.rounds = 0;
+        }
+        upgrade.error = null;
+        await this.advance(upgrade, upgrade.phase);
+        this.run(upgrade);
+        return upgrade;
+    }
+
+    // Add every list on the old contract to those the upgrade copies
+    async enumerate(upgrade) {
+        let listNames;
+        try {
+            listNames = await this.listNames(upgrade.domain, upgrade.oldAddress);
+        } catch (error) {
+            throw new Error(`Could not enumerate the contract's lists: ${error.message}`);
+        }
+        upgrade.listNames = [...new Set([...upgrade.listNames, ...listNames])];
+    }
+
+    // Poll until read() returns a job or batch in a final state; null if stopped
+    async settled(read) {
+        while (!this.stopped) {
+            const value = read();
+            if (!value) throw new Error('Transaction record not found');
+            if (['confirmed', 'failed', 'completed', 'completed_with_errors'].includes(value.state)) return value;
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+        return null;
+    }
+
+    async advance(upgrade, phase) {
+        upgrade.phase = phase;
+        upgrade.updatedAt = new Date().toISOString();
+        await this.save();
+    }
+
+    get(id) {
+        return this.upgrades.get(id) || null;
+    }
+
+    list(domain) {
+        return [...this.upgrades.values()]
+            .filter(upgrade => !domain || upgrade.domain === domain)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    active(domain) {
+        return this.list(domain).find(upgrade => !['completed', 'failed'].includes(upgrade.phase)) || null;
+    }
+
+    /**
+     * Load saved upgrades and continue the unfinished ones
+     */
+    async resume() {
+        try {
+            const saved = JSON.parse(await readFile(this.storePath, 'utf8'));
+            for (const upgrade of saved) this.upgrades.set(upgrade.id, upgrade);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('[upgrade] Could not read saved upgrades:', error.message);
+        }
+
+        const unfinished = this.list().filter(upgrade => !['completed', 'failed'].includes(upgrade.phase));
+        for (const upgrade of unfinished) {
+            console.log(`[upgrade] Resuming ${upgrade.domain} upgrade in ${upgrade.phase}`);
+            this.run(upgrade);
+        }
+        return unfinished.length;
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    save() {
+        this.saving = this.saving.then(async () => {
+            const temp = `${this.storePath}.tmp`;
+            await writeFile(temp, JSON.stringify([...this.upgrades.values()], null, 2));
+            await rename(temp, this.storePath);
+        }).catch(error => console.error('[upgrade] Could not save upgrades:', error.message));
+        return this.saving;
+    }
+}
+
+/**
+ * What the target needs to match the source: [{ listName, op: 'add' | 'update' | 'remove', entry }],
+ * removals last, with per-list counts { source, target, missing, mismatched, extra }
+ */
+export function compareLists(source, target) {
+    const changes = [];
+    const removals = [];
+    const parity = {};
+
+    for (const [listName, entries] of Object.entries(source)) {
+        const existing = new Map((target[listName] || []).map(entry => [entry.address.toLowerCase(), entry]));
+        const counts = { source: entries.length, target: existing.size, missing: 0, mismatched: 0, extra: 0 };
+
+        for (const entry of entries) {
+            const current = existing.get(entry.address.toLowerCase());
+            existing.delete(entry.address.toLowerCase());
+            if (!current) {
+                counts.missing++;
+                changes.push({ listName, op: 'add', entry });
+            } else if (current.name !== entry.name || Number(current.role) !== Number(entry.role) || current.meta !== entry.meta) {
+                counts.mismatched++;
+                changes.push({ listName, op: 'update', entry });
+            }
+        }
+        counts.extra = existing.size;
+        for (const entry of existing.values()) {
+            removals.push({ listName, op: 'remove', entry });
+        }
+        parity[listName] = counts;
+    }
+    return { changes: [...changes, ...removals], parity };
+}
+
+/**
+ * Every list name in a contract's events from fromBlock to toBlock, read maxRange
+ * blocks at a time. Throws when the contract has no event carrying a readable
+ * listName, since its lists cannot then be enumerated.
+ */
+export async function listNamesFromLogs(contract, { fromBlock, toBlock, maxRange = 2000 }) {
+    const events = Object.values(contract.interface.events).filter(event =>
+        event.inputs.some(input => input.name === 'listName' && input.type === 'string' && !input.indexed));
+    if (events.length === 0) {
+        throw new Error('The contract has no events naming its lists');
+    }
+
+    const topics = [events.map(event => contract.interface.getEventTopic(event))];
+    const listNames = new Set();
+    for (let from = fromBlock; from <= toBlock; from += maxRange) {
+        const logs = await contract.provider.getLogs({
+            address: contract.address,
+            topics,
+            fromBlock: from,
+            toBlock: Math.min(toBlock, from + maxRange - 1)
+        });
+        for (const log of logs) listNames.add(contract.interface.parseLog(log).args.listName);
+    }
+    return [...listNames];
+}
+
+/**
+ * The block a contract was deployed in, found by searching for its code. Reading
+ * code at past blocks needs an archive node; a node without that state fails the
+ * search rather than answering a wrong block.
+ */
+export async function deploymentBlock(provider, address) {
+    let low = 0;
+    let high = await provider.getBlockNumber();
+    if (await provider.getCode(address, high) === '0x') {
+        throw new Error(`No contract at ${address}`);
+    }
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        let code;
+        try {
+            code = await provider.getCode(address, middle);
+        } catch (error) {
+            throw new Error(`Finding the deployment block of ${address} needs an archive node (${error.message}); record it as contract_deployed_block in the domain's config`);
+        }
+        if (code === '0x') low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
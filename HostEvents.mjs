@@ -0,0 +1,98 @@
+/**
+ * HostEvents - Lifecycle events the host publishes for agents
+ *
+ * Host routes publish an event when they change domain state, and agents
+ * subscribe through their AgentContext with on(type, handler), usually in
+ * attach(). Handlers receive { type, domain, payload, timestamp }. Subscribing
+ * to '*' receives every event.
+ *
+ * Handlers run after the change has been saved and cannot fail the request
+ * that published it: errors and rejections are logged and dropped. An agent's
+ * subscriptions are removed when it is unloaded.
+ */
+export const EVENTS = {
+    'domain.claimed': 'A domain claim was verified. payload: { address }',
+    'contract.deployed': 'An Agent contract was deployed. payload: { address, version }',
+    'contract.initialized': 'The admin list was initialized and the contract finalized. payload: { address, adminAddress }',
+    'contract.upgraded': 'The domain moved to a new contract after its lists were copied. payload: { address, previous, version }',
+    'list.member.added': 'An address was added to a list. payload: { list, address, name, role }',
+    'list.member.updated': 'A list entry was changed. payload: { list, address, name, role }',
+    'list.member.removed': 'An address was removed from a list. payload: { list, address }',
+    'agent.enabled': 'An agent was enabled for the domain. payload: { agentName }',
+    'agent.disabled': 'An agent was disabled for the domain. payload: { agentName }',
+    'default-agent.changed': 'The domain default agent changed. payload: { agentName, previous }',
+    'agent.config.changed': 'An agent\'s settings for the domain were updated. payload: { agentName }',
+    'wallet.balance.low': 'The server wallet fell below its runway threshold. payload: { address, balance, runwayOperations, threshold }',
+    'wallet.balance.recovered': 'The server wallet is back above its runway threshold. payload: { address, balance, runwayOperations, threshold }'
+};
+
+export class HostEvents {
+    constructor() {
+        this.subscriptions = [];
+    }
+
+    subscribe(subscriber, type, handler) {
+        if (type !== '*' && !EVENTS[type]) {
+            throw new Error(`Unknown event "${type}"`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error('Event handler must be a function');
+        }
+        this.subscriptions.push({ subscriber, type, handler });
+    }
+
+    unsubscribe(subscriber, type, handler) {
+        this.subscriptions = this.subscriptions.filter(entry =>
+            !(entry.subscriber === subscriber && entry.type === type && entry.handler === handler));
+    }
+
+    /**
+     * Remove every subscription held by an agent
+     */
+    unsubscribeAll(subscriber) {
+        this.subscriptions = this.subscriptions.filter(entry => entry.subscriber !== subscriber);
+    }
+
+    /**
+     * An agent's subscriptions, to put back with restore() or drop with remove() when a reload
+     * fails or succeeds
+     */
+    subscriptionsOf(subscriber) {
+        return this.subscriptions.filter(entry => entry.subscriber === subscriber);
+    }
+
+    restore(entries) {
+        for (const entry of entries) {
+            if (!this.subscriptions.includes(entry)) this.subscriptions.push(entry);
+        }
+    }
+
+    remove(entries) {
+        this.subscriptions = this.subscriptions.filter(entry => !entries.includes(entry));
+    }
+
+    publish(type, domain, payload = {}) {
+        if (!EVENTS[type]) {
+            throw new Error(`Unknown event "${type}"`);
+        }
+
+        const event = { type, domain, payload, timestamp: new Date().toISOString() };
+        for (const { subscriber, type: subscribed, handler } of this.subscriptions) {
+            if (subscribed !== type && subscribed !== '*') continue;
+            try {
+                Promise.resolve(handler(event)).catch(error => {
+                    console.error(`[events] ${subscriber} failed handling ${type}:`, error.message);
+                });
+            } catch (error) {
+                console.error(`[events] ${subscriber} failed handling ${type}:`, error.message);
+            }
+        }
+        return event;
+    }
+
+    list(subscriber) {
+        return this.subscriptions
+            .filter(entry => !subscriber || entry.subscriber === subscriber)
+            .map(entry => entry.type);
+    }
+}
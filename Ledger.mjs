@@ -0,0 +1,250 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { TERMINAL_STATES } from './TransactionJobs.mjs';
+import { csvCell } from './whitelistImport.mjs';
+
+const require = createRequire(import.meta.url);
+const ethers = require('ethers');
+
+/**
+ * Ledger - A permanent per-domain record of every transaction the host sends
+ *
+ * Transaction jobs are pruned after their retention period; the ledger keeps one
+ * entry per job for good, appended to <rootDir>/<domain>/ledger.jsonl when the job
+ * is confirmed or fails. An entry records:
+ *   type, description, params   the operation and its arguments
+ *   initiator                   the rivet address (or agent) that asked for it
+ *   txHash, nonce, replaced     the transaction, and any it replaced at the same nonce
+ *   blockNumber, gasUsed        where it was mined and what it used
+ *   effectiveGasPrice, fee      the price paid per gas and in total, in wei
+ *   status                      confirmed, failed or cancelled, with error
+ * Jobs that failed before broadcast are recorded too, with no transaction.
+ *
+ * averageFee() and spend() run after every settled job, so they answer from a
+ * per-domain summary read from the file once and then kept up to date by record():
+ * the last FEE_HISTORY confirmed fees and the paid transactions of the 30 days
+ * before the newest one. query() reads the whole file, for the ledger view and export.
+ */
+export const LEDGER_COLUMNS = [
+    'settledAt', 'domain', 'type', 'status', 'initiator', 'address', 'listName', 'txHash', 'blockNumber',
+    'gasUsed', 'effectiveGasPrice', 'fee', 'error', 'description', 'id'
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const FEE_HISTORY = 500;
+
+export class Ledger {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.writing = new Map();
+        this.summaries = new Map();
+    }
+
+    pathFor(domain) {
+        if (!domain || domain.includes('/') || domain.includes('\\') || domain.startsWith('.')) {
+            throw new Error(`Invalid domain "${domain}"`);
+        }
+        return path.join(this.rootDir, domain, 'ledger.jsonl');
+    }
+
+    /**
+     * Append a settled job. Writes for one domain are kept in order; a write that
+     * fails is logged rather than thrown, so it cannot fail the job itself.
+     */
+    record(job) {
+        if (!TERMINAL_STATES.includes(job.state)) {
+            throw new Error(`Job ${job.id} is still ${job.state}`);
+        }
+        const entry = toEntry(job);
+        const previous = this.writing.get(job.domain) || Promise.resolve();
+        const write = previous.then(async () => {
+            const file = this.pathFor(job.domain);
+            await mkdir(path.dirname(file), { recursive: true });
+            await appendFile(file, JSON.stringify(entry) + '\n');
+            // A summary is only ever loaded in this chain, so it already holds every earlier write
+            await this.summaries.get(job.domain)?.then(summary => addToSummary(summary, entry), () => {});
+        }).catch(error => console.error(`[ledger] Could not record ${job.type} job ${job.id}:`, error.message));
+        this.writing.set(job.domain, write);
+        return write.then(() => entry);
+    }
+
+    /**
+     * A domain's entries, newest first, filtered by any of:
+     *   type, status, initiator, address (the member or contract the operation touched),
+     *   since and until (ISO dates, on settledAt)
+     * Returns { entries, total, gasUsed, fee } with the totals over every match;
+     * limit and offset page the entries.
+     */
+    async query(domain, { type, status, initiator, address, since, until, limit = 100, offset = 0 } = {}) {
+        await this.writing.get(domain);
+        const matches = [];
+        for (const entry of await this.read(domain)) {
+            if (type && entry.type !== type) continue;
+            if (status && entry.status !== status) continue;
+            if (initiator && entry.initiator?.toLowerCase() !== initiator.toLowerCase()) continue;
+            if (address && !touches(entry, address)) continue;
+            if (since && entry.settledAt < since) continue;
+            if (until && entry.settledAt > until) continue;
+            matches.push(entry);
+        }
+        matches.reverse();
+
+        let gasUsed = ethers.BigNumber.from(0);
+        let fee = ethers.BigNumber.from(0);
+        for (const entry of matches) {
+            if (entry.gasUsed) gasUsed = gasUsed.add(entry.gasUsed);
+            if (entry.fee) fee = fee.add(entry.fee);
+        }
+        return {
+            entries: limit ? matches.slice(offset, offset + limit) : matches.slice(offset),
+            total: matches.length,
+            gasUsed: gasUsed.toString(),
+            fee: fee.toString()
+        };
+    }
+
+    // Every entry in a domain's file, oldest first
+    async read(domain) {
+        let lines = [];
+        try {
+            lines = (await readFile(this.pathFor(domain), 'utf8')).split('\n').filter(Boolean);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const entries = [];
+        for (const line of lines) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A partial line from a crash mid-write
+            }
+        }
+        return entries;
+    }
+
+    // The domain's summary, read in turn with its writes the first time it is asked for
+    summary(domain) {
+        if (!this.summaries.has(domain)) {
+            const previous = this.writing.get(domain) || Promise.resolve();
+            const loading = previous.then(() => this.read(domain)).then((entries) => {
+                const summary = { fees: [], spent: [], newest: '' };
+                entries.forEach(entry => addToSummary(summary, entry));
+                return summary;
+            });
+            this.summaries.set(domain, loading);
+            // Read again on the next call rather than keep a failure
+            loading.catch(() => this.summaries.delete(domain));
+            this.writing.set(domain, loading.catch(() => {}));
+        }
+        return this.summaries.get(domain);
+    }
+
+    /**
+     * Average fee in wei of the last `sample` confirmed operations whose type starts
+     * with prefix, as a BigNumber; null when there are none yet
+     */
+    async averageFee(domain, { prefix = 'whitelist.', sample = 20 } = {}) {
+        const { fees: recent } = await this.summary(domain);
+        const fees = recent.filter(entry => entry.type.startsWith(prefix)).slice(-sample);
+        if (fees.length === 0) return null;
+        return fees.reduce((total, entry) => total.add(entry.fee), ethers.BigNumber.from(0)).div(fees.length);
+    }
+
+    /**
+     * Gas spent over the last day, week (7 days) and month (30 days), with a daily
+     * series for the month. Fees are wei strings; every sent transaction counts,
+     * reverted and cancelled ones included, since they were paid for.
+     */
+    async spend(domain, now = Date.now()) {
+        const monthStart = new Date(now - 30 * DAY).toISOString();
+        const entries = (await this.summary(domain)).spent.filter(entry => entry.settledAt >= monthStart);
+
+        const empty = () => ({ transactions: 0, gasUsed: ethers.BigNumber.from(0), fee: ethers.BigNumber.from(0) });
+        const windows = { day: empty(), week: empty(), month: empty() };
+        const daily = new Map();
+        for (let i = 29; i >= 0; i--) {
+            daily.set(new Date(now - i * DAY).toISOString().slice(0, 10), empty());
+        }
+
+        for (const entry of entries) {
+            const age = now - Date.parse(entry.settledAt);
+            const buckets = [windows.month, daily.get(entry.settledAt.slice(0, 10))];
+            if (age <= 7 * DAY) buckets.push(windows.week);
+            if (age <= DAY) buckets.push(windows.day);
+            for (const bucket of buckets.filter(Boolean)) {
+                bucket.transactions++;
+                bucket.gasUsed = bucket.gasUsed.add(entry.gasUsed);
+                bucket.fee = bucket.fee.add(entry.fee || 0);
+            }
+        }
+
+        const plain = (bucket) => ({ transactions: bucket.transactions, gasUsed: bucket.gasUsed.toString(), fee: bucket.fee.toString() });
+        return {
+            day: plain(windows.day),
+            week: plain(windows.week),
+            month: plain(windows.month),
+            daily: [...daily].map(([date, bucket]) => ({ date, ...plain(bucket) }))
+        };
+    }
+}
+
+function toEntry(job) {
+    const fee = job.gasUsed && job.effectiveGasPrice
+        ? ethers.BigNumber.from(job.gasUsed).mul(job.effectiveGasPrice).toString()
+        : null;
+    return {
+        id: job.id,
+        domain: job.domain,
+        type: job.type,
+        description: job.description,
+        params: job.params,
+        batchId: job.batchId ?? null,
+        initiator: job.initiator ?? null,
+        status: job.cancelled ? 'cancelled' : job.state,
+        error: job.error,
+        result: job.result ?? null,
+        txHash: job.txHash,
+        nonce: job.nonce,
+        replaced: (job.replaced || []).map(entry => ({ hash: entry.hash, reason: entry.reason, at: entry.at })),
+        blockNumber: job.blockNumber,
+        gasUsed: job.gasUsed ?? null,
+        effectiveGasPrice: job.effectiveGasPrice ?? null,
+        fee,
+        submittedAt: job.createdAt,
+        settledAt: job.updatedAt
+    };
+}
+
+function addToSummary(summary, entry) {
+    if (entry.status === 'confirmed' && entry.fee) {
+        summary.fees.push({ type: entry.type, fee: entry.fee });
+        if (summary.fees.length > FEE_HISTORY) summary.fees.shift();
+    }
+    if (entry.gasUsed) {
+        summary.spent.push({ settledAt: entry.settledAt, gasUsed: entry.gasUsed, fee: entry.fee });
+        if (entry.settledAt > summary.newest) summary.newest = entry.settledAt;
+        const cutoff = new Date(Date.parse(summary.newest) - 31 * DAY).toISOString();
+        if (summary.spent[0].settledAt < cutoff) summary.spent = summary.spent.filter(current => current.settledAt >= cutoff);
+    }
+}
+
+function touches(entry, address) {
+    const wanted = address.toLowerCase();
+    const params = entry.params || {};
+    return [params.address, params.contractAddress, entry.result?.contractAddress]
+        .some(value => typeof value === 'string' && value.toLowerCase() === wanted);
+}
+
+/**
+ * Ledger entries as CSV rows with a header line; fees and gas prices in wei.
+ * Cells a spreadsheet would read as a formula are prefixed with a quote.
+ */
+export function ledgerCsv(entries) {
+    const lines = [LEDGER_COLUMNS.join(',')];
+    for (const entry of entries) {
+        const row = { ...entry, address: entry.params?.address, listName: entry.params?.listName };
+        lines.push(LEDGER_COLUMNS.map(column => csvCell(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,142 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { listNamesFromLogs, deploymentBlock } from './ContractUpgrades.mjs';
+
+/**
+ * ListNameIndex - The list names each Agent contract has used, read from its events
+ *
+ * An Agent contract has no function listing its lists, so they are collected from
+ * its events (see listNamesFromLogs). Reading a contract's whole history is slow, so
+ * it is done once and saved with a cursor, the last block read; every later scan
+ * reads only the blocks after it. Scans of one contract never overlap: a second
+ * caller shares the scan already running.
+ *
+ * Request paths call names(), which answers from what is saved and starts a scan in
+ * the background when the last one is older than refreshInterval ms. Callers that
+ * need every list (a contract upgrade) wait for scan().
+ *
+ * The first scan starts at the contract's deployment block. The host supplies it when
+ * it recorded one; otherwise it is searched for, which needs an archive node, and the
+ * scan fails saying so. A failed scan keeps the names and cursor it had, and its error
+ * is kept with them until a scan succeeds.
+ *
+ * The host supplies:
+ *   connect(domain, address) => ethers Contract at address with the Agent ABI
+ *   deployedBlock(domain, address) => the block the contract was deployed in, or null if not recorded
+ */
+export class ListNameIndex {
+    constructor(storePath, { maxRange = 2000, refreshInterval = 60000, saveDelay = 1000 } = {}) {
+        this.storePath = storePath;
+        this.maxRange = maxRange;
+        this.refreshInterval = refreshInterval;
+        this.saveDelay = saveDelay;
+        this.contracts = new Map();
+        this.scans = new Map();
+        this.saving = Promise.resolve();
+        this.queuedSave = null;
+        this.connect = () => { throw new Error('No contract connection configured'); };
+        this.deployedBlock = () => null;
+    }
+
+    /**
+     * The list names saved for a contract, [] before its first scan. Starts a scan
+     * in the background when the saved names are older than refreshInterval.
+     */
+    names(domain, address) {
+        const state = this.get(address);
+        const checkedAt = state ? Date.parse(state.checkedAt) : 0;
+        if (Date.now() - checkedAt >= this.refreshInterval) this.refresh(domain, address);
+        return [...(state?.listNames || [])];
+    }
+
+    /**
+     * Scan a contract in the background; failures are logged and kept with its state
+     */
+    refresh(domain, address) {
+        this.scan(domain, address).catch(error =>
+            console.error(`[lists] Could not enumerate lists of ${address} for ${domain}:`, error.message));
+    }
+
+    /**
+     * Read the contract's events from the cursor to the latest block, resolving
+     * every list name it has used
+     */
+    scan(domain, address) {
+        const key = address.toLowerCase();
+        if (!this.scans.has(key)) {
+            this.scans.set(key, this.catchUp(domain, address).finally(() => this.scans.delete(key)));
+        }
+        return this.scans.get(key);
+    }
+
+    async catchUp(domain, address) {
+        const key = address.toLowerCase();
+        const state = this.contracts.get(key) || { deployedBlock: null, scannedBlock: null, listNames: [], error: null, checkedAt: null };
+        this.contracts.set(key, state);
+        try {
+            const contract = this.connect(domain, address);
+            if (state.deployedBlock === null) {
+                state.deployedBlock = this.deployedBlock(domain, address) ?? await deploymentBlock(contract.provider, address);
+                this.save();
+            }
+
+            const latest = await contract.provider.getBlockNumber();
+            let fromBlock = state.scannedBlock === null ? state.deployedBlock : state.scannedBlock + 1;
+            // Saved after every range, so a restart continues where the scan stopped
+            while (fromBlock <= latest) {
+                const toBlock = Math.min(latest, fromBlock + this.maxRange - 1);
+                const listNames = await listNamesFromLogs(contract, { fromBlock, toBlock, maxRange: this.maxRange });
+                state.listNames = [...new Set([...state.listNames, ...listNames])];
+                state.scannedBlock = toBlock;
+                this.save();
+                fromBlock = toBlock + 1;
+            }
+            state.error = null;
+            return [...state.listNames];
+        } catch (error) {
+            state.error = error.message;
+            throw error;
+        } finally {
+            state.checkedAt = new Date().toISOString();
+            this.save();
+        }
+    }
+
+    /**
+     * What is saved for a contract: { deployedBlock, scannedBlock, listNames, error, checkedAt }
+     */
+    get(address) {
+        return this.contracts.get(address.toLowerCase()) || null;
+    }
+
+    /**
+     * Load the saved index
+     */
+    async load() {
+        try {
+            const saved = JSON.parse(await readFile(this.storePath, 'utf8'));
+            for (const [key, state] of Object.entries(saved)) this.contracts.set(key, state);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('[lists] Could not read saved list names:', error.message);
+        }
+        return this.contracts.size;
+    }
+
+    /**
+     * Write the index after saveDelay ms, replacing the file atomically. Calls made
+     * before that write starts share it.
+     */
+    save() {
+        if (this.queuedSave) return this.queuedSave;
+        this.queuedSave = this.saving
+            .then(() => new Promise(resolve => setTimeout(resolve, this.saveDelay)))
+            .then(async () => {
+                this.queuedSave = null;
+                const temp = `${this.storePath}.tmp`;
+                await writeFile(temp, JSON.stringify(Object.fromEntries(this.contracts), null, 2));
+                await rename(temp, this.storePath);
+            })
+            .catch(error => console.error('[lists] Could not save list names:', error.message));
+        this.saving = this.queuedSave;
+        return this.saving;
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * MembershipCache - On-chain list membership kept in memory per domain and list
+ *
+ * Reads go to the cache and only reach the chain when a list is missing or older
+ * than its domain's maxAge. If reloading fails, the last loaded entries are served
+ * so an RPC outage does not break navigation; stale entries are only dropped after
+ * staleLimit. Authorization reads pass { stale: false } and fail instead.
+ *
+ * A list is reloaded after:
+ *   invalidate()  called when the Agent contract reports a list change (see watchListEvents)
+ *   maxAge        the per-domain staleness bound, from maxAgeFor(domain)
+ * and updated in place by apply() when the host's own writes are confirmed.
+ *
+ * Entries are { address, name, role, meta }.
+ */
+export class MembershipCache {
+    constructor(loader, { maxAge = 5 * 60 * 1000, staleLimit = 24 * 60 * 60 * 1000 } = {}) {
+        this.loader = loader;
+        this.maxAge = maxAge;
+        this.staleLimit = staleLimit;
+        this.lists = new Map();
+        // Host-assigned: (domain) => ms, or undefined for the default maxAge
+        this.maxAgeFor = () => undefined;
+    }
+
+    /**
+     * Entries of a list. maxAge tightens the domain's bound (0 always reloads);
+     * stale: false fails when reloading fails rather than serving the last entries.
+     */
+    async getList(domain, listName, { maxAge, stale = true } = {}) {
+        const key = `${domain}|${listName}`;
+        const cached = this.lists.get(key);
+        const bound = Math.min(maxAge ?? Infinity, this.maxAgeFor(domain) ?? this.maxAge);
+
+        if (cached?.entries && !cached.invalid && Date.now() - cached.loadedAt < bound) {
+            return [...cached.entries.values()];
+        }
+
+        let pending = cached?.pending;
+        if (!pending) {
+            pending = this.load(domain, listName, cached);
+            this.lists.set(key, { ...cached, pending });
+        }
+        try {
+            return await pending;
+        } catch (error) {
+            if (stale && cached?.entries && Date.now() - cached.loadedAt <= this.staleLimit) {
+                console.error(`[membership] Serving stale ${listName} for ${domain}:`, error.message);
+                return [...cached.entries.values()];
+            }
+            throw error;
+        }
+    }
+
+    async load(domain, listName, cached) {
+        const key = `${domain}|${listName}`;
+        try {
+            const entries = await this.loader(domain, listName);
+            this.lists.set(key, {
+                entries: new Map(entries.map(entry => [entry.address.toLowerCase(), entry])),
+                loadedAt: Date.now()
+            });
+            return entries;
+        } catch (error) {
+            // Keep the last entries to fall back on, still due for reloading
+            this.lists.set(key, cached?.entries ? { entries: cached.entries, loadedAt: cached.loadedAt, invalid: cached.invalid } : {});
+            throw error;
+        }
+    }
+
+    async isListed(domain, listName, address, options) {
+        if (!address) return false;
+        const entries = await this.getList(domain, listName, options);
+        return entries.some(entry => entry.address.toLowerCase() === address.toLowerCase());
+    }
+
+    /**
+     * Load lists ahead of the first request
+     */
+    async warm(domain, listNames) {
+        const results = await Promise.allSettled(listNames.map(listName => this.getList(domain, listName, { maxAge: 0 })));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.error(`[membership] Could not warm ${listNames[index]} for ${domain}:`, result.reason.message);
+            }
+        });
+    }
+
+    /**
+     * Mark a list, or every list of a domain, for reloading on the next read.
+     * Loaded entries are kept to fall back on.
+     */
+    invalidate(domain, listName) {
+        for (const [key, cached] of this.lists) {
+            const [keyDomain, keyList] = key.split('|');
+            if (keyDomain !== domain || (listName && keyList !== listName)) continue;
+            cached.invalid = true;
+        }
+    }
+
+    /**
+     * Apply a confirmed change the host made itself
+     * change: { type: 'added' | 'updated' | 'removed', address, name, role, meta }
+     */
+    apply(domain, listName, { type, address, ...fields }) {
+        const cached = this.lists.get(`${domain}|${listName}`);
+        if (!cached?.entries) return;
+
+        const key = address.toLowerCase();
+        if (type === 'removed') {
+            cached.entries.delete(key);
+            return;
+        }
+        const current = cached.entries.get(key) || { address, name: '', role: 0, meta: '' };
+        const update = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined));
+        cached.entries.set(key, { ...current, ...update });
+    }
+}
+
+/**
+ * Watch an Agent contract for list changes and call onChange(listName) for each,
+ * with listName null when the event does not name the list. Subscribes when the
+ * provider supports it (WebSocket) and otherwise polls block ranges every
+ * pollInterval ms. Returns a function that stops watching, or null when the
+ * contract declares no list events.
+ */
+export function watchListEvents(contract, onChange, { subscribe = false, pollInterval = 30000, maxRange = 2000 } = {}) {
+    const events = Object.values(contract.interface.events).filter(event => /whitelist|list|member/i.test(event.name));
+    if (events.length === 0) return null;
+
+    const filter = {
+        address: contract.address,
+        topics: [events.map(event => contract.interface.getEventTopic(event))]
+    };
+    const handle = (log) => {
+        try {
+            const { args } = contract.interface.parseLog(log);
+            const listName = typeof args.listName === 'string' ? args.listName : null;
+            onChange(listName);
+        } catch (error) {
+            onChange(null);
+        }
+    };
+
+    if (subscribe) {
+        contract.provider.on(filter, handle);
+        return () => contract.provider.off(filter, handle);
+    }
+
+    let fromBlock = null;
+    let stopped = false;
+    let timer;
+    const poll = async () => {
+        try {
+            const latest = await contract.provider.getBlockNumber();
+            if (fromBlock === null) fromBlock = latest + 1;
+            while (fromBlock <= latest) {
+                const toBlock = Math.min(latest, fromBlock + maxRange - 1);
+                const logs = await contract.provider.getLogs({ ...filter, fromBlock, toBlock });
+                logs.forEach(handle);
+                fromBlock = toBlock + 1;
+            }
+        } catch (error) {
+            console.error('[membership] Could not poll list events:', error.message);
+        }
+        if (!stopped) {
+            timer = setTimeout(poll, pollInterval);
+            timer.unref?.();
+        }
+    };
+    poll();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
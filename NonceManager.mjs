@@ -0,0 +1,126 @@
+/**
+ * NonceManager - Serializes the transactions a domain wallet sends
+ *
+ * Every send goes through one queue per wallet, and the manager hands out the
+ * nonce instead of letting ethers ask the network for each transaction, so two
+ * requests at the same moment cannot pick the same nonce. The next nonce is the
+ * higher of the network's pending count and the last one handed out.
+ *
+ * A transaction that stays unmined can be replaced at the same nonce:
+ *   speedUp(hash)  resends it with fees raised by bumpPercent (replace-by-fee)
+ *   cancel(hash)   sends a zero-value transfer to the wallet itself instead
+ * Nodes only accept a replacement that pays more than the original, so both
+ * raise fees to at least bumpPercent of the original's.
+ */
+export class NonceManager {
+    constructor(wallet, { bumpPercent = 125 } = {}) {
+        this.wallet = wallet;
+        this.bumpPercent = bumpPercent;
+        this.next = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Send a transaction with the next nonce
+     * build({ nonce }) must broadcast the transaction with those overrides and
+     * resolve to its TransactionResponse.
+     */
+    send(build) {
+        return this.enqueue(async () => {
+            try {
+                return await this.sendNext(build);
+            } catch (error) {
+                // Something else used the nonce (another host, a wallet app): resync and try once more
+                if (!isNonceError(error)) throw error;
+                this.next = null;
+                return await this.sendNext(build);
+            }
+        });
+    }
+
+    async sendNext(build) {
+        const pending = await this.wallet.getTransactionCount('pending');
+        const nonce = Math.max(pending, this.next ?? 0);
+        const tx = await build({ nonce });
+        this.next = nonce + 1;
+        return tx;
+    }
+
+    /**
+     * Resend an unmined transaction with higher fees
+     * fees are the current network fees from the fee policy; maxFee caps the result.
+     */
+    speedUp(hash, { fees = {}, maxFee = null } = {}) {
+        return this.replace(hash, fees, maxFee, (original) => ({
+            to: original.to,
+            data: original.data,
+            value: original.value,
+            gasLimit: original.gasLimit
+        }));
+    }
+
+    /**
+     * Replace an unmined transaction with a zero-value transfer to the wallet itself
+     */
+    cancel(hash, { fees = {}, maxFee = null } = {}) {
+        return this.replace(hash, fees, maxFee, () => ({
+            to: this.wallet.address,
+            data: '0x',
+            value: 0,
+            gasLimit: 21000
+        }));
+    }
+
+    replace(hash, fees, maxFee, body) {
+        return this.enqueue(async () => {
+            const original = await this.wallet.provider.getTransaction(hash);
+            if (!original) {
+                throw new Error(`Transaction ${hash} not found`);
+            }
+            if (original.blockNumber) {
+                throw new Error(`Transaction ${hash} is already mined`);
+            }
+
+            return await this.wallet.sendTransaction({
+                ...body(original),
+                nonce: original.nonce,
+                ...replacementFees(original, fees, this.bumpPercent, maxFee)
+            });
+        });
+    }
+
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+/**
+ * Fees for a replacement: the original's fees raised by bumpPercent, or the current
+ * fees if those are higher. Throws if maxFee leaves no room for the bump.
+ */
+export function replacementFees(original, current, bumpPercent, maxFee = null) {
+    const raise = (originalValue, currentValue) => {
+        const bumped = originalValue.mul(bumpPercent).div(100);
+        return currentValue && currentValue.gt(bumped) ? currentValue : bumped;
+    };
+    const capped = (value) => {
+        if (maxFee && value.gt(maxFee)) {
+            throw new Error('Replacement fee exceeds the fee policy cap');
+        }
+        return value;
+    };
+
+    if (original.maxFeePerGas) {
+        const maxFeePerGas = capped(raise(original.maxFeePerGas, current.maxFeePerGas));
+        let maxPriorityFeePerGas = raise(original.maxPriorityFeePerGas, current.maxPriorityFeePerGas);
+        if (maxPriorityFeePerGas.gt(maxFeePerGas)) maxPriorityFeePerGas = maxFeePerGas;
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+    return { gasPrice: capped(raise(original.gasPrice, current.gasPrice)) };
+}
+
+function isNonceError(error) {
+    return error?.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error?.message || '');
+}
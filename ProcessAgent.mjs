@@ -0,0 +1,289 @@
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import http from 'http';
+import net from 'net';
+
+/**
+ * ProcessAgent - Runs an agent as a child process and proxies to it
+ *
+ * Used in place of the imported agent class when an agent is isolated. It has
+ * the same attach/initWebSocket/cleanup shape, so AgentManager mounts it like
+ * any other agent instance.
+ *
+ * The manifest `command` (default "npm start") is run in the agent directory with:
+ *   PORT / EPISTERY_AGENT_PORT   local port to listen on, or
+ *   EPISTERY_AGENT_SOCKET        Unix socket path when the manifest sets "listen": "socket"
+ *   EPISTERY_AGENT_NAME          package name
+ *   EPISTERY_AGENT_CONFIG        manifest config as JSON
+ * Requests arrive with the /agent/{name} prefix removed and the original prefix
+ * in X-Forwarded-Prefix. The agent's settings for the request's domain are sent
+ * as base64-encoded JSON in X-Epistery-Agent-Config. The process is restarted with exponential backoff if it
+ * exits, and its output is logged tagged with the agent name.
+ *
+ * Isolated agents do not receive an AgentContext.
+ */
+export class ProcessAgent {
+    constructor(agentInfo, options = {}) {
+        this.name = agentInfo.manifest.name;
+        this.dirName = agentInfo.name;
+        this.path = agentInfo.path;
+        this.manifest = agentInfo.manifest;
+        this.command = agentInfo.manifest.command || 'npm start';
+        this.prefixes = options.prefixes || [];
+        this.startTimeout = options.startTimeout ?? 15000;
+        this.stopTimeout = options.stopTimeout ?? 3000;
+        this.backoff = options.backoff ?? { initial: 1000, max: 60000, reset: 60000 };
+        this.child = null;
+        this.target = null;
+        this.ready = false;
+        this.stopping = false;
+        this.restarts = 0;
+        this.restartTimer = null;
+        this.startedAt = null;
+        this.lastExit = null;
+    }
+
+    /**
+     * Spawn the agent process and wait until it accepts connections
+     */
+    async start() {
+        this.stopping = false;
+        if (this.manifest.listen === 'socket') {
+            // Numbered per instance, so a reload's new process never shares the running one's socket
+            const socketPath = this.target?.socketPath || join(tmpdir(), `epistery-agent-${this.dirName}-${process.pid}-${++socketCount}.sock`);
+            await rm(socketPath, { force: true });
+            this.target = { socketPath };
+        } else {
+            this.target = { host: '127.0.0.1', port: await freePort() };
+        }
+
+        const env = {
+            ...process.env,
+            EPISTERY_AGENT_NAME: this.name,
+            EPISTERY_AGENT_CONFIG: JSON.stringify(this.manifest.config || {})
+        };
+        if (this.target.socketPath) {
+            env.EPISTERY_AGENT_SOCKET = this.target.socketPath;
+        } else {
+            env.PORT = String(this.target.port);
+            env.EPISTERY_AGENT_PORT = String(this.target.port);
+        }
+
+        // detached puts the shell and everything it starts in one process group we can signal
+        const child = spawn(this.command, { cwd: this.path, env, shell: true, detached: true });
+        this.child = child;
+        this.startedAt = Date.now();
+        this.pipeOutput(child.stdout, console.log);
+        this.pipeOutput(child.stderr, console.error);
+        child.on('exit', (code, signal) => this.onExit(child, code, signal));
+        child.on('error', (error) => console.error(`[${this.name}] Failed to start:`, error.message));
+
+        console.log(`[${this.name}] Started "${this.command}" (pid ${child.pid}) on ${this.describeTarget()}`);
+        await this.waitUntilReady(child);
+        this.ready = true;
+    }
+
+    describeTarget() {
+        return this.target.socketPath || `127.0.0.1:${this.target.port}`;
+    }
+
+    pipeOutput(stream, log) {
+        createInterface({ input: stream }).on('line', (line) => log(`[${this.name}] ${line}`));
+    }
+
+    async waitUntilReady(child) {
+        const deadline = Date.now() + this.startTimeout;
+        while (Date.now() < deadline) {
+            if (child.exitCode !== null || child.signalCode !== null) {
+                throw new Error(`Agent process exited during startup (${child.exitCode ?? child.signalCode})`);
+            }
+            if (await canConnect(this.target)) return;
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        this.kill(child, 'SIGKILL');
+        throw new Error(`Agent process did not listen on ${this.describeTarget()} within ${this.startTimeout}ms`);
+    }
+
+    onExit(child, code, signal) {
+        if (child !== this.child) return;
+        this.ready = false;
+        this.child = null;
+        this.lastExit = { code, signal, at: new Date().toISOString() };
+        if (this.stopping) return;
+
+        // A process that stayed up long enough starts the backoff over
+        if (Date.now() - this.startedAt > this.backoff.reset) this.restarts = 0;
+        const delay = Math.min(this.backoff.initial * 2 ** this.restarts, this.backoff.max);
+        this.restarts++;
+
+        console.error(`[${this.name}] Exited (${code ?? signal}), restarting in ${delay}ms`);
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            // A failed start ends with the process exiting, which schedules the next attempt
+            this.start().catch((error) => console.error(`[${this.name}] Restart failed:`, error.message));
+        }, delay);
+    }
+
+    kill(child, signal) {
+        try {
+            process.kill(-child.pid, signal);
+        } catch (error) {
+            child.kill(signal);
+        }
+    }
+
+    /**
+     * Healthy while the process is up and accepting connections
+     */
+    async health() {
+        if (!this.ready) {
+            return { healthy: false, error: 'process is not running', lastExit: this.lastExit, restarts: this.restarts };
+        }
+        if (!await canConnect(this.target)) {
+            return { healthy: false, error: `not accepting connections on ${this.describeTarget()}`, restarts: this.restarts };
+        }
+        return { healthy: true, pid: this.child?.pid, restarts: this.restarts };
+    }
+
+    attach(router) {
+        router.use((req, res) => this.proxy(req, res));
+    }
+
+    /**
+     * Forward an HTTP request to the agent process
+     */
+    proxy(req, res) {
+        if (!this.ready) {
+            return res.status(503).json({ error: `Agent ${this.name} is not running` });
+        }
+
+        const headers = {
+            ...req.headers,
+            'x-forwarded-for': req.ip,
+            'x-forwarded-host': req.headers.host,
+            'x-forwarded-proto': req.protocol,
+            'x-forwarded-prefix': req.baseUrl
+        };
+        delete headers['x-epistery-agent-config'];
+        if (req.agentConfig) {
+            headers['x-epistery-agent-config'] = Buffer.from(JSON.stringify(req.agentConfig)).toString('base64');
+        }
+
+        // The host's body parsers may already have consumed the stream
+        let body = null;
+        if (req.readableEnded && req.body !== undefined) {
+            body = serializeBody(req);
+            headers['content-length'] = Buffer.byteLength(body);
+            delete headers['transfer-encoding'];
+        }
+
+        const upstream = http.request({ ...this.target, method: req.method, path: req.url, headers }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+        upstream.on('error', (error) => {
+            if (res.headersSent) return res.destroy();
+            res.status(502).json({ error: `Agent ${this.name} unavailable: ${error.message}` });
+        });
+
+        if (body !== null) {
+            upstream.end(body);
+        } else {
+            req.pipe(upstream);
+        }
+    }
+
+    /**
+     * Forward WebSocket upgrades under the agent's paths to the agent process
+     */
+    initWebSocket(server) {
+        server.on('upgrade', (req, socket, head) => {
+            const path = (req.url || '').split('?')[0];
+            const prefix = this.prefixes.find(p => path === p || path.startsWith(p + '/'));
+            if (!prefix) return;
+
+            if (!this.ready) {
+                socket.write('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+                return socket.destroy();
+            }
+
+            const upstream = net.connect(connectOptions(this.target), () => {
+                const url = req.url.slice(prefix.length) || '/';
+                let request = `${req.method} ${url.startsWith('/') ? url : '/' + url} HTTP/${req.httpVersion}\r\n`;
+                for (let i = 0; i < req.rawHeaders.length; i += 2) {
+                    request += `${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}\r\n`;
+                }
+                request += `X-Forwarded-Prefix: ${prefix}\r\n\r\n`;
+                upstream.write(request);
+                if (head?.length) upstream.write(head);
+                upstream.pipe(socket);
+                socket.pipe(upstream);
+            });
+            upstream.on('error', () => socket.destroy());
+            socket.on('error', () => upstream.destroy());
+        });
+    }
+
+    /**
+     * Stop the process, escalating to SIGKILL if it doesn't exit in time
+     */
+    async cleanup() {
+        this.stopping = true;
+        this.ready = false;
+        clearTimeout(this.restartTimer);
+        const child = this.child;
+        if (!child) return;
+
+        await new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.kill(child, 'SIGKILL');
+                resolve();
+            }, this.stopTimeout);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            this.kill(child, 'SIGTERM');
+        });
+        if (this.target?.socketPath) await rm(this.target.socketPath, { force: true });
+    }
+}
+
+function serializeBody(req) {
+    if (Buffer.isBuffer(req.body) || typeof req.body === 'string') return req.body;
+    if (req.is('application/x-www-form-urlencoded')) return new URLSearchParams(req.body).toString();
+    return JSON.stringify(req.body ?? {});
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+let socketCount = 0;
+
+// http.request takes socketPath, net.connect takes path
+function connectOptions(target) {
+    return target.socketPath ? { path: target.socketPath } : target;
+}
+
+function canConnect(target) {
+    return new Promise((resolve) => {
+        const socket = net.connect(connectOptions(target));
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve(true);
+        });
+        socket.once('error', () => resolve(false));
+    });
+}
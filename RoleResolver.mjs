@@ -0,0 +1,113 @@
+import { hasRole } from './authorization.mjs';
+
+/**
+ * RoleResolver - Where a caller stands on a domain, answered in one place
+ *
+ * A caller's role (see authorization.mjs) comes from the domain's claim and its
+ * Agent contract's admin lists:
+ *   owner   the claimed admin_address, or an owner entry (role 4)
+ *   admin   on epistery::admin, or an admin entry (role 3)
+ *   member  on the domain's list (<domain>::admin)
+ * role() answers route authorization from those alone, read no older than
+ * authMaxAge and never from a stale list kept through an RPC failure; pages
+ * that only show or hide things pass { stale: true } to accept cached lists.
+ * resolve() adds the caller's entry on every list of the contract, and whether
+ * they are the contract's sponsor or the claimed admin_address.
+ *
+ * The host supplies:
+ *   configFor(domain)    => the domain's config data
+ *   listNames(domain)    => the contract's other list names
+ *   sponsorOf(domain)    => the sponsor address the contract was deployed with
+ */
+
+// Contract entry roles
+export const ENTRY_ROLES = { 0: 'none', 1: 'read', 2: 'member', 3: 'admin', 4: 'owner' };
+
+export class RoleResolver {
+    constructor(lists, { authMaxAge = 5000 } = {}) {
+        // { getList(domain, listName, options) }, normally the host's MembershipCache
+        this.lists = lists;
+        this.authMaxAge = authMaxAge;
+        this.configFor = () => ({});
+        this.listNames = async () => [];
+        this.sponsorOf = () => null;
+    }
+
+    /**
+     * The caller's role on the domain, or null for none
+     */
+    async role(domain, address, { stale = false } = {}) {
+        if (!address) return null;
+        const data = this.configFor(domain) || {};
+        if (sameAddress(address, data.admin_address)) return 'owner';
+        if (!hasContract(data)) return null;
+
+        const listNames = adminLists(domain);
+        const options = stale ? {} : { maxAge: this.authMaxAge, stale: false };
+        const entries = await Promise.all(listNames.map(listName => this.lists.getList(domain, listName, options)));
+        return roleFromLists(address, Object.fromEntries(listNames.map((listName, i) => [listName, entries[i]])));
+    }
+
+    /**
+     * Everything the host knows about the caller on the domain:
+     *   { address, role, claimant, sponsor, lists: { listName: { listed, role, name } } }
+     * A list that cannot be read is reported with its error instead.
+     */
+    async resolve(domain, address) {
+        const data = this.configFor(domain) || {};
+        const identity = {
+            address,
+            role: await this.role(domain, address, { stale: true }),
+            claimant: sameAddress(address, data.admin_address),
+            sponsor: sameAddress(address, await this.sponsorOf(domain)),
+            lists: {}
+        };
+        if (!hasContract(data)) return identity;
+
+        const listNames = [...new Set([...adminLists(domain), ...await this.listNames(domain)])];
+        await Promise.all(listNames.map(async (listName) => {
+            try {
+                const entries = await this.lists.getList(domain, listName);
+                const entry = entries.find(current => sameAddress(current.address, address));
+                identity.lists[listName] = entry
+                    ? { listed: true, role: ENTRY_ROLES[Number(entry.role)] || 'none', name: entry.name || '' }
+                    : { listed: false, role: null, name: null };
+            } catch (error) {
+                identity.lists[listName] = { listed: null, role: null, name: null, error: error.message };
+            }
+        }));
+        return identity;
+    }
+}
+
+/**
+ * The highest role address holds across lists ({ listName: entries }).
+ * Any entry on a list makes a member; epistery::admin makes at least an admin.
+ */
+export function roleFromLists(address, lists) {
+    if (!address) return null;
+    let role = null;
+    for (const [listName, entries] of Object.entries(lists)) {
+        const entry = (entries || []).find(current => sameAddress(current.address, address));
+        if (!entry) continue;
+        const entryRole = ENTRY_ROLES[Number(entry.role)];
+        const found = [hasRole(entryRole, 'member') ? entryRole : 'member'];
+        if (listName === 'epistery::admin') found.push('admin');
+        for (const candidate of found) {
+            if (!role || hasRole(candidate, role)) role = candidate;
+        }
+    }
+    return role;
+}
+
+function adminLists(domain) {
+    return ['epistery::admin', `${domain}::admin`];
+}
+
+function sameAddress(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+function hasContract(data) {
+    return Boolean(data.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS);
+}
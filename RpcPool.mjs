@@ -0,0 +1,294 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ethers = require('ethers');
+
+/**
+ * RpcPool - An ethers provider backed by several JSON-RPC endpoints
+ *
+ * A domain's provider config may list endpoints in `rpcs`, in order of
+ * preference, next to or instead of the single `rpc`:
+ *   "provider": {
+ *     "chainId": 137, "rpc": "https://polygon-rpc.com",
+ *     "rpcs": ["https://polygon.llamarpc.com", { "url": "https://...", "timeout": 5000 }],
+ *     "rpcMode": "failover",   // or "quorum"
+ *     "quorum": 2
+ *   }
+ * `rpc`, when set, is always the first endpoint, so single-`rpc` configs behave
+ * as before.
+ *
+ * Every request goes to the first available endpoint and fails over to the next
+ * when an endpoint times out or errors. Answers from the chain itself, such as a
+ * revert or a rejected transaction, are returned as they are. Each endpoint keeps
+ * a health score (successes raise it, failures lower it); an endpoint whose score
+ * drops below 0.5 moves behind the healthy ones, and one that fails `maxFailures`
+ * times in a row is skipped for a cooldown that doubles up to five minutes.
+ *
+ * A signed transaction that fails over is the same raw transaction sent again, so it
+ * cannot be mined twice. An endpoint that already has it ("already known"), or has
+ * mined it (nonce too low, with the transaction found by hash), counts as a success,
+ * since the endpoint that failed may well have broadcast it before failing.
+ *
+ * In quorum mode, contract calls and state reads go to `quorum` endpoints at once
+ * and need that many identical answers.
+ */
+const FAILURE_CODES = ['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR', 'UNKNOWN_ERROR'];
+const QUORUM_METHODS = ['call', 'getBalance', 'getCode', 'getStorageAt'];
+const MAX_COOLDOWN = 5 * 60 * 1000;
+const KNOWN_TRANSACTION = /already known|known transaction|already imported|alreadyknown/i;
+
+/**
+ * Endpoint settings from a provider config: [{ url, timeout }], `rpc` first
+ */
+export function rpcEndpoints(provider, { timeout = 10000 } = {}) {
+    const listed = Array.isArray(provider?.rpcs) ? provider.rpcs : [];
+    const endpoints = [provider?.rpc, ...listed]
+        .filter(Boolean)
+        .map(entry => typeof entry === 'string' ? { url: entry } : entry)
+        .filter(entry => typeof entry.url === 'string' && entry.url)
+        .map(entry => ({ url: entry.url, timeout: entry.timeout || timeout }));
+    return endpoints.filter((entry, index) => endpoints.findIndex(other => other.url === entry.url) === index);
+}
+
+export function hasRpc(provider) {
+    return rpcEndpoints(provider).length > 0;
+}
+
+export class RpcPool extends ethers.providers.BaseProvider {
+    constructor(endpoints, { chainId, name, mode = 'failover', quorum = 2, maxFailures = 3, cooldown = 15000 } = {}) {
+        if (!endpoints.length) {
+            throw new Error('At least one RPC endpoint is required');
+        }
+        const network = chainId ? { chainId: Number(chainId), name: name || 'unknown' } : null;
+        const members = endpoints.map((endpoint, priority) => ({
+            url: endpoint.url,
+            host: hostOf(endpoint.url),
+            priority,
+            provider: new ethers.providers.StaticJsonRpcProvider({ url: endpoint.url, timeout: endpoint.timeout }, network || undefined),
+            score: 1,
+            latency: null,
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            coolingUntil: 0,
+            lastError: null,
+            lastUsedAt: null
+        }));
+        super(network || firstNetwork(members));
+
+        if (!['failover', 'quorum'].includes(mode)) {
+            throw new Error(`Unknown RPC mode "${mode}"`);
+        }
+        this.members = members;
+        this.mode = mode;
+        this.quorum = Math.min(quorum, members.length);
+        this.maxFailures = maxFailures;
+        this.cooldown = cooldown;
+        this.configuredNetwork = network;
+    }
+
+    async detectNetwork() {
+        if (this.configuredNetwork) return this.configuredNetwork;
+        if (!this.detected) {
+            this.detected = firstNetwork(this.members).catch((error) => {
+                this.detected = null;
+                throw error;
+            });
+        }
+        return this.detected;
+    }
+
+    /**
+     * Endpoints in the order they are tried: available before cooling down,
+     * healthy before degraded, then configured order
+     */
+    ordered() {
+        const now = Date.now();
+        const rank = (member) => (member.coolingUntil > now ? 2 : 0) + (member.score < 0.5 ? 1 : 0);
+        return [...this.members].sort((a, b) => rank(a) - rank(b) || a.priority - b.priority);
+    }
+
+    async perform(method, params) {
+        if (this.mode === 'quorum' && this.quorum > 1 && QUORUM_METHODS.includes(method)) {
+            return this.performQuorum(method, params);
+        }
+        if (method === 'sendTransaction') {
+            return this.performSend(params);
+        }
+
+        let lastError;
+        for (const member of this.ordered()) {
+            try {
+                return await this.attempt(member, method, params);
+            } catch (error) {
+                if (!isEndpointFailure(error)) throw error;
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Send one signed transaction, failing over with the same raw transaction;
+     * resolves to its hash
+     */
+    async performSend(params) {
+        const hash = ethers.utils.keccak256(params.signedTransaction);
+        let lastError;
+        for (const member of this.ordered()) {
+            try {
+                return await this.attempt(member, 'sendTransaction', params);
+            } catch (error) {
+                if (isKnownTransaction(error)) return hash;
+                // Only after a failure could an earlier endpoint have got it mined
+                if (lastError && error.code === 'NONCE_EXPIRED' && await this.hasTransaction(member, hash)) return hash;
+                if (!isEndpointFailure(error)) throw error;
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async hasTransaction(member, hash) {
+        try {
+            return Boolean(await member.provider.perform('getTransaction', { transactionHash: hash }));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async performQuorum(method, params) {
+        const answers = new Map();
+        const errors = [];
+        const queue = this.ordered();
+
+        // Ask quorum endpoints at a time until enough agree or none are left
+        while (queue.length) {
+            const batch = queue.splice(0, this.quorum);
+            const results = await Promise.allSettled(batch.map(member => this.attempt(member, method, params)));
+            for (const result of results) {
+                if (result.status === 'rejected') {
+                    if (!isEndpointFailure(result.reason)) throw result.reason;
+                    errors.push(result.reason);
+                    continue;
+                }
+                const key = JSON.stringify(result.value);
+                const count = (answers.get(key)?.count || 0) + 1;
+                answers.set(key, { value: result.value, count });
+                if (count >= this.quorum) return result.value;
+            }
+        }
+        const error = new Error(errors.length && !answers.size
+            ? `All RPC endpoints failed: ${errors[0].message}`
+            : `RPC endpoints did not reach a quorum of ${this.quorum} for ${method}`);
+        error.code = 'SERVER_ERROR';
+        throw error;
+    }
+
+    async attempt(member, method, params) {
+        const started = Date.now();
+        member.lastUsedAt = new Date(started).toISOString();
+        try {
+            const result = await member.provider.perform(method, params);
+            this.record(member, null, Date.now() - started);
+            return result;
+        } catch (error) {
+            // A revert or rejected transaction is a good answer from a working endpoint
+            this.record(member, isEndpointFailure(error) ? error : null, Date.now() - started);
+            throw error;
+        }
+    }
+
+    record(member, error, latency) {
+        if (!error) {
+            member.successes++;
+            member.consecutiveFailures = 0;
+            member.coolingUntil = 0;
+            member.score = member.score * 0.8 + 0.2;
+            member.latency = member.latency === null ? latency : Math.round(member.latency * 0.7 + latency * 0.3);
+            return;
+        }
+        member.failures++;
+        member.consecutiveFailures++;
+        member.score = member.score * 0.8;
+        member.lastError = { message: error.message.split('\n')[0].slice(0, 200), at: new Date().toISOString() };
+        if (member.consecutiveFailures >= this.maxFailures) {
+            const backoff = this.cooldown * 2 ** (member.consecutiveFailures - this.maxFailures);
+            member.coolingUntil = Date.now() + Math.min(backoff, MAX_COOLDOWN);
+        }
+    }
+
+    /**
+     * Endpoint health for the admin UI and status JSON. Reports hosts only,
+     * since RPC URLs often carry API keys.
+     */
+    status() {
+        const now = Date.now();
+        return this.members.map(member => ({
+            host: member.host,
+            priority: member.priority,
+            status: member.coolingUntil > now ? 'cooling' : member.score < 0.5 ? 'degraded' : 'healthy',
+            score: Math.round(member.score * 100) / 100,
+            latency: member.latency,
+            successes: member.successes,
+            failures: member.failures,
+            lastError: member.lastError,
+            lastUsedAt: member.lastUsedAt,
+            coolingUntil: member.coolingUntil > now ? new Date(member.coolingUntil).toISOString() : null
+        }));
+    }
+}
+
+// One pool per provider config, so health scores carry across requests
+const pools = new Map();
+
+/**
+ * The shared RpcPool for a domain's provider config
+ */
+export function rpcProvider(provider) {
+    const endpoints = rpcEndpoints(provider);
+    if (!endpoints.length) {
+        throw new Error('Provider has no RPC endpoint');
+    }
+    const options = {
+        chainId: provider.chainId,
+        name: provider.name,
+        mode: provider.rpcMode || 'failover',
+        quorum: provider.quorum || 2
+    };
+    const key = JSON.stringify([endpoints, options]);
+    if (!pools.has(key)) {
+        pools.set(key, new RpcPool(endpoints, options));
+    }
+    return pools.get(key);
+}
+
+export function isEndpointFailure(error) {
+    return !error?.code || FAILURE_CODES.includes(error.code);
+}
+
+// Nodes answer a transaction they already hold with a server error naming it
+function isKnownTransaction(error) {
+    return [error?.message, error?.error?.message, error?.body]
+        .some(message => typeof message === 'string' && KNOWN_TRANSACTION.test(message));
+}
+
+async function firstNetwork(members) {
+    let lastError;
+    for (const member of members) {
+        try {
+            return await member.provider.getNetwork();
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return url;
+    }
+}
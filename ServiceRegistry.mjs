@@ -0,0 +1,61 @@
+/**
+ * ServiceRegistry - Named service interfaces that agents publish for each other
+ *
+ * An agent publishes a service through its AgentContext with provide(name, service)
+ * and its dependents look it up with getService(name). Lookups are only allowed
+ * from agents that declare the provider in their manifest agentDependencies, and
+ * a provider's services are withdrawn when it is unloaded.
+ */
+export class ServiceRegistry {
+    constructor() {
+        this.services = new Map();
+    }
+
+    provide(provider, name, service) {
+        const existing = this.services.get(name);
+        if (existing && existing.provider !== provider) {
+            throw new Error(`Service "${name}" is already provided by ${existing.provider}`);
+        }
+        this.services.set(name, { provider, service });
+    }
+
+    lookup(name) {
+        return this.services.get(name) || null;
+    }
+
+    /**
+     * Remove every service published by an agent
+     */
+    withdraw(provider) {
+        for (const [name, entry] of this.services) {
+            if (entry.provider === provider) this.services.delete(name);
+        }
+    }
+
+    /**
+     * The registry entries an agent publishes, to put back with restore() or drop with remove()
+     * when a reload fails or succeeds
+     */
+    entriesOf(provider) {
+        return [...this.services].filter(([, entry]) => entry.provider === provider);
+    }
+
+    restore(entries) {
+        for (const [name, entry] of entries) this.services.set(name, entry);
+    }
+
+    // Only entries that have not been replaced since they were taken
+    remove(entries) {
+        for (const [name, entry] of entries) {
+            if (this.services.get(name) === entry) this.services.delete(name);
+        }
+    }
+
+    list(provider) {
+        const names = [];
+        for (const [name, entry] of this.services) {
+            if (!provider || entry.provider === provider) names.push(name);
+        }
+        return names;
+    }
+}
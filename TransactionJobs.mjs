@@ -0,0 +1,438 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { readFile, writeFile, rename } from 'fs/promises';
+
+/**
+ * TransactionJobs - On-chain writes tracked as jobs instead of held-open requests
+ *
+ * A route submits a job with a send() function that signs and broadcasts the
+ * transaction. submit() resolves as soon as the transaction is broadcast, and
+ * the job is then followed in the background through its states:
+ *   queued     created, not yet broadcast
+ *   broadcast  sent to the network, txHash known
+ *   mined      included in a block
+ *   confirmed  reached the required confirmations and its completion handler ran
+ *   failed     could not be sent, reverted, or its completion handler threw
+ *
+ * Work that must happen once a transaction is confirmed, such as saving a
+ * deployed contract address, goes in a handler registered with define(type, fn).
+ * Handlers live in code rather than in the job so they still run for jobs that
+ * are picked back up after a restart. Jobs are saved to a JSON file; resume()
+ * continues following every broadcast job. A job that was never broadcast
+ * before a restart is failed, since it cannot be known whether it was sent.
+ * Saves are written behind: changes within saveDelay ms share one write. Jobs
+ * finished more than retention ms ago are dropped by prune().
+ *
+ * A broadcast job whose transaction is replaced at the same nonce (sped up or
+ * cancelled, see NonceManager) is moved to the new hash with replace(). Until
+ * one of them is mined, the job watches every hash it has had, since the
+ * original can still win. A job whose cancellation is mined fails as cancelled,
+ * including when the cancellation itself was sped up.
+ *
+ * Many writes of one kind, such as a bulk list import, are submitted together
+ * with submitBatch(). Each item becomes its own job, sent one after another, and
+ * batch(id) reports every item's outcome.
+ *
+ * Jobs record who asked for them (initiator, a rivet address or agent name)
+ * and, once mined, the gas used and effective gas price, including for
+ * transactions that reverted, since those still cost gas.
+ *
+ * Emits 'update' with the job whenever its state changes. Callers following one
+ * job use watch(id), whose listeners are kept per job rather than on the emitter.
+ */
+export const TERMINAL_STATES = ['confirmed', 'failed'];
+
+export class TransactionJobs extends EventEmitter {
+    constructor(storePath, { confirmations = 1, retention = 7 * 24 * 60 * 60 * 1000, pollInterval = 4000, saveDelay = 1000, settleTimeout = 10 * 60 * 1000 } = {}) {
+        super();
+        this.storePath = storePath;
+        this.confirmations = confirmations;
+        this.retention = retention;
+        this.pollInterval = pollInterval;
+        this.saveDelay = saveDelay;
+        this.settleTimeout = settleTimeout;
+        this.stopped = false;
+        this.jobs = new Map();
+        this.watchers = new Map();
+        this.batches = new Map();
+        this.handlers = new Map();
+        this.connect = () => { throw new Error('No provider resolver configured'); };
+        this.saving = Promise.resolve();
+        this.queuedSave = null;
+    }
+
+    /**
+     * Register the completion handler for a job type. It receives (job, receipt)
+     * and may return a result object that is stored on the job.
+     */
+    define(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Create a job and broadcast its transaction
+     * send() must resolve to an ethers TransactionResponse once it is broadcast.
+     * Resolves with the job in the broadcast state, or the failed job if sending failed.
+     */
+    async submit({ type, domain, description = '', params = {}, batchId = null, initiator = null }, send) {
+        const job = {
+            id: randomUUID(),
+            type,
+            domain,
+            description,
+            params,
+            batchId,
+            initiator,
+            state: 'queued',
+            txHash: null,
+            nonce: null,
+            blockNumber: null,
+            gasUsed: null,
+            effectiveGasPrice: null,
+            replaced: [],
+            cancelled: false,
+            result: null,
+            error: null,
+            history: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: null
+        };
+        this.jobs.set(job.id, job);
+        await this.transition(job, 'queued');
+
+        let tx;
+        try {
+            tx = await send();
+        } catch (error) {
+            await this.fail(job, error);
+            return job;
+        }
+
+        job.txHash = tx.hash;
+        job.nonce = tx.nonce ?? null;
+        await this.transition(job, 'broadcast');
+        this.follow(job);
+        return job;
+    }
+
+    /**
+     * Submit one job per item, sending them in order in the background
+     * items are { description, params }; send(params) broadcasts one of them.
+     * Resolves with the batch summary once it is recorded.
+     */
+    async submitBatch({ type, domain, description = '', items, initiator = null }, send) {
+        const batch = {
+            id: randomUUID(),
+            type,
+            domain,
+            description,
+            initiator,
+            items: items.map((item, index) => ({
+                index,
+                description: item.description || '',
+                params: item.params || {},
+                jobId: null,
+                error: null
+            })),
+            createdAt: new Date().toISOString()
+        };
+        this.batches.set(batch.id, batch);
+        this.save();
+
+        this.runBatch(batch, send);
+        return this.batch(batch.id);
+    }
+
+    async runBatch(batch, send) {
+        for (const item of batch.items) {
+            if (this.stopped) return;
+            const job = await this.submit({
+                type: batch.type,
+                domain: batch.domain,
+                description: item.description,
+                params: item.params,
+                batchId: batch.id,
+                initiator: batch.initiator ?? null
+            }, () => send(item.params));
+            item.jobId = job.id;
+            this.save();
+        }
+    }
+
+    /**
+     * A batch with the state of each item and counts per state:
+     * running until every item is confirmed or failed, then completed or
+     * completed_with_errors
+     */
+    batch(id) {
+        const batch = this.batches.get(id);
+        if (!batch) return null;
+
+        const items = batch.items.map((item) => {
+            const job = item.jobId ? this.jobs.get(item.jobId) : null;
+            return {
+                index: item.index,
+                description: item.description,
+                params: item.params,
+                jobId: item.jobId,
+                state: job ? job.state : (item.error ? 'failed' : 'pending'),
+                txHash: job?.txHash ?? null,
+                error: job?.error ?? item.error
+            };
+        });
+        const counts = {};
+        for (const item of items) counts[item.state] = (counts[item.state] || 0) + 1;
+
+        let state = 'running';
+        if (items.every(item => TERMINAL_STATES.includes(item.state))) {
+            state = counts.failed ? 'completed_with_errors' : 'completed';
+        }
+        const { items: _, ...summary } = batch;
+        return { ...summary, state, total: items.length, counts, items };
+    }
+
+    /**
+     * Wait for a broadcast job to be mined and confirmed, then run its handler
+     */
+    async follow(job) {
+        try {
+            const ethersProvider = await this.connect(job.domain);
+            const receipt = await this.mined(ethersProvider, job);
+            if (!receipt) return job;
+
+            // The hash that was mined is the one that counts, even if it was replaced later
+            job.txHash = receipt.transactionHash;
+            job.cancelled = minedCancellation(job, receipt.transactionHash);
+            job.blockNumber = receipt.blockNumber;
+            job.gasUsed = receipt.gasUsed?.toString() ?? null;
+            job.effectiveGasPrice = receipt.effectiveGasPrice?.toString() ?? null;
+            if (job.cancelled) {
+                throw new Error('Transaction cancelled');
+            }
+            if (receipt.status === 0) {
+                throw new Error('Transaction reverted');
+            }
+            await this.transition(job, 'mined');
+
+            while (this.confirmations > 1 && !this.stopped) {
+                const blockNumber = await ethersProvider.getBlockNumber();
+                if (blockNumber - receipt.blockNumber + 1 >= this.confirmations) break;
+                await this.sleep();
+            }
+            if (this.stopped) return job;
+
+            const handler = this.handlers.get(job.type);
+            if (handler) {
+                job.result = (await handler(job, receipt)) ?? null;
+            }
+            await this.transition(job, 'confirmed');
+        } catch (error) {
+            await this.fail(job, error);
+        }
+        return job;
+    }
+
+    /**
+     * Poll for the receipt of any hash the job has had. Resolves null if stopped.
+     */
+    async mined(ethersProvider, job) {
+        while (!this.stopped) {
+            const hashes = [job.txHash, ...job.replaced.map(entry => entry.hash)];
+            for (const hash of hashes) {
+                const receipt = await ethersProvider.getTransactionReceipt(hash);
+                if (receipt) return receipt;
+            }
+            await this.sleep();
+        }
+        return null;
+    }
+
+    sleep() {
+        return new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    /**
+     * Move a broadcast job to the transaction that replaced it at the same nonce
+     * reason is 'speed-up' or 'cancel'
+     */
+    async replace(job, tx, reason = 'speed-up') {
+        if (job.state !== 'broadcast') {
+            throw new Error(`Cannot replace a ${job.state} transaction`);
+        }
+        job.replaced.push({ hash: job.txHash, replacedBy: tx.hash, reason, at: new Date().toISOString() });
+        job.txHash = tx.hash;
+        if (reason === 'cancel') job.cancelled = true;
+        await this.transition(job, 'broadcast');
+        return job;
+    }
+
+    /**
+     * Broadcast jobs whose latest transaction has waited longer than age ms
+     */
+    stuck(age) {
+        const cutoff = Date.now() - age;
+        return this.list({ states: ['broadcast'] }).filter(job => Date.parse(job.updatedAt) < cutoff);
+    }
+
+    /**
+     * Stop following jobs; they are picked up again by resume()
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    async fail(job, error) {
+        console.error(`[tx] ${job.type} job ${job.id} failed:`, error.message);
+        job.error = error.message;
+        await this.transition(job, 'failed');
+    }
+
+    async transition(job, state) {
+        const at = new Date().toISOString();
+        job.state = state;
+        job.updatedAt = at;
+        job.history.push({ state, at });
+        this.save();
+        this.emit('update', job);
+        for (const listener of [...(this.watchers.get(job.id) || [])]) listener(job);
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Call listener(job) each time the job's state changes; returns the function that stops it
+     */
+    watch(id, listener) {
+        if (!this.watchers.has(id)) this.watchers.set(id, new Set());
+        this.watchers.get(id).add(listener);
+        return () => {
+            const listeners = this.watchers.get(id);
+            listeners?.delete(listener);
+            if (listeners?.size === 0) this.watchers.delete(id);
+        };
+    }
+
+    /**
+     * Resolve with a job once it is confirmed or failed. Rejects after timeout ms
+     * (settleTimeout by default, 0 waits for good); the job itself carries on.
+     */
+    settled(id, { timeout = this.settleTimeout } = {}) {
+        return new Promise((resolve, reject) => {
+            const job = this.jobs.get(id);
+            if (!job) return reject(new Error(`Job ${id} not found`));
+            if (TERMINAL_STATES.includes(job.state)) return resolve(job);
+
+            let timer = null;
+            const unwatch = this.watch(id, (update) => {
+                if (!TERMINAL_STATES.includes(update.state)) return;
+                clearTimeout(timer);
+                unwatch();
+                resolve(update);
+            });
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    unwatch();
+                    reject(new Error(`Job ${id} did not settle within ${Math.round(timeout / 1000)}s; it is still ${this.jobs.get(id)?.state}`));
+                }, timeout);
+            }
+        });
+    }
+
+    list({ domain, states } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => (!domain || job.domain === domain) && (!states || states.includes(job.state)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Load saved jobs and pick up the ones still in flight
+     */
+    async resume() {
+        let saved = { jobs: [], batches: [] };
+        try {
+            const data = JSON.parse(await readFile(this.storePath, 'utf8'));
+            // Stores written before batches were added hold just the array of jobs
+            saved = Array.isArray(data) ? { jobs: data, batches: [] } : data;
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('[tx] Could not read saved jobs:', error.message);
+        }
+
+        for (const job of saved.jobs || []) {
+            this.jobs.set(job.id, { replaced: [], cancelled: false, batchId: null, initiator: null, gasUsed: null, effectiveGasPrice: null, ...job });
+        }
+        for (const batch of saved.batches || []) {
+            // Items not yet sent have lost their send function
+            for (const item of batch.items) {
+                if (!item.jobId && !item.error) item.error = 'Host restarted before the item was sent';
+            }
+            this.batches.set(batch.id, batch);
+        }
+        this.prune();
+
+        const pending = [...this.jobs.values()].filter(job => !TERMINAL_STATES.includes(job.state));
+        for (const job of pending) {
+            if (job.txHash) {
+                console.log(`[tx] Resuming ${job.type} job ${job.id} (${job.txHash})`);
+                this.follow(job);
+            } else {
+                await this.fail(job, new Error('Host restarted before the transaction was broadcast'));
+            }
+        }
+        return pending.length;
+    }
+
+    /**
+     * Drop jobs finished, and batches created, more than retention ms ago.
+     * The host calls this on a timer so a long-running store stays bounded.
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - this.retention;
+        let removed = 0;
+        for (const [id, job] of this.jobs) {
+            if (TERMINAL_STATES.includes(job.state) && Date.parse(job.updatedAt) < cutoff) {
+                this.jobs.delete(id);
+                removed++;
+            }
+        }
+        for (const [id, batch] of this.batches) {
+            if (Date.parse(batch.createdAt) < cutoff) {
+                this.batches.delete(id);
+                removed++;
+            }
+        }
+        if (removed) this.save();
+        return removed;
+    }
+
+    /**
+     * Write all jobs to disk after saveDelay ms, replacing the file atomically. Calls made
+     * before that write starts share it; the returned promise resolves once it is written.
+     */
+    save() {
+        if (this.queuedSave) return this.queuedSave;
+        this.queuedSave = this.saving
+            .then(() => new Promise(resolve => setTimeout(resolve, this.saveDelay)))
+            .then(async () => {
+                // Changes from here on belong to the next write
+                this.queuedSave = null;
+                const temp = `${this.storePath}.tmp`;
+                await writeFile(temp, JSON.stringify({
+                    jobs: [...this.jobs.values()],
+                    batches: [...this.batches.values()]
+                }, null, 2));
+                await rename(temp, this.storePath);
+            })
+            .catch(error => console.error('[tx] Could not save jobs:', error.message));
+        this.saving = this.queuedSave;
+        return this.saving;
+    }
+}
+
+// Whether the transaction mined at hash was a cancellation: a cancel, or a replacement
+// made after one, since speeding up a cancel resends the same empty transfer
+function minedCancellation(job, hash) {
+    const index = job.replaced.findIndex(entry => entry.replacedBy === hash);
+    return job.replaced.slice(0, index + 1).some(entry => entry.reason === 'cancel');
+}
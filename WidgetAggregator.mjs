@@ -0,0 +1,112 @@
+import { sanitizeHtml } from './sanitize.mjs';
+
+/**
+ * WidgetAggregator - Collects agent status-page widgets for a domain
+ *
+ * Agents provide public content for the status page by implementing
+ * widget({ domain, config }), returning one of:
+ *   "<p>html</p>" or { html }   an HTML fragment, sanitized before it is served
+ *   { data }                    structured data the status page renders as a list
+ *   null                        no widget
+ * Agents without widget() but with a manifest `widget` URL are rendered in a frame
+ * as before.
+ *
+ * Each call is limited to `timeout` ms and results are cached per domain for
+ * `ttl` ms. A slow or failing agent yields an 'unavailable' placeholder, or its
+ * last good widget marked stale, so it cannot blank the status page.
+ */
+export class WidgetAggregator {
+    constructor(agentManager, { timeout = 3000, ttl = 60000 } = {}) {
+        this.agentManager = agentManager;
+        this.timeout = timeout;
+        this.ttl = ttl;
+        this.cache = new Map();
+    }
+
+    /**
+     * Widgets of the agents enabled on a domain, in the given order of package
+     * names followed by the remaining agents in load order
+     */
+    async collect(domain, order = []) {
+        const agents = [...this.agentManager.agents.entries()]
+            .filter(([, agent]) => this.agentManager.isEnabled(domain, agent.manifest.name));
+        const rank = (agent) => {
+            const index = order.indexOf(agent.manifest.name);
+            return index === -1 ? order.length : index;
+        };
+        agents.sort(([, a], [, b]) => rank(a) - rank(b));
+
+        const widgets = await Promise.all(agents.map(([name, agent]) => this.widgetFor(domain, name, agent)));
+        return widgets.filter(Boolean);
+    }
+
+    async widgetFor(domain, name, agent) {
+        const key = `${domain}|${name}`;
+        const cached = this.cache.get(key);
+        // A reloaded agent is a new record, so its old widget is never served
+        const current = cached?.agent === agent ? cached : null;
+
+        if (current?.pending) return current.pending;
+        if (current && Date.now() < current.expires) return current.widget;
+
+        const pending = this.render(domain, agent).then((widget) => {
+            if (widget && widget.status === 'unavailable' && current?.widget?.status === 'ok') {
+                widget = { ...current.widget, stale: true };
+            }
+            this.cache.set(key, { agent, widget, expires: Date.now() + this.ttl });
+            return widget;
+        });
+        this.cache.set(key, { ...(current || { agent }), pending });
+        return pending;
+    }
+
+    async render(domain, agent) {
+        const { manifest, instance } = agent;
+        const widget = {
+            name: manifest.name,
+            title: manifest.title || manifest.name,
+            version: manifest.version,
+            icon: manifest.icon || null,
+            shortPath: agent.shortPath,
+            description: manifest.description || null,
+            status: 'ok'
+        };
+
+        if (typeof instance.widget !== 'function') {
+            return manifest.widget ? { ...widget, frame: manifest.widget } : { ...widget, html: null };
+        }
+
+        let timer;
+        try {
+            const config = this.agentManager.configFor(domain, manifest);
+            const result = await Promise.race([
+                Promise.resolve().then(() => instance.widget({ domain, config })),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`widget timed out after ${this.timeout}ms`)), this.timeout);
+                })
+            ]);
+
+            if (result === null || result === undefined) {
+                return manifest.widget ? { ...widget, frame: manifest.widget } : { ...widget, html: null };
+            }
+            if (typeof result === 'string') return { ...widget, html: sanitizeHtml(result) };
+            if (typeof result.html === 'string') return { ...widget, html: sanitizeHtml(result.html) };
+            if (result.data !== undefined) return { ...widget, data: JSON.parse(JSON.stringify(result.data)) };
+            throw new Error('widget() must return an HTML string, { html } or { data }');
+        } catch (error) {
+            console.error(`[widgets] ${manifest.name} widget failed for ${domain}:`, error.message);
+            return { ...widget, status: 'unavailable' };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Drop cached widgets for a domain, or for every domain
+     */
+    invalidate(domain) {
+        for (const key of [...this.cache.keys()]) {
+            if (!domain || key.startsWith(`${domain}|`)) this.cache.delete(key);
+        }
+    }
+}
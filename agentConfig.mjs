@@ -0,0 +1,148 @@
+/**
+ * Per-domain agent settings
+ *
+ * An agent declares its settings in epistery.json as a JSON schema:
+ *   "configSchema": {
+ *     "type": "object",
+ *     "properties": {
+ *       "publisherId": { "type": "string", "title": "Publisher ID", "minLength": 1 },
+ *       "retentionDays": { "type": "integer", "minimum": 1, "default": 30 }
+ *     },
+ *     "required": ["publisherId"]
+ *   }
+ * Domain admins override settings per domain; the overrides are stored in the
+ * domain Config under agent_config[packageName]. The resolved config for a domain
+ * is the schema defaults, then the manifest `config`, then the domain overrides.
+ *
+ * Supported keywords: type, properties, required, additionalProperties (boolean),
+ * items, enum, minimum, maximum, minLength, maxLength, pattern, default, title,
+ * description.
+ */
+const TYPES = ['object', 'string', 'number', 'integer', 'boolean', 'array'];
+
+/**
+ * Check a manifest configSchema. Returns an array of error messages.
+ */
+export function validateConfigSchema(schema, path = 'configSchema') {
+    const errors = [];
+    if (!isPlainObject(schema)) {
+        return [`${path} must be an object`];
+    }
+    if (path === 'configSchema' && schema.type !== 'object') {
+        errors.push('configSchema type must be "object"');
+    }
+    if (schema.type !== undefined && !TYPES.includes(schema.type)) {
+        errors.push(`${path}.type "${schema.type}" is not supported`);
+    }
+    if (schema.properties !== undefined) {
+        if (!isPlainObject(schema.properties)) {
+            errors.push(`${path}.properties must be an object`);
+        } else {
+            for (const [key, property] of Object.entries(schema.properties)) {
+                errors.push(...validateConfigSchema(property, `${path}.properties.${key}`));
+            }
+        }
+    }
+    if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(key => typeof key !== 'string'))) {
+        errors.push(`${path}.required must be an array of property names`);
+    }
+    if (schema.items !== undefined) {
+        errors.push(...validateConfigSchema(schema.items, `${path}.items`));
+    }
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+        errors.push(`${path}.enum must be an array`);
+    }
+    if (schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern);
+        } catch (error) {
+            errors.push(`${path}.pattern is not a valid regular expression`);
+        }
+    }
+    if (schema.default !== undefined && schema.type) {
+        errors.push(...validateConfig(schema, schema.default, `${path}.default`));
+    }
+    return errors;
+}
+
+/**
+ * Validate a value against a schema. Returns an array of error messages.
+ */
+export function validateConfig(schema, value, path = 'config') {
+    if (!schema) return [];
+    const errors = [];
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        return [`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push(`${path} must match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateConfig(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateConfig(properties[key], item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not a recognized setting`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * The default values declared in a schema's top-level properties
+ */
+export function schemaDefaults(schema) {
+    const defaults = {};
+    for (const [key, property] of Object.entries(schema?.properties || {})) {
+        if (property?.default !== undefined) defaults[key] = structuredClone(property.default);
+    }
+    return defaults;
+}
+
+/**
+ * Merge schema defaults, the manifest config and a domain's overrides
+ */
+export function resolveConfig(manifest, overrides = {}) {
+    return {
+        ...schemaDefaults(manifest.configSchema),
+        ...(isPlainObject(manifest.config) ? manifest.config : {}),
+        ...(isPlainObject(overrides) ? overrides : {})
+    };
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'object': return isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
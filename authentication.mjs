@@ -1,14 +1,84 @@
 import express from 'express';
 import crypto from 'crypto';
-import dns from 'dns';
-import { promisify } from 'util';
 import { Config } from 'epistery';
+import { hasRpc } from './RpcPool.mjs';
+import { CLAIM_ACTIONS, claimMessage, claimTypedData, recoverClaimSigner, createClaimNonces } from './claimProof.mjs';
+import { createRateLimit } from './rateLimit.mjs';
+import { DEFAULT_VERIFICATION_METHOD, createDomainVerifiers } from './domainVerifiers.mjs';
 
-const resolveTxt = promisify(dns.resolveTxt);
 const APP_NAME = 'epistery';
 
-export function createAuthRouter() {
+// Challenge requests and verification attempts allowed per IP and per domain in each window (ms).
+// Nonces are limited per IP only, so strangers cannot use up a domain's nonces.
+export const CLAIM_LIMITS = {
+    nonce: { ip: { limit: 30, window: 10 * 60 * 1000 } },
+    challenge: { ip: { limit: 10, window: 60 * 60 * 1000 }, domain: { limit: 20, window: 60 * 60 * 1000 } },
+    verify: { ip: { limit: 30, window: 10 * 60 * 1000 }, domain: { limit: 60, window: 10 * 60 * 1000 } }
+};
+
+// Seconds the claim page waits before checking for the published token again
+const VERIFY_RETRY_AFTER = 60;
+
+// Roles and admin checks are answered by the host (see RoleResolver and /api/me).
+// Each claim step is signed by the claiming wallet (see claimProof.mjs). A pending
+// challenge expires challengeTtl ms after it was first issued (reissuing the token keeps
+// that time), when anyone may request a new one; the claimant or one of the host's
+// operators (addresses) can reset it sooner.
+// Throttled requests are answered 429 with Retry-After, as are verifications worth retrying (404, 503).
+// The claimant proves control of the domain by any of the verifiers (see domainVerifiers.mjs).
+export function createAuthRouter({ events = null, nonceTtl, challengeTtl = 24 * 60 * 60 * 1000, limits = CLAIM_LIMITS, operators = [], verifiers = createDomainVerifiers() } = {}) {
     const router = express.Router();
+    const nonces = createClaimNonces({ ttl: nonceTtl });
+    const operatorAddresses = operators.map(address => address.toLowerCase());
+    const limiters = Object.fromEntries(Object.entries({ ...CLAIM_LIMITS, ...limits }).map(([step, scopes]) =>
+        [step, Object.fromEntries(Object.entries(scopes).map(([scope, limit]) => [scope, createRateLimit(limit)]))]));
+
+    // Count an attempt at step against scope, the caller's 'ip' or the 'domain', where the
+    // step limits it. Domain attempts are counted once the caller has proved their address,
+    // so strangers cannot use up a domain's budget. Over the limit, answers 429 and returns true.
+    function throttled(step, scope, req, res, domain) {
+        const result = limiters[step][scope]?.hit(scope === 'ip' ? req.ip : domain);
+        if (!result || result.allowed) return false;
+
+        const { retryAfter } = result;
+        console.warn(`[claim] Throttled ${step} for ${domain} from ${req.ip}`);
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ status: 'error', message: `Too many claim attempts; try again in ${retryAfter} seconds`, retryAfter });
+        return true;
+    }
+
+    // When the domain's pending challenge expires, in ms; challenges without a creation time have expired
+    function challengeExpiresAt(data) {
+        const created = Date.parse(data.challenge_created);
+        return Number.isNaN(created) ? 0 : created + challengeTtl;
+    }
+
+    function hasLiveChallenge(data) {
+        return Boolean(data && data.pending && data.challenge_token && challengeExpiresAt(data) > Date.now());
+    }
+
+    function clearChallenge(data) {
+        delete data.pending;
+        delete data.challenge_token;
+        delete data.challenge_address;
+        delete data.challenge_created;
+        delete data.challenge_requester_ip;
+    }
+
+    // The error message for a missing or invalid proof, or null when address signed the step
+    function checkProof(domain, address, action, challenge, { nonce, signature, signatureType = 'eip191' }) {
+        if (!nonce || !signature) {
+            return 'A signed claim proof (nonce and signature) is required';
+        }
+        if (!nonces.consume(domain, address, action, nonce)) {
+            return 'Claim nonce is unknown, used or expired; request a new one';
+        }
+        const signer = recoverClaimSigner({ action, domain, address, challenge, nonce }, signature, signatureType);
+        if (!signer || signer.toLowerCase() !== address.toLowerCase()) {
+            return 'Signature does not match the claiming address';
+        }
+        return null;
+    }
 
     /**
      * Check if there's a pending challenge for the domain
@@ -27,11 +97,17 @@ export function createAuthRouter() {
                 return res.status(400).json({ status: 'error', message: 'Domain already claimed' });
             }
 
-            // Return existing challenge if one exists
-            if (config.data && config.data.pending && config.data.challenge_token) {
+            // Return existing challenge if one exists; an expired one no longer holds the domain
+            if (hasLiveChallenge(config.data)) {
                 return res.json({
                     challenge_token: config.data.challenge_token,
-                    challenge_address: config.data.challenge_address
+                    challenge_address: config.data.challenge_address,
+                    challenge_expires_at: new Date(challengeExpiresAt(config.data)).toISOString(),
+                    methods: Object.entries(verifiers).map(([method, verifier]) => ({
+                        method,
+                        label: verifier.label,
+                        ...verifier.record(domain, config.data.challenge_token)
+                    }))
                 });
             }
 
@@ -42,8 +118,58 @@ export function createAuthRouter() {
         }
     });
 
+    /**
+     * Issue a nonce for the next claim step, with what the wallet should sign.
+     * Body: { clientAddress, action: 'request' | 'verify' | 'reset' }
+     */
+    router.post("/account/claim/nonce", async (req, res) => {
+        try {
+            const domain = req.hostname;
+            if (!domain) {
+                return res.status(400).json({ status: 'error', message: 'Domain not found' });
+            }
+
+            if (throttled('nonce', 'ip', req, res, domain)) return;
+
+            const { clientAddress, action = 'request' } = req.body;
+            if (!clientAddress || !/^0x[0-9a-fA-F]{40}$/.test(clientAddress)) {
+                return res.status(400).json({ status: 'error', message: 'Client address required in request body' });
+            }
+            if (!CLAIM_ACTIONS.includes(action)) {
+                return res.status(400).json({ status: 'error', message: `action must be one of ${CLAIM_ACTIONS.join(', ')}` });
+            }
+
+            const config = new Config();
+            config.setPath(domain);
+
+            if (config.data && config.data.verified) {
+                return res.status(400).json({ status: 'error', message: 'Domain already claimed' });
+            }
+
+            let challenge = '';
+            if (action !== 'request') {
+                if (!config.data.pending) {
+                    return res.status(400).json({ status: 'error', message: 'No pending claim for this domain' });
+                }
+                if (action === 'verify' && !hasLiveChallenge(config.data)) {
+                    return res.status(410).json({ status: 'error', message: 'Challenge expired; request a new one', expired: true });
+                }
+                challenge = config.data.challenge_token;
+            }
+
+            const { nonce, expiresAt } = nonces.issue(domain, clientAddress, action);
+            const fields = { action, domain, address: clientAddress, challenge, nonce };
+            res.json({ nonce, expiresAt, message: claimMessage(fields), typedData: claimTypedData(fields) });
+        } catch (error) {
+            console.error('Claim nonce error:', error);
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
     /**
      * Generate a challenge token for domain claiming
+     * Body: { clientAddress, provider, nonce, signature, signatureType, reissue }, signed for action 'request'.
+     * The claimant's live challenge is returned again unless reissue asks for a new token.
      */
     router.post("/account/claim", async (req, res) => {
         try {
@@ -51,6 +177,7 @@ export function createAuthRouter() {
             if (!domain) {
                 return res.status(400).json({ status: 'error', message: 'Domain not found' });
             }
+            if (throttled('challenge', 'ip', req, res, domain)) return;
 
             // Validate request origin
             const origin = req.get('origin') || req.get('referer');
@@ -67,7 +194,7 @@ export function createAuthRouter() {
             }
 
             const providerConfig = req.body.provider;
-            if (!providerConfig || !providerConfig.name || !providerConfig.chainId || !providerConfig.rpc) {
+            if (!providerConfig || !providerConfig.name || !providerConfig.chainId || !hasRpc(providerConfig)) {
                 return res.status(400).json({ status: 'error', message: 'Invalid provider configuration' });
             }
 
@@ -78,19 +205,42 @@ export function createAuthRouter() {
                 return res.status(400).json({ status: 'error', message: 'Domain already claimed' });
             }
 
+            const normalizedClientAddress = clientAddress.toLowerCase();
+            const pending = hasLiveChallenge(config.data);
+            if (pending && config.data.challenge_address !== normalizedClientAddress) {
+                const expiresAt = challengeExpiresAt(config.data);
+                const retryAfter = Math.ceil((expiresAt - Date.now()) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(409).json({
+                    status: 'error',
+                    message: 'Another address has a pending claim for this domain',
+                    expiresAt: new Date(expiresAt).toISOString(),
+                    retryAfter
+                });
+            }
+
+            const proofError = checkProof(domain, normalizedClientAddress, 'request', '', req.body);
+            if (proofError) {
+                return res.status(401).json({ status: 'error', message: proofError });
+            }
+            if (throttled('challenge', 'domain', req, res, domain)) return;
+
             // Return existing challenge if one already exists (idempotent)
-            if (config.data && config.data.pending && config.data.challenge_token) {
+            if (pending && !req.body.reissue) {
                 return res.send(config.data.challenge_token);
             }
+            if (config.data.pending) {
+                console.log(`[claim] Replacing ${pending ? 'the' : 'an expired'} challenge for ${domain}`);
+            }
 
             const challengeToken = crypto.randomBytes(32).toString('hex');
-            const normalizedClientAddress = clientAddress.toLowerCase();
 
             // Save to domain config
             config.data.pending = true;
             config.data.challenge_token = challengeToken;
             config.data.challenge_address = normalizedClientAddress;
-            config.data.challenge_created = new Date().toISOString();
+            // A reissue keeps the first creation time, so reissuing cannot hold the domain past its expiry
+            if (!pending) config.data.challenge_created = new Date().toISOString();
             config.data.challenge_requester_ip = req.ip;
             config.data.provider = providerConfig;
 
@@ -106,14 +256,16 @@ export function createAuthRouter() {
     });
 
     /**
-     * Verify domain ownership via DNS TXT record
+     * Verify domain ownership by the chosen method (default the domain's TXT record)
+     * Body: { address, method, nonce, signature, signatureType }, signed for action 'verify' over the challenge token
      */
-    router.get("/claim", async (req, res) => {
+    router.post("/claim", async (req, res) => {
         try {
             const domain = req.hostname;
             if (!domain) {
                 return res.status(400).json({ status: 'error', message: 'Domain not found' });
             }
+            if (throttled('verify', 'ip', req, res, domain)) return;
 
             const config = new Config();
             config.setPath(domain);
@@ -121,8 +273,11 @@ export function createAuthRouter() {
             if (!config.data.pending) {
                 return res.status(400).json({ status: 'error', message: 'No pending claim for this domain' });
             }
+            if (!hasLiveChallenge(config.data)) {
+                return res.status(410).json({ status: 'error', message: 'Challenge expired; request a new one', expired: true });
+            }
 
-            const clientAddress = req.query.address;
+            const clientAddress = req.body?.address;
             console.log(`[debug] Verification attempt for domain: ${domain}`);
             console.log(`[debug] Client address: ${clientAddress}`);
             console.log(`[debug] Stored challenge address: ${config.data.challenge_address}`);
@@ -136,11 +291,30 @@ export function createAuthRouter() {
                 return res.status(403).json({ status: 'error', message: 'Only the original requester can complete the claim' });
             }
 
-            const records = await resolveTxt(domain);
-            const txtRecord = records.flat().find(record => record === config.data.challenge_token);
+            const method = req.body.method || DEFAULT_VERIFICATION_METHOD;
+            const verifier = Object.hasOwn(verifiers, method) ? verifiers[method] : null;
+            if (!verifier) {
+                return res.status(400).json({ status: 'error', message: `Unknown verification method: ${method}` });
+            }
+
+            const proofError = checkProof(domain, clientAddress, 'verify', config.data.challenge_token, req.body);
+            if (proofError) {
+                return res.status(401).json({ status: 'error', message: proofError });
+            }
+            if (throttled('verify', 'domain', req, res, domain)) return;
+
+            // A missing record may still be propagating; the claim page retries after Retry-After
+            let verified;
+            try {
+                verified = await verifier.verify(domain, config.data.challenge_token);
+            } catch (error) {
+                res.set('Retry-After', String(VERIFY_RETRY_AFTER));
+                return res.status(503).json({ status: 'error', message: `${verifier.label} lookup failed (${error.code || error.message})`, retryAfter: VERIFY_RETRY_AFTER });
+            }
 
-            if (!txtRecord) {
-                return res.status(400).json({ status: 'error', message: 'DNS TXT record not found or incorrect' });
+            if (!verified) {
+                res.set('Retry-After', String(VERIFY_RETRY_AFTER));
+                return res.status(404).json({ status: 'error', message: `${verifier.label} not found or incorrect`, retryAfter: VERIFY_RETRY_AFTER });
             }
 
             console.log(`[debug] Domain claim completed: ${domain} by ${clientAddress} from ${req.ip}`);
@@ -149,11 +323,10 @@ export function createAuthRouter() {
             config.data.admin_address = clientAddress.toLowerCase();
             config.data.claimed_at = new Date().toISOString();
             config.data.verified_from_ip = req.ip;
-            delete config.data.pending;
-            delete config.data.challenge_token;
-            delete config.data.challenge_address;
-            delete config.data.challenge_requester_ip;
+            config.data.verification_method = method;
+            clearChallenge(config.data);
             config.save();
+            events?.publish('domain.claimed', domain, { address: config.data.admin_address });
 
             res.json({ status: 'success', message: 'Domain claimed successfully' });
         } catch (error) {
@@ -163,62 +336,46 @@ export function createAuthRouter() {
     });
 
     /**
-     * Check if user is an administrator
-     * Uses epistery 1.3.0 whitelist system with fallback to sponsor
+     * Reset a pending claim so the domain can be claimed afresh
+     * Body: { address, nonce, signature, signatureType }, signed for action 'reset' by one
+     * of the host's operators or by the claimant
      */
-    router.post("/api/check-admin", async (req, res) => {
+    router.post("/account/claim/reset", async (req, res) => {
         try {
             const domain = req.hostname;
-            const address = req.body.address;
-
-            if (!address) {
-                return res.json({ isAdmin: false });
+            if (!domain) {
+                return res.status(400).json({ status: 'error', message: 'Domain not found' });
             }
 
             const config = new Config();
             config.setPath(domain);
 
-            if (!config.data || !config.data.verified) {
-                return res.json({ isAdmin: false });
+            if (config.data && config.data.verified) {
+                return res.status(400).json({ status: 'error', message: 'Domain already claimed' });
+            }
+            if (!config.data.pending) {
+                return res.status(400).json({ status: 'error', message: 'No pending claim for this domain' });
             }
 
-            // Use epistery instance from app.locals if available
-            const epistery = req.app.locals?.epistery;
-            if (!epistery) {
-                // Fallback to old admin_address check if epistery not available
-                const isAdmin = config.data.admin_address &&
-                    address.toLowerCase() === config.data.admin_address.toLowerCase();
-                return res.json({ isAdmin });
+            const address = req.body?.address?.toLowerCase();
+            const operator = operatorAddresses.includes(address);
+            if (!address || (!operator && address !== config.data.challenge_address)) {
+                return res.status(403).json({ status: 'error', message: 'Only a host operator or the claimant can reset a pending claim' });
             }
 
-            // Primary: Check if address is on the epistery::admin list
-            try {
-                const isOnAdminList = await epistery.isListed(address, 'epistery::admin');
-                if (isOnAdminList) {
-                    return res.json({ isAdmin: true });
-                }
+            const proofError = checkProof(domain, address, 'reset', config.data.challenge_token, req.body);
+            if (proofError) {
+                return res.status(401).json({ status: 'error', message: proofError });
+            }
 
-                // Fallback: If no one is on admin list, check if user is the sponsor
-                const adminList = await epistery.getList('epistery::admin');
-                if (!adminList || adminList.length === 0) {
-                    // No admins exist, check if user is the contract sponsor
-                    const sponsor = await epistery.getSponsor();
-                    const isSponsor = sponsor && address.toLowerCase() === sponsor.toLowerCase();
-                    return res.json({ isAdmin: isSponsor });
-                }
+            console.log(`[claim] Pending claim for ${domain} by ${config.data.challenge_address} reset by ${operator ? 'operator' : 'claimant'} ${address}`);
+            clearChallenge(config.data);
+            config.save();
 
-                // User is not admin
-                return res.json({ isAdmin: false });
-            } catch (error) {
-                console.error('[epistery-host] Admin check error:', error);
-                // On error, fallback to old admin_address check
-                const isAdmin = config.data.admin_address &&
-                    address.toLowerCase() === config.data.admin_address.toLowerCase();
-                return res.json({ isAdmin });
-            }
+            res.json({ status: 'success', message: 'Pending claim reset' });
         } catch (error) {
-            console.error('Admin check error:', error);
-            res.json({ isAdmin: false });
+            console.error('Claim reset error:', error);
+            res.status(500).json({ status: 'error', message: error.message });
         }
     });
 
@@ -0,0 +1,147 @@
+/**
+ * Authorization for host routes
+ *
+ * Each route that needs a caller declares the least role it accepts with
+ * authorize(role). Roles rank member < admin < owner; how a caller gets one is
+ * up to RoleResolver.
+ *
+ * The caller is the authenticated rivet (req.episteryClient). A request without
+ * one is answered 401, and one whose role is too low 403, both as JSON:
+ *   { error, required, role }
+ * On success the caller's role is left on req.role.
+ *
+ * The host supplies roleOf(domain, address) => role name, or null for none.
+ *
+ * Routes that write list entries also pass authorizeListWrite: a caller writes
+ * only the domain's lists and never grants an entry role above their own.
+ *
+ * Routes acting on the whole host (loading agents, host-wide diagnostics) are
+ * not for any domain's roles; they take authorizeOperator instead.
+ */
+import { hasOperatorToken } from './health.mjs';
+
+export const ROLES = ['member', 'admin', 'owner'];
+
+export class AuthorizationError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'AuthorizationError';
+        this.status = status;
+    }
+}
+
+/**
+ * True when role is at least required
+ */
+export function hasRole(role, required) {
+    return ROLES.indexOf(role) >= 0 && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Build the authorize(role) middleware factory around the host's role lookup
+ */
+export function createAuthorize(roleOf) {
+    return function authorize(required) {
+        if (!ROLES.includes(required)) {
+            throw new Error(`Unknown role "${required}", expected one of ${ROLES.join(', ')}`);
+        }
+        return async function (req, res, next) {
+            try {
+                const address = req.episteryClient?.address;
+                if (!address) {
+                    return res.status(401).json({ error: 'Not authenticated', required, role: null });
+                }
+
+                const role = await roleOf(req.hostname || 'localhost', address);
+                if (!hasRole(role, required)) {
+                    return res.status(403).json({ error: 'Not authorized', required, role: role || null });
+                }
+                req.role = role;
+                next();
+            } catch (error) {
+                console.error('[authorize] Error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        };
+    };
+}
+
+/**
+ * Middleware admitting the host's operators: a request carrying the operator
+ * token as a bearer token, or an authenticated rivet among the operator
+ * addresses. Others are answered 401 or 403 like authorize().
+ */
+export function authorizeOperator({ token = null, addresses = [] } = {}) {
+    const operators = addresses.map(address => address.toLowerCase());
+    return function (req, res, next) {
+        if (hasOperatorToken(req, token)) return next();
+        const address = req.episteryClient?.address;
+        if (!address) {
+            return res.status(401).json({ error: 'Not authenticated', required: 'operator', role: null });
+        }
+        if (!operators.includes(address.toLowerCase())) {
+            return res.status(403).json({ error: 'Not authorized', required: 'operator', role: null });
+        }
+        next();
+    };
+}
+
+/**
+ * Check that a caller with role may write entries with entryRoles (contract entry
+ * roles 0-4) to listName on domain; throws an AuthorizationError when not.
+ *   epistery::* lists   only the owner writes them (epistery::admin makes admins)
+ *   <other>::* lists    belong to another domain sharing the contract; never
+ *   entry roles         at most the caller's own: member 2, admin 3, owner 4
+ */
+export function checkListWrite(role, domain, listName, entryRoles = []) {
+    if (typeof listName !== 'string' || !listName) {
+        throw new AuthorizationError('A list name is required', 400);
+    }
+    const scope = listName.includes('::') ? listName.slice(0, listName.indexOf('::')) : null;
+    if (scope === 'epistery' && !hasRole(role, 'owner')) {
+        throw new AuthorizationError(`Only the owner can write ${listName}`);
+    }
+    if (scope && scope !== 'epistery' && scope !== domain) {
+        throw new AuthorizationError(`${listName} is not one of this domain's lists`);
+    }
+    const ceiling = ROLES.indexOf(role) + 2;
+    const above = entryRoles.find(entryRole => Number(entryRole) > ceiling);
+    if (above !== undefined) {
+        throw new AuthorizationError(`Role ${above} is above the caller's own (${role || 'none'})`);
+    }
+}
+
+/**
+ * Middleware for routes that write list entries, after authorize(). target(req)
+ * => { listName, roles } names the list and the entry roles the request writes.
+ * Refused writes are answered 403 as JSON: { error, role }.
+ */
+export function authorizeListWrite(target) {
+    return function (req, res, next) {
+        try {
+            const { listName, roles = [] } = target(req);
+            checkListWrite(req.role, req.hostname || 'localhost', listName, roles);
+            next();
+        } catch (error) {
+            if (!(error instanceof AuthorizationError)) console.error('[authorize] Error:', error);
+            res.status(error.status || 500).json({ error: error.message, role: req.role || null });
+        }
+    };
+}
+
+/**
+ * The contract a domain's writes go to. A caller may name one, but only the
+ * domain's configured contract (or, with pending, the one awaiting
+ * initialization); anything else throws an AuthorizationError.
+ * Returns null when the domain has no contract.
+ */
+export function ownContract(data, requested, { pending = false } = {}) {
+    const configured = data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS || null;
+    const own = pending ? [data?.agent_contract_pending, configured].filter(Boolean) : [configured].filter(Boolean);
+    if (!requested) return own[0] || null;
+    const match = own.find(address => address.toLowerCase() === requested.toLowerCase());
+    if (!match) {
+        throw new AuthorizationError(`Contract ${requested} is not this domain's contract`);
+    }
+    return match;
+}
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ethers = require('ethers');
+
+/**
+ * Signed proof of a domain claim
+ *
+ * Each claim step (action 'request' to create the challenge, 'verify' to finish
+ * the claim, 'reset' to clear a pending one) must be signed by the wallet taking it over:
+ *   domain, address, challenge (the stored token; empty before one exists) and a nonce
+ * The nonce is issued by the host for that domain, address and action, expires
+ * after its ttl and is spent by the first attempt that uses it.
+ *
+ * Either signature form is accepted:
+ *   eip191  personal_sign of claimMessage(fields)
+ *   eip712  signTypedData of claimTypedData(fields)
+ */
+export const CLAIM_ACTIONS = ['request', 'verify', 'reset'];
+
+const TYPED_DOMAIN = { name: 'Epistery Domain Claim', version: '1' };
+const TYPES = {
+    DomainClaim: [
+        { name: 'action', type: 'string' },
+        { name: 'domain', type: 'string' },
+        { name: 'address', type: 'address' },
+        { name: 'challenge', type: 'string' },
+        { name: 'nonce', type: 'string' }
+    ]
+};
+
+function claimFields({ action, domain, address, challenge, nonce }) {
+    return { action, domain, address: address.toLowerCase(), challenge: challenge || '', nonce };
+}
+
+/**
+ * The text signed for an EIP-191 proof
+ */
+export function claimMessage(fields) {
+    const { action, domain, address, challenge, nonce } = claimFields(fields);
+    return [
+        `Epistery domain claim: ${action}`,
+        `Domain: ${domain}`,
+        `Address: ${address}`,
+        `Challenge: ${challenge || '(new)'}`,
+        `Nonce: ${nonce}`
+    ].join('\n');
+}
+
+/**
+ * The { domain, types, value } signed for an EIP-712 proof
+ */
+export function claimTypedData(fields) {
+    return { domain: TYPED_DOMAIN, types: TYPES, value: claimFields(fields) };
+}
+
+/**
+ * The address that signed the claim fields, or null when the signature is malformed
+ */
+export function recoverClaimSigner(fields, signature, signatureType = 'eip191') {
+    try {
+        if (signatureType === 'eip712') {
+            const { domain, types, value } = claimTypedData(fields);
+            return ethers.utils.verifyTypedData(domain, types, value, signature);
+        }
+        if (signatureType === 'eip191') {
+            return ethers.utils.verifyMessage(claimMessage(fields), signature);
+        }
+        return null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Single-use nonces per domain, address and action, kept in memory. At most
+ * maxSize are held; past that, expired nonces go first and then the oldest.
+ */
+export function createClaimNonces({ ttl = 10 * 60 * 1000, maxSize = 10000 } = {}) {
+    const nonces = new Map();
+    const key = (domain, address, action) => `${domain}|${address.toLowerCase()}|${action}`;
+
+    const prune = (now) => {
+        for (const [entryKey, entry] of nonces) {
+            if (entry.expiresAt <= now) nonces.delete(entryKey);
+        }
+    };
+
+    return {
+        issue(domain, address, action) {
+            const now = Date.now();
+            const entryKey = key(domain, address, action);
+            nonces.delete(entryKey);
+            if (nonces.size >= maxSize) prune(now);
+            // Keys are kept in the order issued, so the first is the oldest
+            while (nonces.size >= maxSize) nonces.delete(nonces.keys().next().value);
+            const entry = { nonce: crypto.randomBytes(16).toString('hex'), expiresAt: now + ttl };
+            nonces.set(entryKey, entry);
+            return { nonce: entry.nonce, expiresAt: new Date(entry.expiresAt).toISOString() };
+        },
+
+        get size() {
+            return nonces.size;
+        },
+
+        // True when nonce is the live one for the domain, address and action; it is spent either way
+        consume(domain, address, action, nonce) {
+            const entryKey = key(domain, address, action);
+            const entry = nonces.get(entryKey);
+            nonces.delete(entryKey);
+            return Boolean(entry && nonce && entry.nonce === nonce && entry.expiresAt > Date.now());
+        }
+    };
+}
@@ -0,0 +1,152 @@
+import { createRequire } from 'module';
+import { feeOverrides } from './fees.mjs';
+
+const require = createRequire(import.meta.url);
+const ethers = require('ethers');
+
+/**
+ * Cost preview for a contract write before it is sent
+ *
+ * The transaction is run as a static call from the sending wallet and its gas is
+ * estimated against the live contract, then priced with the domain's fee policy:
+ *   expected  gas at the current base fee plus the policy's priority fee
+ *             (the gas price for legacy chains)
+ *   max       gas at the policy's maxFeePerGas, the most the sender can be charged
+ * A call that would revert comes back with success false and its revert reason,
+ * so it can be caught before it costs gas.
+ */
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_CODES = {
+    0x01: 'Assertion failed',
+    0x11: 'Arithmetic overflow or underflow',
+    0x12: 'Division by zero',
+    0x21: 'Invalid enum value',
+    0x31: 'Pop from an empty array',
+    0x32: 'Array index out of bounds',
+    0x41: 'Out of memory',
+    0x51: 'Call to an uninitialized function'
+};
+
+/**
+ * Preview tx (populated: { to, data, value }, no `to` for a deployment) sent from `from`
+ * iface decodes the contract's custom errors in revert reasons.
+ */
+export async function previewTransaction(ethersProvider, provider, tx, { from, iface = null } = {}) {
+    const request = { ...tx, from };
+    const [balance, fees, feeData] = await Promise.all([
+        ethersProvider.getBalance(from),
+        feeOverrides(ethersProvider, provider),
+        ethersProvider.getFeeData()
+    ]);
+    const preview = {
+        from,
+        success: true,
+        revertReason: null,
+        gasLimit: null,
+        currencySymbol: provider?.nativeCurrencySymbol || 'POL',
+        balance: ethers.utils.formatEther(balance),
+        fee: null,
+        affordable: null
+    };
+
+    let gasLimit;
+    try {
+        // A deployment has nothing to call; estimateGas still runs its constructor.
+        // ethers v5 hands back a call's revert data as its result instead of throwing.
+        if (request.to) {
+            const result = await ethersProvider.call(request);
+            if (isRevertData(result, iface)) {
+                return { ...preview, success: false, revertReason: revertReason({ data: result }, iface) };
+            }
+        }
+        gasLimit = await ethersProvider.estimateGas(request);
+    } catch (error) {
+        const reason = revertReason(error, iface);
+        if (reason === null) throw error;
+        return { ...preview, success: false, revertReason: reason };
+    }
+
+    const maxPrice = fees.maxFeePerGas || fees.gasPrice;
+    let expectedPrice = fees.gasPrice;
+    if (fees.maxFeePerGas) {
+        expectedPrice = feeData.lastBaseFeePerGas ? feeData.lastBaseFeePerGas.add(fees.maxPriorityFeePerGas) : maxPrice;
+        if (expectedPrice.gt(maxPrice)) expectedPrice = maxPrice;
+    }
+    const value = ethers.BigNumber.from(tx.value || 0);
+    const max = gasLimit.mul(maxPrice);
+
+    return {
+        ...preview,
+        gasLimit: gasLimit.toString(),
+        fee: {
+            expected: ethers.utils.formatEther(gasLimit.mul(expectedPrice)),
+            max: ethers.utils.formatEther(max),
+            maxFeePerGasGwei: ethers.utils.formatUnits(maxPrice, 'gwei')
+        },
+        affordable: balance.gte(max.add(value))
+    };
+}
+
+/**
+ * The revert reason in a failed call or estimate, or null when the error is not a revert
+ * (a network failure, for instance)
+ */
+export function revertReason(error, iface = null) {
+    const data = revertData(error);
+    if (data) {
+        if (data.startsWith(ERROR_SELECTOR)) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+        }
+        if (data.startsWith(PANIC_SELECTOR)) {
+            const code = ethers.BigNumber.from('0x' + data.slice(10)).toNumber();
+            return PANIC_CODES[code] || `Panic 0x${code.toString(16)}`;
+        }
+        if (iface && data.length >= 10) {
+            try {
+                const parsed = iface.parseError(data);
+                return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+            } catch (parseError) {
+                // Not one of the contract's errors
+            }
+        }
+        if (data === '0x') return 'Reverted without a reason';
+        return `Reverted with data ${data}`;
+    }
+    if (typeof error?.reason === 'string' && error.code === 'CALL_EXCEPTION') return error.reason;
+    if (error?.code === 'UNPREDICTABLE_GAS_LIMIT' || /revert/i.test(error?.message || '')) {
+        const match = /reverted with reason string '([^']*)'|execution reverted: ([^"\n]*)/.exec(nestedMessages(error));
+        return match ? (match[1] ?? match[2]).trim() : 'Execution reverted';
+    }
+    return null;
+}
+
+function isRevertData(result, iface) {
+    if (typeof result !== 'string' || ethers.utils.hexDataLength(result) % 32 !== 4) return false;
+    if (result.startsWith(ERROR_SELECTOR) || result.startsWith(PANIC_SELECTOR)) return true;
+    try {
+        return Boolean(iface?.parseError(result));
+    } catch (error) {
+        return false;
+    }
+}
+
+// ethers v5 nests the node's JSON-RPC error under error.error (sometimes twice)
+function revertData(error) {
+    for (let current = error; current; current = current.error) {
+        if (typeof current.data === 'string' && current.data.startsWith('0x')) return current.data;
+        if (typeof current.data?.data === 'string') return current.data.data;
+    }
+    return null;
+}
+
+function nestedMessages(error) {
+    const messages = [];
+    for (let current = error; current; current = current.error) {
+        if (typeof current.reason === 'string') messages.push(current.reason);
+        if (current.message) messages.push(current.message);
+        if (typeof current.body === 'string') messages.push(current.body);
+    }
+    return messages.join('\n');
+}
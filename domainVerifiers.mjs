@@ -0,0 +1,131 @@
+import dns from 'dns';
+
+/**
+ * Ways to prove control of a domain for a claim
+ *
+ * Each verifier publishes the claim's challenge token somewhere only the domain's
+ * owner can write, and checks for it:
+ *   txt            TXT record on the domain itself (the original method)
+ *   txt-subdomain  TXT record on _epistery.<domain>, for zones that limit apex TXT records
+ *   http           the token in https://<parent>/.well-known/epistery-claim.txt, where the
+ *                  parent site is the domain less its first label (epistery.example.com => example.com);
+ *                  redirects are not followed, and only the first maxBytes of the file are read
+ *   cname          CNAME from _epistery.<domain> to <token, split in two labels>.<domain>
+ *
+ * A verifier is { label, record(domain, token), verify(domain, token) }. record() says what
+ * to publish as { type, name, value }. verify() resolves true when the token is there and
+ * false when it is not (yet); a lookup that fails for another reason throws.
+ *
+ * DNS goes through the resolver given (a dns.promises.Resolver by default, see
+ * createClaimResolver) and HTTP through fetch, so the claim flow can run against
+ * local stand-ins.
+ */
+export const DEFAULT_VERIFICATION_METHOD = 'txt';
+
+const WELL_KNOWN_PATH = '/.well-known/epistery-claim.txt';
+const ABSENT_CODES = ['ENODATA', 'ENOTFOUND'];
+
+/**
+ * A DNS resolver for claim lookups; servers (host or host:port) replace the system's
+ */
+export function createClaimResolver(servers = []) {
+    const resolver = new dns.promises.Resolver();
+    if (servers.length > 0) resolver.setServers(servers);
+    return resolver;
+}
+
+export function createDomainVerifiers({ resolver = createClaimResolver(), fetch = globalThis.fetch, timeout = 10000, maxBytes = 16384 } = {}) {
+    // The records at name, or [] when it has none of that type
+    async function lookup(method, name) {
+        try {
+            return await resolver[method](name);
+        } catch (error) {
+            if (ABSENT_CODES.includes(error.code)) return [];
+            throw error;
+        }
+    }
+
+    const hasTxt = async (name, token) => (await lookup('resolveTxt', name)).flat().includes(token);
+
+    return {
+        'txt': {
+            label: 'TXT record',
+            record: (domain, token) => ({ type: 'TXT', name: domain, value: token }),
+            verify: (domain, token) => hasTxt(domain, token)
+        },
+
+        'txt-subdomain': {
+            label: 'TXT record on _epistery',
+            record: (domain, token) => ({ type: 'TXT', name: `_epistery.${domain}`, value: token }),
+            verify: (domain, token) => hasTxt(`_epistery.${domain}`, token)
+        },
+
+        'http': {
+            label: 'File on the parent site',
+            record: (domain, token) => ({ type: 'HTTP', name: `https://${parentDomain(domain)}${WELL_KNOWN_PATH}`, value: token }),
+            async verify(domain, token) {
+                const response = await fetch(`https://${parentDomain(domain)}${WELL_KNOWN_PATH}`, {
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(timeout)
+                });
+                // The file must be served by the parent site itself, not wherever it points
+                if (response.status === 404 || (response.status >= 300 && response.status < 400)) {
+                    await response.body?.cancel();
+                    return false;
+                }
+                if (!response.ok) throw new Error(`HTTP ${response.status} from ${parentDomain(domain)}`);
+                // One token per line, so a parent can vouch for several subdomains
+                return (await readLines(response, maxBytes)).map(line => line.trim()).includes(token);
+            }
+        },
+
+        'cname': {
+            label: 'CNAME record',
+            record: (domain, token) => ({ type: 'CNAME', name: `_epistery.${domain}`, value: cnameTarget(domain, token) }),
+            async verify(domain, token) {
+                const targets = await lookup('resolveCname', `_epistery.${domain}`);
+                const expected = cnameTarget(domain, token);
+                return targets.some(target => target.replace(/\.$/, '').toLowerCase() === expected);
+            }
+        }
+    };
+}
+
+/**
+ * The complete lines in the first maxBytes of a response body; the rest is not read
+ */
+async function readLines(response, maxBytes) {
+    if (!response.body) return [];
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    while (!done && size < maxBytes) {
+        const chunk = await reader.read();
+        done = chunk.done;
+        if (chunk.value) {
+            chunks.push(chunk.value);
+            size += chunk.value.length;
+        }
+    }
+    if (!done) await reader.cancel();
+
+    const lines = Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8').split(/\r?\n/);
+    // A body cut short ends in part of a line
+    if (!done || size > maxBytes) lines.pop();
+    return lines;
+}
+
+/**
+ * The site one level up from domain; a two-label domain is its own parent
+ */
+export function parentDomain(domain) {
+    const labels = domain.split('.');
+    return labels.length > 2 ? labels.slice(1).join('.') : domain;
+}
+
+// DNS labels hold at most 63 characters, so the 64-character token is split in two
+function cnameTarget(domain, token) {
+    const half = Math.ceil(token.length / 2);
+    return `${token.slice(0, half)}.${token.slice(half)}.${domain}`.toLowerCase();
+}
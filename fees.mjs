@@ -0,0 +1,134 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ethers = require('ethers');
+
+/**
+ * Fee policies for contract writes, keyed by chainId
+ *
+ * A policy decides how gas is priced for every transaction the host sends and
+ * every cost it estimates:
+ *   mode               'eip1559', 'legacy', or 'auto' (EIP-1559 when the network reports it)
+ *   bufferPercent      applied to the network's suggested fees (120 = +20%)
+ *   minPriorityFeeGwei floor for maxPriorityFeePerGas
+ *   minMaxFeeGwei      floor for maxFeePerGas
+ *   minGasPriceGwei    floor for gasPrice in legacy mode
+ *   maxFeeGwei         cap for maxFeePerGas or gasPrice
+ *   maxPriorityFeeGwei cap for maxPriorityFeePerGas
+ *
+ * A domain overrides the policy for its chain in the provider section of its config:
+ *   "provider": { "chainId": 11155111, ..., "feePolicy": { "maxFeeGwei": 50 } }
+ *
+ * Chains without a registered policy keep the floors the host has always applied
+ * (30 gwei priority fee, 60 gwei max fee). Ethereum mainnet and Sepolia are
+ * registered without floors, where 30 gwei would overpay.
+ */
+const BASE_POLICY = {
+    mode: 'auto',
+    bufferPercent: 120,
+    minPriorityFeeGwei: null,
+    minMaxFeeGwei: null,
+    minGasPriceGwei: null,
+    maxFeeGwei: null,
+    maxPriorityFeeGwei: null
+};
+
+// Polygon rejects priority fees under 25 gwei; 30 leaves some headroom
+const POLYGON = { mode: 'eip1559', minPriorityFeeGwei: 30, minMaxFeeGwei: 60, minGasPriceGwei: 60 };
+
+// For chains with no policy of their own
+const DEFAULT_CHAIN_POLICY = { minPriorityFeeGwei: 30, minMaxFeeGwei: 60, minGasPriceGwei: 60 };
+
+const policies = new Map([
+    [1, { mode: 'eip1559' }],
+    [137, POLYGON],
+    [80002, POLYGON],
+    [11155111, { mode: 'eip1559' }]
+]);
+
+/**
+ * Register or replace the default policy for a chain
+ */
+export function registerFeePolicy(chainId, policy) {
+    policies.set(Number(chainId), { ...policy });
+}
+
+/**
+ * The policy for a domain's provider: base, then the chain default (or the
+ * default floors), then the provider's feePolicy overrides
+ */
+export function resolveFeePolicy(provider = {}) {
+    const chainDefaults = policies.get(Number(provider?.chainId)) || DEFAULT_CHAIN_POLICY;
+    const overrides = provider?.feePolicy && typeof provider.feePolicy === 'object' ? provider.feePolicy : {};
+    const policy = { ...BASE_POLICY, ...chainDefaults, ...overrides };
+
+    if (!['auto', 'eip1559', 'legacy'].includes(policy.mode)) {
+        throw new Error(`Unknown fee policy mode "${policy.mode}"`);
+    }
+    return policy;
+}
+
+/**
+ * Transaction fee fields for a domain's provider: { maxPriorityFeePerGas, maxFeePerGas }
+ * or { gasPrice } depending on the policy mode
+ */
+export async function feeOverrides(ethersProvider, provider) {
+    const policy = resolveFeePolicy(provider);
+    const feeData = await ethersProvider.getFeeData();
+    return computeFees(feeData, policy);
+}
+
+/**
+ * Apply a policy to the network's fee data
+ */
+export function computeFees(feeData, policy) {
+    const legacy = policy.mode === 'legacy' || (policy.mode === 'auto' && !feeData.maxFeePerGas);
+
+    if (legacy) {
+        if (!feeData.gasPrice && policy.minGasPriceGwei === null) {
+            throw new Error('Network did not report a gas price and the fee policy sets no minimum');
+        }
+        const gasPrice = bound(buffered(feeData.gasPrice, policy), gwei(policy.minGasPriceGwei), gwei(policy.maxFeeGwei));
+        return { gasPrice };
+    }
+
+    const minPriority = gwei(policy.minPriorityFeeGwei);
+    const minMax = gwei(policy.minMaxFeeGwei);
+    if (!feeData.maxFeePerGas && !minMax) {
+        throw new Error('Network did not report EIP-1559 fees and the fee policy sets no minimum');
+    }
+
+    // Without network values, fall back to the floors the policy sets
+    let maxPriorityFeePerGas = bound(buffered(feeData.maxPriorityFeePerGas, policy), minPriority, gwei(policy.maxPriorityFeeGwei))
+        || minPriority || ethers.BigNumber.from(0);
+    const maxFeePerGas = bound(buffered(feeData.maxFeePerGas, policy), minMax, gwei(policy.maxFeeGwei));
+
+    // The priority fee is part of the max fee and can never exceed it
+    if (maxPriorityFeePerGas.gt(maxFeePerGas)) maxPriorityFeePerGas = maxFeePerGas;
+    return { maxPriorityFeePerGas, maxFeePerGas };
+}
+
+/**
+ * Highest cost of sending gasLimit gas under a domain's fee policy, as a BigNumber in wei
+ */
+export async function estimateMaxCost(ethersProvider, provider, gasLimit) {
+    const fees = await feeOverrides(ethersProvider, provider);
+    return ethers.BigNumber.from(gasLimit).mul(fees.maxFeePerGas || fees.gasPrice);
+}
+
+function gwei(value) {
+    return value === null || value === undefined ? null : ethers.utils.parseUnits(String(value), 'gwei');
+}
+
+function buffered(value, policy) {
+    return value ? value.mul(policy.bufferPercent).div(100) : null;
+}
+
+// Clamp between a floor and a cap, either of which may be null
+function bound(value, min, max) {
+    let result = value || min;
+    if (!result) return null;
+    if (min && result.lt(min)) result = min;
+    if (max && result.gt(max)) result = max;
+    return result;
+}
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import tls from 'tls';
+
+/**
+ * Host health probes used by the detailed /health report
+ */
+
+/**
+ * Ask a JSON-RPC endpoint for its latest block number
+ * Returns { rpc, reachable, latency, blockNumber, error }
+ */
+export async function checkRpc(rpc, timeout = 5000) {
+    const started = Date.now();
+    try {
+        const response = await fetch(rpc, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] }),
+            signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const body = await response.json();
+        if (body.error) {
+            throw new Error(body.error.message || 'RPC error');
+        }
+        return { rpc, reachable: true, latency: Date.now() - started, blockNumber: parseInt(body.result, 16), error: null };
+    } catch (error) {
+        const message = error.name === 'TimeoutError' ? `timed out after ${timeout}ms` : error.message;
+        return { rpc, reachable: false, latency: Date.now() - started, blockNumber: null, error: message };
+    }
+}
+
+/**
+ * Read the certificate the host serves for a domain
+ * Returns { domain, status, validTo, daysRemaining, issuer, error } where status
+ * is 'valid', 'expiring' (within warnDays), 'expired' or 'missing'
+ */
+export function checkCertificate({ host = '127.0.0.1', port, domain }, { timeout = 5000, warnDays = 14 } = {}) {
+    return new Promise((resolve) => {
+        const missing = (error) => resolve({ domain, status: 'missing', validTo: null, daysRemaining: null, issuer: null, error });
+        const socket = tls.connect({ host, port, servername: domain, rejectUnauthorized: false }, () => {
+            const cert = socket.getPeerCertificate();
+            socket.destroy();
+            if (!cert || !cert.valid_to) return missing('no certificate served');
+
+            const validTo = new Date(cert.valid_to);
+            const daysRemaining = Math.floor((validTo.getTime() - Date.now()) / 86400000);
+            const status = daysRemaining < 0 ? 'expired' : daysRemaining < warnDays ? 'expiring' : 'valid';
+            resolve({
+                domain,
+                status,
+                validTo: validTo.toISOString(),
+                daysRemaining,
+                issuer: cert.issuer?.O || cert.issuer?.CN || null,
+                error: null
+            });
+        });
+        socket.setTimeout(timeout, () => {
+            socket.destroy();
+            missing(`timed out after ${timeout}ms`);
+        });
+        socket.on('error', (error) => missing(error.message));
+    });
+}
+
+/**
+ * Overall host status from agent, provider and certificate results
+ * A certificate close to expiry is a warning and does not degrade the host
+ */
+export function summarizeHealth({ agents = [], providers = [], certificates = [] }) {
+    const problems = [];
+    const warnings = [];
+    for (const agent of agents) {
+        if (agent.status === 'unhealthy' || agent.status === 'failed') problems.push(`agent ${agent.name} is ${agent.status}`);
+    }
+    for (const provider of providers) {
+        if (!provider.reachable) problems.push(`rpc ${provider.host || provider.rpc} is unreachable`);
+    }
+    for (const certificate of certificates) {
+        if (certificate.status === 'expiring') {
+            warnings.push(`certificate for ${certificate.domain} expires in ${certificate.daysRemaining} days`);
+        } else if (certificate.status !== 'valid') {
+            problems.push(`certificate for ${certificate.domain} is ${certificate.status}`);
+        }
+    }
+    return { status: problems.length ? 'degraded' : 'ok', problems, warnings };
+}
+
+/**
+ * The part of the host report about one domain: its providers (naming no other
+ * domain), its certificate and the agents enabled for it
+ */
+export function scopeHealth({ agents = [], providers = [], certificates = [] }, domain, isEnabled = () => true) {
+    return {
+        agents: agents.filter(agent => isEnabled(domain, agent.name)),
+        providers: providers
+            .filter(provider => provider.domains.includes(domain))
+            .map(provider => ({ ...provider, domains: [domain] })),
+        certificates: certificates.filter(certificate => certificate.domain === domain)
+    };
+}
+
+/**
+ * True when the request carries the host's operator token as a bearer token
+ */
+export function hasOperatorToken(req, token) {
+    const [scheme, presented] = (req.get('authorization') || '').split(' ');
+    if (!token || scheme !== 'Bearer' || !presented) return false;
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(presented);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
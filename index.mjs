@@ -5,12 +5,31 @@ import cookieParser from 'cookie-parser';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { readFileSync } from 'fs';
+import { readFileSync, readdirSync } from 'fs';
 import { createRequire } from 'module';
 import { Certify } from '@metric-im/administrate';
 import { Epistery, Config } from 'epistery';
 import { createAuthRouter } from './authentication.mjs';
 import { AgentManager } from './AgentManager.mjs';
+import { HOST_VERSION } from './manifest.mjs';
+import { HostEvents } from './HostEvents.mjs';
+import { checkRpc, checkCertificate, summarizeHealth, scopeHealth, hasOperatorToken } from './health.mjs';
+import { validateConfig, resolveConfig } from './agentConfig.mjs';
+import { WidgetAggregator } from './WidgetAggregator.mjs';
+import { feeOverrides, estimateMaxCost, resolveFeePolicy } from './fees.mjs';
+import { TransactionJobs, TERMINAL_STATES } from './TransactionJobs.mjs';
+import { NonceManager } from './NonceManager.mjs';
+import { parseRows, validateRows, importRoles, toCsv } from './whitelistImport.mjs';
+import { MembershipCache, watchListEvents } from './MembershipCache.mjs';
+import { rpcProvider, rpcEndpoints, hasRpc } from './RpcPool.mjs';
+import { ContractUpgrades } from './ContractUpgrades.mjs';
+import { ListNameIndex } from './ListNameIndex.mjs';
+import { previewTransaction } from './costPreview.mjs';
+import { Ledger, ledgerCsv } from './Ledger.mjs';
+import { BalanceMonitor } from './BalanceMonitor.mjs';
+import { createAuthorize, authorizeOperator, authorizeListWrite, checkListWrite, hasRole, ownContract } from './authorization.mjs';
+import { RoleResolver } from './RoleResolver.mjs';
+import { createDomainVerifiers, createClaimResolver } from './domainVerifiers.mjs';
 
 const require = createRequire(import.meta.url);
 const ethers = require('ethers');
@@ -24,7 +43,11 @@ const AgentArtifact = JSON.parse(
 );
 
 let isShuttingDown = false;
-let app, https_server, http_server, config, agentManager;
+let app, https_server, http_server, config, agentManager, widgets, txJobs, upgrades;
+const hostEvents = new HostEvents();
+
+// Gas for a typical list write, used to price operations before a domain has any in its ledger
+const TYPICAL_OPERATION_GAS = 150000;
 
 let main = async function() {
     app = express();
@@ -40,12 +63,209 @@ let main = async function() {
     app.use(express.json({limit: '50mb'}));
     app.use(cookieParser());
 
-    // Mount authentication routes
-    const authRouter = createAuthRouter();
+    config = new Config();
+
+    // On-chain writes run as jobs that survive restarts (see TransactionJobs);
+    // callers waiting on one give up after TX_SETTLE_TIMEOUT seconds while it carries on
+    txJobs = new TransactionJobs(path.join(config.configDir, '.tx-jobs.json'), {
+        confirmations: parseInt(process.env.TX_CONFIRMATIONS || 1),
+        settleTimeout: parseInt(process.env.TX_SETTLE_TIMEOUT || 600) * 1000
+    });
+    txJobs.connect = (domain) => providerFor(domain);
+
+    // Every settled job goes into its domain's ledger (see Ledger)
+    const ledger = new Ledger(config.configDir);
+    txJobs.on('update', (job) => {
+        if (!TERMINAL_STATES.includes(job.state)) return;
+        const recorded = ledger.record(job);
+        // A sent transaction spent gas; refresh the balance once it is in the ledger
+        if (job.txHash) recorded.then(() => balances.check(job.domain));
+    });
+
+    // Server wallet balances as operations remaining (see BalanceMonitor);
+    // low_balance_operations in a domain's config sets its warning threshold
+    const balances = new BalanceMonitor({ threshold: parseInt(process.env.LOW_BALANCE_OPERATIONS || 50) });
+    balances.walletFor = (domain) => {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        const serverWallet = cfg.data?.wallet;
+        if (!serverWallet?.address && !serverWallet?.mnemonic) {
+            throw new Error(`Server wallet not configured for ${domain}`);
+        }
+        const address = serverWallet.address || ethers.Wallet.fromMnemonic(serverWallet.mnemonic).address;
+        return { address, provider: providerFor(domain) };
+    };
+    // What the domain's recent list writes cost, or an estimate until it has some
+    balances.operationCost = async (domain) => {
+        const average = await ledger.averageFee(domain);
+        if (average) return average;
+        const cfg = new Config();
+        cfg.setPath(domain);
+        return await estimateMaxCost(providerFor(domain), cfg.data.provider, TYPICAL_OPERATION_GAS);
+    };
+    balances.thresholdFor = (domain) => {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        const operations = cfg.data?.low_balance_operations;
+        return typeof operations === 'number' ? operations : undefined;
+    };
+    balances.on('low', (domain, status) => hostEvents.publish('wallet.balance.low', domain, {
+        address: status.address, balance: status.balance, runwayOperations: status.runwayOperations, threshold: status.threshold
+    }));
+    balances.on('recovered', (domain, status) => hostEvents.publish('wallet.balance.recovered', domain, {
+        address: status.address, balance: status.balance, runwayOperations: status.runwayOperations, threshold: status.threshold
+    }));
+
+    // Contract upgrades copy a domain's lists to a new contract before switching to it (see ContractUpgrades)
+    upgrades = new ContractUpgrades(path.join(config.configDir, '.contract-upgrades.json'), txJobs);
+
+    // The list names each contract has used, scanned from its events in the background (see ListNameIndex)
+    const listIndex = new ListNameIndex(path.join(config.configDir, '.list-names.json'));
+    listIndex.connect = (domain, address) => new ethers.Contract(address, AgentArtifact.abi, providerFor(domain));
+    // contract_deployed_block is recorded when the host deploys or upgrades the domain's contract
+    listIndex.deployedBlock = (domain, address) => {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        const recorded = cfg.data?.agent_contract_address?.toLowerCase() === address.toLowerCase() ? cfg.data.contract_deployed_block : null;
+        return Number.isInteger(recorded) ? recorded : null;
+    };
+    await listIndex.load();
+
+    // List membership is read from a per-domain cache (see MembershipCache);
+    // membership_max_age in a domain's config sets its staleness bound in seconds
+    const membership = new MembershipCache(loadList, {
+        maxAge: parseInt(process.env.MEMBERSHIP_MAX_AGE || 300) * 1000
+    });
+    membership.maxAgeFor = (domain) => {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        const seconds = cfg.data?.membership_max_age;
+        return typeof seconds === 'number' ? seconds * 1000 : undefined;
+    };
+
+    // A caller's roles come from one place (see RoleResolver); every route that needs a caller
+    // declares its least role with authorize(role) (see authorization.mjs). Authorization
+    // reads lists no older than MEMBERSHIP_AUTH_MAX_AGE seconds (default 5)
+    const roles = new RoleResolver(membership, {
+        authMaxAge: parseInt(process.env.MEMBERSHIP_AUTH_MAX_AGE || 5) * 1000
+    });
+    roles.configFor = (domain) => {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        return cfg.data;
+    };
+    // Only shown to the caller, so it gets the names scanned so far rather than waiting on the chain;
+    // before the first scan finishes, or when the lists cannot be enumerated, that is the admin lists
+    roles.listNames = async (domain) => {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        const contractAddress = cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
+        return contractAddress ? listIndex.names(domain, contractAddress) : [];
+    };
+    // The contract is deployed with the server wallet as its sponsor
+    roles.sponsorOf = (domain) => {
+        const serverWallet = roles.configFor(domain)?.wallet;
+        if (serverWallet?.address) return serverWallet.address;
+        return serverWallet?.mnemonic ? ethers.Wallet.fromMnemonic(serverWallet.mnemonic).address : null;
+    };
+    const authorize = createAuthorize((domain, address) => roles.role(domain, address));
+
+    // The host's operators: CLAIM_OPERATORS lists their addresses, and HEALTH_TOKEN is their bearer token.
+    // Routes acting on every domain at once (agent loading, host diagnostics) answer to them, not to a domain's admins.
+    const operators = (process.env.CLAIM_OPERATORS || '').split(',').map(address => address.trim()).filter(Boolean);
+    const operatorOnly = authorizeOperator({ token: process.env.HEALTH_TOKEN, addresses: operators });
+
+    // Mount authentication routes. Claim challenges expire after CLAIM_CHALLENGE_TTL seconds (default a day);
+    // operators may reset any domain's pending claim.
+    // CLAIM_DNS_SERVERS (host or host:port, comma separated) points claim lookups at other name servers.
+    const authRouter = createAuthRouter({
+        events: hostEvents,
+        challengeTtl: parseInt(process.env.CLAIM_CHALLENGE_TTL || 86400) * 1000,
+        operators,
+        verifiers: createDomainVerifiers({
+            resolver: createClaimResolver((process.env.CLAIM_DNS_SERVERS || '').split(',').map(server => server.trim()).filter(Boolean))
+        })
+    });
     app.use(authRouter);
 
-    app.get('/health', (req, res) => {
-        res.status(200).send()
+    // Provider and certificate checks for the detailed /health report, refreshed on the health interval
+    const healthInterval = parseInt(process.env.HEALTH_INTERVAL || 30000);
+    let hostHealth = null;
+
+    // Domains with a config directory under ~/.epistery
+    function configuredDomains() {
+        return readdirSync(config.configDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+            .map(entry => {
+                const cfg = new Config();
+                cfg.setPath(entry.name);
+                return { domain: entry.name, data: cfg.data || {} };
+            });
+    }
+
+    async function refreshHostHealth() {
+        const domains = configuredDomains();
+
+        // Each RPC endpoint is probed once, however many domains share it
+        const rpcs = new Map();
+        for (const { domain, data } of domains) {
+            const provider = data.provider;
+            for (const { url } of rpcEndpoints(provider)) {
+                if (!rpcs.has(url)) rpcs.set(url, { provider, domains: [] });
+                rpcs.get(url).domains.push(domain);
+            }
+        }
+        const providers = await Promise.all([...rpcs].map(async ([rpc, { provider, domains }]) => {
+            const { reachable, latency, blockNumber, error } = await checkRpc(rpc);
+            // Report the host only; RPC URLs often carry API keys
+            let host = rpc;
+            try { host = new URL(rpc).host; } catch (e) { /* not a URL, reported as is */ }
+            return { name: provider.name || null, chainId: provider.chainId || null, host, domains, reachable, latency, blockNumber, error };
+        }));
+
+        const certificates = await Promise.all(domains
+            .filter(({ domain, data }) => data.verified && domain !== 'localhost')
+            .map(({ domain }) => checkCertificate({ port: https_port, domain })));
+
+        hostHealth = { providers, certificates, checkedAt: new Date().toISOString() };
+        return hostHealth;
+    }
+
+    // Plain /health answers 200 for liveness probes. /health?detail returns the
+    // report, with 503 when the host is degraded: the whole host for a bearer
+    // HEALTH_TOKEN, otherwise only the request's domain, for its admins.
+    app.get('/health', (req, res, next) => {
+        if (req.query.detail === undefined) {
+            return res.status(200).send();
+        }
+        req.operator = hasOperatorToken(req, process.env.HEALTH_TOKEN);
+        if (req.operator) return next();
+        authorize('admin')(req, res, next);
+    }, async (req, res) => {
+        try {
+            const { checkedAt, ...report } = hostHealth || await refreshHostHealth();
+            report.agents = (agentManager ? agentManager.getHealth() : [])
+                .map(({ name, version, status, latency, checkedAt }) => ({ name, version, status, latency, checkedAt }));
+            const { agents, providers, certificates } = req.operator
+                ? report
+                : scopeHealth(report, req.hostname, (domain, name) => agentManager?.isEnabled(domain, name));
+            const { status, problems, warnings } = summarizeHealth({ agents, providers, certificates });
+
+            res.status(status === 'ok' ? 200 : 503).json({
+                status,
+                version: HOST_VERSION,
+                uptime: Math.round(process.uptime()),
+                problems,
+                warnings,
+                agents,
+                providers: providers.map(({ error, ...provider }) => provider),
+                certificates: certificates.map(({ error, ...certificate }) => certificate),
+                checkedAt
+            });
+        } catch (error) {
+            console.error('[health] Error:', error);
+            res.status(503).json({ status: 'degraded', problems: [error.message] });
+        }
     });
 
 
@@ -57,6 +277,7 @@ let main = async function() {
         const contractAddress = cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
         const pendingContractAddress = cfg.data?.agent_contract_pending;
         const isInitialized = contractAddress && contractAddress !== '0x0000000000000000000000000000000000000000';
+        const balance = balances.status(domain);
 
         return {
             server: {
@@ -68,7 +289,11 @@ let main = async function() {
                 adminAddress: cfg.data?.admin_address || null,
                 provider: provider.name || 'Polygon Mainnet',
                 chainId: provider.chainId?.toString() || '137',
-                rpc: provider.rpc || 'https://polygon-rpc.com',
+                rpc: rpcEndpoints(provider)[0]?.url || 'https://polygon-rpc.com',
+                rpcEndpoints: hasRpc(provider) ? rpcProvider(provider).status() : [],
+                balance: balance?.balance ?? null,
+                lowBalance: balance?.lowBalance ?? false,
+                runwayOperations: balance?.runwayOperations ?? null,
                 nativeCurrency: {
                     symbol: provider.nativeCurrency?.symbol || 'POL',
                     name: provider.nativeCurrency?.name || 'POL',
@@ -111,7 +336,8 @@ let main = async function() {
 
             // Check if there's a default agent set (and not bypassed with ?home query param)
             const defaultAgent = cfg.data?.default_agent;
-            if (defaultAgent && !req.query.home && agentManager) {
+            const defaultEnabled = cfg.data?.enabled_agents?.[defaultAgent] !== false;
+            if (defaultAgent && defaultEnabled && !req.query.home && agentManager) {
                 // Find the agent and use its shortPath
                 for (const [, agentData] of agentManager.agents) {
                     if (agentData.manifest.name === defaultAgent) {
@@ -158,7 +384,7 @@ let main = async function() {
         res.sendFile(path.join(__dirname, 'public', 'admin.html'));
     });
 
-    // API: Deploy Agent contract
+    // API: Deploy Agent contract (requires the owner)
     // Shared contract deployment logic
     async function deployAgentContract(req, res) {
         try {
@@ -173,83 +399,83 @@ let main = async function() {
                 return res.status(500).json({ error: 'Server wallet not configured' });
             }
 
-            if (!provider || !provider.rpc) {
+            if (!provider || !hasRpc(provider)) {
                 return res.status(500).json({ error: 'Provider not configured' });
             }
 
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
+            const ethersProvider = rpcProvider(provider);
             const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
 
-            // Get current gas price from network and add buffer
-            const feeData = await ethersProvider.getFeeData();
-
-            // Polygon Amoy requires minimum 25 Gwei, use 30 Gwei to be safe
-            const minGasPrice = ethers.utils.parseUnits("30", "gwei");
-
-            // Use EIP-1559 style transaction (maxPriorityFeePerGas + maxFeePerGas)
-            // Apply 120% buffer to network prices, but enforce minimum
-            const networkPriority = feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.mul(120).div(100) : minGasPrice;
-            const maxPriorityFeePerGas = networkPriority.gt(minGasPrice) ? networkPriority : minGasPrice;
-
-            const networkMax = feeData.maxFeePerGas ? feeData.maxFeePerGas.mul(120).div(100) : minGasPrice.mul(2);
-            const maxFeePerGas = networkMax.gt(minGasPrice.mul(2)) ? networkMax : minGasPrice.mul(2);
+            // Gas pricing follows the fee policy for the domain's chain
+            const fees = await feeOverrides(ethersProvider, provider);
 
             const factory = new ethers.ContractFactory(AgentArtifact.abi, AgentArtifact.bytecode, wallet);
             console.log(`Deploying Agent contract for domain: ${domain}, sponsor: ${wallet.address}...`);
 
-            // Deploy with domain and sponsor parameters, plus EIP-1559 gas settings
-            const contract = await factory.deploy(domain, wallet.address, {
-                maxPriorityFeePerGas: maxPriorityFeePerGas,
-                maxFeePerGas: maxFeePerGas
-            });
-            await contract.deployed();
+            // Deploy with domain and sponsor parameters, plus the fee policy's gas settings.
+            // The contract address is known once broadcast; the job follows it to confirmation.
+            let contractAddress = null;
+            const job = await txJobs.submit({
+                type: 'contract.deploy',
+                domain,
+                initiator: req.episteryClient?.address || null,
+                description: `Deploy Agent contract for ${domain}`
+            }, () => nonceManagerFor(domain, wallet).send(async (overrides) => {
+                const contract = await factory.deploy(domain, wallet.address, { ...fees, ...overrides });
+                contractAddress = contract.address;
+                return contract.deployTransaction;
+            }));
+            sendJob(res, job, { address: contractAddress, contractAddress, domain });
+        } catch (error) {
+            console.error('Error deploying contract:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
 
-            const contractAddress = contract.address;
-            console.log(`Agent contract deployed at ${contractAddress}`);
+    // Record a deployed contract once its deployment is confirmed
+    txJobs.define('contract.deploy', async (job, receipt) => {
+        const contractAddress = receipt.contractAddress;
+        console.log(`Agent contract deployed at ${contractAddress}`);
 
-            // Check contract version
-            let version = 'Unknown';
-            try {
-                version = await contract.VERSION();
-                console.log(`Contract version: ${version}`);
-            } catch (e) {
-                // Contract doesn't have VERSION field (old version)
-                version = '1.0.0';
-            }
+        const version = await contractVersion(contractAddress, await txJobs.connect(job.domain));
+        console.log(`Contract version: ${version}`);
 
-            // Store in environment for current session
-            process.env.AGENT_CONTRACT_ADDRESS = contractAddress;
+        // Store in environment for current session
+        process.env.AGENT_CONTRACT_ADDRESS = contractAddress;
 
-            // Mark contract as pending until whitelist initialization completes
-            cfg.data.agent_contract_pending = contractAddress;
-            cfg.data.contract_deployed_at = new Date().toISOString();
-            cfg.data.contract_version = version;
-            cfg.save();
-            console.log(`Contract deployment pending initialization: ${domain}`);
+        // Mark contract as pending until whitelist initialization completes
+        const cfg = new Config();
+        cfg.setPath(job.domain);
+        cfg.data.agent_contract_pending = contractAddress;
+        cfg.data.contract_deployed_at = new Date().toISOString();
+        cfg.data.contract_deployed_block = receipt.blockNumber;
+        cfg.data.contract_version = version;
+        cfg.save();
+        console.log(`Contract deployment pending initialization: ${job.domain}`);
+        hostEvents.publish('contract.deployed', job.domain, { address: contractAddress, version });
+
+        return { contractAddress, address: contractAddress, version };
+    });
 
-            res.json({
-                success: true,
-                address: contractAddress,
-                contractAddress: contractAddress, // Keep for backward compatibility
-                version: version,
-                domain: domain,
-                message: 'Agent contract deployed successfully'
-            });
-        } catch (error) {
-            console.error('Error deploying contract:', error);
-            res.status(500).json({ error: error.message });
+    async function contractVersion(contractAddress, ethersProvider) {
+        try {
+            const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, ethersProvider);
+            return await contract.VERSION();
+        } catch (e) {
+            // Contract doesn't have VERSION field (old version)
+            return '1.0.0';
         }
     }
 
-    // API: Check if server wallet has sufficient balance for deployment
-    app.post('/api/check-deploy-balance', async (req, res) => {
+    // API: Check if server wallet has sufficient balance for deployment (requires admin auth)
+    app.post('/api/check-deploy-balance', authorize('admin'), async (req, res) => {
         try {
             const domain = req.hostname || req.body.domain || 'localhost';
             const cfg = new Config();
             cfg.setPath(domain);
 
             const provider = cfg.data?.provider;
-            if (!provider || !provider.rpc) {
+            if (!provider || !hasRpc(provider)) {
                 return res.status(500).json({ error: 'Provider not configured' });
             }
 
@@ -258,39 +484,31 @@ let main = async function() {
                 return res.status(500).json({ error: 'Server wallet not configured' });
             }
 
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
+            const ethersProvider = rpcProvider(provider);
             const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
 
-            // Get current balance
-            const balance = await ethersProvider.getBalance(wallet.address);
-
-            // Estimate deployment cost
-            // Gas limit ~750k, current gas prices
-            const feeData = await ethersProvider.getFeeData();
-            const estimatedGas = ethers.BigNumber.from(750000);
-            const minGasPrice = ethers.utils.parseUnits("30", "gwei");
-
-            let estimatedCost;
-            if (feeData.maxFeePerGas) {
-                const maxFee = feeData.maxFeePerGas.mul(120).div(100);
-                const adjustedMaxFee = maxFee.gt(minGasPrice.mul(2)) ? maxFee : minGasPrice.mul(2);
-                estimatedCost = estimatedGas.mul(adjustedMaxFee);
-            } else {
-                const gasPrice = feeData.gasPrice ? feeData.gasPrice.mul(120).div(100) : minGasPrice.mul(2);
-                estimatedCost = estimatedGas.mul(gasPrice);
+            // Estimate the deployment against the live chain, priced with the domain's fee policy
+            const preview = await previewTransaction(ethersProvider, provider, writeOperations['contract.deploy']({ domain, wallet }), {
+                from: wallet.address,
+                iface: new ethers.utils.Interface(AgentArtifact.abi)
+            });
+            if (!preview.success) {
+                return res.status(400).json({ error: `Deployment would revert: ${preview.revertReason}`, ...preview });
             }
 
             // Add 50% buffer
+            const estimatedCost = ethers.utils.parseEther(preview.fee.max);
             const required = estimatedCost.mul(150).div(100);
-            const sufficient = balance.gte(required);
+            const balance = ethers.utils.parseEther(preview.balance);
 
             res.json({
                 address: wallet.address,
-                balance: ethers.utils.formatEther(balance),
-                currencySymbol: provider.nativeCurrencySymbol || 'POL',
-                estimatedCost: ethers.utils.formatEther(estimatedCost),
+                balance: preview.balance,
+                currencySymbol: preview.currencySymbol,
+                gasLimit: preview.gasLimit,
+                estimatedCost: preview.fee.max,
                 required: ethers.utils.formatEther(required),
-                sufficient: sufficient
+                sufficient: balance.gte(required)
             });
         } catch (error) {
             console.error('Balance check error:', error);
@@ -298,11 +516,224 @@ let main = async function() {
         }
     });
 
-    app.post('/api/deploy-agent', deployAgentContract);
-    app.post('/api/contract/deploy', deployAgentContract);
+    // Contract writes that can be previewed, built from the same body as their routes.
+    // Each returns the populated transaction its route would send.
+    const writeOperations = {
+        'contract.deploy': ({ domain, wallet }) =>
+            new ethers.ContractFactory(AgentArtifact.abi, AgentArtifact.bytecode, wallet).getDeployTransaction(domain, wallet.address),
+        'contract.upgrade': (context) => writeOperations['contract.deploy'](context),
+        'whitelist.initialize': ({ cfg, contract }) =>
+            contract.populateTransaction.addToWhitelist('epistery::admin', cfg.data?.admin_address, 'Epistery Administrator', 3,
+                JSON.stringify({ addedBy: 'initialization', addedAt: new Date().toISOString() })),
+        'whitelist.add': ({ domain, contract, body }) =>
+            contract.populateTransaction.addToWhitelist(`${domain}::admin`, body.address, body.name || '', body.isAdmin ? 3 : 0,
+                JSON.stringify({ addedBy: 'admin-ui', addedAt: new Date().toISOString() })),
+        'whitelist.remove': ({ domain, contract, body }) =>
+            contract.populateTransaction.removeFromWhitelist(`${domain}::admin`, body.address),
+        'whitelist.update': ({ domain, contract, body }) =>
+            contract.populateTransaction.updateWhitelistEntry(body.listName || `${domain}::admin`, body.address,
+                body.name !== undefined ? body.name : '\x00KEEP',
+                body.isAdmin !== undefined ? (body.isAdmin ? 3 : 0) : 255,
+                '\x00KEEP')
+    };
+
+    // API: Preview a contract write before sending it: expected gas, fee range, whether the
+    // server wallet can afford it, and the revert reason if it would fail.
+    // Body: { operation, params }, where params is the body the operation's route takes.
+    app.post('/api/estimate', authorize('admin'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const { operation, params = {} } = req.body;
+            if (!writeOperations[operation]) {
+                return res.status(400).json({ error: `Unknown operation "${operation}"`, operations: Object.keys(writeOperations) });
+            }
+
+            const cfg = new Config();
+            cfg.setPath(domain);
+            const serverWallet = cfg.data?.wallet;
+            const provider = cfg.data?.provider;
+            if (!serverWallet || !serverWallet.mnemonic || !provider || !hasRpc(provider)) {
+                return res.status(500).json({ error: 'Server not configured' });
+            }
+
+            const ethersProvider = rpcProvider(provider);
+            const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
+            let contract = null;
+            if (!operation.startsWith('contract.')) {
+                const contractAddress = ownContract(cfg.data, params.contractAddress, { pending: operation === 'whitelist.initialize' });
+                if (!contractAddress) {
+                    return res.status(400).json({ error: 'Contract not deployed' });
+                }
+                contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
+            }
+
+            const tx = await writeOperations[operation]({ domain, cfg, wallet, contract, body: params });
+            const preview = await previewTransaction(ethersProvider, provider, tx, {
+                from: wallet.address,
+                iface: new ethers.utils.Interface(AgentArtifact.abi)
+            });
+            res.json({ operation, ...preview });
+        } catch (error) {
+            console.error('[estimate] Error:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.post('/api/deploy-agent', authorize('owner'), deployAgentContract);
+    app.post('/api/contract/deploy', authorize('owner'), deployAgentContract);
+
+    // API: Move this domain to the current Agent contract, copying its lists (requires the owner).
+    // The admin lists and every list in the contract's events are copied; body.lists names any others.
+    app.post('/api/contract/upgrade', authorize('owner'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const active = upgrades.active(domain);
+            if (active) {
+                return res.status(409).json({ error: `An upgrade is already ${active.phase}`, upgrade: active });
+            }
+
+            const { cfg, contract } = connectDomain(domain);
+            if (cfg.data?.agent_contract_pending) {
+                return res.status(409).json({ error: 'Finish initializing the pending contract first' });
+            }
+
+            const requested = Array.isArray(req.body.lists) ? req.body.lists.filter(name => typeof name === 'string' && name) : [];
+            const listNames = ['epistery::admin', `${domain}::admin`, ...requested];
+            console.log(`[upgrade] Upgrading ${domain} from ${contract.address}...`);
+            const upgrade = await upgrades.start(domain, contract.address, listNames, { initiator: req.episteryClient?.address || null });
+            res.status(202).json({ success: true, upgradeId: upgrade.id, upgrade, statusUrl: '/api/contract/upgrade' });
+        } catch (error) {
+            console.error('[upgrade] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API: This domain's latest upgrade and the contracts it has replaced (requires admin auth)
+    app.get('/api/contract/upgrade', authorize('admin'), (req, res) => {
+        const domain = req.hostname || 'localhost';
+        const cfg = new Config();
+        cfg.setPath(domain);
+        res.json({
+            upgrade: upgrades.list(domain)[0] || null,
+            history: cfg.data?.contract_history || []
+        });
+    });
+
+    // API: Retry a failed upgrade from where it stopped (requires the owner)
+    app.post('/api/contract/upgrade/:id/retry', authorize('owner'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const upgrade = upgrades.get(req.params.id);
+            if (!upgrade || upgrade.domain !== domain) {
+                return res.status(404).json({ error: 'Upgrade not found' });
+            }
+            if (upgrade.phase !== 'failed' || upgrades.active(domain)) {
+                return res.status(409).json({ error: `Upgrade is ${upgrade.phase}; only a failed upgrade can be retried` });
+            }
+            res.status(202).json({ success: true, upgrade: await upgrades.retry(upgrade.id) });
+        } catch (error) {
+            console.error('[upgrade] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Deploy the current artifact for an upgrade; unlike a first deployment it stays off the domain until its lists match
+    upgrades.deploy = async (domain, upgrade) => {
+        const { cfg, ethersProvider, wallet } = connectDomain(domain);
+        const fees = await feeOverrides(ethersProvider, cfg.data.provider);
+        const factory = new ethers.ContractFactory(AgentArtifact.abi, AgentArtifact.bytecode, wallet);
+        return await txJobs.submit({
+            type: 'contract.upgrade',
+            domain,
+            initiator: upgrade.initiator ?? null,
+            description: `Deploy upgraded Agent contract for ${domain}`
+        }, () => nonceManagerFor(domain, wallet).send(async (overrides) => {
+            const contract = await factory.deploy(domain, wallet.address, { ...fees, ...overrides });
+            return contract.deployTransaction;
+        }));
+    };
+
+    txJobs.define('contract.upgrade', async (job, receipt) => {
+        const contractAddress = receipt.contractAddress;
+        const version = await contractVersion(contractAddress, await txJobs.connect(job.domain));
+        console.log(`[upgrade] Agent contract ${version} deployed at ${contractAddress} for ${job.domain}`);
+        return { contractAddress, address: contractAddress, version, blockNumber: receipt.blockNumber };
+    });
+
+    upgrades.listNames = (domain, address) => listIndex.scan(domain, address);
+
+    upgrades.readLists = async (domain, address, listNames) => {
+        const { wallet } = connectDomain(domain);
+        const contract = new ethers.Contract(address, AgentArtifact.abi, wallet);
+        const lists = {};
+        for (const listName of listNames) {
+            lists[listName] = await readList(contract, wallet.address, listName);
+        }
+        return lists;
+    };
+
+    // Copies are written without list.member events: membership is unchanged, only its contract is
+    upgrades.copyEntries = async (domain, address, changes, upgrade) => {
+        const { cfg, ethersProvider, wallet } = connectDomain(domain);
+        const contract = new ethers.Contract(address, AgentArtifact.abi, wallet);
+        const fees = await feeOverrides(ethersProvider, cfg.data.provider);
+        const nonces = nonceManagerFor(domain, wallet);
+        return await txJobs.submitBatch({
+            type: 'contract.copy-entry',
+            domain,
+            initiator: upgrade.initiator ?? null,
+            description: `Copy ${changes.length} list entries to ${address}`,
+            items: changes.map(({ listName, op, entry }) => ({
+                description: `${{ add: 'Copy', update: 'Correct', remove: 'Remove' }[op]} ${entry.address} in ${listName}`,
+                params: { listName, op, address: entry.address, name: entry.name, role: entry.role, meta: entry.meta }
+            }))
+        }, (params) => nonces.send((overrides) => {
+            if (params.op === 'add') {
+                return contract.addToWhitelist(params.listName, params.address, params.name, params.role, params.meta, { ...fees, ...overrides });
+            }
+            if (params.op === 'remove') {
+                return contract.removeFromWhitelist(params.listName, params.address, { ...fees, ...overrides });
+            }
+            return contract.updateWhitelistEntry(params.listName, params.address, params.name, params.role, params.meta, { ...fees, ...overrides });
+        }));
+    };
+
+    // Lists match: point the domain at the new contract and keep the old one in contract_history
+    upgrades.finish = async (upgrade) => {
+        const cfg = new Config();
+        cfg.setPath(upgrade.domain);
+        const current = cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
+        if (current?.toLowerCase() !== upgrade.oldAddress.toLowerCase()) {
+            throw new Error(`The domain's contract changed to ${current} during the upgrade`);
+        }
 
-    // API: Request deployment help from epistery.host admins
-    app.post('/api/request-deployment-help', async (req, res) => {
+        const replacedAt = new Date().toISOString();
+        cfg.data.contract_history = [...(cfg.data.contract_history || []), {
+            address: upgrade.oldAddress,
+            version: cfg.data.contract_version || null,
+            deployedAt: cfg.data.contract_deployed_at || null,
+            replacedAt,
+            replacedBy: upgrade.newAddress,
+            upgradeId: upgrade.id
+        }];
+        cfg.data.agent_contract_address = upgrade.newAddress;
+        cfg.data.contract_version = upgrade.version;
+        cfg.data.contract_deployed_at = replacedAt;
+        cfg.data.contract_deployed_block = upgrade.deployedBlock;
+        cfg.save();
+        if (process.env.AGENT_CONTRACT_ADDRESS === upgrade.oldAddress) {
+            process.env.AGENT_CONTRACT_ADDRESS = upgrade.newAddress;
+        }
+        console.log(`[upgrade] ${upgrade.domain} now uses ${upgrade.newAddress} (was ${upgrade.oldAddress})`);
+        hostEvents.publish('contract.upgraded', upgrade.domain, {
+            address: upgrade.newAddress,
+            previous: upgrade.oldAddress,
+            version: upgrade.version
+        });
+    };
+
+    // API: Request deployment help from epistery.host admins (requires the owner)
+    app.post('/api/request-deployment-help', authorize('owner'), async (req, res) => {
         try {
             const { domain, walletAddress, requesterRivet } = req.body;
 
@@ -332,14 +763,19 @@ let main = async function() {
         }
     });
 
-    // API: Initialize whitelist with admin address
-    app.post('/api/initialize-whitelist', async (req, res) => {
+    // API: Initialize whitelist with admin address (requires the owner)
+    app.post('/api/initialize-whitelist', authorize('owner'), async (req, res) => {
         try {
-            const { domain: reqDomain, contractAddress } = req.body;
+            const { domain: reqDomain, contractAddress: reqContractAddress } = req.body;
             const domain = req.hostname || reqDomain || 'localhost';
             const cfg = new Config();
             cfg.setPath(domain);
 
+            const contractAddress = ownContract(cfg.data, reqContractAddress, { pending: true });
+            if (!contractAddress) {
+                return res.status(400).json({ error: 'Contract not deployed' });
+            }
+
             const adminAddress = cfg.data?.admin_address;
             if (!adminAddress) {
                 return res.status(400).json({ error: 'Admin address not configured in config.ini' });
@@ -352,26 +788,15 @@ let main = async function() {
                 return res.status(500).json({ error: 'Server wallet not configured' });
             }
 
-            if (!provider || !provider.rpc) {
+            if (!provider || !hasRpc(provider)) {
                 return res.status(500).json({ error: 'Provider not configured' });
             }
 
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
+            const ethersProvider = rpcProvider(provider);
             const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
 
-            // Get current gas price from network and add buffer
-            const feeData = await ethersProvider.getFeeData();
-
-            // Polygon Amoy requires minimum 25 Gwei, use 30 Gwei to be safe
-            const minGasPrice = ethers.utils.parseUnits("30", "gwei");
-
-            // Use EIP-1559 style transaction (maxPriorityFeePerGas + maxFeePerGas)
-            // Apply 120% buffer to network prices, but enforce minimum
-            const networkPriority = feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.mul(120).div(100) : minGasPrice;
-            const maxPriorityFeePerGas = networkPriority.gt(minGasPrice) ? networkPriority : minGasPrice;
-
-            const networkMax = feeData.maxFeePerGas ? feeData.maxFeePerGas.mul(120).div(100) : minGasPrice.mul(2);
-            const maxFeePerGas = networkMax.gt(minGasPrice.mul(2)) ? networkMax : minGasPrice.mul(2);
+            // Gas pricing follows the fee policy for the domain's chain
+            const fees = await feeOverrides(ethersProvider, provider);
 
             const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
 
@@ -383,72 +808,77 @@ let main = async function() {
             const name = 'Epistery Administrator';
             const meta = JSON.stringify({ addedBy: 'initialization', addedAt: new Date().toISOString() });
 
-            const tx = await contract.addToWhitelist(listName, adminAddress, name, role, meta, {
-                maxPriorityFeePerGas: maxPriorityFeePerGas,
-                maxFeePerGas: maxFeePerGas,
+            const job = await txJobs.submit({
+                type: 'whitelist.initialize',
+                domain,
+                initiator: req.episteryClient?.address || null,
+                description: `Add ${adminAddress} to ${listName}`,
+                params: { listName, address: adminAddress, name, role }
+            }, () => nonceManagerFor(domain, wallet).send(overrides => contract.addToWhitelist(listName, adminAddress, name, role, meta, {
+                ...fees,
+                ...overrides,
                 gasLimit: 300000  // Set explicit gas limit for whitelist operation
-            });
-            await tx.wait();
+            })));
+            sendJob(res, job, { adminAddress, domain });
+        } catch (error) {
+            console.error('Error initializing whitelist:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
 
-            console.log('Admin address added to list successfully');
+    // Finalize the pending contract once the admin is on its list
+    txJobs.define('whitelist.initialize', async (job) => {
+        const { listName, address, name, role } = job.params;
+        console.log('Admin address added to list successfully');
+        hostEvents.publish('list.member.added', job.domain, { list: listName, address, name, role });
 
-            // Promote pending contract to finalized
-            if (cfg.data.agent_contract_pending) {
-                cfg.data.agent_contract_address = cfg.data.agent_contract_pending;
-                delete cfg.data.agent_contract_pending;
-                cfg.data.whitelist_initialized_at = new Date().toISOString();
-                cfg.save();
-                console.log(`Initialization complete for domain: ${domain}`);
+        // Promote pending contract to finalized
+        const cfg = new Config();
+        cfg.setPath(job.domain);
+        if (cfg.data.agent_contract_pending) {
+            cfg.data.agent_contract_address = cfg.data.agent_contract_pending;
+            delete cfg.data.agent_contract_pending;
+            cfg.data.whitelist_initialized_at = new Date().toISOString();
+            cfg.save();
+            console.log(`Initialization complete for domain: ${job.domain}`);
+            hostEvents.publish('contract.initialized', job.domain, { address: cfg.data.agent_contract_address, adminAddress: address });
+        }
+        return { adminAddress: address };
+    });
+
+    // API: The authenticated caller: their role, their entry on every list of the domain's contract,
+    // whether they are the sponsor or the claimed admin_address, and the agents they can see
+    app.get('/api/me', async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const address = req.episteryClient?.address;
+            if (!address) {
+                return res.status(401).json({ error: 'Not authenticated', required: null, role: null });
             }
 
-            res.json({
-                success: true,
-                adminAddress: adminAddress,
-                domain: domain,
-                message: 'Admin address added to whitelist'
-            });
+            const identity = await roles.resolve(domain, address);
+            res.json({ domain, ...identity, agents: visibleAgents(domain) });
         } catch (error) {
-            console.error('Error initializing whitelist:', error);
+            console.error('[me] Error:', error);
             res.status(500).json({ error: error.message });
         }
     });
 
-    // API: Check if address is admin
+    // API: Whether the authenticated caller is an admin, for pages that only need that (see /api/me).
+    // The caller is their rivet; an address in the body is ignored.
     app.post('/api/check-admin', async (req, res) => {
         try {
-            const { address } = req.body;
             const domain = req.hostname || 'localhost';
-            const cfg = new Config();
-            cfg.setPath(domain);
-
-            const contractAddress = cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
-            if (!contractAddress) {
-                return res.json({ isAdmin: false, reason: 'Contract not deployed' });
-            }
-
-            const serverWallet = cfg.data?.wallet;
-            const provider = cfg.data?.provider;
-
-            if (!serverWallet || !provider) {
-                return res.status(500).json({ error: 'Server not configured' });
-            }
-
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
-            const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
-            const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
-
-            const listName = `epistery::admin`;
-            const isListed = await contract.isWhitelisted(serverWallet.address, listName, address);
-
-            res.json({ isAdmin: isListed });
+            const address = req.episteryClient?.address;
+            res.json({ isAdmin: Boolean(address) && hasRole(await roles.role(domain, address, { stale: true }), 'admin') });
         } catch (error) {
             console.error('Error checking admin status:', error);
             res.status(500).json({ error: error.message });
         }
     });
 
-    // API: Get whitelist
-    app.get('/api/whitelist', async (req, res) => {
+    // API: Get whitelist (requires admin auth)
+    app.get('/api/whitelist', authorize('admin'), async (req, res) => {
         try {
             const domain = req.hostname || 'localhost';
             const cfg = new Config();
@@ -466,19 +896,15 @@ let main = async function() {
                 return res.status(500).json({ error: 'Server not configured' });
             }
 
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
-            const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
-            const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
-
-            // Get list from contract (returns WhitelistEntry[] with addr, name, role, meta)
+            // Get list from the membership cache (entries with address, name, role, meta)
             const listName = `${domain}::admin`;
-            const whitelistEntries = await contract.getWhitelist(serverWallet.address, listName);
+            const whitelistEntries = await membership.getList(domain, listName);
 
             // Transform to simple format for API response
-            const whitelist = whitelistEntries.map(entry => entry.addr);
+            const whitelist = whitelistEntries.map(entry => entry.address);
             const metadata = {};
             whitelistEntries.forEach(entry => {
-                metadata[entry.addr.toLowerCase()] = {
+                metadata[entry.address.toLowerCase()] = {
                     name: entry.name,
                     isAdmin: entry.role >= 3  // role 3=admin, 4=owner
                 };
@@ -496,15 +922,22 @@ let main = async function() {
         }
     });
 
-    // API: Add address to whitelist
-    app.post('/api/whitelist/add', async (req, res) => {
+    // A caller with role may not change or remove an entry that outranks them (see checkListWrite)
+    async function refuseOutranking(role, domain, listName, address) {
+        const entries = await membership.getList(domain, listName, { maxAge: 0, stale: false });
+        const current = entries.find(entry => typeof address === 'string' && entry.address.toLowerCase() === address.toLowerCase());
+        if (current) checkListWrite(role, domain, listName, [current.role]);
+    }
+
+    // API: Add address to whitelist (requires admin auth)
+    app.post('/api/whitelist/add', authorize('admin'), async (req, res) => {
         try {
             const { address, name, isAdmin, contractAddress: reqContractAddress } = req.body;
             const domain = req.hostname || 'localhost';
             const cfg = new Config();
             cfg.setPath(domain);
 
-            const contractAddress = reqContractAddress || cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
+            const contractAddress = ownContract(cfg.data, reqContractAddress);
             if (!contractAddress) {
                 return res.status(400).json({ error: 'Contract not deployed' });
             }
@@ -516,16 +949,11 @@ let main = async function() {
                 return res.status(500).json({ error: 'Server not configured' });
             }
 
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
+            const ethersProvider = rpcProvider(provider);
             const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
 
-            // Get gas prices with minimum
-            const feeData = await ethersProvider.getFeeData();
-            const minGasPrice = ethers.utils.parseUnits("30", "gwei");
-            const networkPriority = feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.mul(120).div(100) : minGasPrice;
-            const maxPriorityFeePerGas = networkPriority.gt(minGasPrice) ? networkPriority : minGasPrice;
-            const networkMax = feeData.maxFeePerGas ? feeData.maxFeePerGas.mul(120).div(100) : minGasPrice.mul(2);
-            const maxFeePerGas = networkMax.gt(minGasPrice.mul(2)) ? networkMax : minGasPrice.mul(2);
+            // Gas pricing follows the fee policy for the domain's chain
+            const fees = await feeOverrides(ethersProvider, provider);
 
             const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
 
@@ -536,34 +964,32 @@ let main = async function() {
             const role = isAdmin ? 3 : 0;
             const meta = JSON.stringify({ addedBy: 'admin-ui', addedAt: new Date().toISOString() });
 
-            const tx = await contract.addToWhitelist(listName, address, name || '', role, meta, {
-                maxPriorityFeePerGas: maxPriorityFeePerGas,
-                maxFeePerGas: maxFeePerGas
-            });
-            await tx.wait();
-
-            console.log('Address added to list successfully');
-
-            res.json({
-                success: true,
-                address: address,
-                domain: domain
-            });
+            const job = await txJobs.submit({
+                type: 'whitelist.add',
+                domain,
+                initiator: req.episteryClient?.address || null,
+                description: `Add ${address} to ${listName}`,
+                params: { listName, address, name: name || '', role }
+            }, () => nonceManagerFor(domain, wallet).send(overrides =>
+                contract.addToWhitelist(listName, address, name || '', role, meta, { ...fees, ...overrides })));
+            sendJob(res, job, { address, domain });
         } catch (error) {
             console.error('Error adding to whitelist:', error);
-            res.status(500).json({ error: error.message });
+            res.status(error.status || 500).json({ error: error.message });
         }
     });
 
-    // API: Remove address from whitelist
-    app.post('/api/whitelist/remove', async (req, res) => {
+    // API: Remove address from whitelist (requires admin auth)
+    app.post('/api/whitelist/remove', authorize('admin'), authorizeListWrite(req => ({
+        listName: `${req.hostname || 'localhost'}::admin`
+    })), async (req, res) => {
         try {
             const { address, contractAddress: reqContractAddress } = req.body;
             const domain = req.hostname || 'localhost';
             const cfg = new Config();
             cfg.setPath(domain);
 
-            const contractAddress = reqContractAddress || cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
+            const contractAddress = ownContract(cfg.data, reqContractAddress);
             if (!contractAddress) {
                 return res.status(400).json({ error: 'Contract not deployed' });
             }
@@ -575,49 +1001,45 @@ let main = async function() {
                 return res.status(500).json({ error: 'Server not configured' });
             }
 
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
+            const ethersProvider = rpcProvider(provider);
             const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
 
-            // Get gas prices with minimum
-            const feeData = await ethersProvider.getFeeData();
-            const minGasPrice = ethers.utils.parseUnits("30", "gwei");
-            const networkPriority = feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.mul(120).div(100) : minGasPrice;
-            const maxPriorityFeePerGas = networkPriority.gt(minGasPrice) ? networkPriority : minGasPrice;
-            const networkMax = feeData.maxFeePerGas ? feeData.maxFeePerGas.mul(120).div(100) : minGasPrice.mul(2);
-            const maxFeePerGas = networkMax.gt(minGasPrice.mul(2)) ? networkMax : minGasPrice.mul(2);
+            // Gas pricing follows the fee policy for the domain's chain
+            const fees = await feeOverrides(ethersProvider, provider);
 
             const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
 
-            console.log(`Removing ${address} from list for domain ${domain}...`);
             const listName = `${domain}::admin`;
-            const tx = await contract.removeFromWhitelist(listName, address, {
-                maxPriorityFeePerGas: maxPriorityFeePerGas,
-                maxFeePerGas: maxFeePerGas
-            });
-            await tx.wait();
-
-            console.log('Address removed from list successfully');
+            await refuseOutranking(req.role, domain, listName, address);
 
-            res.json({
-                success: true,
-                address: address,
-                domain: domain
-            });
+            console.log(`Removing ${address} from list for domain ${domain}...`);
+            const job = await txJobs.submit({
+                type: 'whitelist.remove',
+                domain,
+                initiator: req.episteryClient?.address || null,
+                description: `Remove ${address} from ${listName}`,
+                params: { listName, address }
+            }, () => nonceManagerFor(domain, wallet).send(overrides =>
+                contract.removeFromWhitelist(listName, address, { ...fees, ...overrides })));
+            sendJob(res, job, { address, domain });
         } catch (error) {
             console.error('Error removing from whitelist:', error);
-            res.status(500).json({ error: error.message });
+            res.status(error.status || 500).json({ error: error.message });
         }
     });
 
-    // API: Update whitelist metadata (name and admin status)
-    app.post('/api/whitelist/update', async (req, res) => {
+    // API: Update whitelist metadata (name and admin status) (requires admin auth)
+    app.post('/api/whitelist/update', authorize('admin'), authorizeListWrite(req => ({
+        listName: req.body.listName || `${req.hostname || 'localhost'}::admin`,
+        roles: req.body.isAdmin !== undefined ? [req.body.isAdmin ? 3 : 0] : []
+    })), async (req, res) => {
         try {
             const { address, name, isAdmin, listName: reqListName, contractAddress: reqContractAddress } = req.body;
             const domain = req.hostname || 'localhost';
             const cfg = new Config();
             cfg.setPath(domain);
 
-            const contractAddress = reqContractAddress || cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
+            const contractAddress = ownContract(cfg.data, reqContractAddress);
             if (!contractAddress) {
                 return res.status(400).json({ error: 'Contract not deployed' });
             }
@@ -629,94 +1051,358 @@ let main = async function() {
                 return res.status(500).json({ error: 'Server not configured' });
             }
 
-            const ethersProvider = new ethers.providers.JsonRpcProvider(provider.rpc);
+            const ethersProvider = rpcProvider(provider);
             const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
 
-            // Get gas prices with minimum
-            const feeData = await ethersProvider.getFeeData();
-            const minGasPrice = ethers.utils.parseUnits("30", "gwei");
-            const networkPriority = feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.mul(120).div(100) : minGasPrice;
-            const maxPriorityFeePerGas = networkPriority.gt(minGasPrice) ? networkPriority : minGasPrice;
-            const networkMax = feeData.maxFeePerGas ? feeData.maxFeePerGas.mul(120).div(100) : minGasPrice.mul(2);
-            const maxFeePerGas = networkMax.gt(minGasPrice.mul(2)) ? networkMax : minGasPrice.mul(2);
+            // Gas pricing follows the fee policy for the domain's chain
+            const fees = await feeOverrides(ethersProvider, provider);
 
             const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
 
             // Use sentinel values to update only the fields that are provided
             // "\x00KEEP" for strings means don't update, 255 for role means don't update
             const listName = reqListName || `${domain}::admin`;
+            await refuseOutranking(req.role, domain, listName, address);
 
             console.log(`Updating list entry for ${address} in list ${listName}...`);
             const role = isAdmin !== undefined ? (isAdmin ? 3 : 0) : 255;
             const nameToUpdate = name !== undefined ? name : '\x00KEEP';
             const metaToUpdate = '\x00KEEP'; // Don't update meta for now
 
-            const tx = await contract.updateWhitelistEntry(listName, address, nameToUpdate, role, metaToUpdate, {
-                maxPriorityFeePerGas: maxPriorityFeePerGas,
-                maxFeePerGas: maxFeePerGas
-            });
-            await tx.wait();
+            const job = await txJobs.submit({
+                type: 'whitelist.update',
+                domain,
+                initiator: req.episteryClient?.address || null,
+                description: `Update ${address} in ${listName}`,
+                params: { listName, address, name: name !== undefined ? name : null, role: role !== 255 ? role : null }
+            }, () => nonceManagerFor(domain, wallet).send(overrides =>
+                contract.updateWhitelistEntry(listName, address, nameToUpdate, role, metaToUpdate, { ...fees, ...overrides })));
+            sendJob(res, job, { address, name, isAdmin });
+        } catch (error) {
+            console.error('Error updating whitelist metadata:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
 
-            console.log('List entry updated successfully');
+    // API: Add many addresses to a list from CSV or JSON rows of address, name, role and meta
+    // (requires admin auth). Every row is checked first; with dryRun only the report is returned.
+    app.post('/api/whitelist/import', authorize('admin'), authorizeListWrite(req => ({
+        listName: req.body.listName || `${req.hostname || 'localhost'}::admin`,
+        roles: importRoles(req.body.data, req.body.format)
+    })), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const { format = 'csv', data, dryRun } = req.body;
+            const listName = req.body.listName || `${domain}::admin`;
 
-            res.json({
+            let rows;
+            try {
+                rows = parseRows(data, format);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (rows.length === 0) {
+                return res.status(400).json({ error: 'No rows to import' });
+            }
+
+            const { cfg, ethersProvider, wallet, contract } = connectDomain(domain);
+            // Duplicates are checked against the chain, not the cache
+            const current = await membership.getList(domain, listName, { maxAge: 0 });
+            const report = validateRows(rows, current.map(entry => entry.address));
+            const summary = {
+                listName,
+                total: rows.length,
+                valid: report.valid.length,
+                invalid: report.invalid.length,
+                duplicates: report.duplicates.length,
+                rows: report.rows
+            };
+
+            if (report.invalid.length > 0) {
+                return res.status(400).json({ error: `${report.invalid.length} of ${rows.length} rows are invalid`, ...summary });
+            }
+            if (dryRun || report.valid.length === 0) {
+                return res.json({ success: true, dryRun: Boolean(dryRun), ...summary });
+            }
+
+            console.log(`Importing ${report.valid.length} addresses to ${listName} for domain ${domain}...`);
+            const fees = await feeOverrides(ethersProvider, cfg.data.provider);
+            const nonces = nonceManagerFor(domain, wallet);
+            const batch = await txJobs.submitBatch({
+                type: 'whitelist.add',
+                domain,
+                initiator: req.episteryClient?.address || null,
+                description: `Import ${report.valid.length} addresses to ${listName}`,
+                items: report.valid.map(row => ({
+                    description: `Add ${row.address} to ${listName}`,
+                    params: { listName, address: row.address, name: row.name, role: row.role, meta: row.meta, line: row.line }
+                }))
+            }, (params) => nonces.send(overrides =>
+                contract.addToWhitelist(params.listName, params.address, params.name, params.role, params.meta, { ...fees, ...overrides })));
+
+            res.status(202).json({
                 success: true,
-                address: address,
-                name: name,
-                isAdmin: isAdmin
+                batchId: batch.id,
+                statusUrl: `/api/tx/batches/${batch.id}`,
+                ...summary
             });
         } catch (error) {
-            console.error('Error updating whitelist metadata:', error);
-            res.status(500).json({ error: error.message });
+            console.error('[whitelist/import] Error:', error);
+            res.status(error.status || 500).json({ error: error.message });
         }
     });
 
-    // Static files (after specific routes)
-    app.use('/style', express.static(path.join(__dirname, 'public/style')));
-    app.use('/image', express.static(path.join(__dirname, 'public/image')));
-    app.use('/script', express.static(path.join(__dirname, 'public/script')));
+    // API: Download a list with its metadata as CSV or JSON (requires admin auth)
+    app.get('/api/whitelist/export', authorize('admin'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const listName = req.query.listName || `${domain}::admin`;
+            const format = req.query.format || 'csv';
+            if (!['csv', 'json'].includes(format)) {
+                return res.status(400).json({ error: 'format must be csv or json' });
+            }
 
-    // Serve service worker (must be at root for scope)
-    app.get('/service-worker.js', (req, res) => {
-        res.sendFile(path.join(__dirname, 'public/service-worker.js'));
+            const entries = await agentHost.getList(domain, listName);
+            res.attachment(`${listName.replace(/[^a-z0-9.-]+/gi, '_')}.${format}`);
+            if (format === 'csv') {
+                return res.type('text/csv').send(toCsv(entries));
+            }
+            // An array of rows, so an export can be imported as it is
+            res.type('application/json').send(JSON.stringify(entries, null, 2));
+        } catch (error) {
+            console.error('[whitelist/export] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
     });
 
-    // Serve qrcode library
-    app.get('/lib/qrcode.js', (req, res) => {
-        res.sendFile(path.join(__dirname, 'node_modules/qrcode-generator/qrcode.js'));
-    });
-    // Serve zebratime library
-    app.get('/lib/zebratime.js', (req, res) => {
-        res.sendFile(path.join(__dirname, 'node_modules/zebratime/zebratime.js'));
+    txJobs.define('whitelist.add', (job) => {
+        console.log('Address added to list successfully');
+        hostEvents.publish('list.member.added', job.domain, { list: job.params.listName, address: job.params.address, name: job.params.name, role: job.params.role });
     });
 
-    // Attach epistery at root
-    const epistery = await Epistery.connect();
-    await epistery.attach(app,'/');
+    txJobs.define('whitelist.remove', (job) => {
+        console.log('Address removed from list successfully');
+        hostEvents.publish('list.member.removed', job.domain, { list: job.params.listName, address: job.params.address });
+    });
 
-    // Also mount the same routes at RFC 8615 well-known path
-    // Note: We reuse the routes() to avoid duplicate middleware
-    app.use('/.well-known/epistery', epistery.routes());
+    txJobs.define('whitelist.update', (job) => {
+        console.log('List entry updated successfully');
+        hostEvents.publish('list.member.updated', job.domain, { list: job.params.listName, address: job.params.address, name: job.params.name, role: job.params.role });
+    });
 
-    // API endpoint to list active agents
-    app.get('/api/agents', async (req, res) => {
-        if (!agentManager) {
-            return res.json({ agents: [] });
+    // Answer a write route with its transaction job: 202 once broadcast, 500 if it could not be sent
+    function sendJob(res, job, extra = {}) {
+        if (job.state === 'failed') {
+            return res.status(500).json({ error: job.error, jobId: job.id, status: job.state });
         }
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            txHash: job.txHash,
+            status: job.state,
+            statusUrl: `/api/tx/${job.id}`,
+            eventsUrl: `/api/tx/${job.id}/events`,
+            ...extra
+        });
+    }
 
-        const domain = req.headers.host?.split(':')[0] || 'localhost';
-        const cfg = new Config();
-        cfg.setPath(domain);
-
-        const defaultAgent = cfg.data?.default_agent || null;
-        const enabledAgents = cfg.data?.enabled_agents || {};
+    // API: This domain's transaction jobs, newest first (requires admin auth)
+    app.get('/api/tx', authorize('admin'), (req, res) => {
+        const domain = req.hostname || 'localhost';
+        const states = req.query.state ? String(req.query.state).split(',') : undefined;
+        res.json({ jobs: txJobs.list({ domain, states }) });
+    });
 
-        const agents = [];
-        for (const [, agentData] of agentManager.agents) {
-            // Default to enabled if not specified
-            const enabled = enabledAgents[agentData.manifest.name] !== false;
+    // API: Progress of a batch of transactions, with each item's outcome
+    app.get('/api/tx/batches/:id', authorize('member'), (req, res) => {
+        const batch = txJobs.batch(req.params.id);
+        if (!batch || batch.domain !== (req.hostname || 'localhost')) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        res.json(batch);
+    });
 
-            agents.push({
+    // API: Cancel a pending transaction with a zero-value self-transfer at its nonce (requires admin auth)
+    app.post('/api/tx/:id/cancel', authorize('admin'), async (req, res) => {
+        try {
+            const job = txJobs.get(req.params.id);
+            if (!job || job.domain !== (req.hostname || 'localhost')) {
+                return res.status(404).json({ error: 'Transaction job not found' });
+            }
+            if (job.state !== 'broadcast') {
+                return res.status(409).json({ error: `Cannot cancel a ${job.state} transaction` });
+            }
+            if (job.cancelled) {
+                return res.status(409).json({ error: 'Transaction is already being cancelled' });
+            }
+
+            const tx = await replaceTransaction(job, 'cancel');
+            console.log(`[tx] Cancelling ${job.type} job ${job.id} with ${tx.hash}`);
+            res.status(202).json({ success: true, jobId: job.id, txHash: tx.hash, status: job.state });
+        } catch (error) {
+            console.error('[tx/cancel] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API: Transaction job status
+    app.get('/api/tx/:id', authorize('member'), (req, res) => {
+        const job = txJobs.get(req.params.id);
+        if (!job || job.domain !== (req.hostname || 'localhost')) {
+            return res.status(404).json({ error: 'Transaction job not found' });
+        }
+        res.json(job);
+    });
+
+    // API: Transaction job state changes as server-sent events, ending once confirmed or failed
+    app.get('/api/tx/:id/events', authorize('member'), (req, res) => {
+        const job = txJobs.get(req.params.id);
+        if (!job || job.domain !== (req.hostname || 'localhost')) {
+            return res.status(404).json({ error: 'Transaction job not found' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        // Ends once, whether the job settles first or the client goes away
+        let finished = false;
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            clearInterval(heartbeat);
+            unwatch();
+            res.end();
+        };
+        const send = (update) => {
+            if (finished) return;
+            res.write(`event: ${update.state}\ndata: ${JSON.stringify(update)}\n\n`);
+            if (TERMINAL_STATES.includes(update.state)) finish();
+        };
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        const unwatch = txJobs.watch(job.id, send);
+
+        req.on('close', finish);
+        send(job);
+    });
+
+    // API: This domain's ledger of sent transactions, newest first (requires admin auth).
+    // Filters: type, status, initiator, address, since, until; paged with limit and offset.
+    app.get('/api/ledger', authorize('admin'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const result = await ledger.query(domain, ledgerFilters(req.query));
+            res.json({ ...result, feeFormatted: ethers.utils.formatEther(result.fee) });
+        } catch (error) {
+            console.error('[ledger] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API: Download the ledger as CSV or JSON, with the same filters (requires admin auth)
+    app.get('/api/ledger/export', authorize('admin'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const format = req.query.format || 'csv';
+            if (!['csv', 'json'].includes(format)) {
+                return res.status(400).json({ error: 'format must be csv or json' });
+            }
+
+            const { entries } = await ledger.query(domain, { ...ledgerFilters(req.query), limit: 0, offset: 0 });
+            res.attachment(`${domain}-ledger.${format}`);
+            if (format === 'csv') {
+                return res.type('text/csv').send(ledgerCsv(entries));
+            }
+            res.type('application/json').send(JSON.stringify(entries, null, 2));
+        } catch (error) {
+            console.error('[ledger] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API: The server wallet's balance, runway and gas spent per day, week and month (requires admin auth)
+    app.get('/api/wallet', authorize('admin'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const cfg = new Config();
+            cfg.setPath(domain);
+            const status = req.query.refresh || !balances.status(domain)
+                ? await balances.check(domain)
+                : balances.status(domain);
+            const spend = await ledger.spend(domain);
+            for (const window of ['day', 'week', 'month']) {
+                spend[window].feeFormatted = ethers.utils.formatEther(spend[window].fee);
+            }
+            res.json({
+                ...status,
+                currencySymbol: cfg.data?.provider?.nativeCurrencySymbol || 'POL',
+                spend
+            });
+        } catch (error) {
+            console.error('[wallet] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    function ledgerFilters(query) {
+        const filters = {};
+        for (const key of ['type', 'status', 'initiator', 'address', 'since', 'until']) {
+            if (typeof query[key] === 'string' && query[key]) filters[key] = query[key];
+        }
+        filters.limit = Math.min(parseInt(query.limit) || 100, 1000);
+        filters.offset = Math.max(parseInt(query.offset) || 0, 0);
+        return filters;
+    }
+
+    // Static files (after specific routes)
+    app.use('/style', express.static(path.join(__dirname, 'public/style')));
+    app.use('/image', express.static(path.join(__dirname, 'public/image')));
+    app.use('/script', express.static(path.join(__dirname, 'public/script')));
+
+    // Serve service worker (must be at root for scope)
+    app.get('/service-worker.js', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public/service-worker.js'));
+    });
+
+    // Serve qrcode library
+    app.get('/lib/qrcode.js', (req, res) => {
+        res.sendFile(path.join(__dirname, 'node_modules/qrcode-generator/qrcode.js'));
+    });
+    // Serve zebratime library
+    app.get('/lib/zebratime.js', (req, res) => {
+        res.sendFile(path.join(__dirname, 'node_modules/zebratime/zebratime.js'));
+    });
+
+    // Attach epistery at root
+    const epistery = await Epistery.connect();
+    await epistery.attach(app,'/');
+
+    // Also mount the same routes at RFC 8615 well-known path
+    // Note: We reuse the routes() to avoid duplicate middleware
+    app.use('/.well-known/epistery', epistery.routes());
+
+    // API endpoint to list active agents
+    app.get('/api/agents', async (req, res) => {
+        if (!agentManager) {
+            return res.json({ agents: [] });
+        }
+
+        const domain = req.headers.host?.split(':')[0] || 'localhost';
+        const cfg = new Config();
+        cfg.setPath(domain);
+
+        const defaultAgent = cfg.data?.default_agent || null;
+        const enabledAgents = cfg.data?.enabled_agents || {};
+        const widgetOrder = cfg.data?.widget_order || [];
+
+        const agents = [];
+        for (const [, agentData] of agentManager.agents) {
+            // Default to enabled if not specified
+            const enabled = enabledAgents[agentData.manifest.name] !== false;
+
+            agents.push({
                 name: agentData.manifest.name,
                 simpleName: agentData.manifest.name.split('/').pop(),
                 title: agentData.manifest.title,
@@ -727,17 +1413,66 @@ let main = async function() {
                 noUserInterface: agentData.manifest.noUserInterface || false,
                 wellKnownPath: agentData.wellKnownPath,
                 shortPath: agentData.shortPath,
+                permissions: agentData.context?.granted || [],
+                isolation: agentData.isolation || 'none',
+                dependencies: agentData.manifest.agentDependencies || {},
+                services: agentManager.services.list(agentData.manifest.name),
+                events: agentManager.events.list(agentData.manifest.name),
+                hasSettings: !!agentData.manifest.configSchema,
                 enabled: enabled
             });
         }
 
-        res.json({ agents, defaultAgent });
+        // Status page order set by the admin, then load order
+        const rank = (agent) => widgetOrder.includes(agent.name) ? widgetOrder.indexOf(agent.name) : widgetOrder.length;
+        agents.sort((a, b) => rank(a) - rank(b));
+
+        res.json({ agents, defaultAgent, widgetOrder });
+    });
+
+    // Status page widgets of the agents enabled on this domain, in the admin's order
+    app.get('/api/widgets', async (req, res) => {
+        try {
+            if (!widgets) {
+                return res.json({ widgets: [] });
+            }
+
+            const domain = req.hostname || 'localhost';
+            const cfg = new Config();
+            cfg.setPath(domain);
+
+            res.json({ widgets: await widgets.collect(domain, cfg.data?.widget_order || []) });
+        } catch (error) {
+            console.error('[widgets] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
     });
 
     app.get('/api/permissions', async (req, res) => {
         res.json({});
     })
 
+    // Agents with a user interface that are enabled on the domain, as the navigation menu shows them
+    function visibleAgents(domain) {
+        if (!agentManager) return [];
+        const cfg = new Config();
+        cfg.setPath(domain);
+        const enabledAgents = cfg.data?.enabled_agents || {};
+
+        const agents = [];
+        for (const [, agentData] of agentManager.agents) {
+            if (agentData.manifest.noUserInterface) continue;
+            if (enabledAgents[agentData.manifest.name] === false) continue;
+            agents.push({
+                name: agentData.manifest.name,
+                title: agentData.manifest.title || agentData.manifest.name.split('/').pop(),
+                icon: agentData.manifest.icon || null,
+                path: agentData.shortPath
+            });
+        }
+        return agents;
+    }
+
     // API endpoint to get navigation menu HTML
     app.get('/api/nav-menu', async (req, res) => {
         if (!agentManager) {
@@ -751,22 +1486,20 @@ let main = async function() {
 
         // Check if authenticated user is admin
         let isAdmin = false;
-        if (req.episteryClient && req.app.locals.epistery) {
+        if (req.episteryClient) {
             try {
-                isAdmin = await req.app.locals.epistery.isListed(req.episteryClient.address, 'epistery::admin');
+                isAdmin = hasRole(await roles.role(domain, req.episteryClient.address, { stale: true }), 'admin');
             } catch (error) {
                 console.error('[nav-menu] Error checking admin status:', error);
             }
         }
 
         let navBar = "";
-        for (const [, agentData] of agentManager.agents) {
-            if (agentData.manifest.noUserInterface) continue;
-            const displayName = agentData.manifest.title || agentData.manifest.name.split('/').pop();
-            navBar += `<a href="${agentData.shortPath}"><img alt="${displayName}" src="${agentData.manifest.icon}"> <span>${displayName}</span></a>`;
+        for (const agent of visibleAgents(domain)) {
+            navBar += `<a href="${agent.path}"><img alt="${agent.title}" src="${agent.icon}"> <span>${agent.title}</span></a>`;
         }
 
-        // Only show admin link if user is on epistery::admin list
+        // Only show admin link to admins and the owner
         if (isAdmin) {
             navBar += '<a href="/admin"><img alt="Administrate" src="data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' viewBox=\'0 0 24 24\' fill=\'%232d5016\'%3E%3Cpath d=\'M12 15.5A3.5 3.5 0 0 1 8.5 12 3.5 3.5 0 0 1 12 8.5a3.5 3.5 0 0 1 3.5 3.5 3.5 3.5 0 0 1-3.5 3.5m7.43-2.53c.04-.32.07-.64.07-.97 0-.33-.03-.66-.07-1l2.11-1.63c.19-.15.24-.42.12-.64l-2-3.46c-.12-.22-.39-.31-.61-.22l-2.49 1c-.52-.39-1.06-.73-1.69-.98l-.37-2.65A.506.506 0 0 0 14 2h-4c-.25 0-.46.18-.5.42l-.37 2.65c-.63.25-1.17.59-1.69.98l-2.49-1c-.22-.09-.49 0-.61.22l-2 3.46c-.13.22-.07.49.12.64L4.57 11c-.04.34-.07.67-.07 1 0 .33.03.65.07.97l-2.11 1.66c-.19.15-.25.42-.12.64l2 3.46c.12.22.39.3.61.22l2.49-1.01c.52.4 1.06.74 1.69.99l.37 2.65c.04.24.25.42.5.42h4c.25 0 .46-.18.5-.42l.37-2.65c.63-.26 1.17-.59 1.69-.99l2.49 1.01c.22.08.49 0 .61-.22l2-3.46c.12-.22.07-.49-.12-.64z\'/%3E%3C/svg%3E"> <span>Administrate</span></a>';
         }
@@ -775,7 +1508,7 @@ let main = async function() {
     });
 
     // API endpoint to set default agent (requires admin auth)
-    app.post('/api/set-default-agent', async (req, res) => {
+    app.post('/api/set-default-agent', authorize('admin'), async (req, res) => {
         try {
             const { agentName } = req.body;
             const domain = req.headers.host?.split(':')[0] || 'localhost';
@@ -784,16 +1517,6 @@ let main = async function() {
                 return res.status(400).json({ error: 'agentName is required' });
             }
 
-            // Check if user is admin
-            if (!req.episteryClient || !req.app.locals.epistery) {
-                return res.status(401).json({ error: 'Not authenticated' });
-            }
-
-            const isAdmin = await req.app.locals.epistery.isListed(req.episteryClient.address, 'epistery::admin');
-            if (!isAdmin) {
-                return res.status(403).json({ error: 'Not authorized' });
-            }
-
             // Verify agent exists
             if (!agentManager) {
                 return res.status(500).json({ error: 'Agent manager not initialized' });
@@ -814,8 +1537,12 @@ let main = async function() {
             // Save to config
             const cfg = new Config();
             cfg.setPath(domain);
+            const previous = cfg.data.default_agent || null;
             cfg.data.default_agent = agentName;
             cfg.save();
+            if (previous !== agentName) {
+                hostEvents.publish('default-agent.changed', domain, { agentName, previous });
+            }
 
             res.json({ success: true });
         } catch (error) {
@@ -825,7 +1552,7 @@ let main = async function() {
     });
 
     // API endpoint to toggle agent enabled status (requires admin auth)
-    app.post('/api/toggle-agent', async (req, res) => {
+    app.post('/api/toggle-agent', authorize('admin'), async (req, res) => {
         try {
             const { agentName, enabled } = req.body;
             const domain = req.headers.host?.split(':')[0] || 'localhost';
@@ -834,16 +1561,6 @@ let main = async function() {
                 return res.status(400).json({ error: 'agentName and enabled are required' });
             }
 
-            // Check if user is admin
-            if (!req.episteryClient || !req.app.locals.epistery) {
-                return res.status(401).json({ error: 'Not authenticated' });
-            }
-
-            const isAdmin = await req.app.locals.epistery.isListed(req.episteryClient.address, 'epistery::admin');
-            if (!isAdmin) {
-                return res.status(403).json({ error: 'Not authorized' });
-            }
-
             // Save to config
             const cfg = new Config();
             cfg.setPath(domain);
@@ -852,8 +1569,12 @@ let main = async function() {
                 cfg.data.enabled_agents = {};
             }
 
+            const wasEnabled = cfg.data.enabled_agents[agentName] !== false;
             cfg.data.enabled_agents[agentName] = enabled;
             cfg.save();
+            if (wasEnabled !== (enabled !== false)) {
+                hostEvents.publish(enabled !== false ? 'agent.enabled' : 'agent.disabled', domain, { agentName });
+            }
 
             res.json({ success: true });
         } catch (error) {
@@ -862,15 +1583,542 @@ let main = async function() {
         }
     });
 
-    config = new Config();
+    // API endpoint listing every agent directory with its load status and errors (requires an operator)
+    app.get('/api/agents/diagnostics', operatorOnly, (req, res) => {
+        if (!agentManager) {
+            return res.json({ hostVersion: HOST_VERSION, agents: [] });
+        }
+        res.json({ hostVersion: HOST_VERSION, agents: agentManager.getDiagnostics() });
+    });
+
+    // Find a loaded agent by package name
+    function findAgent(agentName) {
+        for (const [, agentData] of agentManager?.agents || []) {
+            if (agentData.manifest.name === agentName) return agentData;
+        }
+        return null;
+    }
+
+    // API endpoint returning an agent's settings schema and this domain's settings (requires admin auth)
+    app.get('/api/agents/config', authorize('admin'), (req, res) => {
+        try {
+            const { agentName } = req.query;
+            if (!agentName) {
+                return res.status(400).json({ error: 'agentName is required' });
+            }
+
+            const agent = findAgent(agentName);
+            if (!agent) {
+                return res.status(404).json({ error: 'Agent not found' });
+            }
+
+            const domain = req.hostname || 'localhost';
+            const overrides = domainAgentConfig(domain, agentName);
+            res.json({
+                agentName,
+                schema: agent.manifest.configSchema || null,
+                defaults: resolveConfig(agent.manifest),
+                overrides,
+                resolved: resolveConfig(agent.manifest, overrides)
+            });
+        } catch (error) {
+            console.error('[agents/config] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Check settings against an agent's schema without saving them
+    function checkAgentConfig(req, res) {
+        const { agentName, config: settings } = req.body;
+        if (!agentName || settings === undefined) {
+            res.status(400).json({ error: 'agentName and config are required' });
+            return null;
+        }
+
+        const agent = findAgent(agentName);
+        if (!agent) {
+            res.status(404).json({ error: 'Agent not found' });
+            return null;
+        }
+        if (!agent.manifest.configSchema) {
+            res.status(400).json({ error: `Agent ${agentName} does not declare a configSchema` });
+            return null;
+        }
+
+        // Overrides are validated as part of the resolved settings so required fields can come from defaults
+        const resolved = resolveConfig(agent.manifest, settings);
+        const errors = settings && typeof settings === 'object' && !Array.isArray(settings)
+            ? validateConfig(agent.manifest.configSchema, resolved)
+            : ['config must be an object'];
+        return { agent, settings, resolved, errors };
+    }
+
+    // API endpoint to validate settings for this domain without saving them (requires admin auth)
+    app.post('/api/agents/config/validate', authorize('admin'), (req, res) => {
+        try {
+            const result = checkAgentConfig(req, res);
+            if (!result) return;
+            res.json({ valid: result.errors.length === 0, errors: result.errors, resolved: result.resolved });
+        } catch (error) {
+            console.error('[agents/config/validate] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to save an agent's settings for this domain (requires admin auth)
+    app.post('/api/agents/config', authorize('admin'), (req, res) => {
+        try {
+            const result = checkAgentConfig(req, res);
+            if (!result) return;
+            if (result.errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid settings', errors: result.errors });
+            }
+
+            const domain = req.hostname || 'localhost';
+            const cfg = new Config();
+            cfg.setPath(domain);
+            if (!cfg.data.agent_config) {
+                cfg.data.agent_config = {};
+            }
+            cfg.data.agent_config[req.body.agentName] = result.settings;
+            cfg.save();
+            hostEvents.publish('agent.config.changed', domain, { agentName: req.body.agentName });
+
+            res.json({ success: true, resolved: result.resolved });
+        } catch (error) {
+            console.error('[agents/config] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to set the order of agent widgets on the status page (requires admin auth)
+    app.post('/api/widgets/order', authorize('admin'), (req, res) => {
+        try {
+            const { order } = req.body;
+            if (!Array.isArray(order) || order.some(name => typeof name !== 'string')) {
+                return res.status(400).json({ error: 'order must be an array of agent names' });
+            }
+
+            const domain = req.hostname || 'localhost';
+            const cfg = new Config();
+            cfg.setPath(domain);
+            cfg.data.widget_order = [...new Set(order)];
+            cfg.save();
+
+            res.json({ success: true, order: cfg.data.widget_order });
+        } catch (error) {
+            console.error('[widgets/order] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API endpoint with the health of this domain's RPC endpoints (requires admin auth)
+    app.get('/api/rpc', authorize('admin'), (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const cfg = new Config();
+            cfg.setPath(domain);
+
+            const provider = cfg.data?.provider;
+            if (!provider || !hasRpc(provider)) {
+                return res.status(500).json({ error: 'Provider not configured' });
+            }
+            const pool = rpcProvider(provider);
+            res.json({ mode: pool.mode, quorum: pool.quorum, endpoints: pool.status() });
+        } catch (error) {
+            console.error('[rpc] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API endpoint showing the fee policy for this domain's chain and the fees it produces now (requires admin auth)
+    app.get('/api/fee-policy', authorize('admin'), async (req, res) => {
+        try {
+            const domain = req.hostname || 'localhost';
+            const cfg = new Config();
+            cfg.setPath(domain);
+
+            const provider = cfg.data?.provider;
+            if (!provider || !hasRpc(provider)) {
+                return res.status(500).json({ error: 'Provider not configured' });
+            }
+
+            const ethersProvider = rpcProvider(provider);
+            const fees = await feeOverrides(ethersProvider, provider);
+            res.json({
+                chainId: provider.chainId,
+                policy: resolveFeePolicy(provider),
+                fees: Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, ethers.utils.formatUnits(value, 'gwei')]))
+            });
+        } catch (error) {
+            console.error('[fee-policy] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API endpoint with each agent's health status, latency and last error (requires an operator)
+    app.get('/api/agents/health', operatorOnly, async (req, res) => {
+        try {
+            if (!agentManager) {
+                return res.json({ agents: [] });
+            }
+            const agents = req.query.refresh !== undefined
+                ? await agentManager.checkAllHealth()
+                : agentManager.getHealth();
+            res.json({ agents });
+        } catch (error) {
+            console.error('[agents/health] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to load a newly installed agent from the .agents directory (requires an operator)
+    app.post('/api/agents/load', operatorOnly, async (req, res) => {
+        try {
+            const { agentName } = req.body;
+            if (!agentName) {
+                return res.status(400).json({ error: 'agentName is required' });
+            }
+
+            const agent = await agentManager.install(agentName);
+            if (!agent) {
+                return res.status(400).json({ error: `Agent ${agentName} could not be loaded` });
+            }
+            res.json({ success: true, name: agent.manifest.name, version: agent.manifest.version });
+        } catch (error) {
+            console.error('[agents/load] Error:', error);
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to reload a changed agent without restarting the host (requires an operator)
+    app.post('/api/agents/reload', operatorOnly, async (req, res) => {
+        try {
+            const { agentName } = req.body;
+            if (!agentName) {
+                return res.status(400).json({ error: 'agentName is required' });
+            }
+
+            const agent = await agentManager.reload(agentName);
+            if (!agent) {
+                return res.status(404).json({ error: 'Agent not found' });
+            }
+            res.json({ success: true, name: agent.manifest.name, version: agent.manifest.version });
+        } catch (error) {
+            console.error('[agents/reload] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to unmount an agent's routes and WebSockets (requires an operator)
+    app.post('/api/agents/unload', operatorOnly, async (req, res) => {
+        try {
+            const { agentName } = req.body;
+            if (!agentName) {
+                return res.status(400).json({ error: 'agentName is required' });
+            }
+
+            const unloaded = await agentManager.unload(agentName);
+            if (!unloaded) {
+                return res.status(404).json({ error: 'Agent not found' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('[agents/unload] Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // An agent is enabled on a domain unless enabled_agents sets it to false
+    function isAgentEnabled(domain, agentName) {
+        const cfg = new Config();
+        cfg.setPath(domain || 'localhost');
+        return cfg.data?.enabled_agents?.[agentName] !== false;
+    }
+
+    // Domains this host serves: claimed ones, so agents cannot act for arbitrary names
+    function isClaimedDomain(domain) {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        return Boolean(cfg.data?.verified);
+    }
+
+    // A domain's overrides for an agent's settings
+    function domainAgentConfig(domain, agentName) {
+        const cfg = new Config();
+        cfg.setPath(domain || 'localhost');
+        return cfg.data?.agent_config?.[agentName] || {};
+    }
+
+    // JSON-RPC provider for a domain's configured chain
+    function providerFor(domain) {
+        const cfg = new Config();
+        cfg.setPath(domain);
+        const provider = cfg.data?.provider;
+        if (!provider || !hasRpc(provider)) {
+            throw new Error(`Provider not configured for ${domain}`);
+        }
+        return rpcProvider(provider);
+    }
+
+    // One nonce manager per domain wallet, so concurrent sends never share a nonce.
+    // Handlers build a fresh wallet per request; the manager is kept while the
+    // domain's wallet address and RPC stay the same.
+    const nonceManagers = new Map();
+    function nonceManagerFor(domain, wallet) {
+        const existing = nonceManagers.get(domain);
+        if (existing && existing.wallet.address === wallet.address && existing.wallet.provider === wallet.provider) {
+            return existing;
+        }
+
+        const manager = new NonceManager(wallet);
+        nonceManagers.set(domain, manager);
+        return manager;
+    }
+
+    // Replace transactions left unmined past stuckAfter with bumped fees, up to maxReplacements times
+    async function replaceStuckTransactions(stuckAfter, maxReplacements = 5) {
+        for (const job of txJobs.stuck(stuckAfter)) {
+            if (job.replaced.length >= maxReplacements) continue;
+            try {
+                const tx = await replaceTransaction(job, 'speed-up');
+                console.log(`[tx] Replaced stuck ${job.type} transaction ${job.replaced.at(-1).hash} with ${tx.hash}`);
+            } catch (error) {
+                console.error(`[tx] Could not replace stuck ${job.type} job ${job.id}:`, error.message);
+            }
+        }
+    }
+
+    // Speed up or cancel a job's transaction at the same nonce
+    async function replaceTransaction(job, reason) {
+        const cfg = new Config();
+        cfg.setPath(job.domain);
+        const serverWallet = cfg.data?.wallet;
+        const provider = cfg.data?.provider;
+        if (!serverWallet || !serverWallet.mnemonic || !provider || !hasRpc(provider)) {
+            throw new Error(`Server not configured for ${job.domain}`);
+        }
+
+        const ethersProvider = rpcProvider(provider);
+        const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
+        const policy = resolveFeePolicy(provider);
+        const options = {
+            fees: await feeOverrides(ethersProvider, provider),
+            maxFee: policy.maxFeeGwei === null ? null : ethers.utils.parseUnits(String(policy.maxFeeGwei), 'gwei')
+        };
+
+        const nonces = nonceManagerFor(job.domain, wallet);
+        const tx = reason === 'cancel'
+            ? await nonces.cancel(job.txHash, options)
+            : await nonces.speedUp(job.txHash, options);
+        await txJobs.replace(job, tx, reason);
+        return tx;
+    }
+
+    // Read a list from a domain's Agent contract; the membership cache calls this on a miss
+    async function loadList(domain, listName) {
+        const { wallet, contract } = connectDomain(domain);
+        return await readList(contract, wallet.address, listName);
+    }
+
+    async function readList(contract, owner, listName) {
+        const entries = await contract.getWhitelist(owner, listName);
+        return entries.map(entry => ({
+            address: entry.addr,
+            name: entry.name,
+            role: Number(entry.role),
+            meta: entry.meta
+        }));
+    }
+
+    // Keep a domain's cached lists in step with its Agent contract: subscribe to list
+    // events over the provider's `ws` endpoint if it has one, otherwise poll for them
+    const listWatchers = new Map();
+    function watchDomainLists(domain) {
+        listWatchers.get(domain)?.();
+        listWatchers.delete(domain);
+
+        let contract;
+        try {
+            const cfg = new Config();
+            cfg.setPath(domain);
+            const contractAddress = cfg.data?.agent_contract_address;
+            const ws = cfg.data?.provider?.ws;
+            if (!contractAddress) return;
+            const ethersProvider = ws ? new ethers.providers.WebSocketProvider(ws) : providerFor(domain);
+            contract = new ethers.Contract(contractAddress, AgentArtifact.abi, ethersProvider);
+            const stop = watchListEvents(contract, (listName) => membership.invalidate(domain, listName ?? undefined), {
+                subscribe: Boolean(ws),
+                pollInterval: parseInt(process.env.MEMBERSHIP_POLL_INTERVAL || 30) * 1000
+            });
+            if (!stop) {
+                console.log(`[membership] Agent contract for ${domain} has no list events; relying on the staleness bound`);
+                return;
+            }
+            listWatchers.set(domain, () => {
+                stop();
+                if (ws) ethersProvider.destroy();
+            });
+        } catch (error) {
+            console.error(`[membership] Could not watch lists for ${domain}:`, error.message);
+        }
+    }
+
+    // Connect to a domain's Agent contract with its server wallet
+    function connectDomain(domain) {
+        const cfg = new Config();
+        cfg.setPath(domain);
+
+        const serverWallet = cfg.data?.wallet;
+        const provider = cfg.data?.provider;
+        if (!serverWallet || !serverWallet.mnemonic || !provider || !hasRpc(provider)) {
+            throw new Error(`Server not configured for ${domain}`);
+        }
+
+        const contractAddress = cfg.data?.agent_contract_address || process.env.AGENT_CONTRACT_ADDRESS;
+        if (!contractAddress) {
+            throw new Error(`Contract not deployed for ${domain}`);
+        }
+
+        const ethersProvider = rpcProvider(provider);
+        const wallet = ethers.Wallet.fromMnemonic(serverWallet.mnemonic).connect(ethersProvider);
+        const contract = new ethers.Contract(contractAddress, AgentArtifact.abi, wallet);
+        return { cfg, ethersProvider, wallet, contract };
+    }
+
+    async function settledTransaction(job) {
+        const settled = await txJobs.settled(job.id);
+        if (settled.state === 'failed') {
+            throw new Error(settled.error);
+        }
+        return { txHash: settled.txHash };
+    }
+
+    // Agents write lists as a member would: only the domain's own lists, never epistery::*,
+    // and no entry above member, whether written or replaced (see checkListWrite)
+    const AGENT_LIST_ROLE = 'member';
+
+    // Capability implementations behind each agent's AgentContext. An agent can only
+    // reach the ones its manifest declares in `permissions`.
+    const agentHost = {
+        async sign(domain, message) {
+            const { wallet } = connectDomain(domain);
+            return await wallet.signMessage(message);
+        },
+        async isListed(domain, listName, address) {
+            return await membership.isListed(domain, listName, address);
+        },
+        async getList(domain, listName) {
+            return await membership.getList(domain, listName);
+        },
+        // Agent list writes run as transaction jobs like the host's own, so they reach
+        // the ledger; they resolve once confirmed and publish list.member.* from the job handler
+        async addToList(domain, listName, address, { name = '', role = 0, meta = '' } = {}, agentName = null) {
+            checkListWrite(AGENT_LIST_ROLE, domain, listName, [role]);
+            await refuseOutranking(AGENT_LIST_ROLE, domain, listName, address);
+            const { cfg, ethersProvider, wallet, contract } = connectDomain(domain);
+            const metaString = typeof meta === 'string' ? meta : JSON.stringify(meta);
+            const fees = await feeOverrides(ethersProvider, cfg.data.provider);
+            const job = await txJobs.submit({
+                type: 'whitelist.add',
+                domain,
+                initiator: agentName ? `agent:${agentName}` : null,
+                description: `Add ${address} to ${listName}`,
+                params: { listName, address, name, role }
+            }, () => nonceManagerFor(domain, wallet).send(overrides =>
+                contract.addToWhitelist(listName, address, name, role, metaString, { ...fees, ...overrides })));
+            return settledTransaction(job);
+        },
+        async removeFromList(domain, listName, address, agentName = null) {
+            checkListWrite(AGENT_LIST_ROLE, domain, listName);
+            await refuseOutranking(AGENT_LIST_ROLE, domain, listName, address);
+            const { cfg, ethersProvider, wallet, contract } = connectDomain(domain);
+            const fees = await feeOverrides(ethersProvider, cfg.data.provider);
+            const job = await txJobs.submit({
+                type: 'whitelist.remove',
+                domain,
+                initiator: agentName ? `agent:${agentName}` : null,
+                description: `Remove ${address} from ${listName}`,
+                params: { listName, address }
+            }, () => nonceManagerFor(domain, wallet).send(overrides =>
+                contract.removeFromWhitelist(listName, address, { ...fees, ...overrides })));
+            return settledTransaction(job);
+        },
+        getConfig(domain) {
+            const cfg = new Config();
+            cfg.setPath(domain);
+            const data = JSON.parse(JSON.stringify(cfg.data || {}));
+            if (data.wallet) {
+                delete data.wallet.mnemonic;
+                delete data.wallet.privateKey;
+            }
+            return data;
+        }
+    };
+
     const http_port = parseInt(process.env.PORT || 4080);
     const https_port = parseInt(process.env.PORTSSL || 4443);
     const certify = await Certify.attach(app);
 
     // Load and attach agent modules from ~/.epistery/.agents
     const agentsPath = path.join(config.configDir, '.agents');
-    agentManager = new AgentManager(agentsPath);
+    agentManager = new AgentManager(agentsPath, agentHost, {
+        isolation: process.env.AGENT_ISOLATION || 'none',
+        trustedAgents: (process.env.TRUSTED_AGENTS || '').split(',').map(name => name.trim()).filter(Boolean),
+        events: hostEvents
+    });
+    agentManager.isEnabled = isAgentEnabled;
+    agentManager.hasDomain = isClaimedDomain;
+    agentManager.domainConfig = domainAgentConfig;
+    widgets = new WidgetAggregator(agentManager, {
+        timeout: parseInt(process.env.WIDGET_TIMEOUT || 3000),
+        ttl: parseInt(process.env.WIDGET_CACHE_TTL || 60000)
+    });
+    // Anything that changes a domain can change what its widgets show
+    hostEvents.subscribe('epistery-host', '*', (event) => widgets.invalidate(event.domain));
+
+    // The host's own list writes update the membership cache as soon as they are confirmed
+    hostEvents.subscribe('epistery-host', 'list.member.added', ({ domain, payload }) =>
+        membership.apply(domain, payload.list, { type: 'added', ...payload }));
+    hostEvents.subscribe('epistery-host', 'list.member.updated', ({ domain, payload }) =>
+        membership.apply(domain, payload.list, { type: 'updated', ...payload }));
+    hostEvents.subscribe('epistery-host', 'list.member.removed', ({ domain, payload }) =>
+        membership.apply(domain, payload.list, { type: 'removed', ...payload }));
+    for (const type of ['contract.initialized', 'contract.upgraded']) {
+        hostEvents.subscribe('epistery-host', type, ({ domain }) => {
+            membership.invalidate(domain);
+            watchDomainLists(domain);
+        });
+    }
+
+    // Warm the admin lists, start watching every domain with a contract and bring its list names up to date
+    for (const { domain, data } of configuredDomains()) {
+        if (!data.agent_contract_address) continue;
+        watchDomainLists(domain);
+        membership.warm(domain, ['epistery::admin', `${domain}::admin`]);
+        listIndex.refresh(domain, data.agent_contract_address);
+    }
     await agentManager.loadAll(app);
+    agentManager.watch();
+    agentManager.startHealthChecks(healthInterval);
+
+    // Pick up transactions that were still in flight when the host stopped
+    await txJobs.resume();
+    await upgrades.resume();
+
+    // Replace transactions stuck unmined (TX_STUCK_AFTER seconds, default 5 minutes)
+    const stuckAfter = parseInt(process.env.TX_STUCK_AFTER || 300) * 1000;
+    setInterval(() => replaceStuckTransactions(stuckAfter), Math.min(stuckAfter, 60000)).unref();
+    // Drop finished jobs past retention while the host runs, not only at restart
+    setInterval(() => txJobs.prune(), 60 * 60 * 1000).unref();
+
+    // Check server wallet balances (BALANCE_INTERVAL seconds, default 5 minutes)
+    balances.start(() => configuredDomains()
+        .filter(({ data }) => data.wallet && hasRpc(data.provider))
+        .map(({ domain }) => domain), parseInt(process.env.BALANCE_INTERVAL || 300) * 1000);
+    setInterval(() => {
+        refreshHostHealth().catch(error => console.error('[health] Error:', error.message));
+    }, healthInterval).unref();
 
     https_server = https.createServer({...certify.SNI},app);
     https_server.listen(https_port);
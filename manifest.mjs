@@ -0,0 +1,183 @@
+import { createRequire } from 'module';
+import semver from 'semver';
+import { PERMISSIONS } from './AgentContext.mjs';
+import { validateConfigSchema } from './agentConfig.mjs';
+
+const require = createRequire(import.meta.url);
+export const HOST_VERSION = require('./package.json').version;
+
+const PACKAGE_NAME = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+/**
+ * Validate an agent's epistery.json manifest
+ *
+ * Required: name (npm package name) and version (semver).
+ * Host compatibility is declared npm-style with a semver range:
+ *   "engines": { "epistery-host": ">=0.5.0 <1.0.0" }
+ * Other agents this one needs are declared by package name and semver range:
+ *   "agentDependencies": { "@epistery/secrets-manager": "^1.0.0" }
+ * Per-domain settings are declared with a configSchema (see agentConfig.mjs).
+ * Returns an array of error messages, empty when the manifest is valid.
+ */
+export function validateManifest(manifest, hostVersion = HOST_VERSION) {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return ['manifest must be a JSON object'];
+    }
+
+    if (!manifest.name) {
+        errors.push('name is required');
+    } else if (typeof manifest.name !== 'string' || !PACKAGE_NAME.test(manifest.name)) {
+        errors.push(`name "${manifest.name}" is not a valid npm package name`);
+    }
+
+    if (!manifest.version) {
+        errors.push('version is required');
+    } else if (!semver.valid(manifest.version)) {
+        errors.push(`version "${manifest.version}" is not a valid semantic version`);
+    }
+
+    for (const field of ['title', 'description', 'main', 'command', 'icon', 'widget']) {
+        if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    }
+
+    for (const field of ['icon', 'widget']) {
+        const value = manifest[field];
+        if (typeof value === 'string' && !/^(\/|https?:\/\/|data:image\/)/.test(value)) {
+            errors.push(`${field} must be an absolute path, http(s) URL or image data URI`);
+        }
+    }
+
+    if (manifest.isolation !== undefined && !['none', 'process'].includes(manifest.isolation)) {
+        errors.push('isolation must be "none" or "process"');
+    }
+
+    if (manifest.listen !== undefined && !['port', 'socket'].includes(manifest.listen)) {
+        errors.push('listen must be "port" or "socket"');
+    }
+
+    if (manifest.noUserInterface !== undefined && typeof manifest.noUserInterface !== 'boolean') {
+        errors.push('noUserInterface must be a boolean');
+    }
+
+    if (manifest.config !== undefined && (typeof manifest.config !== 'object' || Array.isArray(manifest.config))) {
+        errors.push('config must be an object');
+    }
+
+    if (manifest.configSchema !== undefined) {
+        errors.push(...validateConfigSchema(manifest.configSchema));
+    }
+
+    if (manifest.permissions !== undefined) {
+        if (!Array.isArray(manifest.permissions)) {
+            errors.push('permissions must be an array');
+        } else {
+            for (const permission of manifest.permissions) {
+                if (!PERMISSIONS[permission]) errors.push(`permission "${permission}" is not recognized`);
+            }
+        }
+    }
+
+    if (manifest.engines !== undefined) {
+        if (typeof manifest.engines !== 'object' || Array.isArray(manifest.engines)) {
+            errors.push('engines must be an object');
+        } else if (manifest.engines['epistery-host'] !== undefined) {
+            const range = manifest.engines['epistery-host'];
+            if (typeof range !== 'string' || !semver.validRange(range)) {
+                errors.push(`engines.epistery-host "${range}" is not a valid semver range`);
+            } else if (!semver.satisfies(hostVersion, range, { includePrerelease: true })) {
+                errors.push(`requires epistery-host ${range}, this host is ${hostVersion}`);
+            }
+        }
+    }
+
+    if (manifest.agentDependencies !== undefined) {
+        if (!isPlainObject(manifest.agentDependencies)) {
+            errors.push('agentDependencies must be an object');
+        } else {
+            for (const [name, range] of Object.entries(manifest.agentDependencies)) {
+                if (typeof range !== 'string' || !semver.validRange(range)) {
+                    errors.push(`agentDependencies.${name} "${range}" is not a valid semver range`);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Order agents so that each one loads after the agents it depends on
+ *
+ * Returns { ordered, rejected } where rejected lists agents with a missing or
+ * mismatched dependency, or that take part in a dependency cycle, along with
+ * the reasons. Agents depending on a rejected agent are rejected as well.
+ */
+export function sortByDependencies(agentInfos) {
+    const byName = new Map();
+    for (const info of agentInfos) {
+        if (typeof info.manifest?.name === 'string') byName.set(info.manifest.name, info);
+    }
+
+    const ordered = [];
+    const errors = new Map();
+    const state = new Map();
+    const addError = (info, message) => {
+        if (!errors.has(info)) errors.set(info, []);
+        errors.get(info).push(message);
+    };
+
+    const visit = (info, trail) => {
+        const status = state.get(info);
+        if (status === 'done') return !errors.has(info);
+        if (status === 'visiting') {
+            const members = trail.slice(trail.indexOf(info));
+            const cycle = [...members, info].map(member => member.manifest.name).join(' -> ');
+            for (const member of members) addError(member, `dependency cycle: ${cycle}`);
+            return false;
+        }
+
+        state.set(info, 'visiting');
+        for (const [name, range] of Object.entries(dependenciesOf(info.manifest))) {
+            const target = byName.get(name);
+            if (!target) {
+                addError(info, `requires ${name} ${range}, which is not installed`);
+            } else if (!semver.satisfies(target.manifest.version, range, { includePrerelease: true })) {
+                addError(info, `requires ${name} ${range}, found ${target.manifest.version}`);
+            } else if (!visit(target, [...trail, info]) && !errors.has(info)) {
+                addError(info, `requires ${name}, which cannot be loaded`);
+            }
+        }
+        state.set(info, 'done');
+
+        if (errors.has(info)) return false;
+        ordered.push(info);
+        return true;
+    };
+
+    for (const info of agentInfos) visit(info, []);
+
+    const rejected = [...errors].map(([agentInfo, messages]) => ({ agentInfo, errors: messages }));
+    return { ordered, rejected };
+}
+
+/**
+ * The agentDependencies of a manifest, or an empty object when absent or malformed
+ */
+export function dependenciesOf(manifest) {
+    return isPlainObject(manifest?.agentDependencies) ? manifest.agentDependencies : {};
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Derive the route segment from an npm package name (remove @ for URL safety)
+ */
+export function routeNameFor(packageName) {
+    return packageName.replace(/^@/, '');
+}
@@ -0,0 +1,83 @@
+(function() {
+  'use strict';
+
+  const TERMINAL_STATES = ['confirmed', 'failed'];
+
+  // Follow a transaction job returned by a write route until it is confirmed or fails.
+  // Uses the job's event stream and falls back to polling /api/tx/:id when streams
+  // are unavailable. onUpdate receives the job on every state change.
+  // Resolves with the confirmed job; rejects with the job's error if it failed.
+  window.watchTransaction = function(jobId, onUpdate = () => {}) {
+    return new Promise((resolve, reject) => {
+      let lastState = null;
+
+      const settle = (job) => {
+        if (job.state !== lastState) {
+          lastState = job.state;
+          onUpdate(job);
+        }
+        if (job.state === 'confirmed') resolve(job);
+        if (job.state === 'failed') reject(new Error(job.error || 'Transaction failed'));
+        return TERMINAL_STATES.includes(job.state);
+      };
+
+      const poll = async () => {
+        try {
+          const response = await fetch(`/api/tx/${encodeURIComponent(jobId)}`);
+          const job = await response.json();
+          if (!response.ok) {
+            return reject(new Error(job.error || 'Transaction job not found'));
+          }
+          if (!settle(job)) setTimeout(poll, 3000);
+        } catch (error) {
+          setTimeout(poll, 3000);
+        }
+      };
+
+      if (!window.EventSource) return poll();
+
+      const source = new EventSource(`/api/tx/${encodeURIComponent(jobId)}/events`);
+      const onMessage = (event) => {
+        if (settle(JSON.parse(event.data))) source.close();
+      };
+      for (const state of ['queued', 'broadcast', 'mined', ...TERMINAL_STATES]) {
+        source.addEventListener(state, onMessage);
+      }
+      source.onerror = () => {
+        // The stream closes after a terminal state; otherwise keep going by polling
+        source.close();
+        if (!TERMINAL_STATES.includes(lastState)) poll();
+      };
+    });
+  };
+
+  // Ask the admin to confirm a contract write, showing its previewed cost first.
+  // operation and params are what /api/estimate takes. A write that would revert,
+  // or that the server wallet cannot pay for, is reported and not confirmed.
+  // Resolves true when the admin confirms.
+  window.confirmTransaction = async function(message, operation, params = {}) {
+    let preview;
+    try {
+      const response = await fetch('/api/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ operation, params })
+      });
+      preview = await response.json();
+      if (!response.ok) throw new Error(preview.error || 'Estimate failed');
+    } catch (error) {
+      return confirm(`${message}\n\nThe cost could not be estimated: ${error.message}`);
+    }
+
+    const symbol = preview.currencySymbol;
+    if (!preview.success) {
+      alert(`This transaction would fail: ${preview.revertReason}\n\nNothing was sent.`);
+      return false;
+    }
+    if (!preview.affordable) {
+      alert(`The server wallet cannot cover this transaction: up to ${preview.fee.max} ${symbol} is needed and ${preview.balance} ${symbol} is available.`);
+      return false;
+    }
+    return confirm(`${message}\n\nEstimated cost: ${preview.fee.expected} ${symbol} (at most ${preview.fee.max} ${symbol}, ${preview.gasLimit} gas)\nServer wallet balance: ${preview.balance} ${symbol}`);
+  };
+})();
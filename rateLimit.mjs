@@ -0,0 +1,33 @@
+/**
+ * Fixed-window rate limits kept in memory
+ *
+ * Each key (an IP address, a domain) may be hit `limit` times per `window` ms.
+ * hit(key) counts an attempt and returns { allowed, remaining, retryAfter },
+ * with retryAfter the seconds until the key's window resets.
+ */
+export function createRateLimit({ limit, window }) {
+    const windows = new Map();
+
+    return {
+        hit(key, now = Date.now()) {
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                if (windows.size > 10000) prune(now);
+                entry = { count: 0, resetAt: now + window };
+                windows.set(key, entry);
+            }
+            entry.count++;
+            return {
+                allowed: entry.count <= limit,
+                remaining: Math.max(0, limit - entry.count),
+                retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+            };
+        }
+    };
+
+    function prune(now) {
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }
+}
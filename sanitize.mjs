@@ -0,0 +1,82 @@
+/**
+ * Allowlist HTML sanitizer for agent widget fragments
+ *
+ * Keeps basic text formatting, lists, tables, links and images. Scripts, styles,
+ * frames and forms are removed with their content, other unknown tags are
+ * removed but their text kept, and only safe attributes survive. Links and
+ * images must point at http(s) URLs or host paths; images may also be data URIs.
+ */
+const ALLOWED_TAGS = new Set([
+    'a', 'b', 'br', 'code', 'div', 'em', 'h3', 'h4', 'h5', 'hr', 'i', 'img', 'li', 'ol', 'p',
+    'pre', 'small', 'span', 'strong', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+const DROPPED_WITH_CONTENT = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template', 'noscript',
+    'textarea', 'select', 'form', 'svg', 'math', 'title', 'head'
+]);
+const ALLOWED_ATTRIBUTES = {
+    '*': ['class', 'title'],
+    a: ['href'],
+    img: ['src', 'alt', 'width', 'height'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan']
+};
+const SAFE_URL = /^(https?:\/\/|\/(?![\/\\])|#)/i;
+const SAFE_IMAGE = /^data:image\/(png|gif|jpeg|webp);base64,[a-z0-9+\/=]+$/i;
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<|[^<]+/g;
+const ATTRIBUTE = /([^\s=\/"'>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+export function sanitizeHtml(html) {
+    if (typeof html !== 'string') return '';
+    let output = '';
+    let skipUntil = null;
+    TOKEN.lastIndex = 0;
+
+    let match;
+    while ((match = TOKEN.exec(html)) !== null) {
+        const [token, closing, rawName, rawAttributes] = match;
+        const name = rawName?.toLowerCase();
+
+        if (skipUntil) {
+            if (name === skipUntil && closing) skipUntil = null;
+            continue;
+        }
+        if (token.startsWith('<!--')) continue;
+        if (!rawName) {
+            output += token === '<' ? '&lt;' : token.replace(/>/g, '&gt;');
+            continue;
+        }
+        if (DROPPED_WITH_CONTENT.has(name)) {
+            if (!closing && !/\/\s*$/.test(rawAttributes)) skipUntil = name;
+            continue;
+        }
+        if (!ALLOWED_TAGS.has(name)) continue;
+
+        if (closing) {
+            if (!VOID_TAGS.has(name)) output += `</${name}>`;
+            continue;
+        }
+        output += `<${name}${sanitizeAttributes(name, rawAttributes)}>`;
+    }
+    return output;
+}
+
+function sanitizeAttributes(tag, raw) {
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+    let output = '';
+    ATTRIBUTE.lastIndex = 0;
+
+    let match;
+    while ((match = ATTRIBUTE.exec(raw)) !== null) {
+        const name = match[1].toLowerCase();
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        if (!allowed.includes(name)) continue;
+        if (name === 'href' && !SAFE_URL.test(value)) continue;
+        if (name === 'src' && !SAFE_URL.test(value) && !SAFE_IMAGE.test(value)) continue;
+        output += ` ${name}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`;
+    }
+    if (tag === 'a') output += ' rel="noopener noreferrer" target="_blank"';
+    return output;
+}
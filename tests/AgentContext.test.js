@@ -0,0 +1,193 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AgentContext, PermissionError } from '../AgentContext.mjs';
+import { ServiceRegistry } from '../ServiceRegistry.mjs';
+import { HostEvents } from '../HostEvents.mjs';
+
+/**
+ * Test suite for AgentContext
+ * Covers permission grants and refusal of undeclared capabilities
+ */
+describe('AgentContext', () => {
+  const host = {
+    sign: vi.fn().mockResolvedValue('0xsignature'),
+    isListed: vi.fn().mockResolvedValue(true),
+    getList: vi.fn().mockResolvedValue([]),
+    addToList: vi.fn().mockResolvedValue({ txHash: '0xabc' }),
+    removeFromList: vi.fn().mockResolvedValue({ txHash: '0xdef' }),
+    getConfig: vi.fn().mockReturnValue({ verified: true })
+  };
+
+  describe('constructor', () => {
+    it('should grant known permissions from the manifest', () => {
+      const context = new AgentContext('@test/agent', ['domain:sign', 'lists:read'], host);
+
+      expect(context.granted).toEqual(['domain:sign', 'lists:read']);
+      expect(context.denied).toEqual([]);
+    });
+
+    it('should not grant unknown permissions', () => {
+      const context = new AgentContext('@test/agent', ['lists:read', 'root'], host);
+
+      expect(context.granted).toEqual(['lists:read']);
+      expect(context.denied).toEqual(['root']);
+    });
+
+    it('should not let an agent widen its permissions, dependencies or name', async () => {
+      const services = new ServiceRegistry();
+      services.provide('@test/secrets', 'vault', { open: () => 'secret' });
+      const context = new AgentContext('@test/agent', ['lists:read'], host, { services, dependencies: [] });
+
+      expect(() => context.granted.push('domain:sign')).toThrow(TypeError);
+      expect(() => context.dependencies.push('@test/secrets')).toThrow(TypeError);
+      expect(() => { context.agentName = '@test/secrets'; }).toThrow(TypeError);
+
+      await expect(context.sign('example.com', 'hello')).rejects.toBeInstanceOf(PermissionError);
+      expect(() => context.getService('vault')).toThrow();
+    });
+
+    it('should grant nothing when permissions are missing', () => {
+      const context = new AgentContext('@test/agent', undefined, host);
+
+      expect(context.granted).toEqual([]);
+    });
+  });
+
+  describe('capabilities', () => {
+    it('should delegate declared capabilities to the host', async () => {
+      const context = new AgentContext('@test/agent', ['domain:sign', 'lists:write'], host);
+
+      await expect(context.sign('example.com', 'hello')).resolves.toBe('0xsignature');
+      await context.addToList('example.com', 'members', '0x123', { name: 'Ann', role: 2 });
+
+      expect(host.sign).toHaveBeenCalledWith('example.com', 'hello');
+      expect(host.addToList).toHaveBeenCalledWith('example.com', 'members', '0x123', { name: 'Ann', role: 2 }, '@test/agent');
+    });
+
+    it('should refuse undeclared capabilities with a PermissionError', async () => {
+      const context = new AgentContext('@test/agent', ['lists:read'], host);
+
+      await expect(context.sign('example.com', 'hello')).rejects.toBeInstanceOf(PermissionError);
+      await expect(context.removeFromList('example.com', 'members', '0x123')).rejects.toThrow('"lists:write"');
+      expect(() => context.getConfig('example.com')).toThrow(PermissionError);
+    });
+
+    it('should not expose the host, services or events', () => {
+      const context = new AgentContext('@test/agent', ['domain:sign'], host, { services: new ServiceRegistry(), events: new HostEvents() });
+
+      expect(context.host).toBeUndefined();
+      expect(context.services).toBeUndefined();
+      expect(context.events).toBeUndefined();
+      expect(Object.values(context)).not.toContain(host);
+    });
+
+    it('should only act for domains where the agent is enabled', async () => {
+      const allowDomain = (domain) => domain === 'example.com';
+      const context = new AgentContext('@test/agent', ['domain:sign', 'lists:write', 'config:read'], host, { allowDomain });
+
+      await expect(context.sign('example.com', 'hello')).resolves.toBe('0xsignature');
+      await expect(context.sign('other.com', 'hello')).rejects.toThrow('not enabled for domain other.com');
+      await expect(context.addToList('other.com', 'members', '0x123')).rejects.toThrow('not enabled');
+      expect(() => context.getConfig('other.com')).toThrow('not enabled');
+    });
+
+    it('should name the agent and permission in the error', () => {
+      const context = new AgentContext('@test/agent', [], host);
+
+      try {
+        context.require('config:read');
+      } catch (error) {
+        expect(error.agentName).toBe('@test/agent');
+        expect(error.permission).toBe('config:read');
+      }
+      expect.assertions(2);
+    });
+  });
+
+  describe('services', () => {
+    it('should let declared dependents look up a published service', () => {
+      const services = new ServiceRegistry();
+      const secrets = new AgentContext('@test/secrets', [], host, { services });
+      const auth = new AgentContext('@test/auth', [], host, { services, dependencies: ['@test/secrets'] });
+      const vault = { read: () => 'value' };
+
+      secrets.provide('vault', vault);
+
+      expect(auth.getService('vault')).toBe(vault);
+    });
+
+    it('should refuse lookups from agents that do not declare the provider', () => {
+      const services = new ServiceRegistry();
+      new AgentContext('@test/secrets', [], host, { services }).provide('vault', {});
+      const adnet = new AgentContext('@test/adnet', [], host, { services });
+
+      expect(() => adnet.getService('vault')).toThrow('must declare @test/secrets in agentDependencies');
+      expect(() => adnet.getService('missing')).toThrow('Service "missing" is not registered');
+    });
+
+    it('should not let a second agent take over a service name', () => {
+      const services = new ServiceRegistry();
+      new AgentContext('@test/secrets', [], host, { services }).provide('vault', {});
+      const other = new AgentContext('@test/other', [], host, { services });
+
+      expect(() => other.provide('vault', {})).toThrow('already provided by @test/secrets');
+    });
+  });
+
+  describe('agent settings', () => {
+    it('should resolve the agent\'s own settings for a domain without a permission', () => {
+      const resolveConfig = vi.fn((domain) => ({ publisherId: `pub-${domain}` }));
+      const context = new AgentContext('@test/adnet', [], host, { resolveConfig });
+
+      expect(context.getAgentConfig('a.example.com')).toEqual({ publisherId: 'pub-a.example.com' });
+    });
+  });
+
+  describe('events', () => {
+    it('should deliver subscribed events until unsubscribed', () => {
+      const events = new HostEvents();
+      const context = new AgentContext('@test/credits', [], host, { events });
+      const handler = vi.fn();
+
+      context.on('domain.claimed', handler);
+      events.publish('domain.claimed', 'example.com', { address: '0xabc' });
+      context.off('domain.claimed', handler);
+      events.publish('domain.claimed', 'example.com', { address: '0xabc' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].payload).toEqual({ address: '0xabc' });
+    });
+
+    it('should require lists:read for list events', () => {
+      const events = new HostEvents();
+      const context = new AgentContext('@test/credits', [], host, { events });
+
+      expect(() => context.on('list.member.added', () => {})).toThrow(PermissionError);
+    });
+
+    it('should only deliver events for the agent\'s domains', () => {
+      const events = new HostEvents();
+      const handler = vi.fn();
+      const context = new AgentContext('@test/credits', [], host, { events, allowDomain: (domain) => domain === 'example.com' });
+      context.on('*', handler);
+
+      events.publish('domain.claimed', 'other.com', { address: '0xabc' });
+      events.publish('domain.claimed', 'example.com', { address: '0xabc' });
+      events.publish('agent.disabled', 'other.com', { agentName: '@test/credits' });
+
+      expect(handler.mock.calls.map(([event]) => `${event.type} ${event.domain}`))
+        .toEqual(['domain.claimed example.com', 'agent.disabled other.com']);
+    });
+
+    it('should leave list events out of wildcard subscriptions without lists:read', () => {
+      const events = new HostEvents();
+      const handler = vi.fn();
+      new AgentContext('@test/credits', [], host, { events }).on('*', handler);
+
+      events.publish('list.member.added', 'example.com', { list: 'example.com::admin', address: '0xabc' });
+      events.publish('agent.enabled', 'example.com', { agentName: '@test/credits' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].type).toBe('agent.enabled');
+    });
+  });
+});
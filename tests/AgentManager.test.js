@@ -1,13 +1,18 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { existsSync, readdirSync, readFileSync } from 'fs';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { EventEmitter } from 'events';
+import { tmpdir } from 'os';
 import { join } from 'path';
 import express from 'express';
+import request from 'supertest';
 
 // Mock fs module
 vi.mock('fs', () => ({
   existsSync: vi.fn(),
   readdirSync: vi.fn(),
-  readFileSync: vi.fn()
+  readFileSync: vi.fn(),
+  watch: vi.fn()
 }));
 
 // Import after mocking
@@ -211,6 +216,456 @@ describe('AgentManager', () => {
     });
   });
 
+  describe('hot loading', () => {
+    let tmpPath;
+
+    // Write a real agent module to disk; only the manifest reads go through the fs mock
+    async function writeAgent(dirName, body) {
+      const dir = join(tmpPath, dirName);
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, 'index.mjs'), `export default class {
+        attach(router) { router.get('/hello', (req, res) => res.send(${JSON.stringify(body)})); }
+        cleanup() { globalThis.__agentCleanups = (globalThis.__agentCleanups || 0) + 1; }
+      }`);
+      return {
+        name: dirName,
+        path: dir,
+        manifest: { name: `@test/${dirName}`, version: '1.0.0' },
+        entryPath: join(dir, 'index.mjs')
+      };
+    }
+
+    beforeEach(async () => {
+      tmpPath = await mkdtemp(join(tmpdir(), 'agents-'));
+      agentManager = new AgentManager(tmpPath);
+      globalThis.__agentCleanups = 0;
+    });
+
+    afterEach(async () => {
+      await rm(tmpPath, { recursive: true, force: true });
+    });
+
+    it('should serve a loaded agent at both paths', async () => {
+      const app = express();
+      await agentManager.loadAgent(await writeAgent('hello', 'v1'), app);
+
+      await request(app).get('/agent/test/hello/hello').expect(200, 'v1');
+      await request(app).get('/.well-known/epistery/agent/test/hello/hello').expect(200, 'v1');
+    });
+
+    it('should stop serving an agent once unloaded', async () => {
+      const app = express();
+      await agentManager.loadAgent(await writeAgent('hello', 'v1'), app);
+
+      await expect(agentManager.unload('@test/hello')).resolves.toBe(true);
+
+      expect(agentManager.agents.size).toBe(0);
+      expect(globalThis.__agentCleanups).toBe(1);
+      await request(app).get('/agent/test/hello/hello').expect(404);
+    });
+
+    it('should re-import a changed agent on reload', async () => {
+      const app = express();
+      const agentInfo = await writeAgent('hello', 'v1');
+      await agentManager.loadAgent(agentInfo, app);
+      await writeAgent('hello', 'v2');
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(agentInfo.manifest));
+
+      await agentManager.reload('hello');
+
+      expect(globalThis.__agentCleanups).toBe(1);
+      await request(app).get('/agent/test/hello/hello').expect(200, 'v2');
+    });
+
+    it('should keep serving the running agent when its new version fails to load', async () => {
+      const app = express();
+      const agentInfo = await writeAgent('hello', 'v1');
+      await agentManager.loadAgent(agentInfo, app);
+      await writeFile(agentInfo.entryPath, 'export default class { constructor() { throw new Error(\'syntax slip\'); } }');
+
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(agentInfo.manifest));
+
+      await expect(agentManager.reload('hello')).rejects.toThrow('syntax slip');
+
+      expect(globalThis.__agentCleanups).toBe(0);
+      expect(agentManager.diagnostics.get('hello')).toMatchObject({ status: 'loaded', error: { message: 'syntax slip' } });
+      await request(app).get('/agent/test/hello/hello').expect(200, 'v1');
+    });
+
+    it('should watch agent subdirectories for changes', async () => {
+      const { watch } = await import('fs');
+      watch.mockReturnValue(new EventEmitter());
+      agentManager.watchAgent('hello');
+
+      expect(watch).toHaveBeenCalledWith(join(tmpPath, 'hello'), { recursive: true }, expect.any(Function));
+    });
+
+    it('should resolve null when reloading an agent that is not loaded', async () => {
+      await expect(agentManager.reload('missing')).resolves.toBeNull();
+    });
+
+    it('should refuse to install an agent that is already loaded', async () => {
+      await agentManager.loadAgent(await writeAgent('hello', 'v1'), express());
+
+      await expect(agentManager.install('hello')).rejects.toThrow('already loaded');
+    });
+
+    it('should remove WebSocket listeners added by an unloaded agent', async () => {
+      const server = new EventEmitter();
+      const existing = () => {};
+      server.on('upgrade', existing);
+      agentManager.initializeWebSockets(server);
+
+      const agent = await agentManager.loadAgent(await writeAgent('hello', 'v1'), express());
+      const upgrade = () => {};
+      agent.instance.initWebSocket = (srv) => srv.on('upgrade', upgrade);
+      agentManager.attachWebSocket('hello', agent, server);
+
+      expect(server.listeners('upgrade')).toHaveLength(2);
+      expect(server.listeners('upgrade')[0]).toBe(existing);
+
+      await agentManager.unload('hello');
+
+      expect(server.listeners('upgrade')).toEqual([existing]);
+    });
+  });
+
+  describe('diagnostics', () => {
+    let tmpPath;
+
+    beforeEach(async () => {
+      tmpPath = await mkdtemp(join(tmpdir(), 'agents-'));
+      agentManager = new AgentManager(tmpPath);
+    });
+
+    afterEach(async () => {
+      await rm(tmpPath, { recursive: true, force: true });
+    });
+
+    async function writeAgent(dirName, source, manifest) {
+      const dir = join(tmpPath, dirName);
+      await mkdir(dir);
+      await writeFile(join(dir, 'index.mjs'), source);
+      return { name: dirName, path: dir, manifest, entryPath: join(dir, 'index.mjs') };
+    }
+
+    it('should record validation errors for an invalid manifest', async () => {
+      await agentManager.loadAgent({ name: 'bad', path: '/test/bad', manifest: { name: '@test/bad', version: 'one' } });
+
+      const [diagnostic] = agentManager.getDiagnostics();
+      expect(diagnostic.status).toBe('invalid');
+      expect(diagnostic.errors).toEqual(['version "one" is not a valid semantic version']);
+      expect(agentManager.agents.size).toBe(0);
+    });
+
+    it('should record missing files found during discovery', () => {
+      existsSync.mockImplementation((path) => path === tmpPath);
+      readdirSync.mockReturnValue([
+        { name: 'empty-agent', isDirectory: () => true, isSymbolicLink: () => false }
+      ]);
+
+      agentManager.discover();
+
+      expect(agentManager.getDiagnostics()).toMatchObject([
+        { directory: 'empty-agent', status: 'invalid', errors: ['missing epistery.json'] }
+      ]);
+    });
+
+    it('should record the exception from a failing constructor', async () => {
+      const agentInfo = await writeAgent('broken', `export default class {
+        constructor() { throw new Error('no database'); }
+      }`, { name: '@test/broken', version: '1.0.0' });
+
+      await expect(agentManager.loadAgent(agentInfo)).rejects.toThrow('no database');
+
+      const [diagnostic] = agentManager.getDiagnostics();
+      expect(diagnostic.status).toBe('failed');
+      expect(diagnostic.error.message).toBe('no database');
+      expect(diagnostic.error.stack).toBeUndefined();
+      expect(diagnostic.path).toBeUndefined();
+    });
+
+    it('should refuse an agent whose route collides with a loaded agent', async () => {
+      const source = 'export default class { attach() {} }';
+      await agentManager.loadAgent(await writeAgent('first', source, { name: '@test/same', version: '1.0.0' }));
+      await agentManager.loadAgent(await writeAgent('second', source, { name: '@test/same', version: '2.0.0' }));
+
+      expect([...agentManager.agents.keys()]).toEqual(['first']);
+      expect(agentManager.diagnostics.get('first').status).toBe('loaded');
+      expect(agentManager.diagnostics.get('second').errors).toEqual([
+        'route /agent/test/same is already used by agent first'
+      ]);
+    });
+  });
+
+  describe('dependencies', () => {
+    let tmpPath;
+
+    beforeEach(async () => {
+      tmpPath = await mkdtemp(join(tmpdir(), 'agents-'));
+      agentManager = new AgentManager(tmpPath);
+    });
+
+    afterEach(async () => {
+      await rm(tmpPath, { recursive: true, force: true });
+    });
+
+    async function writeAgent(dirName, source, manifest) {
+      const dir = join(tmpPath, dirName);
+      await mkdir(dir);
+      await writeFile(join(dir, 'index.mjs'), source);
+      return { name: dirName, path: dir, manifest, entryPath: join(dir, 'index.mjs') };
+    }
+
+    const provider = `export default class {
+      constructor(config, context) { context.provide('vault', { read: () => 'secret' }); }
+    }`;
+    const consumer = `export default class {
+      constructor(config, context) { this.vault = context.getService('vault'); }
+    }`;
+
+    it('should hand a dependency\'s service to its dependent', async () => {
+      await agentManager.loadAgent(await writeAgent('secrets', provider, { name: '@test/secrets', version: '1.0.0' }));
+      await agentManager.loadAgent(await writeAgent('auth', consumer, {
+        name: '@test/auth', version: '1.0.0', agentDependencies: { '@test/secrets': '^1.0.0' }
+      }));
+
+      expect(agentManager.agents.get('auth').instance.vault.read()).toBe('secret');
+    });
+
+    it('should refuse an agent whose dependency is not loaded', async () => {
+      await agentManager.loadAgent(await writeAgent('auth', consumer, {
+        name: '@test/auth', version: '1.0.0', agentDependencies: { '@test/secrets': '^1.0.0' }
+      }));
+
+      expect(agentManager.agents.size).toBe(0);
+      expect(agentManager.diagnostics.get('auth').errors).toEqual(['requires @test/secrets ^1.0.0, which is not loaded']);
+    });
+
+    it('should unload dependents and withdraw services with their dependency', async () => {
+      await agentManager.loadAgent(await writeAgent('secrets', provider, { name: '@test/secrets', version: '1.0.0' }));
+      await agentManager.loadAgent(await writeAgent('auth', consumer, {
+        name: '@test/auth', version: '1.0.0', agentDependencies: { '@test/secrets': '^1.0.0' }
+      }));
+
+      await agentManager.unload('secrets');
+
+      expect(agentManager.agents.size).toBe(0);
+      expect(agentManager.services.list()).toEqual([]);
+    });
+
+    it('should keep a provider\'s services and subscriptions when its reload fails', async () => {
+      const source = `export default class {
+        constructor(config, context) {
+          context.provide('vault', { read: () => 'secret' });
+          context.on('domain.claimed', () => {});
+        }
+      }`;
+      const agentInfo = await writeAgent('secrets', source, { name: '@test/secrets', version: '1.0.0' });
+      await agentManager.loadAgent(agentInfo);
+      await agentManager.loadAgent(await writeAgent('auth', consumer, {
+        name: '@test/auth', version: '1.0.0', agentDependencies: { '@test/secrets': '^1.0.0' }
+      }));
+      const vault = agentManager.services.lookup('vault').service;
+
+      await writeFile(agentInfo.entryPath, `export default class {
+        constructor(config, context) { context.provide('vault', {}); throw new Error('bad build'); }
+      }`);
+      existsSync.mockReturnValue(true);
+      readFileSync.mockReturnValue(JSON.stringify(agentInfo.manifest));
+      await expect(agentManager.reload('secrets')).rejects.toThrow('bad build');
+
+      expect(agentManager.services.lookup('vault').service).toBe(vault);
+      expect(agentManager.events.list('@test/secrets')).toEqual(['domain.claimed']);
+      expect([...agentManager.agents.keys()]).toEqual(['secrets', 'auth']);
+    });
+
+    it('should rebuild dependents against a reloaded provider', async () => {
+      const agentInfo = await writeAgent('secrets', provider, { name: '@test/secrets', version: '1.0.0' });
+      await agentManager.loadAgent(agentInfo);
+      await agentManager.loadAgent(await writeAgent('auth', consumer, {
+        name: '@test/auth', version: '1.0.0', agentDependencies: { '@test/secrets': '^1.0.0' }
+      }));
+
+      await writeFile(agentInfo.entryPath, `export default class {
+        constructor(config, context) { context.provide('vault', { read: () => 'rotated' }); }
+      }`);
+      existsSync.mockReturnValue(true);
+      readFileSync.mockImplementation((path) => JSON.stringify(path.includes('/auth/')
+        ? { name: '@test/auth', version: '1.0.0', agentDependencies: { '@test/secrets': '^1.0.0' } }
+        : agentInfo.manifest));
+      await agentManager.reload('secrets');
+
+      expect(agentManager.agents.get('auth').instance.vault.read()).toBe('rotated');
+      expect(agentManager.services.list()).toEqual(['vault']);
+    });
+
+    it('should deliver host events to subscribed agents until they are unloaded', async () => {
+      const listener = `export default class {
+        constructor(config, context) { context.on('domain.claimed', (event) => { globalThis.__claimed = event; }); }
+      }`;
+      await agentManager.loadAgent(await writeAgent('credits', listener, { name: '@test/credits', version: '1.0.0' }));
+
+      agentManager.events.publish('domain.claimed', 'example.com', { address: '0xabc' });
+      expect(globalThis.__claimed).toMatchObject({ type: 'domain.claimed', domain: 'example.com', payload: { address: '0xabc' } });
+
+      await agentManager.unload('credits');
+      expect(agentManager.events.list()).toEqual([]);
+      delete globalThis.__claimed;
+    });
+  });
+
+  describe('health', () => {
+    let tmpPath;
+
+    beforeEach(async () => {
+      tmpPath = await mkdtemp(join(tmpdir(), 'agents-'));
+      agentManager = new AgentManager(tmpPath);
+      agentManager.healthTimeout = 100;
+    });
+
+    afterEach(async () => {
+      await rm(tmpPath, { recursive: true, force: true });
+    });
+
+    async function loadWithHealth(dirName, health) {
+      const dir = join(tmpPath, dirName);
+      await mkdir(dir);
+      await writeFile(join(dir, 'index.mjs'), `export default class { ${health} }`);
+      await agentManager.loadAgent({
+        name: dirName,
+        path: dir,
+        manifest: { name: `@test/${dirName}`, version: '1.0.0' },
+        entryPath: join(dir, 'index.mjs')
+      });
+    }
+
+    it('should record healthy agents with their latency', async () => {
+      await loadWithHealth('ok', `health() { return { healthy: true, queue: 0 }; }`);
+
+      const record = await agentManager.checkHealth('ok');
+
+      expect(record).toMatchObject({ name: '@test/ok', status: 'healthy', details: { healthy: true, queue: 0 }, lastError: null });
+      expect(record.latency).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should record unhealthy results, exceptions and timeouts with the last error', async () => {
+      await loadWithHealth('down', `health() { return { healthy: false, error: 'store unreachable' }; }`);
+      await loadWithHealth('throws', `async health() { throw new Error('boom'); }`);
+      await loadWithHealth('slow', `health() { return new Promise(() => {}); }`);
+
+      const results = await agentManager.checkAllHealth();
+
+      expect(results.map(result => [result.name, result.status, result.lastError.message])).toEqual([
+        ['@test/down', 'unhealthy', 'store unreachable'],
+        ['@test/throws', 'unhealthy', 'boom'],
+        ['@test/slow', 'unhealthy', 'health check timed out after 100ms']
+      ]);
+    });
+
+    it('should report agents without health() as unchecked and failed agents as failed', async () => {
+      await loadWithHealth('plain', '');
+      agentManager.diagnose('broken', { manifest: { name: '@test/broken', version: '1.0.0' } }, 'failed', { error: new Error('import failed') });
+
+      await agentManager.checkAllHealth();
+
+      expect(agentManager.getHealth().map(result => [result.name, result.status])).toEqual([
+        ['@test/plain', 'unchecked'],
+        ['@test/broken', 'failed']
+      ]);
+      expect(agentManager.getHealth()[1].lastError.message).toBe('import failed');
+    });
+
+    it('should forget the health of an unloaded agent', async () => {
+      await loadWithHealth('ok', `health() { return true; }`);
+      await agentManager.checkHealth('ok');
+
+      await agentManager.unload('ok');
+
+      expect(agentManager.health.size).toBe(0);
+      expect(agentManager.getHealth()).toEqual([]);
+    });
+  });
+
+  describe('per-domain enablement', () => {
+    let tmpPath;
+    let app;
+
+    beforeEach(async () => {
+      tmpPath = await mkdtemp(join(tmpdir(), 'agents-'));
+      agentManager = new AgentManager(tmpPath);
+      const dir = join(tmpPath, 'hello');
+      await mkdir(dir);
+      await writeFile(join(dir, 'index.mjs'), `export default class {
+        attach(router) { router.get('/hello', (req, res) => res.send('hi')); }
+      }`);
+      app = express();
+      await agentManager.loadAgent({
+        name: 'hello',
+        path: dir,
+        manifest: { name: '@test/hello', version: '1.0.0' },
+        entryPath: join(dir, 'index.mjs')
+      }, app);
+      agentManager.isEnabled = (domain, agentName) => !(domain === 'off.example.com' && agentName === '@test/hello');
+    });
+
+    afterEach(async () => {
+      await rm(tmpPath, { recursive: true, force: true });
+    });
+
+    it('should return 404 for a disabled agent on that domain only', async () => {
+      await request(app).get('/agent/test/hello/hello').set('Host', 'off.example.com').expect(404);
+      await request(app).get('/agent/test/hello/hello').set('Host', 'on.example.com').expect(200, 'hi');
+    });
+
+    it('should hand each request the agent settings for its domain', async () => {
+      const dir = join(tmpPath, 'settings');
+      await mkdir(dir);
+      await writeFile(join(dir, 'index.mjs'), `export default class {
+        attach(router) { router.get('/config', (req, res) => res.json(req.agentConfig)); }
+      }`);
+      await agentManager.loadAgent({
+        name: 'settings',
+        path: dir,
+        manifest: {
+          name: '@test/settings',
+          version: '1.0.0',
+          config: { mode: 'test' },
+          configSchema: { type: 'object', properties: { publisherId: { type: 'string', default: 'none' } } }
+        },
+        entryPath: join(dir, 'index.mjs')
+      }, app);
+      agentManager.domainConfig = (domain) => domain === 'a.example.com' ? { publisherId: 'pub-a' } : {};
+
+      await request(app).get('/agent/test/settings/config').set('Host', 'a.example.com')
+        .expect(200, { publisherId: 'pub-a', mode: 'test' });
+      await request(app).get('/agent/test/settings/config').set('Host', 'b.example.com')
+        .expect(200, { publisherId: 'none', mode: 'test' });
+    });
+
+    it('should refuse WebSocket upgrades for a disabled agent', () => {
+      const server = new EventEmitter();
+      const upgrade = vi.fn();
+      const agent = agentManager.agents.get('hello');
+      agent.instance.initWebSocket = (srv) => srv.on('upgrade', upgrade);
+      agentManager.initializeWebSockets(server);
+
+      const socket = { write: vi.fn(), destroy: vi.fn() };
+      server.emit('upgrade', { url: '/agent/test/hello/ws', headers: { host: 'off.example.com' } }, socket, null);
+
+      expect(upgrade).not.toHaveBeenCalled();
+      expect(socket.write).toHaveBeenCalledWith(expect.stringContaining('404'));
+      expect(socket.destroy).toHaveBeenCalled();
+
+      server.emit('upgrade', { url: '/agent/test/hello/ws', headers: { host: 'on.example.com' } }, socket, null);
+
+      expect(upgrade).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('cleanup', () => {
     it('should call cleanup on all agents with cleanup method', async () => {
       const mockCleanup1 = vi.fn().mockResolvedValue(undefined);
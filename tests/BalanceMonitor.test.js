@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+import { BalanceMonitor } from '../BalanceMonitor.mjs';
+
+const require = createRequire(import.meta.url);
+const { utils } = require('ethers');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Test suite for server wallet balance monitoring
+ */
+describe('BalanceMonitor', () => {
+  let balance;
+  let monitor;
+
+  beforeEach(() => {
+    balance = utils.parseEther('1');
+    monitor = new BalanceMonitor({ threshold: 50 });
+    monitor.walletFor = () => ({ address: ADDRESS, provider: { getBalance: async () => balance } });
+    monitor.operationCost = async () => utils.parseEther('0.01');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should report the balance as operations remaining', async () => {
+    const status = await monitor.check('example.com');
+
+    expect(status).toMatchObject({ address: ADDRESS, balance: '1.0', operationCost: '0.01', runwayOperations: 100, threshold: 50, lowBalance: false, error: null });
+    expect(monitor.status('example.com')).toBe(status);
+  });
+
+  it('should warn once when the runway drops below the threshold, and again once funded', async () => {
+    const low = vi.fn();
+    const recovered = vi.fn();
+    monitor.on('low', low);
+    monitor.on('recovered', recovered);
+
+    balance = utils.parseEther('0.3');
+    await monitor.check('example.com');
+    await monitor.check('example.com');
+    expect(low).toHaveBeenCalledTimes(1);
+    expect(low.mock.calls[0][1]).toMatchObject({ runwayOperations: 30, lowBalance: true });
+
+    balance = utils.parseEther('2');
+    await monitor.check('example.com');
+    expect(recovered).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cap the runway rather than fail when operations cost next to nothing', async () => {
+    balance = utils.parseEther('1000000');
+    monitor.operationCost = async () => utils.parseUnits('1', 'wei');
+
+    const status = await monitor.check('example.com');
+    expect(status).toMatchObject({ runwayOperations: Number.MAX_SAFE_INTEGER, lowBalance: false, error: null });
+  });
+
+  it('should use the domain threshold when the host sets one', async () => {
+    monitor.thresholdFor = (domain) => domain === 'busy.com' ? 500 : undefined;
+
+    expect((await monitor.check('busy.com')).lowBalance).toBe(true);
+    expect((await monitor.check('example.com')).lowBalance).toBe(false);
+  });
+
+  it('should keep the last reading when a check fails', async () => {
+    balance = utils.parseEther('0.1');
+    await monitor.check('example.com');
+    monitor.walletFor = () => {
+      throw new Error('RPC down');
+    };
+
+    const status = await monitor.check('example.com');
+    expect(status).toMatchObject({ balance: '0.1', lowBalance: true, error: 'RPC down' });
+  });
+
+  it('should leave the runway unknown without an operation cost', async () => {
+    monitor.operationCost = async () => null;
+
+    expect(await monitor.check('example.com')).toMatchObject({ runwayOperations: null, lowBalance: false });
+  });
+});
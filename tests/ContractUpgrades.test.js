@@ -0,0 +1,307 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { ContractUpgrades, compareLists, listNamesFromLogs, deploymentBlock } from '../ContractUpgrades.mjs';
+import { ListNameIndex } from '../ListNameIndex.mjs';
+
+const require = createRequire(import.meta.url);
+const { ethers } = require('ethers');
+
+const OLD = '0x00000000000000000000000000000000000000aa';
+const NEW = '0x00000000000000000000000000000000000000bb';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+const entry = (address, name, role = 2, meta = '') => ({ address, name, role, meta });
+
+// Contracts held in memory, with jobs and batches that settle when the test says so
+function fakeChain() {
+  const chain = {
+    contracts: {
+      [OLD]: {
+        'example.com::admin': [entry(ALICE, 'Alice', 3)],
+        'members': [entry(BOB, 'Bob', 2, '{"tier":"gold"}')]
+      }
+    },
+    jobs: new Map(),
+    batches: new Map(),
+    holdBatches: false,
+    sponsor: null,
+    listNames: vi.fn(async (domain, address) => Object.keys(chain.contracts[address])),
+    get: (id) => chain.jobs.get(id),
+    batch: (id) => chain.batches.get(id),
+    deploy: vi.fn(async () => {
+      // The constructor lists its sponsor
+      chain.contracts[NEW] = chain.sponsor ? { 'example.com::admin': [entry(chain.sponsor, 'Sponsor', 4)] } : {};
+      const job = { id: 'deploy-1', state: 'confirmed', result: { contractAddress: NEW, version: '2.0.0', blockNumber: 7 } };
+      chain.jobs.set(job.id, job);
+      return job;
+    }),
+    readLists: vi.fn(async (domain, address, listNames) =>
+      Object.fromEntries(listNames.map(name => [name, [...(chain.contracts[address][name] || [])]]))),
+    copyEntries: vi.fn(async (domain, address, changes) => {
+      const batch = { id: `batch-${chain.batches.size + 1}`, state: chain.holdBatches ? 'running' : 'completed' };
+      chain.batches.set(batch.id, batch);
+      if (!chain.holdBatches) chain.write(address, changes);
+      return batch;
+    }),
+    write(address, changes) {
+      for (const { listName, op, entry: copied } of changes) {
+        const list = chain.contracts[address][listName] ||= [];
+        const index = list.findIndex(current => current.address === copied.address);
+        if (op === 'remove') list.splice(index, 1);
+        else if (index >= 0) list[index] = { ...copied };
+        else list.push({ ...copied });
+      }
+    },
+    finish: vi.fn(async () => {})
+  };
+  return chain;
+}
+
+function connect(upgrades, chain) {
+  upgrades.listNames = chain.listNames;
+  upgrades.deploy = chain.deploy;
+  upgrades.readLists = chain.readLists;
+  upgrades.copyEntries = chain.copyEntries;
+  upgrades.finish = chain.finish;
+}
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  expect(check()).toBe(true);
+};
+
+/**
+ * Test suite for contract upgrades
+ */
+describe('ContractUpgrades', () => {
+  let dir;
+  let storePath;
+  let chain;
+  let upgrades;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'upgrades-'));
+    storePath = path.join(dir, 'upgrades.json');
+    chain = fakeChain();
+    upgrades = new ContractUpgrades(storePath, chain, { pollInterval: 5 });
+    connect(upgrades, chain);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    upgrades.stop();
+    await upgrades.saving;
+    await rm(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should deploy, copy every entry and switch once the lists match', async () => {
+    const upgrade = await upgrades.start('example.com', OLD, ['example.com::admin', 'members']);
+    await waitFor(() => upgrade.phase === 'completed');
+
+    expect(upgrade.newAddress).toBe(NEW);
+    expect(upgrade.version).toBe('2.0.0');
+    expect(chain.contracts[NEW]).toEqual(chain.contracts[OLD]);
+    expect(upgrade.parity['members']).toMatchObject({ source: 1, target: 1, missing: 0, mismatched: 0 });
+    expect(chain.finish).toHaveBeenCalledWith(upgrade);
+  });
+
+  it('should copy lists found on the old contract and remove entries only the new one has', async () => {
+    chain.sponsor = BOB;
+    const upgrade = await upgrades.start('example.com', OLD, ['example.com::admin']);
+    await waitFor(() => upgrade.phase === 'completed');
+
+    expect(upgrade.listNames).toEqual(['example.com::admin', 'members']);
+    expect(upgrade.deployedBlock).toBe(7);
+    expect(chain.copyEntries.mock.calls[0][2].at(-1)).toEqual({ listName: 'example.com::admin', op: 'remove', entry: entry(BOB, 'Sponsor', 4) });
+    expect(chain.contracts[NEW]).toEqual(chain.contracts[OLD]);
+    expect(upgrade.parity['example.com::admin']).toMatchObject({ missing: 0, mismatched: 0, extra: 0 });
+  });
+
+  it('should read only blocks not scanned yet when enumerating on each round', async () => {
+    const iface = new ethers.utils.Interface(['event WhitelistUpdated(string listName, address addr)']);
+    const named = (listName) => ({ topics: [iface.getEventTopic('WhitelistUpdated')], data: iface.encodeEventLog(iface.getEvent('WhitelistUpdated'), [listName, ALICE]).data });
+    // Ten blocks go by between rounds
+    const provider = {
+      head: 100,
+      getBlockNumber: vi.fn(async () => (provider.head += 10)),
+      getLogs: vi.fn(async ({ fromBlock }) => (fromBlock === 50 ? [named('example.com::admin'), named('members')] : []))
+    };
+    const index = new ListNameIndex(path.join(dir, 'list-names.json'), { saveDelay: 0 });
+    index.connect = () => ({ address: OLD, interface: iface, provider });
+    index.deployedBlock = () => 50;
+    upgrades.listNames = (domain, address) => index.scan(domain, address);
+
+    const upgrade = await upgrades.start('example.com', OLD, []);
+    await waitFor(() => upgrade.phase === 'completed');
+    await index.saving;
+
+    const ranges = provider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+    expect(ranges).toEqual([[50, 110], [111, 120], [121, 130]]);
+    expect(upgrade.listNames).toEqual(['example.com::admin', 'members']);
+    expect(chain.contracts[NEW]).toEqual(chain.contracts[OLD]);
+  });
+
+  it('should fail before deploying when the lists cannot be enumerated', async () => {
+    chain.listNames.mockRejectedValue(new Error('The contract has no events naming its lists'));
+    const upgrade = await upgrades.start('example.com', OLD, ['example.com::admin']);
+    await waitFor(() => upgrade.phase === 'failed');
+
+    expect(upgrade.error).toBe("Could not enumerate the contract's lists: The contract has no events naming its lists");
+    expect(chain.deploy).not.toHaveBeenCalled();
+  });
+
+  it('should not switch while the lists differ', async () => {
+    chain.copyEntries.mockImplementation(async () => {
+      chain.batches.set('batch-x', { id: 'batch-x', state: 'completed_with_errors' });
+      return { id: 'batch-x' };
+    });
+
+    const upgrade = await upgrades.start('example.com', OLD, ['example.com::admin']);
+    await waitFor(() => upgrade.phase === 'failed');
+
+    expect(chain.copyEntries).toHaveBeenCalledTimes(3);
+    expect(upgrade.error).toMatch(/still differ after 3 rounds/);
+    expect(upgrade.parity['example.com::admin'].missing).toBe(1);
+    expect(chain.finish).not.toHaveBeenCalled();
+  });
+
+  it('should carry over entries changed on the old contract during the copy', async () => {
+    chain.holdBatches = true;
+    const upgrade = await upgrades.start('example.com', OLD, ['members']);
+    await waitFor(() => upgrade.phase === 'copying');
+
+    // Bob is renamed on the old contract before the first round lands
+    chain.contracts[OLD]['members'][0] = entry(BOB, 'Robert', 2, '{"tier":"gold"}');
+    chain.holdBatches = false;
+    chain.write(NEW, chain.copyEntries.mock.calls[0][2]);
+    chain.batches.get('batch-1').state = 'completed';
+
+    await waitFor(() => upgrade.phase === 'completed');
+    expect(chain.copyEntries.mock.calls[1][2]).toEqual([{ listName: 'members', op: 'update', entry: entry(BOB, 'Robert', 2, '{"tier":"gold"}') }]);
+    expect(chain.contracts[NEW]['members']).toEqual(chain.contracts[OLD]['members']);
+  });
+
+  it('should fail when the deployment fails, and redeploy on retry', async () => {
+    chain.deploy.mockImplementationOnce(async () => {
+      chain.jobs.set('deploy-0', { id: 'deploy-0', state: 'failed', error: 'insufficient funds' });
+      return { id: 'deploy-0' };
+    });
+
+    const upgrade = await upgrades.start('example.com', OLD, ['members']);
+    await waitFor(() => upgrade.phase === 'failed');
+    expect(upgrade.error).toBe('Deployment failed: insufficient funds');
+
+    await upgrades.retry(upgrade.id);
+    await waitFor(() => upgrade.phase === 'completed');
+    expect(chain.deploy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should retry a failed copy against the same new contract', async () => {
+    chain.finish.mockRejectedValueOnce(new Error('config locked'));
+    const upgrade = await upgrades.start('example.com', OLD, ['members']);
+    await waitFor(() => upgrade.phase === 'failed');
+
+    await upgrades.retry(upgrade.id);
+    await waitFor(() => upgrade.phase === 'completed');
+    expect(chain.deploy).toHaveBeenCalledTimes(1);
+    expect(upgrade.newAddress).toBe(NEW);
+  });
+
+  it('should allow one upgrade at a time per domain', async () => {
+    chain.holdBatches = true;
+    await upgrades.start('example.com', OLD, ['members']);
+
+    await expect(upgrades.start('example.com', OLD, ['members'])).rejects.toThrow(/already/);
+    await expect(upgrades.retry('missing')).rejects.toThrow(/Only failed upgrades/);
+  });
+
+  it('should resume a saved upgrade from its phase', async () => {
+    chain.contracts[NEW] = { members: [] };
+    chain.batches.set('batch-1', { id: 'batch-1', state: 'completed' });
+    chain.write(NEW, [
+      { listName: 'example.com::admin', entry: entry(ALICE, 'Alice', 3) },
+      { listName: 'members', entry: entry(BOB, 'Bob', 2, '{"tier":"gold"}') }
+    ]);
+    await writeFile(storePath, JSON.stringify([{
+      id: 'u1', domain: 'example.com', oldAddress: OLD, newAddress: NEW, version: '2.0.0',
+      listNames: ['members'], phase: 'copying', deployJobId: 'deploy-1', batchIds: ['batch-1'],
+      rounds: 1, parity: null, error: null, startedAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z'
+    }]));
+
+    expect(await upgrades.resume()).toBe(1);
+    await waitFor(() => upgrades.get('u1').phase === 'completed');
+
+    expect(chain.deploy).not.toHaveBeenCalled();
+    expect(chain.copyEntries).not.toHaveBeenCalled();
+    await upgrades.saving;
+    const saved = JSON.parse(await readFile(storePath, 'utf8'));
+    expect(saved[0].phase).toBe('completed');
+  });
+});
+
+describe('compareLists', () => {
+  it('should list missing and changed entries, then extras to remove', () => {
+    const source = { members: [entry(ALICE, 'Alice'), entry(BOB, 'Bob', 3)] };
+    const target = { members: [entry(OLD, 'Sponsor', 4), entry(BOB.toUpperCase().replace('0X', '0x'), 'Bob', 2)] };
+
+    const { changes, parity } = compareLists(source, target);
+    expect(changes).toEqual([
+      { listName: 'members', op: 'add', entry: source.members[0] },
+      { listName: 'members', op: 'update', entry: source.members[1] },
+      { listName: 'members', op: 'remove', entry: target.members[0] }
+    ]);
+    expect(parity.members).toEqual({ source: 2, target: 2, missing: 1, mismatched: 1, extra: 1 });
+  });
+
+  it('should report parity for matching lists', () => {
+    const lists = { members: [entry(ALICE, 'Alice', 2, 'x')] };
+    expect(compareLists(lists, { members: [{ ...lists.members[0], role: '2' }] }).changes).toEqual([]);
+  });
+});
+
+describe('listNamesFromLogs', () => {
+  const iface = new ethers.utils.Interface([
+    'event WhitelistUpdated(string listName, address addr)',
+    'event Other(uint256 value)'
+  ]);
+  const log = (listName, blockNumber) => ({ blockNumber, topics: [iface.getEventTopic('WhitelistUpdated')], data: iface.encodeEventLog(iface.getEvent('WhitelistUpdated'), [listName, ALICE]).data });
+
+  it('should collect list names from the contract events in block ranges', async () => {
+    const logs = [log('members', 5), log('subscribers', 2500), log('members', 4100)];
+    const provider = {
+      getLogs: vi.fn(async ({ fromBlock, toBlock }) => logs.filter(entry => entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock))
+    };
+    const contract = { address: OLD, interface: iface, provider };
+
+    expect(await listNamesFromLogs(contract, { fromBlock: 0, toBlock: 4500 })).toEqual(['members', 'subscribers']);
+    expect(provider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock])).toEqual([[0, 1999], [2000, 3999], [4000, 4500]]);
+    expect(provider.getLogs.mock.calls[0][0].topics).toEqual([[iface.getEventTopic('WhitelistUpdated')]]);
+  });
+
+  it('should refuse a contract with no events naming its lists', async () => {
+    const contract = { address: OLD, interface: new ethers.utils.Interface(['event Other(uint256 value)']), provider: {} };
+
+    await expect(listNamesFromLogs(contract, { fromBlock: 0, toBlock: 10 })).rejects.toThrow('no events naming its lists');
+  });
+});
+
+describe('deploymentBlock', () => {
+  it('should find the first block with the contract code', async () => {
+    const provider = {
+      getBlockNumber: async () => 1000,
+      getCode: vi.fn(async (address, block) => block >= 613 ? '0x6080' : '0x')
+    };
+
+    expect(await deploymentBlock(provider, OLD)).toBe(613);
+    expect(provider.getCode.mock.calls.length).toBeLessThan(15);
+    await expect(deploymentBlock({ getBlockNumber: async () => 10, getCode: async () => '0x' }, OLD)).rejects.toThrow(`No contract at ${OLD}`);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from 'vitest';
+import { HostEvents } from '../HostEvents.mjs';
+
+/**
+ * Test suite for HostEvents
+ * Covers publishing lifecycle events and isolating subscriber failures
+ */
+describe('HostEvents', () => {
+  it('should deliver events to subscribers of that type and to wildcards', () => {
+    const events = new HostEvents();
+    const claimed = vi.fn();
+    const all = vi.fn();
+    const deployed = vi.fn();
+
+    events.subscribe('@test/a', 'domain.claimed', claimed);
+    events.subscribe('@test/b', '*', all);
+    events.subscribe('@test/c', 'contract.deployed', deployed);
+    const event = events.publish('domain.claimed', 'example.com', { address: '0xabc' });
+
+    expect(event).toMatchObject({ type: 'domain.claimed', domain: 'example.com', payload: { address: '0xabc' } });
+    expect(event.timestamp).toBeTruthy();
+    expect(claimed).toHaveBeenCalledWith(event);
+    expect(all).toHaveBeenCalledWith(event);
+    expect(deployed).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown event types', () => {
+    const events = new HostEvents();
+
+    expect(() => events.subscribe('@test/a', 'domain.sold', () => {})).toThrow('Unknown event "domain.sold"');
+    expect(() => events.publish('domain.sold', 'example.com')).toThrow('Unknown event "domain.sold"');
+  });
+
+  it('should not let a failing subscriber affect the publisher or other subscribers', async () => {
+    const events = new HostEvents();
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const other = vi.fn();
+
+    events.subscribe('@test/a', 'agent.enabled', () => { throw new Error('boom'); });
+    events.subscribe('@test/b', 'agent.enabled', async () => { throw new Error('async boom'); });
+    events.subscribe('@test/c', 'agent.enabled', other);
+
+    expect(() => events.publish('agent.enabled', 'example.com', { agentName: '@test/c' })).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(other).toHaveBeenCalled();
+    expect(error).toHaveBeenCalledTimes(2);
+    error.mockRestore();
+  });
+
+  it('should remove every subscription of an unloaded agent', () => {
+    const events = new HostEvents();
+    events.subscribe('@test/a', 'domain.claimed', () => {});
+    events.subscribe('@test/a', '*', () => {});
+    events.subscribe('@test/b', 'domain.claimed', () => {});
+
+    events.unsubscribeAll('@test/a');
+
+    expect(events.list()).toEqual(['domain.claimed']);
+    expect(events.list('@test/a')).toEqual([]);
+  });
+});
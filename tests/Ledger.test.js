@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, appendFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Ledger, ledgerCsv } from '../Ledger.mjs';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+let sequence = 0;
+const job = (overrides = {}) => ({
+  id: `job-${++sequence}`,
+  type: 'whitelist.add',
+  domain: 'example.com',
+  description: 'Add a member',
+  params: { listName: 'example.com::admin', address: ALICE },
+  batchId: null,
+  initiator: '0xAdmin',
+  state: 'confirmed',
+  txHash: `0x${sequence}`,
+  nonce: sequence,
+  blockNumber: 100 + sequence,
+  gasUsed: '50000',
+  effectiveGasPrice: '2000000000',
+  replaced: [],
+  cancelled: false,
+  result: null,
+  error: null,
+  createdAt: `2026-03-0${sequence}T10:00:00.000Z`,
+  updatedAt: `2026-03-0${sequence}T10:01:00.000Z`,
+  ...overrides
+});
+
+/**
+ * Test suite for the per-domain transaction ledger
+ */
+describe('Ledger', () => {
+  let dir;
+  let ledger;
+
+  beforeEach(async () => {
+    sequence = 0;
+    dir = await mkdtemp(path.join(tmpdir(), 'ledger-'));
+    ledger = new Ledger(dir);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should append settled jobs with their fee to the domain ledger file', async () => {
+    const entry = await ledger.record(job());
+
+    expect(entry).toMatchObject({ type: 'whitelist.add', status: 'confirmed', initiator: '0xAdmin', gasUsed: '50000', fee: '100000000000000' });
+    const lines = (await readFile(path.join(dir, 'example.com', 'ledger.jsonl'), 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).txHash).toBe('0x1');
+  });
+
+  it('should refuse jobs that have not settled', () => {
+    expect(() => ledger.record(job({ state: 'broadcast' }))).toThrow('still broadcast');
+  });
+
+  it('should record cancelled and unsent jobs', async () => {
+    await ledger.record(job({ state: 'failed', cancelled: true, error: 'Transaction cancelled' }));
+    await ledger.record(job({ state: 'failed', txHash: null, blockNumber: null, gasUsed: null, effectiveGasPrice: null, error: 'insufficient funds' }));
+
+    const { entries } = await ledger.query('example.com');
+    expect(entries.map(entry => [entry.status, entry.fee])).toEqual([['failed', null], ['cancelled', '100000000000000']]);
+  });
+
+  it('should answer who removed a member, and when', async () => {
+    await ledger.record(job());
+    await ledger.record(job({ type: 'whitelist.remove', params: { listName: 'example.com::admin', address: BOB }, initiator: '0xOther' }));
+    await ledger.record(job({ type: 'whitelist.remove', params: { listName: 'example.com::admin', address: ALICE } }));
+
+    const { entries, total } = await ledger.query('example.com', { type: 'whitelist.remove', address: ALICE.toUpperCase().replace('0X', '0x') });
+    expect(total).toBe(1);
+    expect(entries[0]).toMatchObject({ initiator: '0xAdmin', settledAt: '2026-03-03T10:01:00.000Z' });
+  });
+
+  it('should filter by initiator and date, total every match and page the entries', async () => {
+    for (let i = 0; i < 4; i++) await ledger.record(job());
+    await ledger.record(job({ initiator: 'agent:@test/credits' }));
+
+    const result = await ledger.query('example.com', { initiator: '0xadmin', since: '2026-03-02', limit: 2, offset: 1 });
+    expect(result.total).toBe(3);
+    expect(result.entries.map(entry => entry.id)).toEqual(['job-3', 'job-2']);
+    expect(result.gasUsed).toBe('150000');
+    expect(result.fee).toBe('300000000000000');
+  });
+
+  it('should keep domains apart and skip partial lines', async () => {
+    await ledger.record(job());
+    await ledger.record(job({ domain: 'other.com' }));
+    await appendFile(path.join(dir, 'example.com', 'ledger.jsonl'), '{"id":"trunc');
+
+    expect((await ledger.query('example.com')).total).toBe(1);
+    expect((await ledger.query('unknown.com')).total).toBe(0);
+    await expect(ledger.query('../etc')).rejects.toThrow('Invalid domain');
+  });
+
+  it('should average recent list write fees', async () => {
+    expect(await ledger.averageFee('example.com')).toBeNull();
+
+    await ledger.record(job({ gasUsed: '100000' }));
+    await ledger.record(job({ gasUsed: '300000' }));
+    await ledger.record(job({ type: 'contract.deploy', gasUsed: '3000000' }));
+    await ledger.record(job({ state: 'failed', gasUsed: '900000' }));
+
+    expect((await ledger.averageFee('example.com')).toString()).toBe('400000000000000');
+  });
+
+  it('should keep fees and spend current without reading the file again', async () => {
+    await ledger.record(job({ gasUsed: '100000' }));
+    expect((await ledger.averageFee('example.com')).toString()).toBe('200000000000000');
+
+    // Written behind the ledger's back: only a fresh read would see it
+    await appendFile(path.join(dir, 'example.com', 'ledger.jsonl'), JSON.stringify({ type: 'whitelist.add', status: 'confirmed', fee: '1', gasUsed: '1', settledAt: '2026-03-05T00:00:00.000Z' }) + '\n');
+    await ledger.record(job({ gasUsed: '300000' }));
+
+    expect((await ledger.averageFee('example.com')).toString()).toBe('400000000000000');
+    expect((await ledger.spend('example.com', Date.parse('2026-03-10T00:00:00.000Z'))).month.transactions).toBe(2);
+    expect((await new Ledger(dir).averageFee('example.com')).toString()).toBe('266666666666667');
+  });
+
+  it('should report spend per day, week and month', async () => {
+    const now = Date.parse('2026-03-31T12:00:00.000Z');
+    const at = (hoursAgo) => new Date(now - hoursAgo * 60 * 60 * 1000).toISOString();
+    await ledger.record(job({ updatedAt: at(40 * 24) }));
+    await ledger.record(job({ updatedAt: at(20 * 24) }));
+    await ledger.record(job({ updatedAt: at(3 * 24) }));
+    await ledger.record(job({ updatedAt: at(2), state: 'failed', error: 'Transaction reverted' }));
+    await ledger.record(job({ updatedAt: at(1), txHash: null, gasUsed: null, effectiveGasPrice: null, state: 'failed' }));
+
+    const spend = await ledger.spend('example.com', now);
+    expect(spend.day).toEqual({ transactions: 1, gasUsed: '50000', fee: '100000000000000' });
+    expect(spend.week.transactions).toBe(2);
+    expect(spend.month).toEqual({ transactions: 3, gasUsed: '150000', fee: '300000000000000' });
+    expect(spend.daily).toHaveLength(30);
+    expect(spend.daily.at(-1)).toMatchObject({ date: '2026-03-31', transactions: 1 });
+    expect(spend.daily.find(day => day.date === '2026-03-28').transactions).toBe(1);
+  });
+
+  it('should export entries as CSV', async () => {
+    const entry = await ledger.record(job({ description: 'Add "Ann", admin' }));
+
+    const [header, row] = ledgerCsv([entry]).trim().split('\n');
+    expect(header).toBe('settledAt,domain,type,status,initiator,address,listName,txHash,blockNumber,gasUsed,effectiveGasPrice,fee,error,description,id');
+    expect(row).toBe(`2026-03-01T10:01:00.000Z,example.com,whitelist.add,confirmed,0xAdmin,${ALICE},example.com::admin,0x1,101,50000,2000000000,100000000000000,,"Add ""Ann"", admin",job-1`);
+  });
+
+  it('should keep spreadsheet formulas out of CSV cells', async () => {
+    const entry = await ledger.record(job({ description: '=HYPERLINK("http://evil.example")', initiator: '@agent', error: '-1+1' }));
+
+    const row = ledgerCsv([entry]).trim().split('\n')[1];
+    expect(row).toContain(`,'@agent,`);
+    expect(row).toContain(`,'-1+1,"'=HYPERLINK(""http://evil.example"")",`);
+  });
+});
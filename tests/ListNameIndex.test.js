@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { ListNameIndex } from '../ListNameIndex.mjs';
+
+const require = createRequire(import.meta.url);
+const { ethers } = require('ethers');
+
+const CONTRACT = '0x00000000000000000000000000000000000000AA';
+const ALICE = '0x1111111111111111111111111111111111111111';
+
+const iface = new ethers.utils.Interface(['event WhitelistUpdated(string listName, address addr)']);
+const log = (listName, blockNumber) => ({
+  blockNumber,
+  topics: [iface.getEventTopic('WhitelistUpdated')],
+  data: iface.encodeEventLog(iface.getEvent('WhitelistUpdated'), [listName, ALICE]).data
+});
+
+// A contract whose provider answers from logs, up to block head
+function fakeContract(logs, head) {
+  const provider = {
+    head,
+    getBlockNumber: vi.fn(async () => provider.head),
+    getCode: vi.fn(async (address, block) => (block >= 300 ? '0x60' : '0x')),
+    getLogs: vi.fn(async ({ fromBlock, toBlock }) => logs.filter(entry => entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock))
+  };
+  return { address: CONTRACT, interface: iface, provider };
+}
+
+const ranges = (provider) => provider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+
+/**
+ * Test suite for the saved, incremental index of contract list names
+ */
+describe('ListNameIndex', () => {
+  let dir;
+  let storePath;
+  let indexes;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'list-names-'));
+    storePath = path.join(dir, 'list-names.json');
+    indexes = [];
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(indexes.map(index => index.saving));
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  function createIndex(contract, options = {}) {
+    const index = new ListNameIndex(storePath, { maxRange: 1000, saveDelay: 0, ...options });
+    index.connect = () => contract;
+    indexes.push(index);
+    return index;
+  }
+
+  it('should scan from the recorded deployment block, then only from the last block read', async () => {
+    const logs = [log('members', 600), log('subscribers', 1700)];
+    const contract = fakeContract(logs, 1800);
+    const index = createIndex(contract);
+    index.deployedBlock = () => 500;
+
+    expect(await index.scan('example.com', CONTRACT)).toEqual(['members', 'subscribers']);
+    expect(ranges(contract.provider)).toEqual([[500, 1499], [1500, 1800]]);
+
+    logs.push(log('partners', 1900));
+    contract.provider.head = 1950;
+    contract.provider.getLogs.mockClear();
+    expect(await index.scan('example.com', CONTRACT)).toEqual(['members', 'subscribers', 'partners']);
+    expect(ranges(contract.provider)).toEqual([[1801, 1950]]);
+    expect(contract.provider.getCode).not.toHaveBeenCalled();
+  });
+
+  it('should save its cursor so a restart continues from it', async () => {
+    const contract = fakeContract([log('members', 320)], 900);
+    const index = createIndex(contract);
+    await index.scan('example.com', CONTRACT);
+    await index.saving;
+
+    const saved = JSON.parse(await readFile(storePath, 'utf8'));
+    expect(saved[CONTRACT.toLowerCase()]).toMatchObject({ deployedBlock: 300, scannedBlock: 900, listNames: ['members'], error: null });
+
+    const restarted = createIndex(contract);
+    expect(await restarted.load()).toBe(1);
+    contract.provider.head = 950;
+    contract.provider.getLogs.mockClear();
+    await restarted.scan('example.com', CONTRACT);
+    expect(ranges(contract.provider)).toEqual([[901, 950]]);
+  });
+
+  it('should answer names from what is saved and scan in the background', async () => {
+    const contract = fakeContract([log('members', 400)], 500);
+    const index = createIndex(contract);
+    index.deployedBlock = () => 300;
+
+    expect(index.names('example.com', CONTRACT)).toEqual([]);
+    expect(index.scans.size).toBe(1);
+    await index.scans.get(CONTRACT.toLowerCase());
+
+    expect(index.names('example.com', CONTRACT)).toEqual(['members']);
+    expect(index.scans.size).toBe(0);
+    expect(contract.provider.getLogs).toHaveBeenCalledTimes(1);
+  });
+
+  it('should share one scan between callers', async () => {
+    const contract = fakeContract([log('members', 400)], 500);
+    const index = createIndex(contract);
+    index.deployedBlock = () => 300;
+
+    const [first, second] = await Promise.all([index.scan('example.com', CONTRACT), index.scan('example.com', CONTRACT)]);
+    expect(first).toEqual(second);
+    expect(contract.provider.getBlockNumber).toHaveBeenCalledTimes(1);
+  });
+
+  it('should say an archive node is needed when the deployment block cannot be searched for', async () => {
+    const contract = fakeContract([], 500);
+    contract.provider.getCode.mockImplementation(async (address, block) => {
+      if (block < 500) throw new Error('missing trie node');
+      return '0x60';
+    });
+    const index = createIndex(contract);
+
+    await expect(index.scan('example.com', CONTRACT)).rejects.toThrow('needs an archive node');
+    expect(index.get(CONTRACT)).toMatchObject({ deployedBlock: null, scannedBlock: null, listNames: [] });
+    expect(index.get(CONTRACT).error).toContain('contract_deployed_block');
+    expect(index.names('example.com', CONTRACT)).toEqual([]);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { MembershipCache, watchListEvents } from '../MembershipCache.mjs';
+
+const require = createRequire(import.meta.url);
+const { ethers } = require('ethers');
+
+const ALICE = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+
+/**
+ * Test suite for the list membership cache
+ */
+describe('MembershipCache', () => {
+  let loader;
+  let cache;
+
+  beforeEach(() => {
+    loader = vi.fn(async () => [{ address: ALICE, name: 'Alice', role: 3, meta: '' }]);
+    cache = new MembershipCache(loader, { maxAge: 60000 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should load a list once and answer membership from the cache', async () => {
+    expect(await cache.isListed('example.com', 'epistery::admin', ALICE.toLowerCase())).toBe(true);
+    expect(await cache.isListed('example.com', 'epistery::admin', BOB)).toBe(false);
+    expect(await cache.isListed('example.com', 'epistery::admin', null)).toBe(false);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(loader).toHaveBeenCalledWith('example.com', 'epistery::admin');
+  });
+
+  it('should share one load between concurrent reads', async () => {
+    await Promise.all([cache.getList('example.com', 'a'), cache.getList('example.com', 'a')]);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reload after the domain staleness bound', async () => {
+    vi.useFakeTimers();
+    cache.maxAgeFor = (domain) => domain === 'fast.com' ? 1000 : undefined;
+
+    await cache.getList('fast.com', 'a');
+    await cache.getList('slow.com', 'a');
+    vi.advanceTimersByTime(5000);
+    await cache.getList('fast.com', 'a');
+    await cache.getList('slow.com', 'a');
+
+    expect(loader.mock.calls.map(([domain]) => domain)).toEqual(['fast.com', 'slow.com', 'fast.com']);
+  });
+
+  it('should reload invalidated lists only', async () => {
+    await cache.getList('example.com', 'a');
+    await cache.getList('example.com', 'b');
+    await cache.getList('other.com', 'a');
+
+    cache.invalidate('example.com', 'a');
+    await cache.getList('example.com', 'a');
+    await cache.getList('example.com', 'b');
+    await cache.getList('other.com', 'a');
+
+    expect(loader).toHaveBeenCalledTimes(4);
+
+    cache.invalidate('example.com');
+    await cache.getList('example.com', 'b');
+    expect(loader).toHaveBeenCalledTimes(5);
+  });
+
+  it('should serve the last loaded list when the chain cannot be reached', async () => {
+    await cache.getList('example.com', 'a');
+    cache.invalidate('example.com');
+    loader.mockRejectedValue(new Error('RPC unavailable'));
+
+    expect(await cache.isListed('example.com', 'a', ALICE)).toBe(true);
+  });
+
+  it('should fail stale: false reads when the chain cannot be reached', async () => {
+    await cache.getList('example.com', 'a');
+    cache.invalidate('example.com');
+    loader.mockRejectedValue(new Error('RPC unavailable'));
+
+    await expect(cache.getList('example.com', 'a', { stale: false })).rejects.toThrow('RPC unavailable');
+    expect(await cache.isListed('example.com', 'a', ALICE)).toBe(true);
+    await expect(cache.getList('example.com', 'a', { stale: false })).rejects.toThrow('RPC unavailable');
+  });
+
+  it('should reload when a read asks for a tighter bound than the domain', async () => {
+    vi.useFakeTimers();
+    await cache.getList('example.com', 'a');
+    vi.advanceTimersByTime(2000);
+
+    await cache.getList('example.com', 'a', { maxAge: 120000 });
+    expect(loader).toHaveBeenCalledTimes(1);
+    await cache.getList('example.com', 'a', { maxAge: 1000 });
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail when nothing was ever loaded', async () => {
+    loader.mockRejectedValue(new Error('RPC unavailable'));
+
+    await expect(cache.getList('example.com', 'a')).rejects.toThrow('RPC unavailable');
+  });
+
+  it('should apply the host\'s own changes without reloading', async () => {
+    await cache.getList('example.com', 'a');
+
+    cache.apply('example.com', 'a', { type: 'added', address: BOB, name: 'Bob', role: 2 });
+    cache.apply('example.com', 'a', { type: 'updated', address: ALICE, name: 'Alice A.', role: null });
+    cache.apply('example.com', 'b', { type: 'added', address: BOB });
+
+    const entries = await cache.getList('example.com', 'a');
+    expect(entries).toEqual([
+      { address: ALICE, name: 'Alice A.', role: 3, meta: '' },
+      { address: BOB, name: 'Bob', role: 2, meta: '' }
+    ]);
+
+    cache.apply('example.com', 'a', { type: 'removed', address: ALICE.toLowerCase() });
+    expect(await cache.isListed('example.com', 'a', ALICE)).toBe(false);
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('should warm lists and log the ones that fail', async () => {
+    loader.mockImplementation(async (domain, listName) => {
+      if (listName === 'broken') throw new Error('no contract');
+      return [];
+    });
+
+    await cache.warm('example.com', ['a', 'broken']);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('broken'), 'no contract');
+  });
+
+  describe('watchListEvents', () => {
+    const abi = [
+      'event WhitelistUpdated(string listName, address addr)',
+      'event Transfer(address from, address to, uint256 value)'
+    ];
+    const iface = new ethers.utils.Interface(abi);
+
+    function fakeContract(provider) {
+      return { address: '0x00000000000000000000000000000000000000aa', interface: iface, provider };
+    }
+
+    it('should poll block ranges and report the changed list', async () => {
+      const log = { topics: [], data: '0x', ...iface.encodeEventLog(iface.getEvent('WhitelistUpdated'), ['example.com::admin', ALICE]) };
+      const provider = {
+        getBlockNumber: vi.fn().mockResolvedValueOnce(100).mockResolvedValue(104),
+        getLogs: vi.fn(async () => [log])
+      };
+      const onChange = vi.fn();
+
+      const stop = watchListEvents(fakeContract(provider), onChange, { pollInterval: 5, maxRange: 2 });
+      await vi.waitFor(() => expect(provider.getLogs).toHaveBeenCalledTimes(2));
+      stop();
+
+      const filters = provider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+      expect(filters).toEqual([[101, 102], [103, 104]]);
+      expect(provider.getLogs.mock.calls[0][0].topics).toEqual([[iface.getEventTopic('WhitelistUpdated')]]);
+      expect(onChange).toHaveBeenCalledWith('example.com::admin');
+    });
+
+    it('should subscribe when asked to', () => {
+      const provider = { on: vi.fn(), off: vi.fn() };
+
+      const stop = watchListEvents(fakeContract(provider), vi.fn(), { subscribe: true });
+      stop();
+
+      expect(provider.on).toHaveBeenCalledTimes(1);
+      expect(provider.off).toHaveBeenCalledWith(provider.on.mock.calls[0][0], provider.on.mock.calls[0][1]);
+    });
+
+    it('should return null for contracts without list events', () => {
+      const contract = { ...fakeContract({}), interface: new ethers.utils.Interface([abi[1]]) };
+
+      expect(watchListEvents(contract, vi.fn())).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'module';
+import { NonceManager, replacementFees } from '../NonceManager.mjs';
+
+const require = createRequire(import.meta.url);
+const { utils } = require('ethers');
+const gwei = (value) => utils.parseUnits(String(value), 'gwei');
+
+function fakeWallet({ pending = 5, transactions = {} } = {}) {
+  return {
+    address: '0x000000000000000000000000000000000000beef',
+    getTransactionCount: vi.fn(async () => pending),
+    sendTransaction: vi.fn(async (request) => ({ hash: `0xreplacement${request.nonce}`, ...request })),
+    provider: {
+      getTransaction: vi.fn(async (hash) => transactions[hash] || null)
+    }
+  };
+}
+
+/**
+ * Test suite for server wallet nonce management
+ */
+describe('NonceManager', () => {
+  describe('send', () => {
+    it('should give concurrent sends consecutive nonces', async () => {
+      const manager = new NonceManager(fakeWallet({ pending: 5 }));
+      const build = vi.fn(async ({ nonce }) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { hash: `0x${nonce}`, nonce };
+      });
+
+      const sent = await Promise.all([manager.send(build), manager.send(build), manager.send(build)]);
+
+      expect(sent.map(tx => tx.nonce)).toEqual([5, 6, 7]);
+    });
+
+    it('should not use up a nonce when a send fails', async () => {
+      const manager = new NonceManager(fakeWallet({ pending: 3 }));
+
+      await expect(manager.send(async () => {
+        throw new Error('execution reverted');
+      })).rejects.toThrow('execution reverted');
+      const tx = await manager.send(async ({ nonce }) => ({ hash: '0x1', nonce }));
+
+      expect(tx.nonce).toBe(3);
+    });
+
+    it('should move ahead when the network has seen more transactions', async () => {
+      const wallet = fakeWallet({ pending: 2 });
+      const manager = new NonceManager(wallet);
+      await manager.send(async ({ nonce }) => ({ nonce }));
+
+      wallet.getTransactionCount.mockResolvedValue(9);
+      const tx = await manager.send(async ({ nonce }) => ({ nonce }));
+
+      expect(tx.nonce).toBe(9);
+    });
+
+    it('should resync and retry once when the nonce was already used', async () => {
+      const wallet = fakeWallet({ pending: 4 });
+      const manager = new NonceManager(wallet);
+      manager.next = 2;
+      const build = vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' }))
+        .mockImplementation(async ({ nonce }) => ({ nonce }));
+
+      const tx = await manager.send(build);
+
+      expect(build).toHaveBeenCalledTimes(2);
+      expect(tx.nonce).toBe(4);
+    });
+  });
+
+  describe('replacement', () => {
+    const stuck = {
+      hash: '0xstuck',
+      nonce: 11,
+      to: '0x00000000000000000000000000000000000000aa',
+      data: '0x1234',
+      value: 0,
+      gasLimit: 300000,
+      maxFeePerGas: gwei(40),
+      maxPriorityFeePerGas: gwei(2),
+      blockNumber: null
+    };
+
+    it('should resend a stuck transaction at the same nonce with bumped fees', async () => {
+      const wallet = fakeWallet({ transactions: { '0xstuck': stuck } });
+      const manager = new NonceManager(wallet);
+
+      await manager.speedUp('0xstuck', { fees: { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) } });
+
+      const request = wallet.sendTransaction.mock.calls[0][0];
+      expect(request).toMatchObject({ nonce: 11, to: stuck.to, data: '0x1234', gasLimit: 300000 });
+      expect(utils.formatUnits(request.maxFeePerGas, 'gwei')).toBe('50.0');
+      expect(utils.formatUnits(request.maxPriorityFeePerGas, 'gwei')).toBe('2.5');
+    });
+
+    it('should cancel with a zero-value transfer to itself', async () => {
+      const wallet = fakeWallet({ transactions: { '0xstuck': stuck } });
+      const manager = new NonceManager(wallet);
+
+      const tx = await manager.cancel('0xstuck');
+
+      expect(tx.hash).toBe('0xreplacement11');
+      expect(wallet.sendTransaction.mock.calls[0][0]).toMatchObject({
+        to: wallet.address, value: 0, data: '0x', gasLimit: 21000, nonce: 11
+      });
+    });
+
+    it('should refuse to replace mined or unknown transactions', async () => {
+      const wallet = fakeWallet({ transactions: { '0xmined': { ...stuck, blockNumber: 100 } } });
+      const manager = new NonceManager(wallet);
+
+      await expect(manager.cancel('0xmined')).rejects.toThrow('already mined');
+      await expect(manager.speedUp('0xmissing')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('replacementFees', () => {
+    it('should use current fees when they are above the bump', () => {
+      const fees = replacementFees({ gasPrice: gwei(10) }, { gasPrice: gwei(20) }, 125);
+
+      expect(utils.formatUnits(fees.gasPrice, 'gwei')).toBe('20.0');
+    });
+
+    it('should refuse a replacement above the fee cap', () => {
+      expect(() => replacementFees({ gasPrice: gwei(100) }, {}, 125, gwei(110)))
+        .toThrow('fee policy cap');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import express from 'express';
+import request from 'supertest';
+import { ProcessAgent } from '../ProcessAgent.mjs';
+import { AgentManager } from '../AgentManager.mjs';
+
+// A tiny agent server that echoes what it receives, on a port or a socket
+const SERVER = `
+const http = require('http');
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    if (req.url === '/crash') process.exit(1);
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({
+      url: req.url,
+      method: req.method,
+      body,
+      prefix: req.headers['x-forwarded-prefix'],
+      name: process.env.EPISTERY_AGENT_NAME,
+      config: JSON.parse(process.env.EPISTERY_AGENT_CONFIG),
+      pid: process.pid
+    }));
+  });
+});
+server.listen(process.env.EPISTERY_AGENT_SOCKET || process.env.PORT);
+`;
+
+/**
+ * Test suite for ProcessAgent
+ * Covers spawning isolated agents, proxying to them, restarts and shutdown
+ */
+describe('ProcessAgent', () => {
+  let tmpPath;
+  let agent;
+
+  function agentInfo(manifest = {}) {
+    return {
+      name: 'echo',
+      path: tmpPath,
+      manifest: { name: '@test/echo', version: '1.0.0', command: 'node server.js', ...manifest },
+      entryPath: join(tmpPath, 'index.mjs')
+    };
+  }
+
+  function mount(processAgent) {
+    const app = express();
+    app.use(express.json());
+    const router = express.Router();
+    processAgent.attach(router);
+    app.use('/agent/test/echo', router);
+    return app;
+  }
+
+  beforeEach(async () => {
+    tmpPath = await mkdtemp(join(tmpdir(), 'process-agent-'));
+    await writeFile(join(tmpPath, 'server.js'), SERVER);
+  });
+
+  afterEach(async () => {
+    await agent?.cleanup();
+    agent = null;
+    await rm(tmpPath, { recursive: true, force: true });
+  });
+
+  it('should start the command and proxy requests with the prefix removed', async () => {
+    agent = new ProcessAgent(agentInfo({ config: { greeting: 'hi' } }));
+    await agent.start();
+
+    const response = await request(mount(agent)).get('/agent/test/echo/status?x=1').expect(200);
+
+    expect(response.body.url).toBe('/status?x=1');
+    expect(response.body.prefix).toBe('/agent/test/echo');
+    expect(response.body.name).toBe('@test/echo');
+    expect(response.body.config).toEqual({ greeting: 'hi' });
+  });
+
+  it('should forward bodies already parsed by the host', async () => {
+    agent = new ProcessAgent(agentInfo());
+    await agent.start();
+
+    const response = await request(mount(agent))
+      .post('/agent/test/echo/items')
+      .send({ value: 42 })
+      .expect(200);
+
+    expect(response.body.method).toBe('POST');
+    expect(JSON.parse(response.body.body)).toEqual({ value: 42 });
+  });
+
+  it('should listen on a Unix socket when the manifest asks for one', async () => {
+    agent = new ProcessAgent(agentInfo({ listen: 'socket' }));
+    await agent.start();
+
+    expect(agent.target.socketPath).toBeTruthy();
+    const response = await request(mount(agent)).get('/agent/test/echo/').expect(200);
+    expect(response.body.url).toBe('/');
+  });
+
+  it('should fail to start when the command does not listen', async () => {
+    agent = new ProcessAgent(agentInfo({ command: 'node -e "process.exit(3)"' }), { startTimeout: 2000 });
+
+    await expect(agent.start()).rejects.toThrow('exited during startup');
+  });
+
+  it('should restart the process after it exits', async () => {
+    agent = new ProcessAgent(agentInfo(), { backoff: { initial: 50, max: 50, reset: 60000 } });
+    await agent.start();
+    const app = mount(agent);
+    const firstPid = (await request(app).get('/agent/test/echo/').expect(200)).body.pid;
+
+    await request(app).get('/agent/test/echo/crash');
+    await expect.poll(() => agent.ready, { timeout: 5000 }).toBe(false);
+    await expect.poll(() => agent.ready, { timeout: 5000 }).toBe(true);
+
+    const secondPid = (await request(app).get('/agent/test/echo/').expect(200)).body.pid;
+    expect(secondPid).not.toBe(firstPid);
+    expect(agent.restarts).toBe(1);
+  });
+
+  it('should answer 503 once stopped', async () => {
+    agent = new ProcessAgent(agentInfo());
+    await agent.start();
+    const app = mount(agent);
+
+    await agent.cleanup();
+
+    expect(agent.child).toBeNull();
+    await request(app).get('/agent/test/echo/').expect(503);
+  });
+
+  it('should report health while the process is running', async () => {
+    agent = new ProcessAgent(agentInfo());
+    await agent.start();
+
+    expect(await agent.health()).toMatchObject({ healthy: true, restarts: 0 });
+    await agent.cleanup();
+    expect(await agent.health()).toMatchObject({ healthy: false, error: 'process is not running' });
+  });
+
+  it('should be loaded by AgentManager when the manifest asks for isolation', async () => {
+    const manager = new AgentManager(tmpPath);
+    const app = express();
+    await manager.loadAgent(agentInfo({ isolation: 'process' }), app);
+    agent = manager.agents.get('echo').instance;
+
+    expect(manager.agents.get('echo').isolation).toBe('process');
+    expect(manager.agents.get('echo').context).toBeNull();
+    const response = await request(app).get('/.well-known/epistery/agent/test/echo/info').expect(200);
+    expect(response.body.url).toBe('/info');
+
+    await manager.unloadAgent('echo');
+    expect(agent.child).toBeNull();
+  });
+
+  it('should isolate untrusted agents when the host defaults to process isolation', () => {
+    const manager = new AgentManager(tmpPath, {}, { isolation: 'process', trustedAgents: ['@test/trusted'] });
+
+    expect(manager.isolationFor({ name: '@test/echo' })).toBe('process');
+    expect(manager.isolationFor({ name: '@test/trusted' })).toBe('none');
+    expect(new AgentManager(tmpPath).isolationFor({ name: '@test/echo' })).toBe('none');
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RoleResolver, roleFromLists } from '../RoleResolver.mjs';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CAROL = '0x3333333333333333333333333333333333333333';
+const SPONSOR = '0x00000000000000000000000000000000000000ff';
+
+function resolver(lists, data = {}) {
+  const membership = {
+    getList: vi.fn(async (domain, listName) => {
+      if (!(listName in lists)) throw new Error(`Unknown list ${listName}`);
+      return lists[listName];
+    })
+  };
+  const roles = new RoleResolver(membership);
+  roles.configFor = () => ({ agent_contract_address: '0x00000000000000000000000000000000000000aa', admin_address: ALICE, ...data });
+  roles.listNames = async () => ['subscribers', 'missing'];
+  roles.sponsorOf = () => SPONSOR;
+  return { roles, membership };
+}
+
+/**
+ * Test suite for caller role resolution
+ */
+describe('RoleResolver', () => {
+  it('should make the claimed admin_address the owner without reading lists', async () => {
+    const { roles, membership } = resolver({}, { agent_contract_address: null });
+
+    expect(await roles.role('example.com', ALICE.toUpperCase().replace('0X', '0x'))).toBe('owner');
+    expect(await roles.role('example.com', BOB)).toBeNull();
+    expect(membership.getList).not.toHaveBeenCalled();
+  });
+
+  it('should take other roles from the admin lists', async () => {
+    const { roles, membership } = resolver({
+      'epistery::admin': [{ address: BOB, role: 3 }],
+      'example.com::admin': [{ address: CAROL, role: 0 }]
+    });
+
+    expect(await roles.role('example.com', BOB)).toBe('admin');
+    expect(await roles.role('example.com', CAROL)).toBe('member');
+    expect(await roles.role('example.com', null)).toBeNull();
+    expect(membership.getList).not.toHaveBeenCalledWith('example.com', 'subscribers');
+  });
+
+  it('should authorize from fresh lists and accept cached ones only when asked', async () => {
+    const { roles, membership } = resolver({ 'epistery::admin': [{ address: BOB, role: 3 }], 'example.com::admin': [] });
+
+    await roles.role('example.com', BOB);
+    expect(membership.getList).toHaveBeenCalledWith('example.com', 'epistery::admin', { maxAge: 5000, stale: false });
+
+    membership.getList.mockClear();
+    await roles.role('example.com', BOB, { stale: true });
+    expect(membership.getList).toHaveBeenCalledWith('example.com', 'epistery::admin', {});
+  });
+
+  it('should report the caller on every list of the contract', async () => {
+    const { roles } = resolver({
+      'epistery::admin': [],
+      'example.com::admin': [{ address: BOB, name: 'Bob', role: 0 }],
+      'subscribers': [{ address: BOB, name: 'Bob B', role: 1 }]
+    });
+
+    expect(await roles.resolve('example.com', BOB)).toEqual({
+      address: BOB,
+      role: 'member',
+      claimant: false,
+      sponsor: false,
+      lists: {
+        'epistery::admin': { listed: false, role: null, name: null },
+        'example.com::admin': { listed: true, role: 'none', name: 'Bob' },
+        'subscribers': { listed: true, role: 'read', name: 'Bob B' },
+        'missing': { listed: null, role: null, name: null, error: 'Unknown list missing' }
+      }
+    });
+  });
+
+  it('should flag the sponsor and the claimant', async () => {
+    const { roles } = resolver({}, { agent_contract_address: null });
+
+    expect(await roles.resolve('example.com', SPONSOR)).toMatchObject({ role: null, sponsor: true, claimant: false, lists: {} });
+    expect(await roles.resolve('example.com', ALICE)).toMatchObject({ role: 'owner', sponsor: false, claimant: true });
+  });
+
+  describe('roleFromLists', () => {
+    it('should take the highest role across lists', () => {
+      const lists = {
+        'epistery::admin': [{ address: ALICE, role: 3 }],
+        'example.com::admin': [{ address: ALICE.toUpperCase().replace('0X', '0x'), role: 4 }, { address: BOB, role: 0 }]
+      };
+
+      expect(roleFromLists(ALICE, lists)).toBe('owner');
+      expect(roleFromLists(BOB, lists)).toBe('member');
+      expect(roleFromLists(CAROL, lists)).toBeNull();
+    });
+
+    it('should make anyone on epistery::admin at least an admin', () => {
+      expect(roleFromLists(BOB, { 'epistery::admin': [{ address: BOB, role: 0 }] })).toBe('admin');
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'module';
+import { RpcPool, rpcEndpoints, rpcProvider, hasRpc, isEndpointFailure } from '../RpcPool.mjs';
+
+const require = createRequire(import.meta.url);
+const { ethers } = require('ethers');
+
+const failure = (message = 'missing response', code = 'SERVER_ERROR') => Object.assign(new Error(message), { code });
+
+function pool(count, options = {}) {
+  const endpoints = Array.from({ length: count }, (_, index) => ({ url: `https://rpc${index}.example`, timeout: 1000 }));
+  const rpc = new RpcPool(endpoints, { chainId: 137, name: 'matic', ...options });
+  rpc.members.forEach(member => {
+    member.provider.perform = vi.fn();
+  });
+  return rpc;
+}
+
+/**
+ * Test suite for multi-endpoint RPC providers
+ */
+describe('RpcPool', () => {
+  describe('rpcEndpoints', () => {
+    it('should put rpc first and then the rpcs list without repeats', () => {
+      const endpoints = rpcEndpoints({
+        rpc: 'https://a.example',
+        rpcs: ['https://b.example', { url: 'https://c.example', timeout: 3000 }, 'https://a.example', {}]
+      });
+
+      expect(endpoints).toEqual([
+        { url: 'https://a.example', timeout: 10000 },
+        { url: 'https://b.example', timeout: 10000 },
+        { url: 'https://c.example', timeout: 3000 }
+      ]);
+    });
+
+    it('should accept single-rpc and rpcs-only configs', () => {
+      expect(hasRpc({ rpc: 'https://a.example' })).toBe(true);
+      expect(hasRpc({ rpcs: ['https://b.example'] })).toBe(true);
+      expect(hasRpc({ name: 'Polygon' })).toBe(false);
+      expect(hasRpc(undefined)).toBe(false);
+    });
+  });
+
+  describe('failover', () => {
+    it('should use the first endpoint while it works', async () => {
+      const rpc = pool(2);
+      rpc.members[0].provider.perform.mockResolvedValue('0x10');
+
+      expect(await rpc.perform('getBlockNumber', {})).toBe('0x10');
+      expect(rpc.members[1].provider.perform).not.toHaveBeenCalled();
+    });
+
+    it('should fail over when an endpoint errors or times out', async () => {
+      const rpc = pool(3);
+      rpc.members[0].provider.perform.mockRejectedValue(failure('429 Too Many Requests'));
+      rpc.members[1].provider.perform.mockRejectedValue(failure('timeout', 'TIMEOUT'));
+      rpc.members[2].provider.perform.mockResolvedValue('0x20');
+
+      expect(await rpc.perform('getBlockNumber', {})).toBe('0x20');
+      expect(rpc.members[0]).toMatchObject({ failures: 1, score: 0.8, lastError: expect.objectContaining({ message: '429 Too Many Requests' }) });
+    });
+
+    it('should return chain answers such as reverts without failing over', async () => {
+      const rpc = pool(2);
+      rpc.members[0].provider.perform.mockRejectedValue(failure('execution reverted', 'CALL_EXCEPTION'));
+
+      await expect(rpc.perform('call', {})).rejects.toThrow('execution reverted');
+      expect(rpc.members[1].provider.perform).not.toHaveBeenCalled();
+      expect(rpc.members[0].failures).toBe(0);
+    });
+
+    it('should throw the last failure when every endpoint fails', async () => {
+      const rpc = pool(2);
+      rpc.members[0].provider.perform.mockRejectedValue(failure('first down'));
+      rpc.members[1].provider.perform.mockRejectedValue(failure('second down'));
+
+      await expect(rpc.perform('getBlockNumber', {})).rejects.toThrow('second down');
+    });
+
+    it('should skip an endpoint that keeps failing until its cooldown ends', async () => {
+      const rpc = pool(2, { maxFailures: 2, cooldown: 60000 });
+      rpc.members[0].provider.perform.mockRejectedValue(failure());
+      rpc.members[1].provider.perform.mockResolvedValue('0x1');
+
+      await rpc.perform('getBlockNumber', {});
+      await rpc.perform('getBlockNumber', {});
+      await rpc.perform('getBlockNumber', {});
+
+      expect(rpc.members[0].provider.perform).toHaveBeenCalledTimes(2);
+      expect(rpc.status()[0]).toMatchObject({ host: 'rpc0.example', status: 'cooling', failures: 2 });
+      expect(rpc.status()[1]).toMatchObject({ status: 'healthy', successes: 3 });
+    });
+  });
+
+  describe('sendTransaction', () => {
+    const signed = '0x02f86b';
+    const hash = ethers.utils.keccak256(signed);
+
+    it('should send the same raw transaction to the next endpoint', async () => {
+      const rpc = pool(2);
+      rpc.members[0].provider.perform.mockRejectedValue(failure('timeout', 'TIMEOUT'));
+      rpc.members[1].provider.perform.mockResolvedValue(hash);
+
+      expect(await rpc.perform('sendTransaction', { signedTransaction: signed })).toBe(hash);
+      expect(rpc.members[1].provider.perform).toHaveBeenCalledWith('sendTransaction', { signedTransaction: signed });
+    });
+
+    it('should count a transaction the next endpoint already holds as sent', async () => {
+      const rpc = pool(2);
+      rpc.members[0].provider.perform.mockRejectedValue(failure('timeout', 'TIMEOUT'));
+      rpc.members[1].provider.perform.mockRejectedValue(Object.assign(failure('processing response error'), { body: '{"error":{"message":"already known"}}' }));
+
+      expect(await rpc.perform('sendTransaction', { signedTransaction: signed })).toBe(hash);
+    });
+
+    it('should count nonce too low as sent only when the transaction is found', async () => {
+      const rpc = pool(2);
+      rpc.members[0].provider.perform.mockRejectedValue(failure('timeout', 'TIMEOUT'));
+      rpc.members[1].provider.perform.mockImplementation(async (method) => {
+        if (method === 'sendTransaction') throw failure('nonce has already been used', 'NONCE_EXPIRED');
+        return { hash };
+      });
+
+      expect(await rpc.perform('sendTransaction', { signedTransaction: signed })).toBe(hash);
+      expect(rpc.members[1].provider.perform).toHaveBeenCalledWith('getTransaction', { transactionHash: hash });
+
+      rpc.members[1].provider.perform.mockImplementation(async (method) => {
+        if (method === 'sendTransaction') throw failure('nonce has already been used', 'NONCE_EXPIRED');
+        return null;
+      });
+      await expect(rpc.perform('sendTransaction', { signedTransaction: signed })).rejects.toThrow('nonce has already been used');
+    });
+
+    it('should return nonce too low from the first endpoint as it is', async () => {
+      const rpc = pool(2);
+      rpc.members[0].provider.perform.mockRejectedValue(failure('nonce has already been used', 'NONCE_EXPIRED'));
+
+      await expect(rpc.perform('sendTransaction', { signedTransaction: signed })).rejects.toThrow('nonce has already been used');
+      expect(rpc.members[0].provider.perform).toHaveBeenCalledTimes(1);
+      expect(rpc.members[1].provider.perform).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('quorum', () => {
+    it('should return an answer once enough endpoints agree', async () => {
+      const rpc = pool(3, { mode: 'quorum', quorum: 2 });
+      rpc.members[0].provider.perform.mockResolvedValue('0xaa');
+      rpc.members[1].provider.perform.mockRejectedValue(failure());
+      rpc.members[2].provider.perform.mockResolvedValue('0xaa');
+
+      expect(await rpc.perform('call', {})).toBe('0xaa');
+    });
+
+    it('should fail when endpoints disagree', async () => {
+      const rpc = pool(2, { mode: 'quorum', quorum: 2 });
+      rpc.members[0].provider.perform.mockResolvedValue('0xaa');
+      rpc.members[1].provider.perform.mockResolvedValue('0xbb');
+
+      await expect(rpc.perform('call', {})).rejects.toThrow('did not reach a quorum of 2');
+    });
+
+    it('should use failover for methods outside quorum reads', async () => {
+      const rpc = pool(2, { mode: 'quorum', quorum: 2 });
+      rpc.members[0].provider.perform.mockResolvedValue('0xhash');
+
+      expect(await rpc.perform('sendTransaction', { signedTransaction: '0x01' })).toBe('0xhash');
+      expect(rpc.members[1].provider.perform).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should share one pool per provider config', () => {
+    const provider = { chainId: 137, rpc: 'https://shared.example' };
+
+    expect(rpcProvider(provider)).toBe(rpcProvider({ ...provider }));
+    expect(rpcProvider(provider)).not.toBe(rpcProvider({ ...provider, rpcs: ['https://other.example'] }));
+    expect(() => rpcProvider({ chainId: 137 })).toThrow('no RPC endpoint');
+  });
+
+  it('should treat errors without a chain answer as endpoint failures', () => {
+    expect(isEndpointFailure(new Error('socket hang up'))).toBe(true);
+    expect(isEndpointFailure(failure('nonce too low', 'NONCE_EXPIRED'))).toBe(false);
+  });
+});
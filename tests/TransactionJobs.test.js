@@ -0,0 +1,345 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { TransactionJobs } from '../TransactionJobs.mjs';
+
+// A provider whose transactions are mined when the test says so
+function fakeProvider() {
+  const receipts = new Map();
+  return {
+    blockNumber: 42,
+    getTransactionReceipt: vi.fn(async (hash) => receipts.get(hash) || null),
+    getBlockNumber: vi.fn(async function() {
+      return this.blockNumber;
+    }),
+    mine(hash, receipt = {}) {
+      receipts.set(hash, { transactionHash: hash, blockNumber: 42, status: 1, ...receipt });
+    }
+  };
+}
+
+const settled = (jobs, id) => new Promise((resolve) => {
+  const check = (job) => {
+    if (job.id === id && ['confirmed', 'failed'].includes(job.state)) {
+      jobs.off('update', check);
+      resolve(job);
+    }
+  };
+  jobs.on('update', check);
+});
+
+/**
+ * Test suite for transaction jobs
+ */
+describe('TransactionJobs', () => {
+  let dir;
+  let storePath;
+  let provider;
+  let jobs;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'tx-jobs-'));
+    storePath = path.join(dir, 'jobs.json');
+    provider = fakeProvider();
+    jobs = new TransactionJobs(storePath, { pollInterval: 5, saveDelay: 5 });
+    jobs.connect = () => provider;
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jobs.stop();
+    await jobs.saving;
+    await rm(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should return a broadcast job and confirm it once mined', async () => {
+    const states = [];
+    jobs.on('update', job => states.push(job.state));
+
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0xabc', nonce: 7 }));
+
+    expect(job).toMatchObject({ state: 'broadcast', txHash: '0xabc', nonce: 7, domain: 'example.com' });
+
+    const done = settled(jobs, job.id);
+    provider.mine('0xabc');
+    await done;
+
+    expect(states).toEqual(['queued', 'broadcast', 'mined', 'confirmed']);
+    expect(jobs.get(job.id)).toMatchObject({ state: 'confirmed', blockNumber: 42 });
+  });
+
+  it('should run the completion handler and store its result', async () => {
+    const handler = vi.fn(async (job, receipt) => ({ contractAddress: receipt.contractAddress }));
+    jobs.define('contract.deploy', handler);
+
+    const job = await jobs.submit({ type: 'contract.deploy', domain: 'example.com' }, async () => ({ hash: '0xdef' }));
+    const done = settled(jobs, job.id);
+    provider.mine('0xdef', { contractAddress: '0x1234' });
+    const finished = await done;
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(finished.result).toEqual({ contractAddress: '0x1234' });
+  });
+
+  it('should wait for the configured number of confirmations', async () => {
+    jobs = new TransactionJobs(storePath, { confirmations: 3, pollInterval: 5, saveDelay: 5 });
+    jobs.connect = () => provider;
+
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0x1' }));
+    const done = settled(jobs, job.id);
+    provider.mine('0x1');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(jobs.get(job.id).state).toBe('mined');
+
+    provider.blockNumber = 44;
+    expect(await done).toMatchObject({ state: 'confirmed' });
+  });
+
+  it('should fail the job when it cannot be sent', async () => {
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => {
+      throw new Error('insufficient funds');
+    });
+
+    expect(job).toMatchObject({ state: 'failed', error: 'insufficient funds', txHash: null });
+  });
+
+  it('should fail reverted transactions without running the handler', async () => {
+    const handler = vi.fn();
+    jobs.define('whitelist.remove', handler);
+
+    const job = await jobs.submit({ type: 'whitelist.remove', domain: 'example.com' }, async () => ({ hash: '0xbad' }));
+    const done = settled(jobs, job.id);
+    provider.mine('0xbad', { status: 0 });
+    const finished = await done;
+
+    expect(finished).toMatchObject({ state: 'failed', error: 'Transaction reverted' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should record the initiator and the gas a reverted transaction still cost', async () => {
+    const job = await jobs.submit({ type: 'whitelist.remove', domain: 'example.com', initiator: '0xAdmin' }, async () => ({ hash: '0xgas' }));
+    const done = jobs.settled(job.id);
+    provider.mine('0xgas', { status: 0, gasUsed: { toString: () => '21000' }, effectiveGasPrice: { toString: () => '30000000000' } });
+
+    expect(await done).toMatchObject({ state: 'failed', initiator: '0xAdmin', blockNumber: 42, gasUsed: '21000', effectiveGasPrice: '30000000000' });
+    await expect(jobs.settled(job.id)).resolves.toMatchObject({ state: 'failed' });
+    await expect(jobs.settled('missing')).rejects.toThrow('not found');
+  });
+
+  it('should keep watchers per job rather than on the emitter', async () => {
+    const warning = vi.spyOn(process, 'emitWarning');
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0xmany' }));
+    const seen = [];
+    const stops = Array.from({ length: 20 }, () => jobs.watch(job.id, update => seen.push(update.state)));
+    const waits = Array.from({ length: 20 }, () => jobs.settled(job.id));
+    expect(jobs.listenerCount('update')).toBe(0);
+
+    provider.mine('0xmany');
+    await Promise.all(waits);
+    expect(seen.filter(state => state === 'confirmed')).toHaveLength(20);
+
+    stops.forEach(stop => stop());
+    expect(jobs.watchers.size).toBe(0);
+    expect(warning).not.toHaveBeenCalled();
+  });
+
+  it('should stop waiting after the timeout and leave the job running', async () => {
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0xslow' }));
+
+    await expect(jobs.settled(job.id, { timeout: 20 })).rejects.toThrow(`Job ${job.id} did not settle within 0s; it is still broadcast`);
+    expect(jobs.watchers.size).toBe(0);
+
+    const done = jobs.settled(job.id);
+    provider.mine('0xslow');
+    await expect(done).resolves.toMatchObject({ state: 'confirmed' });
+  });
+
+  it('should fail the job when its handler throws', async () => {
+    jobs.define('whitelist.add', () => {
+      throw new Error('config not writable');
+    });
+
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0x2' }));
+    const done = settled(jobs, job.id);
+    provider.mine('0x2');
+
+    expect(await done).toMatchObject({ state: 'failed', error: 'config not writable' });
+  });
+
+  it('should list jobs by domain and state', async () => {
+    await jobs.submit({ type: 'whitelist.add', domain: 'a.com' }, async () => ({ hash: '0xa' }));
+    await jobs.submit({ type: 'whitelist.add', domain: 'b.com' }, async () => {
+      throw new Error('nope');
+    });
+
+    expect(jobs.list({ domain: 'a.com' })).toHaveLength(1);
+    expect(jobs.list({ states: ['failed'] })[0].domain).toBe('b.com');
+  });
+
+  it('should save jobs and resume pending ones after a restart', async () => {
+    const job = await jobs.submit({ type: 'contract.deploy', domain: 'example.com' }, async () => ({ hash: '0xfeed' }));
+    await jobs.saving;
+
+    const saved = JSON.parse(await readFile(storePath, 'utf8'));
+    expect(saved.jobs[0]).toMatchObject({ id: job.id, state: 'broadcast', txHash: '0xfeed' });
+
+    const restarted = new TransactionJobs(storePath, { pollInterval: 5, saveDelay: 5 });
+    const restartedProvider = fakeProvider();
+    restarted.connect = () => restartedProvider;
+    const handler = vi.fn(() => ({ done: true }));
+    restarted.define('contract.deploy', handler);
+
+    expect(await restarted.resume()).toBe(1);
+    const done = settled(restarted, job.id);
+    restartedProvider.mine('0xfeed');
+
+    expect(await done).toMatchObject({ state: 'confirmed', result: { done: true } });
+    restarted.stop();
+    await restarted.saving;
+  });
+
+  it('should follow a replacement and confirm it once mined', async () => {
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0xslow' }));
+    await jobs.replace(job, { hash: '0xfast' });
+
+    const done = settled(jobs, job.id);
+    provider.mine('0xfast');
+
+    expect(await done).toMatchObject({ state: 'confirmed', txHash: '0xfast' });
+    expect(job.replaced).toEqual([expect.objectContaining({ hash: '0xslow', replacedBy: '0xfast', reason: 'speed-up' })]);
+  });
+
+  it('should fail a job as cancelled once its cancellation is mined', async () => {
+    const handler = vi.fn();
+    jobs.define('whitelist.add', handler);
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0xstuck' }));
+    await jobs.replace(job, { hash: '0xcancel' }, 'cancel');
+
+    const done = settled(jobs, job.id);
+    provider.mine('0xcancel');
+
+    expect(await done).toMatchObject({ state: 'failed', error: 'Transaction cancelled' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should stay cancelled when a sped-up cancellation is mined', async () => {
+    const handler = vi.fn();
+    jobs.define('whitelist.add', handler);
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0xstuck' }));
+    await jobs.replace(job, { hash: '0xcancel' }, 'cancel');
+    await jobs.replace(job, { hash: '0xcancel2' }, 'speed-up');
+    await jobs.replace(job, { hash: '0xcancel3' }, 'speed-up');
+
+    const done = settled(jobs, job.id);
+    provider.mine('0xcancel2');
+
+    expect(await done).toMatchObject({ state: 'failed', error: 'Transaction cancelled', txHash: '0xcancel2', cancelled: true });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should complete normally when the original wins over its cancellation', async () => {
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0xfirst' }));
+    await jobs.replace(job, { hash: '0xcancel' }, 'cancel');
+
+    const done = settled(jobs, job.id);
+    provider.mine('0xfirst');
+
+    expect(await done).toMatchObject({ state: 'confirmed', txHash: '0xfirst', cancelled: false });
+  });
+
+  it('should report broadcast jobs that have waited too long as stuck', async () => {
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0x3' }));
+    job.updatedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+    expect(jobs.stuck(5 * 60 * 1000)).toEqual([job]);
+    expect(jobs.stuck(15 * 60 * 1000)).toEqual([]);
+  });
+
+  it('should send batch items in order and report each outcome', async () => {
+    const send = vi.fn(async (params) => {
+      if (params.address === '0xbad') throw new Error('execution reverted');
+      return { hash: `0xtx${params.address}` };
+    });
+
+    const batch = await jobs.submitBatch({
+      type: 'whitelist.add',
+      domain: 'example.com',
+      items: [{ params: { address: '0x1' } }, { params: { address: '0xbad' } }, { params: { address: '0x2' } }]
+    }, send);
+
+    expect(batch).toMatchObject({ state: 'running', total: 3 });
+
+    await vi.waitFor(() => expect(send).toHaveBeenCalledTimes(3));
+    expect(send.mock.calls.map(([params]) => params.address)).toEqual(['0x1', '0xbad', '0x2']);
+    provider.mine('0xtx0x1');
+    provider.mine('0xtx0x2');
+    await vi.waitFor(() => expect(jobs.batch(batch.id).state).not.toBe('running'));
+
+    const finished = jobs.batch(batch.id);
+    expect(finished.state).toBe('completed_with_errors');
+    expect(finished.counts).toEqual({ confirmed: 2, failed: 1 });
+    expect(finished.items[1]).toMatchObject({ state: 'failed', error: 'execution reverted' });
+    expect(jobs.get(finished.items[0].jobId).batchId).toBe(batch.id);
+  });
+
+  it('should share one write among saves made before it starts', async () => {
+    const first = jobs.save();
+    expect(jobs.save()).toBe(first);
+
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0x5' }));
+    expect(jobs.saving).toBe(first);
+    await first;
+
+    const saved = JSON.parse(await readFile(storePath, 'utf8'));
+    expect(saved.jobs).toEqual([expect.objectContaining({ id: job.id, state: 'broadcast' })]);
+    expect(jobs.save()).not.toBe(first);
+  });
+
+  it('should prune finished jobs and old batches past retention', async () => {
+    const job = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0x6' }));
+    const pending = await jobs.submit({ type: 'whitelist.add', domain: 'example.com' }, async () => ({ hash: '0x7' }));
+    const done = settled(jobs, job.id);
+    provider.mine('0x6');
+    await done;
+    const later = Date.now() + jobs.retention + 1000;
+
+    expect(jobs.prune(later)).toBe(1);
+    expect(jobs.get(job.id)).toBeNull();
+    expect(jobs.get(pending.id)).toMatchObject({ state: 'broadcast' });
+    expect(jobs.prune()).toBe(0);
+  });
+
+  it('should fail unsent batch items after a restart', async () => {
+    await writeFile(storePath, JSON.stringify({
+      jobs: [],
+      batches: [{
+        id: 'batch-1', type: 'whitelist.add', domain: 'example.com', createdAt: new Date().toISOString(),
+        items: [{ index: 0, params: {}, jobId: null, error: null }]
+      }]
+    }));
+
+    const restarted = new TransactionJobs(storePath, { saveDelay: 5 });
+    await restarted.resume();
+
+    expect(restarted.batch('batch-1')).toMatchObject({ state: 'completed_with_errors', counts: { failed: 1 } });
+  });
+
+  it('should fail jobs that were never broadcast and drop old finished jobs on resume', async () => {
+    const old = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    await writeFile(storePath, JSON.stringify([
+      { id: 'queued-job', type: 'whitelist.add', domain: 'example.com', state: 'queued', txHash: null, history: [], createdAt: old, updatedAt: old },
+      { id: 'old-job', type: 'whitelist.add', domain: 'example.com', state: 'confirmed', txHash: '0x9', history: [], createdAt: old, updatedAt: old }
+    ]));
+
+    const restarted = new TransactionJobs(storePath, { saveDelay: 5 });
+    await restarted.resume();
+    await restarted.saving;
+
+    expect(restarted.get('queued-job')).toMatchObject({ state: 'failed' });
+    expect(restarted.get('old-job')).toBeNull();
+  });
+});
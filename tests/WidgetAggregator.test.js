@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { WidgetAggregator } from '../WidgetAggregator.mjs';
+
+/**
+ * Test suite for status page widget aggregation
+ */
+describe('WidgetAggregator', () => {
+  let agentManager;
+
+  function addAgent(dirName, instance, manifest = {}) {
+    agentManager.agents.set(dirName, {
+      manifest: { name: `@test/${dirName}`, version: '1.0.0', ...manifest },
+      instance,
+      shortPath: `/agent/test/${dirName}`
+    });
+  }
+
+  beforeEach(() => {
+    agentManager = {
+      agents: new Map(),
+      isEnabled: () => true,
+      configFor: (domain) => ({ domain })
+    };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should sanitize HTML and pass the domain settings to widget()', async () => {
+    const widget = vi.fn(() => '<p>Visits: 5</p><script>x()</script>');
+    addAgent('traffic', { widget });
+
+    const [result] = await new WidgetAggregator(agentManager).collect('example.com');
+
+    expect(widget).toHaveBeenCalledWith({ domain: 'example.com', config: { domain: 'example.com' } });
+    expect(result).toMatchObject({ name: '@test/traffic', status: 'ok', html: '<p>Visits: 5</p>' });
+  });
+
+  it('should return structured data, frames and plain descriptions', async () => {
+    addAgent('credits', { widget: () => ({ data: { balance: 10 } }) });
+    addAgent('adnet', {}, { widget: '/agent/test/adnet/widget' });
+    addAgent('secrets', {}, { description: 'Secure storage' });
+
+    const results = await new WidgetAggregator(agentManager).collect('example.com');
+
+    expect(results.map(({ name, data, frame, html }) => ({ name, data, frame, html }))).toEqual([
+      { name: '@test/credits', data: { balance: 10 }, frame: undefined, html: undefined },
+      { name: '@test/adnet', data: undefined, frame: '/agent/test/adnet/widget', html: undefined },
+      { name: '@test/secrets', data: undefined, frame: undefined, html: null }
+    ]);
+  });
+
+  it('should order widgets as the admin set and skip disabled agents', async () => {
+    addAgent('a', {});
+    addAgent('b', {});
+    addAgent('c', {});
+    agentManager.isEnabled = (domain, name) => name !== '@test/b';
+
+    const results = await new WidgetAggregator(agentManager).collect('example.com', ['@test/c']);
+
+    expect(results.map(result => result.name)).toEqual(['@test/c', '@test/a']);
+  });
+
+  it('should degrade slow and failing agents to placeholders', async () => {
+    addAgent('slow', { widget: () => new Promise(() => {}) });
+    addAgent('broken', { widget: () => { throw new Error('boom'); } });
+    addAgent('fine', { widget: () => '<p>ok</p>' });
+
+    const results = await new WidgetAggregator(agentManager, { timeout: 50 }).collect('example.com');
+
+    expect(results.map(result => [result.name, result.status])).toEqual([
+      ['@test/slow', 'unavailable'],
+      ['@test/broken', 'unavailable'],
+      ['@test/fine', 'ok']
+    ]);
+  });
+
+  it('should cache widgets per domain until they expire or are invalidated', async () => {
+    const widget = vi.fn(({ domain }) => `<p>${domain}</p>`);
+    addAgent('traffic', { widget });
+    const aggregator = new WidgetAggregator(agentManager);
+
+    await aggregator.collect('a.example.com');
+    await aggregator.collect('a.example.com');
+    const [other] = await aggregator.collect('b.example.com');
+    expect(widget).toHaveBeenCalledTimes(2);
+    expect(other.html).toBe('<p>b.example.com</p>');
+
+    aggregator.invalidate('a.example.com');
+    await aggregator.collect('a.example.com');
+    expect(widget).toHaveBeenCalledTimes(3);
+  });
+
+  it('should serve the last good widget marked stale when a refresh fails', async () => {
+    let fail = false;
+    addAgent('traffic', { widget: () => { if (fail) throw new Error('down'); return '<p>5</p>'; } });
+    const aggregator = new WidgetAggregator(agentManager, { ttl: 0 });
+
+    await aggregator.collect('example.com');
+    fail = true;
+    const [result] = await aggregator.collect('example.com');
+
+    expect(result).toMatchObject({ status: 'ok', html: '<p>5</p>', stale: true });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { validateConfigSchema, validateConfig, schemaDefaults, resolveConfig } from '../agentConfig.mjs';
+
+/**
+ * Test suite for per-domain agent settings
+ */
+describe('agentConfig', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      publisherId: { type: 'string', title: 'Publisher ID', minLength: 1 },
+      retentionDays: { type: 'integer', minimum: 1, maximum: 365, default: 30 },
+      mode: { type: 'string', enum: ['live', 'test'], default: 'test' },
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['publisherId'],
+    additionalProperties: false
+  };
+
+  describe('validateConfigSchema', () => {
+    it('should accept a valid schema', () => {
+      expect(validateConfigSchema(schema)).toEqual([]);
+    });
+
+    it('should require an object schema', () => {
+      expect(validateConfigSchema({ type: 'string' })).toEqual(['configSchema type must be "object"']);
+      expect(validateConfigSchema([])).toEqual(['configSchema must be an object']);
+    });
+
+    it('should reject unsupported types, bad patterns and mistyped defaults', () => {
+      const errors = validateConfigSchema({
+        type: 'object',
+        properties: {
+          when: { type: 'date' },
+          code: { type: 'string', pattern: '([' },
+          limit: { type: 'integer', default: 'ten' }
+        }
+      });
+
+      expect(errors).toEqual([
+        'configSchema.properties.when.type "date" is not supported',
+        'configSchema.properties.code.pattern is not a valid regular expression',
+        'configSchema.properties.limit.default must be an integer'
+      ]);
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should accept valid settings', () => {
+      expect(validateConfig(schema, { publisherId: 'pub-1', retentionDays: 90, tags: ['a'] })).toEqual([]);
+    });
+
+    it('should report each invalid setting', () => {
+      const errors = validateConfig(schema, { retentionDays: 0, mode: 'staging', tags: [1], extra: true });
+
+      expect(errors).toEqual([
+        'config.publisherId is required',
+        'config.retentionDays must be at least 1',
+        'config.mode must be one of "live", "test"',
+        'config.tags[0] must be a string',
+        'config.extra is not a recognized setting'
+      ]);
+    });
+  });
+
+  describe('resolveConfig', () => {
+    it('should collect schema defaults', () => {
+      expect(schemaDefaults(schema)).toEqual({ retentionDays: 30, mode: 'test' });
+    });
+
+    it('should apply defaults, then manifest config, then domain overrides', () => {
+      const manifest = { configSchema: schema, config: { mode: 'live', publisherId: 'global' } };
+
+      expect(resolveConfig(manifest, { publisherId: 'pub-1' })).toEqual({
+        retentionDays: 30,
+        mode: 'live',
+        publisherId: 'pub-1'
+      });
+      expect(resolveConfig({ config: { a: 1 } })).toEqual({ a: 1 });
+    });
+  });
+});
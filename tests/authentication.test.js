@@ -0,0 +1,338 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { createRequire } from 'module';
+
+const { domains } = vi.hoisted(() => ({ domains: new Map() }));
+
+// Domain configs held in memory
+vi.mock('epistery', () => ({
+  Config: class {
+    setPath(domain) {
+      if (!domains.has(domain)) domains.set(domain, {});
+      this.data = domains.get(domain);
+    }
+    save() {}
+  }
+}));
+
+import { createAuthRouter } from '../authentication.mjs';
+import { createDomainVerifiers } from '../domainVerifiers.mjs';
+
+const require = createRequire(import.meta.url);
+const { Wallet } = require('ethers');
+
+const DOMAIN = 'example.com';
+const PROVIDER = { name: 'Polygon', chainId: 137, rpc: 'https://rpc.example' };
+
+// A DNS stand-in answering TXT lookups from txtRecords
+const txtRecords = [];
+const resolver = {
+  async resolveTxt(name) {
+    const records = txtRecords.filter(record => record.name === name);
+    if (records.length === 0) throw Object.assign(new Error('no data'), { code: 'ENODATA' });
+    return records.map(record => [record.value]);
+  },
+  async resolveCname() {
+    throw Object.assign(new Error('no data'), { code: 'ENODATA' });
+  }
+};
+
+function createApp(options) {
+  const app = express();
+  app.use(express.json());
+  app.use(createAuthRouter({ verifiers: createDomainVerifiers({ resolver }), ...options }));
+  return app;
+}
+
+const publish = (value, name = DOMAIN) => txtRecords.push({ name, value });
+
+// Sign a claim step the way claim.html does
+async function proof(app, wallet, action, { typed = false, signer = wallet } = {}) {
+  const response = await request(app)
+    .post('/account/claim/nonce')
+    .set('Host', DOMAIN)
+    .send({ clientAddress: wallet.address, action });
+  expect(response.status).toBe(200);
+
+  const { nonce, message, typedData } = response.body;
+  const signature = typed
+    ? await signer._signTypedData(typedData.domain, typedData.types, typedData.value)
+    : await signer.signMessage(message);
+  return { nonce, signature, signatureType: typed ? 'eip712' : 'eip191' };
+}
+
+async function requestChallenge(app, wallet, body = {}) {
+  return await request(app)
+    .post('/account/claim')
+    .set('Host', DOMAIN)
+    .send({ clientAddress: wallet.address, provider: PROVIDER, ...body });
+}
+
+async function verify(app, wallet, body = {}) {
+  return await request(app)
+    .post('/claim')
+    .set('Host', DOMAIN)
+    .send({ address: wallet.address, ...body });
+}
+
+/**
+ * Test suite for signed domain claims
+ */
+describe('authentication', () => {
+  let app;
+  let wallet;
+
+  beforeEach(() => {
+    domains.clear();
+    txtRecords.length = 0;
+    app = createApp();
+    wallet = Wallet.createRandom();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should claim a domain with signed request and verification steps', async () => {
+    const created = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+    expect(created.status).toBe(200);
+    const token = created.text;
+    expect(domains.get(DOMAIN).challenge_address).toBe(wallet.address.toLowerCase());
+
+    publish(token);
+    const verified = await verify(app, wallet, await proof(app, wallet, 'verify'));
+
+    expect(verified.body).toEqual({ status: 'success', message: 'Domain claimed successfully' });
+    expect(domains.get(DOMAIN)).toMatchObject({ verified: true, admin_address: wallet.address.toLowerCase() });
+  });
+
+  it('should accept EIP-712 proofs', async () => {
+    const created = await requestChallenge(app, wallet, await proof(app, wallet, 'request', { typed: true }));
+    publish(created.text);
+
+    const verified = await verify(app, wallet, await proof(app, wallet, 'verify', { typed: true }));
+    expect(verified.status).toBe(200);
+  });
+
+  it('should reject unsigned steps', async () => {
+    const unsigned = await requestChallenge(app, wallet);
+    expect(unsigned.status).toBe(401);
+    expect(unsigned.body.message).toMatch(/signed claim proof/);
+    expect(domains.get(DOMAIN).pending).toBeUndefined();
+
+    const created = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+    publish(created.text);
+    const unverified = await verify(app, wallet);
+    expect(unverified.status).toBe(401);
+    expect(domains.get(DOMAIN).verified).toBeUndefined();
+  });
+
+  it('should reject a signature from another key', async () => {
+    const created = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+    publish(created.text);
+
+    // Someone who knows the address and sees the TXT record, but not the key
+    const forged = await verify(app, wallet, await proof(app, wallet, 'verify', { signer: Wallet.createRandom() }));
+    expect(forged.status).toBe(401);
+    expect(forged.body.message).toMatch(/does not match/);
+    expect(domains.get(DOMAIN).verified).toBeUndefined();
+  });
+
+  it('should spend each nonce on its first use', async () => {
+    const signed = await proof(app, wallet, 'request');
+    expect((await requestChallenge(app, wallet, signed)).status).toBe(200);
+
+    const replayed = await requestChallenge(app, wallet, signed);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.message).toMatch(/unknown, used or expired/);
+  });
+
+  it('should not hand a pending challenge to another address', async () => {
+    await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+
+    const other = Wallet.createRandom();
+    const response = await requestChallenge(app, other, await proof(app, other, 'request'));
+    expect(response.status).toBe(409);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should verify by the chosen method', async () => {
+    const created = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+    publish(created.text, `_epistery.${DOMAIN}`);
+
+    const challenge = await request(app).get('/account/claim').set('Host', DOMAIN);
+    expect(challenge.body.methods.map(method => method.method)).toEqual(['txt', 'txt-subdomain', 'http', 'cname']);
+    expect(challenge.body.methods[1]).toMatchObject({ type: 'TXT', name: `_epistery.${DOMAIN}`, value: created.text });
+
+    // The apex has no record, so the default method fails
+    expect((await verify(app, wallet, await proof(app, wallet, 'verify'))).status).toBe(404);
+    expect((await verify(app, wallet, { method: 'unknown' })).status).toBe(400);
+
+    const verified = await verify(app, wallet, { method: 'txt-subdomain', ...await proof(app, wallet, 'verify') });
+    expect(verified.status).toBe(200);
+    expect(domains.get(DOMAIN).verification_method).toBe('txt-subdomain');
+  });
+
+  it('should ask to retry when a lookup fails', async () => {
+    const failing = { resolveTxt: async () => { throw Object.assign(new Error('timeout'), { code: 'ETIMEOUT' }); } };
+    app = createApp({ verifiers: createDomainVerifiers({ resolver: failing }) });
+    await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+
+    const response = await verify(app, wallet, await proof(app, wallet, 'verify'));
+    expect(response.status).toBe(503);
+    expect(response.headers['retry-after']).toBe('60');
+  });
+
+  it('should ask to retry while the TXT record is missing', async () => {
+    await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+
+    const response = await verify(app, wallet, await proof(app, wallet, 'verify'));
+    expect(response.status).toBe(404);
+    expect(response.headers['retry-after']).toBe('60');
+    expect(response.body.retryAfter).toBe(60);
+  });
+
+  describe('challenge expiry', () => {
+    const expire = () => { domains.get(DOMAIN).challenge_created = new Date(Date.now() - 2000).toISOString(); };
+
+    beforeEach(() => {
+      app = createApp({ challengeTtl: 1000 });
+    });
+
+    it('should refuse to verify an expired challenge', async () => {
+      const created = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+      publish(created.text);
+      const signed = await proof(app, wallet, 'verify');
+      expire();
+
+      const response = await verify(app, wallet, signed);
+      expect(response.status).toBe(410);
+      expect(response.body.expired).toBe(true);
+      expect((await request(app).get('/account/claim').set('Host', DOMAIN)).body).toBeNull();
+    });
+
+    it('should let anyone request a new challenge once it expires', async () => {
+      const first = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+      expire();
+
+      const other = Wallet.createRandom();
+      const second = await requestChallenge(app, other, await proof(app, other, 'request'));
+      expect(second.status).toBe(200);
+      expect(second.text).not.toBe(first.text);
+      expect(domains.get(DOMAIN).challenge_address).toBe(other.address.toLowerCase());
+    });
+
+    it('should reissue a live challenge on request', async () => {
+      const first = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+      const same = await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+      const reissued = await requestChallenge(app, wallet, { ...await proof(app, wallet, 'request'), reissue: true });
+
+      expect(same.text).toBe(first.text);
+      expect(reissued.text).not.toBe(first.text);
+    });
+
+    it('should keep the first creation time when reissuing', async () => {
+      await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+      const created = new Date(Date.now() - 900).toISOString();
+      domains.get(DOMAIN).challenge_created = created;
+
+      await requestChallenge(app, wallet, { ...await proof(app, wallet, 'request'), reissue: true });
+      expect(domains.get(DOMAIN).challenge_created).toBe(created);
+
+      expire();
+      const other = Wallet.createRandom();
+      expect((await requestChallenge(app, other, await proof(app, other, 'request'))).status).toBe(200);
+    });
+  });
+
+  describe('reset', () => {
+    const reset = async (app, signer) => await request(app)
+      .post('/account/claim/reset')
+      .set('Host', DOMAIN)
+      .send({ address: signer.address, ...await proof(app, signer, 'reset') });
+
+    it('should let an operator reset a pending claim', async () => {
+      const operator = Wallet.createRandom();
+      app = createApp({ operators: [operator.address] });
+      await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+
+      expect((await reset(app, Wallet.createRandom())).status).toBe(403);
+      expect((await reset(app, operator)).status).toBe(200);
+      expect(domains.get(DOMAIN).pending).toBeUndefined();
+      expect(domains.get(DOMAIN).challenge_token).toBeUndefined();
+    });
+
+    it('should let the claimant cancel their own claim', async () => {
+      await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+
+      expect((await reset(app, wallet)).body).toEqual({ status: 'success', message: 'Pending claim reset' });
+      expect(domains.get(DOMAIN).pending).toBeUndefined();
+    });
+  });
+
+  describe('throttling', () => {
+    it('should limit challenge requests per IP with a retry time', async () => {
+      app = createApp({
+        limits: {
+          challenge: { ip: { limit: 2, window: 60000 }, domain: { limit: 100, window: 60000 } },
+          verify: { ip: { limit: 100, window: 60000 }, domain: { limit: 100, window: 60000 } }
+        }
+      });
+
+      expect((await requestChallenge(app, wallet)).status).toBe(401);
+      expect((await requestChallenge(app, wallet)).status).toBe(401);
+      const throttled = await requestChallenge(app, wallet);
+      expect(throttled.status).toBe(429);
+      expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+      expect(throttled.body.retryAfter).toBe(60);
+    });
+
+    it('should limit nonce requests per IP only', async () => {
+      app = createApp({ limits: { nonce: { ip: { limit: 2, window: 60000 } } } });
+      const nonce = (ip) => request(app).post('/account/claim/nonce').set('Host', DOMAIN).set('X-Forwarded-For', ip)
+        .send({ clientAddress: wallet.address, action: 'request' });
+      app.set('trust proxy', true);
+
+      expect((await nonce('10.0.0.1')).status).toBe(200);
+      expect((await nonce('10.0.0.1')).status).toBe(200);
+      const throttled = await nonce('10.0.0.1');
+      expect(throttled.status).toBe(429);
+      expect(throttled.body.retryAfter).toBe(60);
+      expect((await nonce('10.0.0.2')).status).toBe(200);
+    });
+
+    it('should limit verification attempts per domain', async () => {
+      app = createApp({
+        limits: {
+          challenge: { ip: { limit: 100, window: 60000 }, domain: { limit: 100, window: 60000 } },
+          verify: { ip: { limit: 100, window: 60000 }, domain: { limit: 1, window: 60000 } }
+        }
+      });
+      await requestChallenge(app, wallet, await proof(app, wallet, 'request'));
+
+      expect((await verify(app, wallet, await proof(app, wallet, 'verify'))).status).toBe(404);
+      expect((await verify(app, wallet, await proof(app, wallet, 'verify'))).status).toBe(429);
+    });
+
+    it('should not count unproven attempts against the domain', async () => {
+      app = createApp({
+        limits: {
+          challenge: { ip: { limit: 100, window: 60000 }, domain: { limit: 1, window: 60000 } },
+          verify: { ip: { limit: 100, window: 60000 }, domain: { limit: 1, window: 60000 } }
+        }
+      });
+
+      const stranger = Wallet.createRandom();
+      expect((await requestChallenge(app, stranger)).status).toBe(401);
+      expect((await requestChallenge(app, stranger)).status).toBe(401);
+      expect((await requestChallenge(app, wallet, await proof(app, wallet, 'request'))).status).toBe(200);
+
+      expect((await verify(app, stranger)).status).toBe(403);
+      expect((await verify(app, wallet)).status).toBe(401);
+      expect((await verify(app, wallet, await proof(app, wallet, 'verify'))).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createAuthorize, authorizeOperator, authorizeListWrite, checkListWrite, hasRole, ownContract, AuthorizationError } from '../authorization.mjs';
+import { importRoles } from '../whitelistImport.mjs';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CONTRACT = '0x00000000000000000000000000000000000000aa';
+const PENDING = '0x00000000000000000000000000000000000000bb';
+
+function fakeResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = vi.fn((code) => { res.statusCode = code; return res; });
+  res.json = vi.fn((body) => { res.body = body; return res; });
+  return res;
+}
+
+async function run(middleware, req) {
+  const res = fakeResponse();
+  const next = vi.fn();
+  await middleware({ hostname: 'example.com', ...req }, res, next);
+  return { res, next };
+}
+
+/**
+ * Test suite for host route authorization
+ */
+describe('authorization', () => {
+  describe('hasRole', () => {
+    it('should rank member below admin below owner', () => {
+      expect(hasRole('owner', 'admin')).toBe(true);
+      expect(hasRole('admin', 'admin')).toBe(true);
+      expect(hasRole('member', 'admin')).toBe(false);
+      expect(hasRole(null, 'member')).toBe(false);
+    });
+  });
+
+  describe('createAuthorize', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should answer 401 without an authenticated client', async () => {
+      const roleOf = vi.fn();
+      const { res, next } = await run(createAuthorize(roleOf)('admin'), {});
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body).toEqual({ error: 'Not authenticated', required: 'admin', role: null });
+      expect(roleOf).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should answer 403 when the role is too low', async () => {
+      const authorize = createAuthorize(async () => 'member');
+      const { res, next } = await run(authorize('admin'), { episteryClient: { address: BOB } });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toEqual({ error: 'Not authorized', required: 'admin', role: 'member' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass callers with the role or above', async () => {
+      const roleOf = vi.fn(async () => 'owner');
+      const { res, next } = await run(createAuthorize(roleOf)('admin'), { episteryClient: { address: ALICE } });
+
+      expect(roleOf).toHaveBeenCalledWith('example.com', ALICE);
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should answer 500 when the role cannot be resolved', async () => {
+      const authorize = createAuthorize(async () => { throw new Error('RPC unavailable'); });
+      const { res, next } = await run(authorize('member'), { episteryClient: { address: BOB } });
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ error: 'RPC unavailable' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown roles when routes are declared', () => {
+      expect(() => createAuthorize(async () => null)('superuser')).toThrow(/Unknown role/);
+    });
+  });
+
+  describe('authorizeOperator', () => {
+    const operatorOnly = authorizeOperator({ token: 'operator-secret', addresses: [ALICE.toUpperCase().replace('0X', '0x')] });
+    const headers = (authorization) => ({ get: (name) => (name === 'authorization' ? authorization : undefined) });
+
+    it('should pass a request carrying the operator token', async () => {
+      const { res, next } = await run(operatorOnly, headers('Bearer operator-secret'));
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should pass an operator address in any letter case', async () => {
+      const { next } = await run(operatorOnly, { ...headers(), episteryClient: { address: ALICE } });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should answer 401 without a token or an authenticated client', async () => {
+      const { res, next } = await run(operatorOnly, headers('Bearer wrong-secret'));
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body).toEqual({ error: 'Not authenticated', required: 'operator', role: null });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should answer 403 to a client that is not an operator, whatever its domain role', async () => {
+      const { res, next } = await run(operatorOnly, { ...headers(), episteryClient: { address: BOB }, role: 'owner' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.required).toBe('operator');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should refuse every bearer token when no operator token is configured', async () => {
+      const { res } = await run(authorizeOperator({ addresses: [ALICE] }), headers('Bearer '));
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('checkListWrite', () => {
+    it('should let the owner write any of the domain\'s lists and entry roles up to owner', () => {
+      expect(() => checkListWrite('owner', 'example.com', 'epistery::admin', [4])).not.toThrow();
+      expect(() => checkListWrite('owner', 'example.com', 'example.com::admin', [4])).not.toThrow();
+      expect(() => checkListWrite('admin', 'example.com', 'moderators', [3, 2, 0])).not.toThrow();
+    });
+
+    it('should keep admins off epistery::admin, other domains\' lists and roles above admin', () => {
+      expect(() => checkListWrite('admin', 'example.com', 'epistery::admin', [0])).toThrow(/Only the owner/);
+      expect(() => checkListWrite('owner', 'example.com', 'other.com::admin', [0])).toThrow(/not one of this domain's lists/);
+      expect(() => checkListWrite('admin', 'example.com', 'example.com::admin', [2, 4])).toThrow(expect.objectContaining({ status: 403, message: "Role 4 is above the caller's own (admin)" }));
+      expect(() => checkListWrite('admin', 'example.com', '', [])).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('should keep a member-level writer, as agents are, to member entries on the domain\'s lists', () => {
+      expect(() => checkListWrite('member', 'example.com', 'subscribers', [2])).not.toThrow();
+      expect(() => checkListWrite('member', 'example.com', 'example.com::admin', [1])).not.toThrow();
+      expect(() => checkListWrite('member', 'example.com', 'epistery::admin', [4])).toThrow(/Only the owner/);
+      expect(() => checkListWrite('member', 'example.com', 'example.com::admin', [3])).toThrow("Role 3 is above the caller's own (member)");
+    });
+  });
+
+  describe('authorizeListWrite', () => {
+    // Wired as the host's import and update routes are
+    const importing = authorizeListWrite(req => ({
+      listName: req.body.listName || `${req.hostname}::admin`,
+      roles: importRoles(req.body.data, req.body.format)
+    }));
+    const updating = authorizeListWrite(req => ({
+      listName: req.body.listName || `${req.hostname}::admin`,
+      roles: req.body.isAdmin !== undefined ? [req.body.isAdmin ? 3 : 0] : []
+    }));
+
+    it('should answer an admin 403 for importing owner entries or into epistery::admin', async () => {
+      const owners = await run(importing, { role: 'admin', body: { data: `address,role\n${ALICE},owner` } });
+      expect(owners.res.statusCode).toBe(403);
+      expect(owners.res.body).toEqual({ error: "Role 4 is above the caller's own (admin)", role: 'admin' });
+      expect(owners.next).not.toHaveBeenCalled();
+
+      const shared = await run(importing, { role: 'admin', body: { listName: 'epistery::admin', data: `address,role\n${ALICE},member` } });
+      expect(shared.res.statusCode).toBe(403);
+
+      const members = await run(importing, { role: 'admin', body: { data: `address,role\n${ALICE},admin\n${BOB},member` } });
+      expect(members.next).toHaveBeenCalled();
+    });
+
+    it('should answer an admin 403 for updating epistery::admin, and let the owner', async () => {
+      const admin = await run(updating, { role: 'admin', body: { listName: 'epistery::admin', address: BOB, isAdmin: true } });
+      expect(admin.res.statusCode).toBe(403);
+      expect(admin.res.body.error).toMatch(/Only the owner/);
+
+      const owner = await run(updating, { role: 'owner', body: { listName: 'epistery::admin', address: BOB, isAdmin: true } });
+      expect(owner.next).toHaveBeenCalled();
+    });
+  });
+
+  describe('ownContract', () => {
+    const data = { agent_contract_address: CONTRACT, agent_contract_pending: PENDING };
+
+    it('should default to the configured contract', () => {
+      expect(ownContract(data)).toBe(CONTRACT);
+      expect(ownContract(data, undefined, { pending: true })).toBe(PENDING);
+      expect(ownContract({}, undefined)).toBeNull();
+    });
+
+    it('should accept the domain\'s own contract in any case', () => {
+      expect(ownContract(data, CONTRACT.toUpperCase().replace('0X', '0x'))).toBe(CONTRACT);
+      expect(ownContract(data, PENDING, { pending: true })).toBe(PENDING);
+    });
+
+    it('should reject any other contract', () => {
+      expect(() => ownContract(data, PENDING)).toThrow(AuthorizationError);
+      expect(() => ownContract(data, BOB)).toThrow(expect.objectContaining({ status: 403, message: expect.stringMatching(/not this domain's contract/) }));
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { claimMessage, claimTypedData, recoverClaimSigner, createClaimNonces } from '../claimProof.mjs';
+
+const require = createRequire(import.meta.url);
+const { Wallet } = require('ethers');
+
+const wallet = Wallet.createRandom();
+const FIELDS = { action: 'verify', domain: 'example.com', address: wallet.address, challenge: 'abc123', nonce: 'n1' };
+
+/**
+ * Test suite for domain claim proofs
+ */
+describe('claimProof', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('recoverClaimSigner', () => {
+    it('should recover the signer of an EIP-191 message', async () => {
+      const signature = await wallet.signMessage(claimMessage(FIELDS));
+
+      expect(recoverClaimSigner(FIELDS, signature)).toBe(wallet.address);
+      expect(claimMessage(FIELDS)).toContain('Domain: example.com');
+      expect(claimMessage({ ...FIELDS, challenge: '' })).toContain('Challenge: (new)');
+    });
+
+    it('should recover the signer of EIP-712 typed data', async () => {
+      const { domain, types, value } = claimTypedData(FIELDS);
+      const signature = await wallet._signTypedData(domain, types, value);
+
+      expect(recoverClaimSigner(FIELDS, signature, 'eip712')).toBe(wallet.address);
+    });
+
+    it('should bind the signature to every field', async () => {
+      const signature = await wallet.signMessage(claimMessage(FIELDS));
+
+      for (const change of [{ domain: 'other.com' }, { challenge: 'abc124' }, { nonce: 'n2' }, { action: 'request' }]) {
+        expect(recoverClaimSigner({ ...FIELDS, ...change }, signature)).not.toBe(wallet.address);
+      }
+    });
+
+    it('should return null for malformed signatures and unknown types', async () => {
+      expect(recoverClaimSigner(FIELDS, '0x1234')).toBeNull();
+      expect(recoverClaimSigner(FIELDS, await wallet.signMessage(claimMessage(FIELDS)), 'eth_sign')).toBeNull();
+    });
+  });
+
+  describe('createClaimNonces', () => {
+    it('should accept a nonce once, for its domain, address and action', () => {
+      const nonces = createClaimNonces();
+      const { nonce } = nonces.issue('example.com', wallet.address, 'request');
+
+      expect(nonces.consume('example.com', wallet.address, 'verify', nonce)).toBe(false);
+      const again = nonces.issue('example.com', wallet.address, 'request');
+      expect(nonces.consume('example.com', wallet.address.toLowerCase(), 'request', again.nonce)).toBe(true);
+      expect(nonces.consume('example.com', wallet.address, 'request', again.nonce)).toBe(false);
+    });
+
+    it('should hold at most maxSize nonces, dropping the oldest', () => {
+      const nonces = createClaimNonces({ maxSize: 2 });
+      const first = nonces.issue('a.example', wallet.address, 'request');
+      const second = nonces.issue('b.example', wallet.address, 'request');
+      const third = nonces.issue('c.example', wallet.address, 'request');
+
+      expect(nonces.size).toBe(2);
+      expect(nonces.consume('a.example', wallet.address, 'request', first.nonce)).toBe(false);
+      expect(nonces.consume('b.example', wallet.address, 'request', second.nonce)).toBe(true);
+      expect(nonces.consume('c.example', wallet.address, 'request', third.nonce)).toBe(true);
+    });
+
+    it('should expire nonces after their ttl', () => {
+      vi.useFakeTimers();
+      const nonces = createClaimNonces({ ttl: 1000 });
+      const { nonce } = nonces.issue('example.com', wallet.address, 'request');
+
+      vi.advanceTimersByTime(1001);
+      expect(nonces.consume('example.com', wallet.address, 'request', nonce)).toBe(false);
+    });
+  });
+});
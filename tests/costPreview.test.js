@@ -0,0 +1,110 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'module';
+import { previewTransaction, revertReason } from '../costPreview.mjs';
+
+const require = createRequire(import.meta.url);
+const { BigNumber, utils } = require('ethers');
+const gwei = (value) => utils.parseUnits(String(value), 'gwei');
+
+const FROM = '0x1111111111111111111111111111111111111111';
+const TX = { to: '0x2222222222222222222222222222222222222222', data: '0x12345678' };
+const errorData = (message) => '0x08c379a0' + utils.defaultAbiCoder.encode(['string'], [message]).slice(2);
+
+function fakeProvider({ balance = utils.parseEther('1'), gas = 100000, call = '0x', estimate } = {}) {
+  return {
+    getBalance: vi.fn(async () => balance),
+    getFeeData: vi.fn(async () => ({
+      lastBaseFeePerGas: gwei(40),
+      maxPriorityFeePerGas: gwei(2),
+      maxFeePerGas: gwei(100),
+      gasPrice: gwei(50)
+    })),
+    call: vi.fn(async () => call),
+    estimateGas: vi.fn(estimate || (async () => BigNumber.from(gas)))
+  };
+}
+
+/**
+ * Test suite for contract write cost previews
+ */
+describe('costPreview', () => {
+  describe('previewTransaction', () => {
+    it('should price the estimated gas with the fee policy', async () => {
+      const provider = fakeProvider();
+      const preview = await previewTransaction(provider, { chainId: 137 }, TX, { from: FROM });
+
+      expect(provider.call).toHaveBeenCalledWith({ ...TX, from: FROM });
+      // Polygon policy: priority 30 gwei floor, max fee 100 * 1.2 = 120 gwei
+      expect(preview).toMatchObject({
+        success: true,
+        revertReason: null,
+        gasLimit: '100000',
+        balance: '1.0',
+        affordable: true,
+        fee: { expected: utils.formatEther(gwei(70).mul(100000)), max: utils.formatEther(gwei(120).mul(100000)), maxFeePerGasGwei: '120.0' }
+      });
+    });
+
+    it('should use the gas price for legacy chains', async () => {
+      const preview = await previewTransaction(fakeProvider(), { chainId: 1, feePolicy: { mode: 'legacy' } }, TX, { from: FROM });
+
+      expect(preview.fee.expected).toBe(preview.fee.max);
+      expect(preview.fee.max).toBe(utils.formatEther(gwei(60).mul(100000)));
+    });
+
+    it('should report when the wallet cannot afford the maximum fee', async () => {
+      const preview = await previewTransaction(fakeProvider({ balance: gwei(1000) }), { chainId: 137 }, TX, { from: FROM });
+
+      expect(preview.success).toBe(true);
+      expect(preview.affordable).toBe(false);
+    });
+
+    it('should return the revert reason from the static call without estimating', async () => {
+      const provider = fakeProvider({ call: errorData('Not authorized') });
+      const preview = await previewTransaction(provider, { chainId: 137 }, TX, { from: FROM });
+
+      expect(preview).toMatchObject({ success: false, revertReason: 'Not authorized', fee: null, affordable: null });
+      expect(provider.estimateGas).not.toHaveBeenCalled();
+    });
+
+    it('should return the revert reason when gas estimation fails', async () => {
+      const provider = fakeProvider({
+        estimate: async () => {
+          throw Object.assign(new Error('cannot estimate gas'), {
+            code: 'UNPREDICTABLE_GAS_LIMIT',
+            reason: 'execution reverted: Entry does not exist'
+          });
+        }
+      });
+      const preview = await previewTransaction(provider, { chainId: 137 }, { data: '0x60' }, { from: FROM });
+
+      expect(provider.call).not.toHaveBeenCalled();
+      expect(preview).toMatchObject({ success: false, revertReason: 'Entry does not exist' });
+    });
+
+    it('should pass on failures that are not reverts', async () => {
+      const provider = fakeProvider({
+        estimate: async () => {
+          throw Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+        }
+      });
+
+      await expect(previewTransaction(provider, { chainId: 137 }, TX, { from: FROM })).rejects.toThrow('timeout');
+    });
+  });
+
+  describe('revertReason', () => {
+    it('should decode panics and custom errors', () => {
+      const iface = new utils.Interface(['error NotListed(address account)']);
+      const panic = '0x4e487b71' + utils.defaultAbiCoder.encode(['uint256'], [0x11]).slice(2);
+
+      expect(revertReason({ data: panic })).toBe('Arithmetic overflow or underflow');
+      expect(revertReason({ error: { data: iface.encodeErrorResult('NotListed', [FROM]) } }, iface)).toBe(`NotListed(${FROM})`);
+      expect(revertReason({ code: 'CALL_EXCEPTION', data: '0x' })).toBe('Reverted without a reason');
+    });
+
+    it('should return null for errors that are not reverts', () => {
+      expect(revertReason(Object.assign(new Error('missing response'), { code: 'SERVER_ERROR' }))).toBeNull();
+    });
+  });
+});
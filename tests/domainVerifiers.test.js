@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createDomainVerifiers, createClaimResolver, parentDomain } from '../domainVerifiers.mjs';
+
+const DOMAIN = 'epistery.example.com';
+const TOKEN = 'ab'.repeat(32);
+
+// A DNS stand-in answering from { type: { name: records } }
+function standIn(zone) {
+  const answer = (type) => async (name) => {
+    if (!zone[type]?.[name]) throw Object.assign(new Error('no data'), { code: 'ENODATA' });
+    return zone[type][name];
+  };
+  return { resolveTxt: answer('txt'), resolveCname: answer('cname') };
+}
+
+function textResponse(status, body = null, headers = {}) {
+  return new Response(body, { status, headers });
+}
+
+/**
+ * Test suite for domain claim verifiers
+ */
+describe('domainVerifiers', () => {
+  it('should find the token in TXT records on the domain or _epistery', async () => {
+    const verifiers = createDomainVerifiers({
+      resolver: standIn({ txt: { [`_epistery.${DOMAIN}`]: [['v=spf1 -all'], [TOKEN]] } })
+    });
+
+    expect(await verifiers['txt'].verify(DOMAIN, TOKEN)).toBe(false);
+    expect(await verifiers['txt-subdomain'].verify(DOMAIN, TOKEN)).toBe(true);
+    expect(verifiers['txt-subdomain'].record(DOMAIN, TOKEN)).toEqual({ type: 'TXT', name: `_epistery.${DOMAIN}`, value: TOKEN });
+  });
+
+  it('should throw on lookup failures other than a missing record', async () => {
+    const resolver = { resolveTxt: async () => { throw Object.assign(new Error('refused'), { code: 'EREFUSED' }); } };
+    const verifiers = createDomainVerifiers({ resolver });
+
+    await expect(verifiers['txt'].verify(DOMAIN, TOKEN)).rejects.toThrow('refused');
+  });
+
+  it('should check the CNAME target built from the token', async () => {
+    const verifiers = createDomainVerifiers({ resolver: standIn({}) });
+    const { name, value } = verifiers['cname'].record(DOMAIN, TOKEN);
+    expect(value).toBe(`${'ab'.repeat(16)}.${'ab'.repeat(16)}.${DOMAIN}`);
+    expect(await verifiers['cname'].verify(DOMAIN, TOKEN)).toBe(false);
+
+    const published = createDomainVerifiers({ resolver: standIn({ cname: { [name]: [`${value.toUpperCase()}.`] } }) });
+    expect(await published['cname'].verify(DOMAIN, TOKEN)).toBe(true);
+  });
+
+  it('should fetch the well-known file from the parent site', async () => {
+    const fetch = vi.fn(async () => textResponse(200, `other-token\n${TOKEN}\n`));
+    const verifiers = createDomainVerifiers({ fetch });
+
+    expect(verifiers['http'].record(DOMAIN, TOKEN).name).toBe('https://example.com/.well-known/epistery-claim.txt');
+    expect(await verifiers['http'].verify(DOMAIN, TOKEN)).toBe(true);
+    expect(fetch.mock.calls[0][0]).toBe('https://example.com/.well-known/epistery-claim.txt');
+    expect(fetch.mock.calls[0][1].redirect).toBe('manual');
+  });
+
+  it('should not count a redirect from the parent site', async () => {
+    const fetch = vi.fn(async () => textResponse(302, null, { location: 'https://elsewhere.example.net/claim.txt' }));
+    const verifiers = createDomainVerifiers({ fetch });
+
+    expect(await verifiers['http'].verify(DOMAIN, TOKEN)).toBe(false);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop reading the file after maxBytes', async () => {
+    let pulled = 0;
+    const endless = new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new TextEncoder().encode(pulled === 1 ? `${TOKEN}\n` : 'x'.repeat(1024)));
+      }
+    });
+    const verifiers = createDomainVerifiers({ fetch: async () => textResponse(200, endless), maxBytes: 4096 });
+
+    expect(await verifiers['http'].verify(DOMAIN, TOKEN)).toBe(true);
+    expect(pulled).toBeLessThan(10);
+
+    const late = createDomainVerifiers({ fetch: async () => textResponse(200, `${'x'.repeat(100)}\n${TOKEN}\n`), maxBytes: 120 });
+    expect(await late['http'].verify(DOMAIN, TOKEN)).toBe(false);
+  });
+
+  it('should treat a missing file as not found and other HTTP errors as failures', async () => {
+    const missing = createDomainVerifiers({ fetch: async () => textResponse(404) });
+    const broken = createDomainVerifiers({ fetch: async () => textResponse(502) });
+
+    expect(await missing['http'].verify(DOMAIN, TOKEN)).toBe(false);
+    await expect(broken['http'].verify(DOMAIN, TOKEN)).rejects.toThrow('HTTP 502');
+  });
+
+  it('should name the parent site one label up', () => {
+    expect(parentDomain('epistery.example.com')).toBe('example.com');
+    expect(parentDomain('example.com')).toBe('example.com');
+  });
+
+  it('should point a resolver at the given name servers', () => {
+    expect(createClaimResolver(['127.0.0.1:5353']).getServers()).toEqual(['127.0.0.1:5353']);
+  });
+});
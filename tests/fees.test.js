@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'module';
+import { resolveFeePolicy, computeFees, feeOverrides, estimateMaxCost, registerFeePolicy } from '../fees.mjs';
+
+const require = createRequire(import.meta.url);
+const { BigNumber, utils } = require('ethers');
+const gwei = (value) => utils.parseUnits(String(value), 'gwei');
+const inGwei = (fees) => Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, utils.formatUnits(value, 'gwei')]));
+
+/**
+ * Test suite for chain-aware fee policies
+ */
+describe('fees', () => {
+  describe('resolveFeePolicy', () => {
+    it('should use the chain default with provider overrides on top', () => {
+      const policy = resolveFeePolicy({ chainId: 80002, feePolicy: { maxFeeGwei: 500 } });
+
+      expect(policy).toMatchObject({ mode: 'eip1559', minPriorityFeeGwei: 30, minMaxFeeGwei: 60, maxFeeGwei: 500, bufferPercent: 120 });
+    });
+
+    it('should keep the host\'s 30 gwei floors for chains without a policy', () => {
+      const policy = resolveFeePolicy({ chainId: 424242 });
+      expect(policy).toMatchObject({ mode: 'auto', minPriorityFeeGwei: 30, minMaxFeeGwei: 60, minGasPriceGwei: 60 });
+
+      const fees = computeFees({ maxPriorityFeePerGas: gwei(1), maxFeePerGas: gwei(10) }, policy);
+      expect(inGwei(fees)).toEqual({ maxPriorityFeePerGas: '30.0', maxFeePerGas: '60.0' });
+      expect(resolveFeePolicy({})).toMatchObject({ minPriorityFeeGwei: 30 });
+    });
+
+    it('should leave Ethereum mainnet and Sepolia without floors', () => {
+      expect(resolveFeePolicy({ chainId: 1 })).toMatchObject({ minPriorityFeeGwei: null, minMaxFeeGwei: null });
+      expect(resolveFeePolicy({ chainId: 11155111 })).toMatchObject({ minPriorityFeeGwei: null, minMaxFeeGwei: null });
+    });
+
+    it('should accept string chain ids and registered chains', () => {
+      registerFeePolicy(777, { mode: 'legacy', minGasPriceGwei: 1 });
+
+      expect(resolveFeePolicy({ chainId: '777' })).toMatchObject({ mode: 'legacy', minGasPriceGwei: 1 });
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => resolveFeePolicy({ chainId: 1, feePolicy: { mode: 'fast' } })).toThrow('Unknown fee policy mode "fast"');
+    });
+  });
+
+  describe('computeFees', () => {
+    it('should enforce the Polygon floors', () => {
+      const fees = computeFees({ maxPriorityFeePerGas: gwei(1), maxFeePerGas: gwei(10) }, resolveFeePolicy({ chainId: 137 }));
+
+      expect(inGwei(fees)).toEqual({ maxPriorityFeePerGas: '30.0', maxFeePerGas: '60.0' });
+    });
+
+    it('should buffer network fees on chains without floors', () => {
+      const fees = computeFees({ maxPriorityFeePerGas: gwei(2), maxFeePerGas: gwei(20) }, resolveFeePolicy({ chainId: 11155111 }));
+
+      expect(inGwei(fees)).toEqual({ maxPriorityFeePerGas: '2.4', maxFeePerGas: '24.0' });
+    });
+
+    it('should cap fees and keep the priority fee within the max fee', () => {
+      const policy = resolveFeePolicy({ chainId: 1, feePolicy: { maxFeeGwei: 15 } });
+      const fees = computeFees({ maxPriorityFeePerGas: gwei(20), maxFeePerGas: gwei(100) }, policy);
+
+      expect(inGwei(fees)).toEqual({ maxPriorityFeePerGas: '15.0', maxFeePerGas: '15.0' });
+    });
+
+    it('should use gasPrice in legacy mode and when the network lacks EIP-1559', () => {
+      const legacy = resolveFeePolicy({ chainId: 1, feePolicy: { mode: 'legacy' } });
+      const auto = resolveFeePolicy({ chainId: 1, feePolicy: { mode: 'auto' } });
+      const feeData = { gasPrice: gwei(10), maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(2) };
+
+      expect(inGwei(computeFees(feeData, legacy))).toEqual({ gasPrice: '12.0' });
+      expect(inGwei(computeFees({ gasPrice: gwei(10) }, auto))).toEqual({ gasPrice: '12.0' });
+    });
+
+    it('should refuse to price a transaction without network data or floors', () => {
+      expect(() => computeFees({}, resolveFeePolicy({ chainId: 1 }))).toThrow('did not report EIP-1559 fees');
+      expect(() => computeFees({}, resolveFeePolicy({ chainId: 1, feePolicy: { mode: 'auto' } }))).toThrow('did not report a gas price');
+    });
+  });
+
+  describe('with a provider', () => {
+    const ethersProvider = {
+      getFeeData: vi.fn().mockResolvedValue({ gasPrice: gwei(5), maxPriorityFeePerGas: gwei(1), maxFeePerGas: gwei(10) })
+    };
+
+    it('should compute overrides from the provider fee data', async () => {
+      const fees = await feeOverrides(ethersProvider, { chainId: 11155111 });
+
+      expect(inGwei(fees)).toEqual({ maxPriorityFeePerGas: '1.2', maxFeePerGas: '12.0' });
+    });
+
+    it('should estimate the maximum cost of a gas limit', async () => {
+      const cost = await estimateMaxCost(ethersProvider, { chainId: 137 }, 750000);
+
+      expect(cost.eq(BigNumber.from(750000).mul(gwei(60)))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import http from 'http';
+import net from 'net';
+import { checkRpc, checkCertificate, summarizeHealth, scopeHealth, hasOperatorToken } from '../health.mjs';
+
+/**
+ * Test suite for host health probes
+ */
+describe('checkRpc', () => {
+  let server;
+
+  async function rpcServer(handler) {
+    server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  it('should report the block number of a reachable endpoint', async () => {
+    const rpc = await rpcServer((req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result: '0x10' }));
+    });
+
+    const result = await checkRpc(rpc);
+
+    expect(result).toMatchObject({ rpc, reachable: true, blockNumber: 16, error: null });
+    expect(result.latency).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should report RPC errors as unreachable', async () => {
+    const rpc = await rpcServer((req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'rate limited' } }));
+    });
+
+    expect(await checkRpc(rpc)).toMatchObject({ reachable: false, error: 'rate limited' });
+  });
+
+  it('should time out slow endpoints', async () => {
+    const rpc = await rpcServer(() => {});
+
+    expect(await checkRpc(rpc, 100)).toMatchObject({ reachable: false, error: 'timed out after 100ms' });
+    server.closeAllConnections();
+  });
+});
+
+describe('checkCertificate', () => {
+  it('should report a missing certificate when nothing is listening', async () => {
+    const probe = net.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+
+    const result = await checkCertificate({ port, domain: 'example.com' });
+
+    expect(result.domain).toBe('example.com');
+    expect(result.status).toBe('missing');
+    expect(result.error).toBeTruthy();
+  });
+});
+
+describe('summarizeHealth', () => {
+  it('should be ok when everything is healthy', () => {
+    expect(summarizeHealth({
+      agents: [{ name: '@test/a', status: 'healthy' }, { name: '@test/b', status: 'unchecked' }],
+      providers: [{ host: 'rpc.example', reachable: true }],
+      certificates: [{ domain: 'example.com', status: 'valid' }]
+    })).toEqual({ status: 'ok', problems: [], warnings: [] });
+  });
+
+  it('should be degraded by failed agents, unreachable RPCs and expired certificates', () => {
+    const { status, problems } = summarizeHealth({
+      agents: [{ name: '@test/a', status: 'failed' }],
+      providers: [{ host: 'rpc.example', reachable: false }],
+      certificates: [{ domain: 'example.com', status: 'expired' }]
+    });
+
+    expect(status).toBe('degraded');
+    expect(problems).toEqual([
+      'agent @test/a is failed',
+      'rpc rpc.example is unreachable',
+      'certificate for example.com is expired'
+    ]);
+  });
+
+  it('should only warn about certificates close to expiry', () => {
+    const result = summarizeHealth({ certificates: [{ domain: 'example.com', status: 'expiring', daysRemaining: 5 }] });
+
+    expect(result.status).toBe('ok');
+    expect(result.warnings).toEqual(['certificate for example.com expires in 5 days']);
+  });
+});
+
+describe('scopeHealth', () => {
+  it('should keep only what concerns the domain', () => {
+    const report = {
+      agents: [{ name: '@test/on' }, { name: '@test/off' }],
+      providers: [
+        { host: 'rpc.a', domains: ['a.example.com', 'b.example.com'] },
+        { host: 'rpc.b', domains: ['b.example.com'] }
+      ],
+      certificates: [{ domain: 'a.example.com' }, { domain: 'b.example.com' }]
+    };
+
+    const scoped = scopeHealth(report, 'a.example.com', (domain, name) => name === '@test/on');
+
+    expect(scoped).toEqual({
+      agents: [{ name: '@test/on' }],
+      providers: [{ host: 'rpc.a', domains: ['a.example.com'] }],
+      certificates: [{ domain: 'a.example.com' }]
+    });
+  });
+});
+
+describe('hasOperatorToken', () => {
+  const req = (authorization) => ({ get: () => authorization });
+
+  it('should accept only the configured bearer token', () => {
+    expect(hasOperatorToken(req('Bearer s3cret'), 's3cret')).toBe(true);
+    expect(hasOperatorToken(req('Bearer wrong!'), 's3cret')).toBe(false);
+    expect(hasOperatorToken(req('s3cret'), 's3cret')).toBe(false);
+    expect(hasOperatorToken(req(undefined), 's3cret')).toBe(false);
+    expect(hasOperatorToken(req('Bearer '), '')).toBe(false);
+  });
+});
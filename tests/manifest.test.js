@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { validateManifest, sortByDependencies, routeNameFor, HOST_VERSION } from '../manifest.mjs';
+
+/**
+ * Test suite for agent manifest validation
+ */
+describe('validateManifest', () => {
+  const valid = {
+    name: '@geistm/adnet-agent',
+    version: '1.2.3',
+    title: 'Adnet',
+    icon: '/agent/geistm/adnet-agent/icon.svg',
+    widget: '/agent/geistm/adnet-agent/widget',
+    permissions: ['lists:read'],
+    engines: { 'epistery-host': '>=0.5.0' }
+  };
+
+  it('should accept a valid manifest', () => {
+    expect(validateManifest(valid, '0.5.0')).toEqual([]);
+  });
+
+  it('should require name and version', () => {
+    expect(validateManifest({}, '0.5.0')).toEqual(['name is required', 'version is required']);
+  });
+
+  it('should reject non-object manifests', () => {
+    expect(validateManifest([], '0.5.0')).toEqual(['manifest must be a JSON object']);
+  });
+
+  it('should reject an invalid package name', () => {
+    const errors = validateManifest({ ...valid, name: 'Bad Name' }, '0.5.0');
+
+    expect(errors).toEqual(['name "Bad Name" is not a valid npm package name']);
+  });
+
+  it('should reject a non-semver version', () => {
+    const errors = validateManifest({ ...valid, version: '1.0' }, '0.5.0');
+
+    expect(errors).toEqual(['version "1.0" is not a valid semantic version']);
+  });
+
+  it('should reject icons and widgets that are not paths or URLs', () => {
+    const errors = validateManifest({ ...valid, icon: 'icon.svg', widget: { html: '' } }, '0.5.0');
+
+    expect(errors).toContain('icon must be an absolute path, http(s) URL or image data URI');
+    expect(errors).toContain('widget must be a string');
+  });
+
+  it('should reject unknown isolation and listen modes', () => {
+    const errors = validateManifest({ ...valid, isolation: 'container', listen: 'pipe' }, '0.5.0');
+
+    expect(errors).toEqual(['isolation must be "none" or "process"', 'listen must be "port" or "socket"']);
+  });
+
+  it('should reject an invalid configSchema', () => {
+    const errors = validateManifest({ ...valid, configSchema: { type: 'object', properties: { id: { type: 'uuid' } } } }, '0.5.0');
+
+    expect(errors).toEqual(['configSchema.properties.id.type "uuid" is not supported']);
+  });
+
+  it('should reject unknown permissions', () => {
+    const errors = validateManifest({ ...valid, permissions: ['root'] }, '0.5.0');
+
+    expect(errors).toEqual(['permission "root" is not recognized']);
+  });
+
+  it('should reject agents built for a different host version', () => {
+    const errors = validateManifest({ ...valid, engines: { 'epistery-host': '^1.0.0' } }, '0.5.0');
+
+    expect(errors).toEqual(['requires epistery-host ^1.0.0, this host is 0.5.0']);
+  });
+
+  it('should reject an invalid engines range', () => {
+    const errors = validateManifest({ ...valid, engines: { 'epistery-host': 'latest-ish' } }, '0.5.0');
+
+    expect(errors).toEqual(['engines.epistery-host "latest-ish" is not a valid semver range']);
+  });
+
+  it('should reject invalid agentDependencies ranges', () => {
+    const errors = validateManifest({ ...valid, agentDependencies: { '@epistery/secrets': 'soon' } }, '0.5.0');
+
+    expect(errors).toEqual(['agentDependencies.@epistery/secrets "soon" is not a valid semver range']);
+  });
+
+  it('should default to the version in package.json', () => {
+    expect(HOST_VERSION).toMatch(/^\d+\.\d+\.\d+/);
+    expect(validateManifest({ ...valid, engines: { 'epistery-host': HOST_VERSION } })).toEqual([]);
+  });
+});
+
+describe('sortByDependencies', () => {
+  const agent = (name, version, agentDependencies) => ({
+    name: name.split('/').pop(),
+    manifest: { name, version, agentDependencies }
+  });
+
+  it('should order dependencies before dependents', () => {
+    const auth = agent('@test/auth', '1.0.0', { '@test/secrets': '^1.0.0' });
+    const secrets = agent('@test/secrets', '1.2.0');
+    const credits = agent('@test/credits', '1.0.0', { '@test/auth': '1.x' });
+
+    const { ordered, rejected } = sortByDependencies([credits, auth, secrets]);
+
+    expect(ordered.map(info => info.name)).toEqual(['secrets', 'auth', 'credits']);
+    expect(rejected).toEqual([]);
+  });
+
+  it('should reject missing and mismatched dependencies', () => {
+    const auth = agent('@test/auth', '1.0.0', { '@test/secrets': '^2.0.0' });
+    const secrets = agent('@test/secrets', '1.2.0');
+    const credits = agent('@test/credits', '1.0.0', { '@test/adnet': '^1.0.0' });
+
+    const { ordered, rejected } = sortByDependencies([auth, secrets, credits]);
+
+    expect(ordered.map(info => info.name)).toEqual(['secrets']);
+    expect(rejected.map(({ agentInfo, errors }) => [agentInfo.name, errors])).toEqual([
+      ['auth', ['requires @test/secrets ^2.0.0, found 1.2.0']],
+      ['credits', ['requires @test/adnet ^1.0.0, which is not installed']]
+    ]);
+  });
+
+  it('should reject agents that depend on a rejected agent', () => {
+    const auth = agent('@test/auth', '1.0.0', { '@test/secrets': '^1.0.0' });
+    const credits = agent('@test/credits', '1.0.0', { '@test/auth': '^1.0.0' });
+
+    const { ordered, rejected } = sortByDependencies([credits, auth]);
+
+    expect(ordered).toEqual([]);
+    expect(rejected.find(({ agentInfo }) => agentInfo === credits).errors).toEqual([
+      'requires @test/auth, which cannot be loaded'
+    ]);
+  });
+
+  it('should reject dependency cycles', () => {
+    const a = agent('@test/a', '1.0.0', { '@test/b': '*' });
+    const b = agent('@test/b', '1.0.0', { '@test/a': '*' });
+
+    const { ordered, rejected } = sortByDependencies([a, b]);
+
+    expect(ordered).toEqual([]);
+    expect(rejected.map(({ errors }) => errors[0])).toEqual([
+      'dependency cycle: @test/a -> @test/b -> @test/a',
+      'dependency cycle: @test/a -> @test/b -> @test/a'
+    ]);
+  });
+});
+
+describe('routeNameFor', () => {
+  it('should remove @ from scoped package names', () => {
+    expect(routeNameFor('@geistm/adnet-agent')).toBe('geistm/adnet-agent');
+    expect(routeNameFor('simple-agent')).toBe('simple-agent');
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { createRateLimit } from '../rateLimit.mjs';
+
+/**
+ * Test suite for fixed-window rate limits
+ */
+describe('createRateLimit', () => {
+  it('should allow limit hits per key in each window', () => {
+    const limit = createRateLimit({ limit: 2, window: 10000 });
+
+    expect(limit.hit('1.2.3.4', 0)).toEqual({ allowed: true, remaining: 1, retryAfter: 10 });
+    expect(limit.hit('1.2.3.4', 1000).allowed).toBe(true);
+    expect(limit.hit('1.2.3.4', 4000)).toEqual({ allowed: false, remaining: 0, retryAfter: 6 });
+    expect(limit.hit('5.6.7.8', 4000).allowed).toBe(true);
+  });
+
+  it('should start a new window once the last one ends', () => {
+    const limit = createRateLimit({ limit: 1, window: 10000 });
+    limit.hit('example.com', 0);
+
+    expect(limit.hit('example.com', 9999).allowed).toBe(false);
+    expect(limit.hit('example.com', 10000).allowed).toBe(true);
+  });
+});
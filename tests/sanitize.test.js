@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeHtml } from '../sanitize.mjs';
+
+/**
+ * Test suite for the widget HTML sanitizer
+ */
+describe('sanitizeHtml', () => {
+  it('should keep basic formatting', () => {
+    const html = '<div class="stats"><h3>Traffic</h3><p><strong>42</strong> visits<br>today</p><ul><li>a</li></ul></div>';
+
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+
+  it('should remove scripts, styles and frames with their content', () => {
+    const html = '<p>ok</p><script>alert(1)</script><style>p{}</style><iframe src="https://x.test">x</iframe><SCRIPT>bad()</SCRIPT>';
+
+    expect(sanitizeHtml(html)).toBe('<p>ok</p>');
+  });
+
+  it('should drop event handlers and unsafe URLs', () => {
+    expect(sanitizeHtml('<img src="x" onerror="alert(1)" alt="pic">')).toBe('<img alt="pic">');
+    expect(sanitizeHtml('<a href="javascript:alert(1)" onclick="x()">link</a>'))
+      .toBe('<a rel="noopener noreferrer" target="_blank">link</a>');
+    expect(sanitizeHtml('<a href="//evil.test">x</a>')).toBe('<a rel="noopener noreferrer" target="_blank">x</a>');
+  });
+
+  it('should keep safe links and images', () => {
+    expect(sanitizeHtml('<a href="/agent/test/status">status</a>'))
+      .toBe('<a href="/agent/test/status" rel="noopener noreferrer" target="_blank">status</a>');
+    expect(sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=" width="10">'))
+      .toBe('<img src="data:image/png;base64,iVBORw0KGgo=" width="10">');
+    expect(sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4=">')).toBe('<img>');
+  });
+
+  it('should remove unknown tags but keep their text', () => {
+    expect(sanitizeHtml('<section><marquee>hello</marquee></section>')).toBe('hello');
+  });
+
+  it('should escape stray markup and quotes in attributes', () => {
+    expect(sanitizeHtml('1 < 2 > 0')).toBe('1 &lt; 2 &gt; 0');
+    expect(sanitizeHtml(`<span title='say "hi"'>x</span>`)).toBe('<span title="say &quot;hi&quot;">x</span>');
+    expect(sanitizeHtml('<p>a<!-- <script>x</script> -->b</p>')).toBe('<p>ab</p>');
+  });
+
+  it('should return an empty string for non-strings', () => {
+    expect(sanitizeHtml(null)).toBe('');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { parseRows, validateRows, importRoles, toCsv, csvCell } from '../whitelistImport.mjs';
+
+const ALICE = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const CAROL = '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB';
+
+/**
+ * Test suite for bulk whitelist import and export
+ */
+describe('whitelistImport', () => {
+  describe('parseRows', () => {
+    it('should read CSV with a header in any column order', () => {
+      const rows = parseRows(`role,address,name\nadmin,${ALICE},Alice\n\n2,${BOB},"Bob, Jr."\n`);
+
+      expect(rows).toEqual([
+        { line: 2, role: 'admin', address: ALICE, name: 'Alice' },
+        { line: 4, role: '2', address: BOB, name: 'Bob, Jr.' }
+      ]);
+    });
+
+    it('should read CSV without a header as address, name, role, meta', () => {
+      const rows = parseRows(`${ALICE},Alice,3,"{""team"":""core""}"`);
+
+      expect(rows[0]).toEqual({ line: 1, address: ALICE, name: 'Alice', role: '3', meta: '{"team":"core"}' });
+    });
+
+    it('should read JSON arrays of rows', () => {
+      const rows = parseRows(JSON.stringify([{ address: ALICE, meta: { team: 'core' } }, BOB]), 'json');
+
+      expect(rows).toEqual([
+        { line: 1, address: ALICE, meta: { team: 'core' } },
+        { line: 2, address: BOB }
+      ]);
+    });
+
+    it('should reject unknown formats, non-array JSON and broken quotes', () => {
+      expect(() => parseRows('x', 'xml')).toThrow('Unknown import format');
+      expect(() => parseRows('{}', 'json')).toThrow('must be an array');
+      expect(() => parseRows(`${ALICE},"Alice`)).toThrow('Unterminated quote');
+    });
+  });
+
+  describe('validateRows', () => {
+    it('should normalize valid rows with roles and meta', () => {
+      const report = validateRows([
+        { line: 1, address: ALICE.toLowerCase(), name: 'Alice', role: 'admin', meta: { team: 'core' } },
+        { line: 2, address: BOB }
+      ]);
+
+      expect(report.valid).toEqual([
+        { line: 1, address: ALICE, name: 'Alice', role: 3, meta: '{"team":"core"}', status: 'valid' },
+        { line: 2, address: BOB, name: '', role: 2, meta: '', status: 'valid' }
+      ]);
+    });
+
+    it('should flag bad checksums, bad addresses and bad roles', () => {
+      const badChecksum = ALICE.replace('aAeb', 'AaEB');
+      const report = validateRows([
+        { line: 1, address: badChecksum },
+        { line: 2, address: '0x1234' },
+        { line: 3, address: BOB, role: 'superuser' },
+        { line: 4 }
+      ]);
+
+      expect(report.invalid.map(row => row.error)).toEqual([
+        'Bad address checksum',
+        'Invalid address',
+        'Invalid role "superuser"',
+        'Address is required'
+      ]);
+    });
+
+    it('should report addresses already listed and repeated in the import', () => {
+      const report = validateRows([
+        { line: 1, address: ALICE },
+        { line: 2, address: CAROL },
+        { line: 3, address: CAROL.toLowerCase() }
+      ], [ALICE.toLowerCase()]);
+
+      expect(report.duplicates.map(row => row.line)).toEqual([1]);
+      expect(report.invalid).toEqual([expect.objectContaining({ line: 3, error: 'Repeats line 2' })]);
+      expect(report.valid.map(row => row.line)).toEqual([2]);
+    });
+  });
+
+  describe('importRoles', () => {
+    it('should list the roles of valid rows and nothing for unparseable data', () => {
+      expect(importRoles(`address,role\n${'0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'},owner\nnot-an-address,admin`)).toEqual([4]);
+      expect(importRoles('x', 'xml')).toEqual([]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should export entries that import back unchanged', () => {
+      const entries = [{ address: ALICE, name: 'Alice, "A"', role: 3, meta: '{"team":"core"}' }];
+      const csv = toCsv(entries);
+
+      expect(csv.split('\n')[0]).toBe('address,name,role,meta');
+      expect(parseRows(csv)).toEqual([{ line: 2, address: ALICE, name: 'Alice, "A"', role: '3', meta: '{"team":"core"}' }]);
+    });
+
+    it('should keep spreadsheet formulas out of cells and still import them back', () => {
+      const entries = [{ address: ALICE, name: '=HYPERLINK("http://evil.example")', role: 2, meta: '@SUM(A1)' }];
+      const csv = toCsv(entries);
+
+      expect(csv.split('\n')[1]).toBe(`${ALICE},"'=HYPERLINK(""http://evil.example"")",2,'@SUM(A1)`);
+      expect(parseRows(csv)).toEqual([{ line: 2, address: ALICE, name: '=HYPERLINK("http://evil.example")', role: '2', meta: '@SUM(A1)' }]);
+    });
+
+    it('should leave other cells starting with a quote alone', () => {
+      expect(parseRows("address,name\n0xabc,'quoted")[0].name).toBe("'quoted");
+      expect(csvCell('-1')).toBe("'-1");
+      expect(csvCell(42)).toBe('42');
+    });
+  });
+});
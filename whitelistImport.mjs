@@ -0,0 +1,204 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const ethers = require('ethers');
+
+/**
+ * Bulk whitelist rows: parsing, validation and export
+ *
+ * Rows carry address, name, role and meta. They come as CSV, with an optional
+ * header line naming those columns (otherwise they are taken in that order),
+ * or as a JSON array of objects. Roles are numbers or names:
+ *   none 0, read 1, write 2 (member), admin 3, owner 4
+ * meta may be a string or an object, which is stored as JSON.
+ *
+ * Exported cells that a spreadsheet would run as a formula (starting with =, +,
+ * -, @, tab or carriage return) are prefixed with ', which parsing removes again.
+ */
+export const ROLES = { none: 0, read: 1, write: 2, member: 2, admin: 3, owner: 4 };
+
+const COLUMNS = ['address', 'name', 'role', 'meta'];
+
+// Cells a spreadsheet would run as a formula, and the ' that export puts before them
+const FORMULA = /^[=+\-@\t\r]/;
+const FORMULA_GUARD = /^'(?=[=+\-@\t\r])/;
+
+export function parseRows(data, format = 'csv') {
+    if (format === 'json') {
+        const rows = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON import must be an array of rows');
+        }
+        return rows.map((row, index) => ({ ...(row && typeof row === 'object' ? row : { address: row }), line: index + 1 }));
+    }
+    if (format !== 'csv') {
+        throw new Error(`Unknown import format "${format}"`);
+    }
+    if (typeof data !== 'string') {
+        throw new Error('CSV import must be a string');
+    }
+
+    const records = parseCsv(data);
+    let columns = COLUMNS;
+    if (records.length && records[0].cells.some(cell => cell.trim().toLowerCase() === 'address')) {
+        columns = records.shift().cells.map(cell => cell.trim().toLowerCase());
+    }
+    return records.map(({ line, cells }) => {
+        const row = { line };
+        columns.forEach((column, index) => {
+            if (COLUMNS.includes(column) && cells[index] !== undefined) row[column] = cells[index].trim().replace(FORMULA_GUARD, '');
+        });
+        return row;
+    });
+}
+
+/**
+ * Check every row before anything is written
+ * existing is the list's current addresses. Each row gets a status:
+ *   valid      ready to add
+ *   invalid    bad address, checksum, role or meta, or repeated within the import
+ *   duplicate  already on the list; skipped
+ */
+export function validateRows(rows, existing = []) {
+    const listed = new Set(existing.map(address => address.toLowerCase()));
+    const seen = new Map();
+
+    const results = rows.map((row) => {
+        const result = { line: row.line, address: row.address ?? '', name: String(row.name ?? ''), role: null, meta: '' };
+        try {
+            result.address = checksumAddress(row.address);
+            result.role = parseRole(row.role);
+            result.meta = parseMeta(row.meta);
+        } catch (error) {
+            return { ...result, status: 'invalid', error: error.message };
+        }
+
+        const key = result.address.toLowerCase();
+        if (seen.has(key)) {
+            return { ...result, status: 'invalid', error: `Repeats line ${seen.get(key)}` };
+        }
+        seen.set(key, row.line);
+        if (listed.has(key)) {
+            return { ...result, status: 'duplicate', error: 'Already on the list' };
+        }
+        return { ...result, status: 'valid' };
+    });
+
+    return {
+        rows: results,
+        valid: results.filter(row => row.status === 'valid'),
+        invalid: results.filter(row => row.status === 'invalid'),
+        duplicates: results.filter(row => row.status === 'duplicate')
+    };
+}
+
+/**
+ * The entry roles an import would write: those of its valid rows, [] when none parse
+ */
+export function importRoles(data, format = 'csv') {
+    try {
+        return validateRows(parseRows(data, format)).valid.map(row => row.role);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * One CSV cell: quoted when it holds a comma, quote or line break, and
+ * prefixed with ' when a spreadsheet would take it for a formula
+ */
+export function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Whitelist entries as CSV with a header line
+ */
+export function toCsv(entries) {
+    const lines = [COLUMNS.join(',')];
+    for (const entry of entries) {
+        lines.push([entry.address, entry.name, entry.role, entry.meta].map(csvCell).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function checksumAddress(address) {
+    if (typeof address !== 'string' || !address.trim()) {
+        throw new Error('Address is required');
+    }
+    try {
+        // Accepts all-lowercase addresses; mixed case must match its checksum
+        return ethers.utils.getAddress(address.trim());
+    } catch (error) {
+        throw new Error(/checksum/i.test(error.message) ? 'Bad address checksum' : 'Invalid address');
+    }
+}
+
+function parseRole(role) {
+    if (role === undefined || role === null || role === '') return ROLES.write;
+    const named = ROLES[String(role).trim().toLowerCase()];
+    if (named !== undefined) return named;
+    const number = Number(role);
+    if (!Number.isInteger(number) || number < 0 || number > ROLES.owner) {
+        throw new Error(`Invalid role "${role}"`);
+    }
+    return number;
+}
+
+function parseMeta(meta) {
+    if (meta === undefined || meta === null) return '';
+    if (typeof meta === 'object') return JSON.stringify(meta);
+    return String(meta);
+}
+
+
+// Records with their line numbers; quoted cells may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+
+    const endRecord = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0].trim()) records.push({ line: start, cells });
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            start = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quote in CSV starting on line ${start}`);
+    }
+    if (cell || cells.length) endRecord();
+    return records;
+}